@@ -0,0 +1,351 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const redisClient = require('../redisClient');
+
+describe('Admin API', () => {
+  let app;
+  let adminToken;
+  let client;
+
+  const userRow = (overrides = {}) => ({
+    id: 2,
+    username: 'jane',
+    email: 'jane@example.com',
+    is_active: true,
+    account_id: 5,
+    first_name: 'Jane',
+    last_name: 'Doe',
+    email_verified: false,
+    id_verification_status: 'PENDING',
+    balance: '12.50',
+    roles: ['user'],
+    ...overrides,
+  });
+
+  const auditInserts = () => client.query.mock.calls.filter(([sql]) => sql.includes('admin_audit_log'));
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    adminToken = jwt.sign(
+      { id: 1, email: 'admin@example.com', role: 'admin', roles: ['user', 'admin'] },
+      process.env.JWT_SECRET
+    );
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction = jest.fn(async (callback) => callback(client));
+  });
+
+  describe('authorization', () => {
+    it('should require authentication', async () => {
+      await request(app).get('/api/admin/users').expect(401);
+    });
+
+    it('should reject non-admin users', async () => {
+      const userToken = jwt.sign(
+        { id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] },
+        process.env.JWT_SECRET
+      );
+
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Forbidden');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users with pagination', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '45' }] })
+        .mockResolvedValueOnce({ rows: [userRow()] });
+
+      const response = await request(app)
+        .get('/api/admin/users?page=2&limit=20')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users[0]).toMatchObject({
+        id: 2,
+        email: 'jane@example.com',
+        isActive: true,
+        idVerificationStatus: 'PENDING',
+        balance: 12.5,
+      });
+      expect(response.body.data.pagination).toEqual({ page: 2, limit: 20, total: 45, totalPages: 3 });
+      expect(db.query.mock.calls[1][1]).toEqual([20, 20]);
+    });
+
+    it('should search and filter by status', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/admin/users?q=jane&status=inactive')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('ILIKE $1');
+      expect(sql).toContain('u.is_active = $2');
+      expect(params).toEqual(['%jane%', false, 20, 0]);
+    });
+
+    it('should validate pagination parameters', async () => {
+      await request(app)
+        .get('/api/admin/users?limit=500')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/admin/users/:id', () => {
+    it('should return the account row', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow({ roles: ['moderator', 'user'] })] });
+
+      const response = await request(app)
+        .get('/api/admin/users/2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        id: 2,
+        emailVerified: false,
+        idVerificationStatus: 'PENDING',
+        roles: ['user', 'moderator'],
+      });
+    });
+
+    it('should return 404 for unknown users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/admin/users/99')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should reject non-numeric ids', async () => {
+      await request(app)
+        .get('/api/admin/users/abc')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/deactivate', () => {
+    it('should deactivate, audit and revoke sessions', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [userRow()] })
+        .mockResolvedValueOnce({ rows: [{ family_id: 's1' }, { family_id: 's1' }, { family_id: 's2' }] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/deactivate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Chargeback fraud' })
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(2);
+      expect(client.query.mock.calls[0]).toEqual([
+        'UPDATE users SET is_active = FALSE WHERE id = $1',
+        [2]
+      ]);
+
+      const [[, auditParams]] = auditInserts();
+      expect(auditParams.slice(0, 4)).toEqual([
+        1,
+        'user.deactivate',
+        2,
+        JSON.stringify({ reason: 'Chargeback fraud' })
+      ]);
+      expect(redisClient.setex).toHaveBeenCalledWith('auth:revoked:s1', expect.any(Number), '1');
+      expect(redisClient.setex).toHaveBeenCalledWith('auth:revoked:s2', expect.any(Number), '1');
+    });
+
+    it('should refuse to deactivate the acting admin', async () => {
+      await request(app)
+        .post('/api/admin/users/1/deactivate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for an already deactivated account', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow({ is_active: false })] });
+
+      await request(app)
+        .post('/api/admin/users/2/deactivate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/reactivate', () => {
+    it('should reactivate and audit', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow({ is_active: false })] });
+
+      await request(app)
+        .post('/api/admin/users/2/reactivate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(client.query.mock.calls[0][0]).toBe('UPDATE users SET is_active = TRUE WHERE id = $1');
+      expect(auditInserts()[0][1][1]).toBe('user.reactivate');
+    });
+  });
+
+  describe('POST /api/admin/users/:id/password-reset', () => {
+    it('should require a reset, email a link and revoke sessions', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [userRow()] })
+        .mockResolvedValueOnce({ rows: [{ family_id: 's1' }] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/password-reset')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(1);
+      expect(client.query.mock.calls[0][0]).toContain('password_reset_required = TRUE');
+      expect(mailer.send).toHaveBeenCalledWith(
+        'passwordReset',
+        'jane@example.com',
+        { username: 'jane', token: expect.any(String) },
+        client
+      );
+      expect(auditInserts()[0][1][1]).toBe('user.force_password_reset');
+    });
+  });
+
+  describe('POST /api/admin/users/:id/verification-email', () => {
+    it('should resend the verification email', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow()] });
+
+      await request(app)
+        .post('/api/admin/users/2/verification-email')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(mailer.send).toHaveBeenCalledWith(
+        'emailVerification',
+        'jane@example.com',
+        { username: 'jane', token: expect.any(String) },
+        client
+      );
+      expect(auditInserts()[0][1][1]).toBe('user.resend_verification');
+    });
+
+    it('should reject already verified emails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow({ email_verified: true })] });
+
+      await request(app)
+        .post('/api/admin/users/2/verification-email')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id/sessions', () => {
+    it('should revoke all sessions and audit', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [userRow()] })
+        .mockResolvedValueOnce({ rows: [{ family_id: 's1' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .delete('/api/admin/users/2/sessions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(1);
+      expect(db.query.mock.calls[2][0]).toContain('INSERT INTO admin_audit_log');
+      expect(db.query.mock.calls[2][1][1]).toBe('user.revoke_sessions');
+    });
+  });
+
+  describe('GET /api/admin/users/:id/audit', () => {
+    it('should return the audit trail', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 3,
+            action: 'user.deactivate',
+            details: { reason: 'Fraud' },
+            ip_address: '127.0.0.1',
+            actor_id: 1,
+            actor_username: 'admin',
+            created_at: new Date(),
+          }]
+        });
+
+      const response = await request(app)
+        .get('/api/admin/users/2/audit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries[0]).toMatchObject({
+        action: 'user.deactivate',
+        actor: { id: 1, username: 'admin' },
+      });
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+  });
+});
@@ -13,6 +13,7 @@ jest.mock('../db/postgres', () => ({
 jest.mock('../redisClient', () => ({
   get: jest.fn(),
   setex: jest.fn(),
+  multi: jest.fn(),
   on: jest.fn(),
 }));
 
@@ -113,24 +114,26 @@ describe('API Routes', () => {
         .expect(200);
 
       expect(response.body).toEqual(cachedData);
-      expect(redisClient.get).toHaveBeenCalledWith('cache:/api/data');
+      expect(redisClient.get).toHaveBeenCalledWith('cache:/api/data|user:1');
     });
 
     it('should cache response when not in cache', async () => {
       const redisClient = require('../redisClient');
       redisClient.get.mockResolvedValue(null);
-      redisClient.setex.mockResolvedValue('OK');
+      const multi = { setex: jest.fn(() => multi), eval: jest.fn(() => multi), exec: jest.fn().mockResolvedValue([]) };
+      redisClient.multi.mockReturnValue(multi);
 
       await request(app)
         .get('/api/data')
         .set('Cookie', `token=${validToken}`)
         .expect(200);
 
-      expect(redisClient.setex).toHaveBeenCalledWith(
-        'cache:/api/data',
+      expect(multi.setex).toHaveBeenCalledWith(
+        'cache:/api/data|user:1',
         300,
         JSON.stringify({ data: 'Success' })
       );
+      expect(multi.eval).toHaveBeenCalledWith(expect.any(String), 1, 'cache-tag:user:1', 'cache:/api/data|user:1', 300);
     });
 
     it('should set req.user from token payload', async () => {
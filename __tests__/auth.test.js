@@ -12,6 +12,7 @@ jest.mock('../db/postgres', () => ({
 
 jest.mock('../logger/winstonConfig', () => ({
   info: jest.fn(),
+  warn: jest.fn(),
   error: jest.fn(),
   http: jest.fn(),
   debug: jest.fn(),
@@ -20,9 +21,20 @@ jest.mock('../logger/winstonConfig', () => ({
 jest.mock('../redisClient', () => ({
   get: jest.fn(),
   setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  multi: jest.fn(),
   on: jest.fn(),
 }));
 
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
 jest.mock('morgan', () => {
   const morganMock = jest.fn(() => (req, res, next) => next());
   morganMock.token = jest.fn();
@@ -34,6 +46,18 @@ jest.mock('../logger/performanceMiddleware', () => {
 });
 
 const db = require('../db/postgres');
+const mailer = require('../mailer');
+const redisClient = require('../redisClient');
+
+// MULTI for cache tag invalidation: SMEMBERS finds `keys`, then the set is dropped
+const tagMulti = (keys = []) => {
+  const multi = {
+    smembers: jest.fn(() => multi),
+    del: jest.fn(() => multi),
+    exec: jest.fn().mockResolvedValue([[null, keys], [null, 1]]),
+  };
+  return multi;
+};
 
 describe('Authentication API', () => {
   let app;
@@ -77,7 +101,9 @@ describe('Authentication API', () => {
           query: jest.fn()
             .mockResolvedValueOnce({ rows: [mockUser] })
             .mockResolvedValueOnce({ rows: [mockAccount] })
+            .mockResolvedValueOnce({ rows: [{ role_id: 1 }] }) // Assign default role
             .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Insert refresh token
         };
         return callback(mockClient);
       });
@@ -99,6 +125,43 @@ describe('Authentication API', () => {
       expect(response.body.data.user.email).toBe('test@example.com');
       expect(response.body.data.token).toBeDefined();
       expect(response.headers['set-cookie']).toBeDefined();
+
+      const decoded = jwt.verify(response.body.data.token, process.env.JWT_SECRET);
+      expect(decoded.role).toBe('user');
+      expect(decoded.roles).toEqual(['user']);
+    });
+
+    it('should email the verification token instead of returning it', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, username: 'testuser', email: 'test@example.com' }] })
+          .mockResolvedValueOnce({ rows: [{ account_id: 1 }] })
+          .mockResolvedValueOnce({ rows: [{ role_id: 1 }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+      };
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'Test123!',
+          confirmPassword: 'Test123!',
+        })
+        .expect(201);
+
+      expect(response.body.data.verificationToken).toBeUndefined();
+
+      const storedToken = mockClient.query.mock.calls[3][1][1];
+      expect(mailer.send).toHaveBeenCalledWith(
+        'emailVerification',
+        'test@example.com',
+        { username: 'testuser', token: storedToken },
+        mockClient
+      );
     });
 
     it('should reject registration with duplicate email', async () => {
@@ -184,7 +247,8 @@ describe('Authentication API', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockUser] }) // Find user
-        .mockResolvedValueOnce({ rows: [] }); // Update last_login
+        .mockResolvedValueOnce({ rows: [] }) // Update last_login
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert refresh token
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -214,7 +278,8 @@ describe('Authentication API', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockUser] })
-        .mockResolvedValueOnce({ rows: [] });
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -228,6 +293,37 @@ describe('Authentication API', () => {
       expect(response.body.data.user.username).toBe('testuser');
     });
 
+    it('should embed the stored roles in the access token', async () => {
+      const mockUser = {
+        id: 1,
+        username: 'admin',
+        email: 'admin@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+        account_id: 1,
+        email_verified: true,
+        roles: ['admin', 'user'],
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          emailOrUsername: 'admin',
+          password: 'Test123!',
+        })
+        .expect(200);
+
+      const decoded = jwt.verify(response.body.data.token, process.env.JWT_SECRET);
+      expect(decoded.role).toBe('admin');
+      expect(decoded.roles).toEqual(['user', 'admin']);
+      expect(response.body.data.user.role).toBe('admin');
+    });
+
     it('should reject login with invalid email', async () => {
       db.query.mockResolvedValueOnce({ rows: [] });
 
@@ -251,7 +347,9 @@ describe('Authentication API', () => {
         is_active: true,
       };
 
-      db.query.mockResolvedValueOnce({ rows: [mockUser] });
+      db.query
+        .mockResolvedValueOnce({ rows: [mockUser] }) // Find user
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] }); // Record failure
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -263,6 +361,79 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Invalid credentials');
+      expect(db.query.mock.calls[1][0]).toContain('failed_login_attempts');
+      expect(redisClient.incr).toHaveBeenCalled();
+    });
+
+    it('should lock the account once failures reach the limit', async () => {
+      const mockUser = {
+        id: 1,
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+        failed_login_attempts: 4,
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [mockUser] }) // Find user
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 5 }] }) // Record failure
+        .mockResolvedValueOnce({ rows: [] }); // Set lock_until
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({
+          emailOrUsername: 'test@example.com',
+          password: 'WrongPassword!',
+        })
+        .expect(401);
+
+      expect(db.query.mock.calls[2][0]).toContain('lock_until');
+      const lockUntil = db.query.mock.calls[2][1][0];
+      expect(lockUntil.getTime()).toBeGreaterThan(Date.now() + 60 * 60 * 1000);
+    });
+
+    it('should answer a locked account exactly like an unknown one', async () => {
+      const lockedUser = {
+        id: 1,
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+        failed_login_attempts: 5,
+        lock_until: new Date(Date.now() + 60 * 60 * 1000),
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [lockedUser] });
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(401);
+
+      db.query.mockResolvedValueOnce({ rows: [] });
+      const unknown = await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'nobody@example.com', password: 'Test123!' })
+        .expect(401);
+
+      expect(locked.body).toEqual(unknown.body);
+      // Correct password on a locked account must not start a session
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throttle an IP that exceeded its failure budget', async () => {
+      redisClient.get.mockResolvedValue('20');
+      redisClient.ttl.mockResolvedValue(120);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          emailOrUsername: 'test@example.com',
+          password: 'Test123!',
+        })
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(response.headers['retry-after']).toBe('120');
+      expect(db.query).not.toHaveBeenCalled();
     });
 
     it('should reject login for inactive account', async () => {
@@ -287,6 +458,29 @@ describe('Authentication API', () => {
       expect(response.body.message).toContain('deactivated');
     });
 
+    it('should refuse a session while an admin-forced reset is pending', async () => {
+      const mockUser = {
+        id: 1,
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+        password_reset_required: true,
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [mockUser] });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          emailOrUsername: 'test@example.com',
+          password: 'Test123!',
+        })
+        .expect(403);
+
+      expect(response.body.message).toContain('Password reset required');
+      expect(response.body.data).toBeUndefined();
+    });
+
     it('should set httpOnly cookie on successful login', async () => {
       const mockUser = {
         id: 1,
@@ -302,7 +496,8 @@ describe('Authentication API', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockUser] })
-        .mockResolvedValueOnce({ rows: [] });
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -317,6 +512,98 @@ describe('Authentication API', () => {
       expect(setCookie[0]).toContain('token=');
       expect(setCookie[0]).toContain('HttpOnly');
     });
+
+    it('should send a new sign-in notice for an unseen device', async () => {
+      const mockUser = {
+        id: 1,
+        username: 'testuser',
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, new_device: true }] });
+
+      await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'TestBrowser/1.0')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(200);
+
+      expect(mailer.send).toHaveBeenCalledWith(
+        'newLogin',
+        'test@example.com',
+        expect.objectContaining({ username: 'testuser', userAgent: 'TestBrowser/1.0' })
+      );
+    });
+
+    it('should not send a sign-in notice for a known device', async () => {
+      const mockUser = {
+        id: 1,
+        username: 'testuser',
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Test123!', 10),
+        is_active: true,
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, new_device: false }] });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(200);
+
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should rate limit login requests per IP before checking passwords', async () => {
+      redisClient.incr.mockResolvedValue(11);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(429);
+
+      expect(response.body.message).toBe('Too many login attempts. Please try again later.');
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should let the frontend read the rate limit headers', async () => {
+      redisClient.incr.mockResolvedValue(11);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('Origin', 'http://localhost:8080')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(429);
+
+      const exposed = response.headers['access-control-expose-headers'].split(',');
+      expect(exposed).toEqual(expect.arrayContaining([
+        'Retry-After',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset',
+        'RateLimit-Policy',
+      ]));
+    });
+
+    it('should keep accepting logins while the rate limiter is unavailable', async () => {
+      redisClient.incr.mockRejectedValue(new Error('Connection is closed.'));
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'nobody@example.com', password: 'Test123!' })
+        .expect(401);
+    });
   });
 
   describe('POST /api/auth/logout', () => {
@@ -332,13 +619,55 @@ describe('Authentication API', () => {
       expect(setCookie).toBeDefined();
       expect(setCookie[0]).toContain('token=;');
     });
+
+    it('should revoke the session of the presented refresh token', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ family_id: 'family-1' }] }) // Find session
+        .mockResolvedValueOnce({ rows: [] }); // Revoke family
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Cookie', 'refreshToken=some-refresh-token')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(db.query.mock.calls[1][0]).toContain('UPDATE refresh_tokens');
+      expect(db.query.mock.calls[1][1]).toEqual(['family-1']);
+      expect(redisClient.setex).toHaveBeenCalledWith(
+        'auth:revoked:family-1',
+        expect.any(Number),
+        '1'
+      );
+    });
+
+    it('should revoke the session of the access token when no refresh token is sent', async () => {
+      const token = jwt.sign(
+        { id: 1, email: 'test@example.com', sid: 'family-2' },
+        process.env.JWT_SECRET
+      );
+      db.query.mockResolvedValueOnce({ rows: [] }); // Revoke family
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['family-2']);
+      expect(redisClient.setex).toHaveBeenCalledWith(
+        'auth:revoked:family-2',
+        expect.any(Number),
+        '1'
+      );
+    });
   });
 
   describe('POST /api/auth/password/reset-request', () => {
     it('should accept password reset request', async () => {
-      db.query
-        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Find user
-        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert token
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, username: 'testuser', email: 'test@example.com' }]
+      }); // Find user
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
 
       const response = await request(app)
         .post('/api/auth/password/reset-request')
@@ -349,6 +678,15 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toContain('reset link');
+      expect(response.body.resetToken).toBeUndefined();
+
+      const storedToken = mockClient.query.mock.calls[0][1][1];
+      expect(mailer.send).toHaveBeenCalledWith(
+        'passwordReset',
+        'test@example.com',
+        { username: 'testuser', token: storedToken },
+        mockClient
+      );
     });
 
     it('should not reveal if email does not exist', async () => {
@@ -373,6 +711,31 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should limit reset emails per address', async () => {
+      redisClient.incr.mockImplementation(async (key) => (key.startsWith('ratelimit:password-reset-email:') ? 4 : 1));
+
+      const response = await request(app)
+        .post('/api/auth/password/reset-request')
+        .send({ email: 'Test@Example.com ' })
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.headers['ratelimit-limit']).toBe('3');
+      expect(db.query).not.toHaveBeenCalled();
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should refuse reset requests while the rate limiter is unavailable', async () => {
+      redisClient.incr.mockRejectedValue(new Error('Connection is closed.'));
+
+      await request(app)
+        .post('/api/auth/password/reset-request')
+        .send({ email: 'test@example.com' })
+        .expect(503);
+
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /api/auth/password/reset-verify', () => {
@@ -465,17 +828,19 @@ describe('Authentication API', () => {
           user_id: 1,
           expires_at: expiresAt,
           used: false,
+          email: 'test@example.com',
+          username: 'testuser',
         }]
       });
 
-      db.transaction = jest.fn(async (callback) => {
-        const mockClient = {
-          query: jest.fn()
-            .mockResolvedValueOnce({ rows: [] }) // Update password
-            .mockResolvedValueOnce({ rows: [] })  // Mark token used
-        };
-        return callback(mockClient);
-      });
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [] }) // Update password
+          .mockResolvedValueOnce({ rows: [] })  // Mark token used
+          .mockResolvedValueOnce({ rows: [] })  // Unlock account
+      };
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+      db.query.mockResolvedValueOnce({ rows: [{ family_id: 'session-a' }, { family_id: 'session-b' }] }); // Revoke sessions
 
       const response = await request(app)
         .post('/api/auth/password/reset-confirm')
@@ -487,6 +852,18 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toContain('reset successfully');
+      // Every session goes, including any a thief holds
+      expect(db.query.mock.calls[1][0]).toContain('UPDATE refresh_tokens SET revoked_at');
+      expect(db.query.mock.calls[1][1]).toEqual([1, null]);
+      expect(redisClient.setex).toHaveBeenCalledWith('auth:revoked:session-a', expect.any(Number), '1');
+      expect(redisClient.setex).toHaveBeenCalledWith('auth:revoked:session-b', expect.any(Number), '1');
+      expect(mockClient.query.mock.calls[2][0]).toContain('lock_until = NULL');
+      expect(mailer.send).toHaveBeenCalledWith(
+        'passwordChanged',
+        'test@example.com',
+        { username: 'testuser' },
+        mockClient
+      );
     });
 
     it('should validate new password strength', async () => {
@@ -568,6 +945,26 @@ describe('Authentication API', () => {
       expect(response.body.data.id).toBe(1);
       expect(response.body.data.email).toBe('test@example.com');
       expect(response.body.data.balance).toBe(100.00);
+      expect(response.body.data.role).toBe('user');
+    });
+
+    it('should return the roles stored for the user', async () => {
+      const token = jwt.sign(
+        { id: 1, email: 'mod@example.com', role: 'user' },
+        process.env.JWT_SECRET
+      );
+
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, email: 'mod@example.com', balance: '0.00', roles: ['moderator', 'user'] }]
+      });
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .expect(200);
+
+      expect(response.body.data.role).toBe('moderator');
+      expect(response.body.data.roles).toEqual(['user', 'moderator']);
     });
 
     it('should require authentication', async () => {
@@ -588,20 +985,243 @@ describe('Authentication API', () => {
     });
   });
 
+  describe('PATCH /api/auth/me', () => {
+    let token;
+    let mockClient;
+
+    const currentRow = (overrides = {}) => ({
+      id: 1,
+      username: 'testuser',
+      email: 'test@example.com',
+      display_name: 'testuser',
+      first_name: 'Test',
+      last_name: 'User',
+      phone_number: null,
+      email_verified: true,
+      phone_verified: false,
+      balance: '0.00',
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      token = jwt.sign({ id: 1, email: 'test@example.com', role: 'user' }, process.env.JWT_SECRET);
+      mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+      redisClient.multi.mockReturnValue(tagMulti());
+    });
+
+    it('should update names, display name and phone number', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow()] })
+        .mockResolvedValueOnce({
+          rows: [currentRow({ first_name: 'Jane', display_name: 'JJ', phone_number: '+15551234567' })]
+        });
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ firstName: 'Jane', displayName: 'JJ', phoneNumber: '+15551234567' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        firstName: 'Jane',
+        displayName: 'JJ',
+        phoneNumber: '+15551234567',
+      });
+      expect(mockClient.query.mock.calls[0]).toEqual([
+        'UPDATE users SET display_name = $1 WHERE id = $2',
+        ['JJ', 1]
+      ]);
+      expect(mockClient.query.mock.calls[1]).toEqual([
+        'UPDATE accounts SET first_name = $1, phone_number = $2, phone_verified = $3 WHERE user_id = $4',
+        ['Jane', '+15551234567', false, 1]
+      ]);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should invalidate cached /me responses', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow()] })
+        .mockResolvedValueOnce({ rows: [currentRow({ last_name: 'Smith' })] });
+      const multi = tagMulti(['cache:/api/auth/me|user:1']);
+      redisClient.multi.mockReturnValue(multi);
+
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ lastName: 'Smith' })
+        .expect(200);
+
+      // Only this user's entries go, not every user's /me
+      expect(multi.smembers).toHaveBeenCalledWith('cache-tag:user:1');
+      expect(redisClient.del).toHaveBeenCalledWith(['cache:/api/auth/me|user:1']);
+    });
+
+    it('should opt out of public ranking and drop the user\'s leaderboards', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow({ public_ranking: true })] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7 }, { event_id: 9 }] }) // Events with readings
+        .mockResolvedValueOnce({ rows: [currentRow({ public_ranking: false })] });
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ publicRanking: false })
+        .expect(200);
+
+      expect(response.body.data.publicRanking).toBe(false);
+      expect(mockClient.query.mock.calls[0]).toEqual([
+        'UPDATE accounts SET public_ranking = $1 WHERE user_id = $2',
+        [false, 1]
+      ]);
+      expect(redisClient.del).toHaveBeenCalledWith('leaderboard:event:7:ready', 'leaderboard:event:9:ready');
+    });
+
+    it('should reject a non-boolean public ranking', async () => {
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ publicRanking: 'no' })
+        .expect(400);
+    });
+
+    it('should store and clear the body profile', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow()] })
+        .mockResolvedValueOnce({ rows: [currentRow({ weight_kg: '72.5', sex: null })] });
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ weightKg: 72.5, sex: null })
+        .expect(200);
+
+      expect(response.body.data.bodyProfile).toEqual({ weightKg: 72.5, sex: null });
+      expect(mockClient.query.mock.calls[0]).toEqual([
+        'UPDATE accounts SET weight_kg = $1, sex = $2 WHERE user_id = $3',
+        [72.5, null, 1]
+      ]);
+    });
+
+    it('should reject an implausible weight or unknown sex', async () => {
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ weightKg: 5 })
+        .expect(400);
+
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ sex: 'unknown' })
+        .expect(400);
+    });
+
+    it('should start a confirm-new-address flow for email changes', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow()] })
+        .mockResolvedValueOnce({ rows: [] }) // New email not taken
+        .mockResolvedValueOnce({ rows: [currentRow({ email_verified: false })] });
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ email: 'new@example.com' })
+        .expect(200);
+
+      expect(response.body.data.email).toBe('test@example.com');
+      expect(response.body.data.pendingEmail).toBe('new@example.com');
+      expect(response.body.data.emailVerified).toBe(false);
+
+      expect(mockClient.query.mock.calls[0]).toEqual([
+        'UPDATE accounts SET email_verified = $1 WHERE user_id = $2',
+        [false, 1]
+      ]);
+
+      const tokenInsert = mockClient.query.mock.calls.find(([sql]) => sql.includes('new_email'));
+      expect(tokenInsert[1][3]).toBe('new@example.com');
+      expect(mailer.send).toHaveBeenCalledWith(
+        'emailChange',
+        'new@example.com',
+        { username: 'testuser', token: tokenInsert[1][1] },
+        mockClient
+      );
+      expect(mailer.send).toHaveBeenCalledWith(
+        'emailChangeRequested',
+        'test@example.com',
+        { username: 'testuser', newEmail: 'new@example.com' },
+        mockClient
+      );
+    });
+
+    it('should reject an email that is already registered', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [currentRow()] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] });
+
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ email: 'taken@example.com' })
+        .expect(409);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should map a duplicate phone number to 409', async () => {
+      db.query.mockResolvedValueOnce({ rows: [currentRow()] });
+      db.transaction = jest.fn().mockRejectedValueOnce(
+        Object.assign(new Error('duplicate key'), { code: '23505' })
+      );
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ phoneNumber: '+15551234567' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Phone number already in use');
+    });
+
+    it('should validate fields and require at least one', async () => {
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({ phoneNumber: 'not-a-number' })
+        .expect(400);
+
+      await request(app)
+        .patch('/api/auth/me')
+        .set('Cookie', `token=${token}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .patch('/api/auth/me')
+        .send({ firstName: 'Jane' })
+        .expect(401);
+    });
+  });
+
   describe('POST /api/auth/password/change', () => {
     it('should change password with valid current password', async () => {
       const token = jwt.sign(
-        { id: 1, email: 'test@example.com' },
+        { id: 1, email: 'test@example.com', sid: 'session-1' },
         process.env.JWT_SECRET
       );
 
       const mockUser = {
         password_hash: await bcrypt.hash('OldPassword123!', 10),
+        email: 'test@example.com',
+        username: 'testuser',
       };
 
       db.query
         .mockResolvedValueOnce({ rows: [mockUser] }) // Get current hash
-        .mockResolvedValueOnce({ rows: [] }); // Update password
+        .mockResolvedValueOnce({ rows: [] }) // Update password
+        .mockResolvedValueOnce({ rows: [{ family_id: 'session-2' }] }); // Revoke other sessions
 
       const response = await request(app)
         .post('/api/auth/password/change')
@@ -615,6 +1235,14 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toContain('changed successfully');
+      expect(mailer.send).toHaveBeenCalledWith('passwordChanged', 'test@example.com', {
+        username: 'testuser',
+      });
+      // Other devices are signed out; this session is kept
+      expect(db.query.mock.calls[2][0]).toContain('family_id IS DISTINCT FROM $2');
+      expect(db.query.mock.calls[2][1]).toEqual([1, 'session-1']);
+      expect(redisClient.setex).toHaveBeenCalledWith('auth:revoked:session-2', expect.any(Number), '1');
+      expect(redisClient.setex).not.toHaveBeenCalledWith('auth:revoked:session-1', expect.any(Number), '1');
     });
 
     it('should reject wrong current password', async () => {
@@ -689,6 +1317,54 @@ describe('Authentication API', () => {
       expect(response.body.message).toContain('verified');
     });
 
+    it('should swap in the new address when confirming an email change', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          user_id: 1,
+          expires_at: new Date(Date.now() + 60 * 60 * 1000),
+          used: false,
+          new_email: 'new@example.com',
+        }]
+      });
+      redisClient.multi.mockReturnValue(tagMulti(['cache:/api/auth/me|user:1']));
+
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/auth/email/verify')
+        .send({ token: 'email-change-token' })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[0]).toEqual([
+        'UPDATE users SET email = $1 WHERE id = $2',
+        ['new@example.com', 1]
+      ]);
+      expect(mockClient.query.mock.calls[1][0]).toContain('email_verified = TRUE');
+      expect(redisClient.del).toHaveBeenCalledWith(['cache:/api/auth/me|user:1']);
+    });
+
+    it('should reject an email change to an address registered meanwhile', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          user_id: 1,
+          expires_at: new Date(Date.now() + 60 * 60 * 1000),
+          used: false,
+          new_email: 'taken@example.com',
+        }]
+      });
+
+      const uniqueViolation = Object.assign(new Error('duplicate key'), { code: '23505' });
+      db.transaction = jest.fn().mockRejectedValueOnce(uniqueViolation);
+
+      const response = await request(app)
+        .post('/api/auth/email/verify')
+        .send({ token: 'email-change-token' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Email already registered');
+    });
+
     it('should reject invalid email verification token', async () => {
       db.query.mockResolvedValueOnce({ rows: [] });
 
@@ -726,53 +1402,173 @@ describe('Authentication API', () => {
   });
 
   describe('POST /api/auth/refresh', () => {
-    it('should refresh token for valid user', async () => {
-      const token = jwt.sign(
-        { id: 1, email: 'test@example.com' },
-        process.env.JWT_SECRET
+    const mockRotationClient = (...results) => {
+      const client = { query: jest.fn() };
+      results.forEach((result) => client.query.mockResolvedValueOnce(result));
+      db.transaction = jest.fn(async (callback) => callback(client));
+      return client;
+    };
+
+    it('should rotate refresh token for valid session', async () => {
+      const client = mockRotationClient(
+        {
+          rows: [{
+            id: 10,
+            user_id: 1,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            revoked_at: null,
+            email: 'test@example.com',
+            is_active: true,
+          }]
+        },
+        { rows: [{ id: 11 }] }, // Insert rotated token
+        { rows: [] } // Mark old token replaced
       );
 
-      db.query.mockResolvedValueOnce({
-        rows: [{
-          id: 1,
-          email: 'test@example.com',
-          is_active: true,
-        }]
-      });
-
       const response = await request(app)
         .post('/api/auth/refresh')
-        .set('Cookie', `token=${token}`)
+        .set('Cookie', 'refreshToken=old-refresh-token')
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.token).toBeDefined();
-      
-      // Verify new token is valid
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe('old-refresh-token');
+
+      // Verify new access token is bound to the same session
       const decoded = jwt.verify(
         response.body.data.token,
         process.env.JWT_SECRET
       );
       expect(decoded.id).toBe(1);
+      expect(decoded.sid).toBe('family-1');
+      expect(decoded.role).toBe('user');
+
+      expect(client.query.mock.calls[2][1]).toEqual([11, 10]);
+    });
+
+    it('should accept refresh token from request body', async () => {
+      mockRotationClient(
+        {
+          rows: [{
+            id: 10,
+            user_id: 1,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            revoked_at: null,
+            email: 'test@example.com',
+            is_active: true,
+          }]
+        },
+        { rows: [{ id: 11 }] },
+        { rows: [] }
+      );
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'old-refresh-token' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown refresh token', async () => {
+      mockRotationClient({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=unknown-token')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid session');
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const client = mockRotationClient(
+        {
+          rows: [{
+            id: 10,
+            user_id: 1,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            revoked_at: new Date(),
+            email: 'test@example.com',
+            is_active: true,
+          }]
+        },
+        { rows: [] } // Revoke family
+      );
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=stolen-token')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(client.query.mock.calls[1][0]).toContain('UPDATE refresh_tokens');
+      expect(client.query.mock.calls[1][1]).toEqual(['family-1']);
+      expect(redisClient.setex).toHaveBeenCalledWith(
+        'auth:revoked:family-1',
+        expect.any(Number),
+        '1'
+      );
     });
 
     it('should reject refresh for inactive user', async () => {
-      const token = jwt.sign(
-        { id: 1, email: 'test@example.com' },
-        process.env.JWT_SECRET
+      mockRotationClient(
+        {
+          rows: [{
+            id: 10,
+            user_id: 1,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            revoked_at: null,
+            email: 'test@example.com',
+            is_active: false,
+          }]
+        },
+        { rows: [] }
       );
 
-      db.query.mockResolvedValueOnce({
-        rows: [{
-          id: 1,
-          email: 'test@example.com',
-          is_active: false,
-        }]
-      });
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=valid-token')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject expired refresh token', async () => {
+      mockRotationClient(
+        {
+          rows: [{
+            id: 10,
+            user_id: 1,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() - 1000),
+            revoked_at: null,
+            email: 'test@example.com',
+            is_active: true,
+          }]
+        },
+        { rows: [] }
+      );
 
       const response = await request(app)
         .post('/api/auth/refresh')
-        .set('Cookie', `token=${token}`)
+        .set('Cookie', 'refreshToken=expired-token')
         .expect(401);
 
       expect(response.body.success).toBe(false);
@@ -814,7 +1610,8 @@ describe('Authentication API', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockUser] })
-        .mockResolvedValueOnce({ rows: [] });
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
 
       const response = await request(app)
         .post('/api/auth/login')
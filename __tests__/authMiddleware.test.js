@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
 const authMiddleware = require('../authMiddleware');
+const redisClient = require('../redisClient');
+const db = require('../db/postgres');
+const roleService = require('../services/roleService');
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+}));
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
 
 describe('authMiddleware', () => {
   let req, res, next;
@@ -91,6 +109,51 @@ describe('authMiddleware', () => {
       expect(req.user.source).toBe('cookie');
       expect(next).toHaveBeenCalled();
     });
+
+    it('should return 401 for non-access token types', async () => {
+      req.cookies.token = jwt.sign({ id: 1, typ: 'mfa_pending' }, process.env.JWT_SECRET);
+
+      await authMiddleware.verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept token whose session is not revoked', async () => {
+      redisClient.get.mockResolvedValue(null);
+      req.cookies.token = jwt.sign({ id: 1, sid: 'session-1' }, process.env.JWT_SECRET);
+
+      await authMiddleware.verifyToken(req, res, next);
+
+      expect(redisClient.get).toHaveBeenCalledWith('auth:revoked:session-1');
+      expect(req.user.sid).toBe('session-1');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 for token whose session was revoked', async () => {
+      redisClient.get.mockResolvedValue('1');
+      req.cookies.token = jwt.sign({ id: 1, sid: 'session-1' }, process.env.JWT_SECRET);
+
+      await authMiddleware.verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Session revoked' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should fail open when the revocation check errors', async () => {
+      redisClient.get.mockRejectedValue(new Error('Redis down'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      req.cookies.token = jwt.sign({ id: 1, sid: 'session-1' }, process.env.JWT_SECRET);
+
+      await authMiddleware.verifyToken(req, res, next);
+
+      expect(consoleSpy).toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
   });
 
   describe('checkRole', () => {
@@ -154,5 +217,132 @@ describe('authMiddleware', () => {
       expect(res.status).toHaveBeenCalledWith(403);
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should match any of the roles embedded in the token', () => {
+      req.user = { id: 1, role: 'admin', roles: ['admin', 'moderator', 'user'] };
+      const middleware = authMiddleware.checkRole(['moderator']);
+
+      middleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requirePin', () => {
+    it('should return 401 if user is not authenticated', async () => {
+      await authMiddleware.requirePin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should call next when the session confirmed its PIN recently', async () => {
+      redisClient.get.mockResolvedValue('1');
+      req.user = { id: 1, sid: 'session-1' };
+
+      await authMiddleware.requirePin(req, res, next);
+
+      expect(redisClient.get).toHaveBeenCalledWith('pin:confirmed:session-1');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 without a recent confirmation', async () => {
+      redisClient.get.mockResolvedValue(null);
+      req.user = { id: 1, sid: 'session-1' };
+
+      await authMiddleware.requirePin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'PIN confirmation required', code: 'PIN_REQUIRED' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should fail closed when the confirmation check errors', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      redisClient.get.mockRejectedValue(new Error('Redis down'));
+      req.user = { id: 1, sid: 'session-1' };
+
+      await authMiddleware.requirePin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('requirePermission', () => {
+    const permissionRows = {
+      rows: [
+        { role: 'user', permission: 'events:read' },
+        { role: 'user', permission: 'events:write' },
+        { role: 'moderator', permission: 'events:moderate' },
+      ]
+    };
+
+    beforeEach(() => {
+      roleService.clearCache();
+    });
+
+    it('should return 401 if user is not authenticated', async () => {
+      await authMiddleware.requirePermission('events:write')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should call next when a role grants the permission', async () => {
+      db.query.mockResolvedValueOnce(permissionRows);
+      req.user = { id: 1, role: 'user', roles: ['user'] };
+
+      await authMiddleware.requirePermission('events:write')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.permissions.has('events:read')).toBe(true);
+    });
+
+    it('should return 403 when no role grants the permission', async () => {
+      db.query.mockResolvedValueOnce(permissionRows);
+      req.user = { id: 1, role: 'user', roles: ['user'] };
+
+      await authMiddleware.requirePermission('events:moderate')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Forbidden' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should require every listed permission', async () => {
+      db.query.mockResolvedValueOnce(permissionRows);
+      req.user = { id: 1, role: 'user', roles: ['user'] };
+
+      await authMiddleware.requirePermission('events:write', 'events:moderate')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should combine permissions across roles and cache the role map', async () => {
+      db.query.mockResolvedValueOnce(permissionRows);
+      req.user = { id: 1, role: 'moderator', roles: ['moderator'] };
+
+      await authMiddleware.requirePermission('events:moderate', 'events:write')(req, res, next);
+      await authMiddleware.requirePermission('events:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail closed when permissions cannot be loaded', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      db.query.mockRejectedValueOnce(new Error('Connection refused'));
+      req.user = { id: 1, role: 'admin', roles: ['admin'] };
+
+      await authMiddleware.requirePermission('users:write')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
   });
 });
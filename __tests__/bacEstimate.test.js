@@ -0,0 +1,264 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const bacEstimator = require('../services/bacEstimator');
+const eventStream = require('../services/eventStream');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-11-06T21:00:00.000Z');
+
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR).toISOString();
+
+describe('BAC estimate', () => {
+  describe('estimate', () => {
+    it('should return null without readings', () => {
+      expect(bacEstimator.estimate([], {}, { now: NOW })).toBeNull();
+    });
+
+    it('should decay the latest reading at the default rate', () => {
+      const estimate = bacEstimator.estimate([{ bac: 0.09, recordedAt: hoursAgo(1) }], {}, { now: NOW });
+
+      expect(estimate.currentBac).toBe(0.075);
+      expect(estimate.eliminationRate).toBe(0.015);
+      expect(estimate.eliminationRateSource).toBe('default');
+      expect(estimate.basedOn).toEqual({ bac: 0.09, recordedAt: new Date(hoursAgo(1)), readings: 1 });
+      expect(estimate.soberAt).toEqual(new Date(NOW.getTime() + 5 * HOUR));
+      expect(estimate.alcoholGrams).toBeNull();
+      expect(estimate.standardDrinks).toBeNull();
+    });
+
+    it('should project when each limit is reached', () => {
+      const estimate = bacEstimator.estimate([{ bac: 0.09, recordedAt: hoursAgo(1) }], {}, { now: NOW });
+
+      expect(estimate.limits).toEqual([
+        { limit: 0.08, below: true, at: NOW, hoursFromNow: 0 },
+        { limit: 0.05, below: false, at: new Date('2026-11-06T22:40:00.000Z'), hoursFromNow: 1.67 },
+        { limit: 0.02, below: false, at: new Date('2026-11-07T00:40:00.000Z'), hoursFromNow: 3.67 },
+      ]);
+    });
+
+    it('should use the rate of the user\'s falling readings', () => {
+      const estimate = bacEstimator.estimate([
+        { bac: 0.04, recordedAt: hoursAgo(4) },
+        { bac: 0.1, recordedAt: hoursAgo(3) },
+        { bac: 0.08, recordedAt: hoursAgo(2) },
+        { bac: 0.06, recordedAt: hoursAgo(1) },
+      ], { sex: 'male' }, { now: NOW });
+
+      expect(estimate.eliminationRate).toBe(0.02);
+      expect(estimate.eliminationRateSource).toBe('readings');
+      expect(estimate.currentBac).toBe(0.04);
+    });
+
+    it('should keep a fitted rate within plausible bounds', () => {
+      const estimate = bacEstimator.estimate([
+        { bac: 0.2, recordedAt: hoursAgo(2) },
+        { bac: 0.05, recordedAt: hoursAgo(1) },
+      ], {}, { now: NOW });
+
+      expect(estimate.eliminationRate).toBe(0.025);
+    });
+
+    it('should fall back to the profile when readings are still rising', () => {
+      const estimate = bacEstimator.estimate([
+        { bac: 0.03, recordedAt: hoursAgo(2) },
+        { bac: 0.06, recordedAt: hoursAgo(1) },
+      ], { sex: 'female' }, { now: NOW });
+
+      expect(estimate.eliminationRate).toBe(0.017);
+      expect(estimate.eliminationRateSource).toBe('profile');
+    });
+
+    it('should express the remaining alcohol when the weight is known', () => {
+      const estimate = bacEstimator.estimate(
+        [{ bac: 0.09, recordedAt: hoursAgo(1) }],
+        { weightKg: 72.5, sex: 'female' },
+        { now: NOW }
+      );
+
+      expect(estimate.alcoholGrams).toBe(29.1);
+      expect(estimate.standardDrinks).toBe(2.1);
+    });
+
+    it('should not go below zero', () => {
+      const estimate = bacEstimator.estimate([{ bac: 0.03, recordedAt: hoursAgo(10) }], {}, { now: NOW });
+
+      expect(estimate.currentBac).toBe(0);
+      expect(estimate.soberAt).toEqual(NOW);
+      expect(estimate.limits.every((limit) => limit.below)).toBe(true);
+      expect(estimate.curve).toEqual([{ at: NOW, bac: 0 }]);
+    });
+
+    it('should draw the curve every 15 minutes down to zero', () => {
+      const estimate = bacEstimator.estimate([{ bac: 0.03, recordedAt: NOW.toISOString() }], {}, { now: NOW });
+
+      expect(estimate.curve).toHaveLength(9);
+      expect(estimate.curve[1]).toEqual({ at: new Date('2026-11-06T21:15:00.000Z'), bac: 0.026 });
+      expect(estimate.curve[8]).toEqual({ at: new Date('2026-11-06T23:00:00.000Z'), bac: 0 });
+    });
+  });
+
+  describe('loadLimits', () => {
+    it('should sort configured limits highest first', () => {
+      expect(bacEstimator.loadLimits('0.05, 0.08,0.05')).toEqual([0.08, 0.05]);
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => bacEstimator.loadLimits('0.08,abc')).toThrow('BAC_LEGAL_LIMITS');
+      expect(() => bacEstimator.loadLimits('8')).toThrow('BAC_LEGAL_LIMITS');
+    });
+  });
+
+  describe('publishEstimate', () => {
+    it('should stream the estimate without body-profile figures', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      db.query.mockResolvedValueOnce({ rows: [{ bac: '0.045', timestamp: new Date().toISOString() }] });
+
+      await bacEstimator.publishEstimate(7, 2);
+
+      expect(publish).toHaveBeenCalledWith(7, 'estimate', expect.objectContaining({
+        userId: 2,
+        currentBac: 0.045,
+        eliminationRate: 0.015,
+        disclaimer: bacEstimator.DISCLAIMER
+      }));
+      const data = publish.mock.calls[0][2];
+      expect(data).not.toHaveProperty('alcoholGrams');
+      expect(data).not.toHaveProperty('curve');
+    });
+
+    it('should not base the streamed rate on the user\'s sex', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      const recordedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      db.query
+        .mockResolvedValueOnce({ rows: [{ bac: '0.060', timestamp: recordedAt }] })
+        .mockResolvedValueOnce({ rows: [{ weight_kg: '60.0', sex: 'female' }] });
+
+      await bacEstimator.publishEstimate(7, 2);
+
+      const data = publish.mock.calls[0][2];
+      expect(data.eliminationRate).toBe(0.015);
+      expect(data.currentBac).toBe(0.045);
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][0]).toContain('FROM libation_scores');
+    });
+
+    it('should log instead of throwing when the estimate fails', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      db.query.mockRejectedValue(new Error('connection lost'));
+
+      await expect(bacEstimator.publishEstimate(7, 2)).resolves.toBeUndefined();
+
+      expect(publish).not.toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith('Failed to publish BAC estimate', expect.any(Object));
+    });
+  });
+
+  describe('GET /api/me/bac/estimate', () => {
+    let app;
+    let userToken;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      delete require.cache[require.resolve('../app.js')];
+      app = require('../app.js');
+
+      userToken = jwt.sign({ id: 2, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    });
+
+    it('should estimate from recent readings and the body profile', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ bac: '0.060', timestamp: new Date().toISOString() }] })
+        .mockResolvedValueOnce({ rows: [{ weight_kg: '80.0', sex: 'male' }] });
+
+      const response = await request(app)
+        .get('/api/me/bac/estimate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.disclaimer).toBe(bacEstimator.DISCLAIMER);
+      expect(response.body.data.estimate).toMatchObject({
+        currentBac: 0.06,
+        eliminationRateSource: 'profile',
+        alcoholGrams: 32.6
+      });
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain('FROM libation_scores');
+      expect(values[0]).toBe(2);
+      expect(db.query.mock.calls[1][1]).toEqual([2]);
+    });
+
+    it('should still carry the disclaimer without readings', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ weight_kg: null, sex: null }] });
+
+      const response = await request(app)
+        .get('/api/me/bac/estimate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('No readings in the last 12 hours to estimate from');
+      expect(response.body.data).toEqual({ estimate: null, disclaimer: bacEstimator.DISCLAIMER });
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/me/bac/estimate')
+        .expect(401);
+    });
+
+    it('should return 500 when the database fails', async () => {
+      db.query.mockRejectedValue(new Error('connection lost'));
+
+      await request(app)
+        .get('/api/me/bac/estimate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(500);
+    });
+  });
+});
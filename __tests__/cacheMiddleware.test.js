@@ -1,3 +1,7 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const session = require('express-session');
+const supertest = require('supertest');
 const cacheMiddleware = require('../cacheMiddleware');
 const redisClient = require('../redisClient');
 
@@ -5,8 +9,9 @@ const redisClient = require('../redisClient');
 jest.mock('../redisClient', () => ({
   get: jest.fn(),
   setex: jest.fn(),
-  keys: jest.fn(),
+  scan: jest.fn(),
   del: jest.fn(),
+  multi: jest.fn(),
 }));
 
 describe('cacheMiddleware', () => {
@@ -15,10 +20,13 @@ describe('cacheMiddleware', () => {
   beforeEach(() => {
     req = {
       originalUrl: '/api/data',
+      headers: {},
     };
-    res = {
+    res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
       json: jest.fn(),
-    };
+      getHeader: jest.fn(),
+    });
     next = jest.fn();
     jest.clearAllMocks();
   });
@@ -48,6 +56,7 @@ describe('cacheMiddleware', () => {
 
       // Simulate route handler calling res.json
       res.json(responseData);
+      res.emit('finish');
 
       expect(redisClient.setex).toHaveBeenCalledWith(
         'cache:/api/data',
@@ -64,6 +73,7 @@ describe('cacheMiddleware', () => {
       await middleware(req, res, next);
 
       res.json(responseData);
+      res.emit('finish');
 
       expect(redisClient.setex).toHaveBeenCalledWith(
         'cache:/api/data',
@@ -112,6 +122,7 @@ describe('cacheMiddleware', () => {
       await middleware(req, res, next);
 
       const result = res.json(responseData);
+      res.emit('finish');
 
       expect(result).toBeDefined();
       expect(redisClient.setex).toHaveBeenCalled();
@@ -132,47 +143,295 @@ describe('cacheMiddleware', () => {
     });
   });
 
+  describe('cache keys', () => {
+    // Serve the first user's request, then run the second through a fresh
+    // copy of the middleware against the same (fake) Redis
+    const store = new Map();
+    const serve = async (middleware, request) => {
+      const sent = jest.fn();
+      const response = Object.assign(new EventEmitter(), { statusCode: 200, json: sent, getHeader: jest.fn() });
+      const handler = jest.fn(() => {
+        response.json({ owner: request.user && request.user.id });
+        response.emit('finish');
+      });
+      await middleware({ originalUrl: '/api/data', headers: {}, ...request }, response, handler);
+      return { sent, handler };
+    };
+
+    beforeEach(() => {
+      store.clear();
+      redisClient.get.mockImplementation(async (key) => store.get(key) || null);
+      redisClient.setex.mockImplementation(async (key, ttl, value) => store.set(key, value));
+      // Per-user entries are stored with their user tag in a MULTI; the tag sets are not kept here
+      redisClient.multi.mockImplementation(() => {
+        const multi = {
+          setex: (key, ttl, value) => {
+            store.set(key, value);
+            return multi;
+          },
+          eval: () => multi,
+          exec: async () => [],
+        };
+        return multi;
+      });
+    });
+
+    it('should never serve one user\'s cached response to another', async () => {
+      const middleware = cacheMiddleware.cache(300, { scope: 'user' });
+
+      const jane = await serve(middleware, { user: { id: 2, role: 'user' } });
+      const bob = await serve(middleware, { user: { id: 3, role: 'user' } });
+      const janeAgain = await serve(middleware, { user: { id: 2, role: 'user' } });
+
+      expect(jane.sent).toHaveBeenCalledWith({ owner: 2 });
+      expect(bob.handler).toHaveBeenCalled();
+      expect(bob.sent).toHaveBeenCalledWith({ owner: 3 });
+      expect(bob.sent).not.toHaveBeenCalledWith({ owner: 2 });
+      expect(janeAgain.handler).not.toHaveBeenCalled();
+      expect(janeAgain.sent).toHaveBeenCalledWith({ owner: 2 });
+      expect([...store.keys()]).toEqual(['cache:/api/data|user:2', 'cache:/api/data|user:3']);
+    });
+
+    it('should not cache user scoped responses without a user', async () => {
+      const middleware = cacheMiddleware.cache(300, { scope: 'user' });
+
+      const { handler } = await serve(middleware, {});
+
+      expect(handler).toHaveBeenCalled();
+      expect(redisClient.get).not.toHaveBeenCalled();
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should share public responses between users', async () => {
+      const middleware = cacheMiddleware.cache(300);
+
+      await serve(middleware, { user: { id: 2, role: 'user' } });
+      const bob = await serve(middleware, { user: { id: 3, role: 'user' } });
+
+      expect(bob.handler).not.toHaveBeenCalled();
+      expect(bob.sent).toHaveBeenCalledWith({ owner: 2 });
+    });
+
+    it('should keep a separate entry per role when asked', async () => {
+      const middleware = cacheMiddleware.cache(300, { byRole: true });
+
+      await serve(middleware, { user: { id: 2, role: 'user' } });
+      const admin = await serve(middleware, { user: { id: 1, role: 'admin' } });
+      await serve(middleware, {});
+      await serve(middleware, { user: { id: 4, role: 'admin', roles: ['user', 'admin'] } });
+      const moderator = await serve(middleware, { user: { id: 5, role: 'admin', roles: ['admin', 'moderator', 'user'] } });
+      const sameRoles = await serve(middleware, { user: { id: 6, role: 'user', roles: ['admin', 'user'] } });
+
+      expect(admin.handler).toHaveBeenCalled();
+      expect(moderator.handler).toHaveBeenCalled();
+      expect(sameRoles.handler).not.toHaveBeenCalled();
+      expect([...store.keys()]).toEqual([
+        'cache:/api/data|role:user',
+        'cache:/api/data|role:admin',
+        'cache:/api/data|role:anonymous',
+        'cache:/api/data|role:admin,user',
+        'cache:/api/data|role:admin,moderator,user',
+      ]);
+    });
+
+    it('should vary on Accept-Language and Accept', async () => {
+      const middleware = cacheMiddleware.cache(300);
+
+      await serve(middleware, { headers: { 'accept-language': 'en' } });
+      const german = await serve(middleware, { headers: { 'accept-language': 'de' } });
+      const englishAgain = await serve(middleware, { headers: { 'accept-language': 'en' } });
+      const csv = await serve(middleware, { headers: { 'accept-language': 'en', accept: 'text/csv' } });
+
+      expect(german.handler).toHaveBeenCalled();
+      expect(englishAgain.handler).not.toHaveBeenCalled();
+      expect(csv.handler).toHaveBeenCalled();
+      expect(store.size).toBe(3);
+      for (const key of store.keys()) {
+        expect(key).toMatch(/^cache:\/api\/data\|vary:[0-9a-f]{16}$/);
+      }
+    });
+
+    it('should only vary on the headers given', async () => {
+      const middleware = cacheMiddleware.cache(300, { vary: ['X-Tenant'] });
+
+      await serve(middleware, { headers: { 'x-tenant': 'a', 'accept-language': 'en' } });
+      const otherLanguage = await serve(middleware, { headers: { 'x-tenant': 'a', 'accept-language': 'de' } });
+      const otherTenant = await serve(middleware, { headers: { 'x-tenant': 'b' } });
+
+      expect(otherLanguage.handler).not.toHaveBeenCalled();
+      expect(otherTenant.handler).toHaveBeenCalled();
+    });
+
+    it('should not let a URL pose as a user scoped key', () => {
+      const key = cacheMiddleware.cacheKey(
+        { originalUrl: '/api/data|user:2', headers: {} },
+        { scope: 'public', byRole: false, vary: [] }
+      );
+
+      expect(key).toBe('cache:/api/data%7Cuser:2');
+    });
+
+    it('should refuse unknown scopes', () => {
+      expect(() => cacheMiddleware.cache(300, { scope: 'session' })).toThrow('Unknown cache scope: session');
+    });
+  });
+
+  describe('cacheable responses', () => {
+    it('should not cache error responses', async () => {
+      redisClient.get.mockResolvedValue(null);
+
+      const middleware = cacheMiddleware.cache(300);
+      await middleware(req, res, next);
+
+      res.statusCode = 404;
+      res.json({ success: false, message: 'Not found' });
+      res.emit('finish');
+
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should not cache responses that set cookies', async () => {
+      redisClient.get.mockResolvedValue(null);
+      res.getHeader.mockImplementation((name) => (name === 'Set-Cookie' ? ['token=abc; HttpOnly'] : undefined));
+
+      const middleware = cacheMiddleware.cache(300);
+      await middleware(req, res, next);
+
+      res.json({ data: 'new' });
+      res.emit('finish');
+
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should not cache responses that get a cookie after res.json', async () => {
+      redisClient.get.mockResolvedValue(null);
+      const headers = {};
+      res.getHeader.mockImplementation((name) => headers[name]);
+
+      const middleware = cacheMiddleware.cache(300);
+      await middleware(req, res, next);
+
+      res.json({ data: 'new' });
+      // As express-session does when the headers are written
+      headers['Set-Cookie'] = ['connect.sid=s%3Aabc; Path=/; HttpOnly'];
+      res.emit('finish');
+
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should not cache responses that start a session', async () => {
+      redisClient.get.mockResolvedValue(null);
+      const app = express();
+      app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+      app.get('/api/data', cacheMiddleware.cache(300), (request, response) => {
+        request.session.visited = true;
+        response.json({ data: 'new' });
+      });
+
+      const response = await supertest(app).get('/api/data').expect(200);
+
+      expect(response.headers['set-cookie']).toBeDefined();
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should not cache responses that never finish', async () => {
+      redisClient.get.mockResolvedValue(null);
+
+      const middleware = cacheMiddleware.cache(300);
+      await middleware(req, res, next);
+
+      res.json({ data: 'new' });
+
+      expect(redisClient.setex).not.toHaveBeenCalled();
+    });
+
+    it('should still send uncached responses', async () => {
+      redisClient.get.mockResolvedValue(null);
+      const originalJson = res.json;
+
+      const middleware = cacheMiddleware.cache(300);
+      await middleware(req, res, next);
+
+      res.statusCode = 500;
+      res.json({ success: false });
+      res.emit('finish');
+
+      expect(originalJson).toHaveBeenCalledWith({ success: false });
+    });
+  });
+
+  describe('invalidate', () => {
+    it('should delete matching keys without a request', async () => {
+      redisClient.scan.mockResolvedValue(['0', ['cache:/api/auth/me|user:1']]);
+
+      await cacheMiddleware.invalidate(['/api/auth/me*']);
+
+      expect(redisClient.scan).toHaveBeenCalledWith('0', 'MATCH', 'cache:/api/auth/me*', 'COUNT', 100);
+      expect(redisClient.del).toHaveBeenCalledWith(['cache:/api/auth/me|user:1']);
+    });
+
+    it('should scan the keyspace in batches until the cursor comes back to 0', async () => {
+      redisClient.scan
+        .mockResolvedValueOnce(['17', ['cache:/api/users/1']])
+        .mockResolvedValueOnce(['42', []])
+        .mockResolvedValueOnce(['0', ['cache:/api/users/2']]);
+
+      await cacheMiddleware.invalidate(['/api/users/*']);
+
+      expect(redisClient.scan.mock.calls.map(([cursor]) => cursor)).toEqual(['0', '17', '42']);
+      expect(redisClient.del).toHaveBeenCalledTimes(2);
+      expect(redisClient.del).toHaveBeenCalledWith(['cache:/api/users/1']);
+      expect(redisClient.del).toHaveBeenCalledWith(['cache:/api/users/2']);
+    });
+
+    it('should propagate Redis errors to the caller', async () => {
+      redisClient.scan.mockRejectedValue(new Error('Redis down'));
+
+      await expect(cacheMiddleware.invalidate(['/api/auth/me*'])).rejects.toThrow('Redis down');
+    });
+  });
+
   describe('clearCache', () => {
     it('should clear cache for single pattern', async () => {
       const keys = ['cache:/api/users/1', 'cache:/api/users/2'];
-      redisClient.keys.mockResolvedValue(keys);
+      redisClient.scan.mockResolvedValue(['0', keys]);
       redisClient.del.mockResolvedValue(2);
 
       const middleware = cacheMiddleware.clearCache(['/api/users/*']);
       await middleware(req, res, next);
 
-      expect(redisClient.keys).toHaveBeenCalledWith('cache:/api/users/*');
+      expect(redisClient.scan).toHaveBeenCalledWith('0', 'MATCH', 'cache:/api/users/*', 'COUNT', 100);
       expect(redisClient.del).toHaveBeenCalledWith(keys);
       expect(next).toHaveBeenCalled();
     });
 
     it('should clear cache for multiple patterns', async () => {
-      redisClient.keys.mockResolvedValueOnce(['cache:/api/users/1']);
-      redisClient.keys.mockResolvedValueOnce(['cache:/api/posts/1']);
+      redisClient.scan.mockResolvedValueOnce(['0', ['cache:/api/users/1']]);
+      redisClient.scan.mockResolvedValueOnce(['0', ['cache:/api/posts/1']]);
       redisClient.del.mockResolvedValue(1);
 
       const middleware = cacheMiddleware.clearCache(['/api/users/*', '/api/posts/*']);
       await middleware(req, res, next);
 
-      expect(redisClient.keys).toHaveBeenCalledTimes(2);
+      expect(redisClient.scan).toHaveBeenCalledTimes(2);
       expect(redisClient.del).toHaveBeenCalledTimes(2);
       expect(next).toHaveBeenCalled();
     });
 
     it('should handle empty keys gracefully', async () => {
-      redisClient.keys.mockResolvedValue([]);
+      redisClient.scan.mockResolvedValue(['0', []]);
 
       const middleware = cacheMiddleware.clearCache(['/api/users/*']);
       await middleware(req, res, next);
 
-      expect(redisClient.keys).toHaveBeenCalled();
+      expect(redisClient.scan).toHaveBeenCalled();
       expect(redisClient.del).not.toHaveBeenCalled();
       expect(next).toHaveBeenCalled();
     });
 
     it('should handle Redis errors during clear', async () => {
       const error = new Error('Redis delete failed');
-      redisClient.keys.mockRejectedValue(error);
+      redisClient.scan.mockRejectedValue(error);
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
 
       const middleware = cacheMiddleware.clearCache(['/api/users/*']);
@@ -188,13 +447,13 @@ describe('cacheMiddleware', () => {
       const middleware = cacheMiddleware.clearCache('not-an-array');
       await middleware(req, res, next);
 
-      expect(redisClient.keys).not.toHaveBeenCalled();
+      expect(redisClient.scan).not.toHaveBeenCalled();
       expect(next).toHaveBeenCalled();
     });
 
     it('should clear all matching keys even with large number', async () => {
       const keys = Array.from({ length: 100 }, (_, i) => `cache:/api/item/${i}`);
-      redisClient.keys.mockResolvedValue(keys);
+      redisClient.scan.mockResolvedValue(['0', keys]);
       redisClient.del.mockResolvedValue(100);
 
       const middleware = cacheMiddleware.clearCache(['/api/item/*']);
@@ -204,4 +463,178 @@ describe('cacheMiddleware', () => {
       expect(next).toHaveBeenCalled();
     });
   });
+
+  describe('tags', () => {
+    // Enough of a Redis for tagged entries: strings, sets and MULTI, with the
+    // tag script run as the commands it stands for
+    let strings;
+    let sets;
+    let ttls;
+
+    const run = {
+      setex: (key, ttl, value) => {
+        strings.set(key, value);
+        return 'OK';
+      },
+      eval: (script, numKeys, key, member, ttl) => {
+        if (!sets.has(key)) {
+          sets.set(key, new Set());
+        }
+        sets.get(key).add(member);
+        ttls.set(key, Math.max(ttls.get(key) || -1, ttl));
+        return null;
+      },
+      smembers: (key) => [...(sets.get(key) || [])],
+      del: (...keys) => {
+        keys.flat().forEach((key) => {
+          strings.delete(key);
+          sets.delete(key);
+        });
+        return keys.length;
+      },
+    };
+
+    const serve = async (middleware, originalUrl, request = {}) => {
+      const response = Object.assign(new EventEmitter(), { statusCode: 200, json: jest.fn(), getHeader: jest.fn() });
+      const handler = jest.fn(() => {
+        response.json({ url: originalUrl });
+        response.emit('finish');
+      });
+      await middleware({ originalUrl, headers: {}, ...request }, response, handler);
+      await new Promise(setImmediate);
+      return handler;
+    };
+
+    beforeEach(() => {
+      strings = new Map();
+      sets = new Map();
+      ttls = new Map();
+
+      redisClient.get.mockImplementation(async (key) => strings.get(key) || null);
+      redisClient.setex.mockImplementation(async (...args) => run.setex(...args));
+      redisClient.del.mockImplementation(async (...args) => run.del(...args));
+      redisClient.multi.mockImplementation(() => {
+        const queued = [];
+        const multi = {
+          exec: async () => queued.map(([command, args]) => [null, run[command](...args)]),
+        };
+        Object.keys(run).forEach((command) => {
+          multi[command] = (...args) => {
+            queued.push([command, args]);
+            return multi;
+          };
+        });
+        return multi;
+      });
+    });
+
+    it('should record tagged entries in a set per tag', async () => {
+      const middleware = cacheMiddleware.cache(300, {
+        tags: (req) => [`event:${req.params.id}`, 'events'],
+      });
+
+      await serve(middleware, '/api/events/7', { params: { id: 7 } });
+
+      expect(strings.has('cache:/api/events/7')).toBe(true);
+      expect(sets.get('cache-tag:event:7')).toEqual(new Set(['cache:/api/events/7']));
+      expect(sets.get('cache-tag:events')).toEqual(new Set(['cache:/api/events/7']));
+      expect(ttls.get('cache-tag:event:7')).toBe(300);
+    });
+
+    it('should delete exactly the entries of the invalidated tags', async () => {
+      const byEvent = (req) => [`event:${req.params.id}`];
+      const eventPage = cacheMiddleware.cache(300, { tags: byEvent });
+      const userPage = cacheMiddleware.cache(300, { scope: 'user', tags: (req) => [`user:${req.user.id}`] });
+
+      await serve(eventPage, '/api/events/7', { params: { id: 7 } });
+      await serve(eventPage, '/api/events/7/participants', { params: { id: 7 } });
+      await serve(eventPage, '/api/events/8', { params: { id: 8 } });
+      await serve(userPage, '/api/me/events', { user: { id: 42 } });
+
+      await cacheMiddleware.invalidateTags(['event:7', 'user:42']);
+
+      expect([...strings.keys()]).toEqual(['cache:/api/events/8']);
+      expect(sets.has('cache-tag:event:7')).toBe(false);
+      expect(sets.has('cache-tag:user:42')).toBe(false);
+      expect(await serve(eventPage, '/api/events/7', { params: { id: 7 } })).toHaveBeenCalled();
+      expect(await serve(eventPage, '/api/events/8', { params: { id: 8 } })).not.toHaveBeenCalled();
+    });
+
+    it('should tag per-user entries with their user', async () => {
+      const middleware = cacheMiddleware.cache(300, { scope: 'user' });
+
+      await serve(middleware, '/api/auth/me', { user: { id: 42 } });
+      await serve(middleware, '/api/auth/me', { user: { id: 43 } });
+
+      expect(sets.get('cache-tag:user:42')).toEqual(new Set(['cache:/api/auth/me|user:42']));
+
+      await cacheMiddleware.invalidateTags([cacheMiddleware.userTag(42)]);
+
+      expect([...strings.keys()]).toEqual(['cache:/api/auth/me|user:43']);
+    });
+
+    it('should use static tags', async () => {
+      const middleware = cacheMiddleware.cache(60, { tags: ['leaderboards'] });
+
+      await serve(middleware, '/api/leaderboards');
+
+      expect(sets.get('cache-tag:leaderboards')).toEqual(new Set(['cache:/api/leaderboards']));
+    });
+
+    it('should not tag entries that are not cached', async () => {
+      const middleware = cacheMiddleware.cache(300, { tags: ['events'] });
+      const response = Object.assign(new EventEmitter(), { statusCode: 500, json: jest.fn(), getHeader: jest.fn() });
+
+      await middleware({ originalUrl: '/api/events', headers: {} }, response, () => {
+        response.json({});
+        response.emit('finish');
+      });
+
+      expect(redisClient.multi).not.toHaveBeenCalled();
+      expect(sets.size).toBe(0);
+    });
+
+    it('should still answer when the tags cannot be worked out', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const middleware = cacheMiddleware.cache(300, { tags: (req) => [`event:${req.params.id}`] });
+
+      const handler = await serve(middleware, '/api/events/7');
+
+      expect(handler).toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith('Redis Cache Error:', expect.any(TypeError));
+      expect(strings.size).toBe(0);
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should do nothing for tags without entries', async () => {
+      await cacheMiddleware.invalidateTags(['event:99']);
+
+      expect(redisClient.del).not.toHaveBeenCalled();
+    });
+
+    it('should invalidate tags as middleware', async () => {
+      const middleware = cacheMiddleware.cache(300, { tags: (req) => [`event:${req.params.id}`] });
+      await serve(middleware, '/api/events/7', { params: { id: 7 } });
+
+      const clear = cacheMiddleware.clearTags((req) => [`event:${req.params.id}`]);
+      await clear({ params: { id: '7' } }, res, next);
+
+      expect(strings.size).toBe(0);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should carry on when tag invalidation fails in middleware', async () => {
+      const error = new Error('Redis down');
+      redisClient.multi.mockImplementation(() => { throw error; });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await cacheMiddleware.clearTags(['events'])(req, res, next);
+
+      expect(consoleSpy).toHaveBeenCalledWith('Redis Clear Cache Error:', error);
+      expect(next).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+  });
 });
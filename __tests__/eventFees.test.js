@@ -0,0 +1,454 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const roleService = require('../services/roleService');
+const eventFeeService = require('../services/eventFeeService');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('Event entry fees', () => {
+  let app;
+  let client;
+  let state;
+  let organizerToken;
+  let guestToken;
+
+  // Organizer host (user 1, account 10), guest (user 2, account 20), waitlisters 31 and 32
+  const USERS = {
+    10: { email: 'host@example.com', username: 'host' },
+    20: { email: 'guest@example.com', username: 'guest' },
+    31: { email: 'first@example.com', username: 'first' },
+    32: { email: 'second@example.com', username: 'second' },
+  };
+
+  const payment = (overrides = {}) => ({
+    id: '3',
+    event_id: 7,
+    account_id: 20,
+    payee_account_id: 10,
+    amount: '15.00',
+    status: 'paid',
+    charge_transaction_id: '40',
+    refund_transaction_id: null,
+    created_at: '2026-11-01T12:00:00.000Z',
+    updated_at: '2026-11-01T12:00:00.000Z',
+    ...overrides,
+  });
+
+  const ledgerPosts = () => client.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO wallet_transactions'))
+    .map(([, values]) => values);
+
+  // Fake database holding one event, its participants, waitlist and payments
+  const feeClient = () => ({
+    query: jest.fn(async (sql, values) => {
+      if (sql.includes('SELECT account_id FROM accounts WHERE user_id = $1')) {
+        return { rows: [{ account_id: values[0] === 1 ? 10 : 20 }] };
+      }
+      if (sql.includes('FROM events WHERE event_id = $1 FOR UPDATE')) {
+        return { rows: [state.event] };
+      }
+      if (sql.includes('UPDATE events SET')) {
+        state.event = { ...state.event, status: values[0] };
+        return { rows: [state.event] };
+      }
+      if (sql.includes('AS participant_count')) {
+        return {
+          rows: [{
+            joined: state.participants.includes(values[1]),
+            waitlisted: state.waitlist.includes(values[1]),
+            participant_count: String(state.participants.length)
+          }]
+        };
+      }
+      if (sql.includes('AS position')) {
+        return { rows: [{ position: '1' }] };
+      }
+      if (sql.includes('INSERT INTO event_participants')) {
+        state.participants.push(values[1]);
+        return { rows: [] };
+      }
+      if (sql.includes('DELETE FROM event_participants')) {
+        state.participants = state.participants.filter((id) => id !== values[1]);
+        return { rows: [{ account_id: values[1] }] };
+      }
+      if (sql.includes('COUNT(*) AS total FROM event_participants')) {
+        return { rows: [{ total: String(state.participants.length) }] };
+      }
+      if (sql.includes('DELETE FROM event_waitlist') && sql.includes('LIMIT 1')) {
+        const next = state.waitlist.shift();
+        return { rows: next ? [{ account_id: next }] : [] };
+      }
+      if (sql.includes('ROLLBACK TO SAVEPOINT')) {
+        state.participants.pop();
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO wallet_transactions')) {
+        state.transactionId += 1;
+        return { rows: [{ id: String(state.transactionId), reason: values[0], reference: values[1], created_at: '2026-11-06T20:00:00.000Z' }] };
+      }
+      if (sql.includes('UPDATE accounts SET balance')) {
+        const [amount, accountId] = values;
+        const balance = (parseFloat(state.balances[accountId]) + parseFloat(amount)).toFixed(2);
+        if (parseFloat(balance) < 0) {
+          throw Object.assign(new Error('check_balance_positive'), { code: '23514', constraint: 'check_balance_positive' });
+        }
+        state.balances[accountId] = balance;
+        return { rows: [{ balance }] };
+      }
+      if (sql.includes('INSERT INTO ledger_entries')) {
+        return { rows: [{ id: '90' }] };
+      }
+      if (sql.includes('INSERT INTO event_payments')) {
+        const [eventId, accountId, payeeAccountId, amount, chargeTransactionId] = values;
+        const row = payment({
+          id: String(state.payments.length + 10),
+          event_id: eventId,
+          account_id: accountId,
+          payee_account_id: payeeAccountId,
+          amount,
+          charge_transaction_id: String(chargeTransactionId),
+        });
+        state.payments.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes("status = 'paid'") && sql.includes('FROM event_payments')) {
+        return { rows: state.payments.filter((row) => row.account_id === values[1] && row.status === 'paid') };
+      }
+      if (sql.includes("status IN ('paid', 'forfeited')")) {
+        return { rows: state.payments.filter((row) => row.status !== 'refunded') };
+      }
+      if (sql.includes('UPDATE event_payments')) {
+        const row = state.payments.find((candidate) => candidate.id === values[0]);
+        if (sql.includes("'refunded'")) {
+          Object.assign(row, { status: 'refunded', refund_transaction_id: String(values[1]) });
+        } else {
+          Object.assign(row, { status: 'forfeited' });
+        }
+        return { rows: [row] };
+      }
+      if (sql.includes('WHERE a.account_id = ANY($1)')) {
+        return { rows: values[0].map((accountId) => ({ account_id: accountId, ...USERS[accountId] })) };
+      }
+      return { rows: [] };
+    })
+  });
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Wine Tasting',
+    start_time: hoursFromNow(48),
+    end_time: hoursFromNow(52),
+    max_participants: 2,
+    price: '15.00',
+    refund_cutoff_hours: 24,
+    type: 2,
+    status: 1,
+    organizer_id: 10,
+    organizer_user_id: 1,
+    organizer_username: 'host',
+    participant_count: '1',
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async () => new Set(['events:read', 'events:write']));
+
+    state = {
+      event: eventRow(),
+      participants: [],
+      waitlist: [],
+      payments: [],
+      balances: { 10: '0.00', 20: '40.00', 31: '5.00', 32: '50.00' },
+      transactionId: 40,
+    };
+    client = feeClient();
+    db.transaction = jest.fn(async (callback) => callback(client));
+
+    organizerToken = jwt.sign({ id: 1, email: 'host@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    guestToken = jwt.sign({ id: 2, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+  });
+
+  describe('POST /api/events/:id/join', () => {
+    it('should charge the fee to the participant and pay the organizer', async () => {
+      const response = await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(201);
+
+      expect(response.body.data).toEqual({
+        status: 'joined',
+        payment: expect.objectContaining({ eventId: 7, accountId: 20, amount: 15, status: 'paid', chargeTransactionId: 41 })
+      });
+      expect(state.balances).toMatchObject({ 10: '15.00', 20: '25.00' });
+      expect(ledgerPosts()).toEqual([['entry_fee', '7', 'Entry fee: Wine Tasting', 2]]);
+      expect(state.participants).toEqual([20]);
+    });
+
+    it('should answer 402 when the balance does not cover the fee', async () => {
+      state.balances[20] = '10.00';
+
+      const response = await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(402);
+
+      expect(response.body).toEqual({ success: false, message: 'Insufficient balance to pay the entry fee' });
+      expect(state.payments).toHaveLength(0);
+    });
+
+    it('should let the organizer join their own event for free', async () => {
+      const response = await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .expect(201);
+
+      expect(response.body.data.payment).toBeNull();
+      expect(ledgerPosts()).toHaveLength(0);
+    });
+
+    it('should not touch the ledger for free events', async () => {
+      state.event = eventRow({ price: '0.00' });
+
+      await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(201);
+
+      expect(ledgerPosts()).toHaveLength(0);
+      expect(state.balances[20]).toBe('40.00');
+    });
+
+    it('should not charge for a place on the waitlist', async () => {
+      state.participants = [31, 32];
+
+      await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(202);
+
+      expect(ledgerPosts()).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/events/:id/leave', () => {
+    beforeEach(() => {
+      state.participants = [20];
+      state.payments = [payment()];
+      state.balances = { ...state.balances, 10: '15.00', 20: '25.00' };
+    });
+
+    it('should refund the fee before the cutoff', async () => {
+      const response = await request(app)
+        .post('/api/events/7/leave')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Left event; your entry fee has been refunded');
+      expect(response.body.data.payment).toMatchObject({ id: 3, status: 'refunded', refundTransactionId: 41 });
+      expect(state.balances).toMatchObject({ 10: '0.00', 20: '40.00' });
+      expect(ledgerPosts()).toEqual([['entry_fee_refund', '7', 'Entry fee refund: Wine Tasting', 2]]);
+    });
+
+    it('should keep the fee after the cutoff', async () => {
+      state.event = eventRow({ start_time: hoursFromNow(2), end_time: hoursFromNow(6) });
+
+      const response = await request(app)
+        .post('/api/events/7/leave')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Left event; the entry fee is not refundable this close to the start');
+      expect(response.body.data.payment).toMatchObject({ status: 'forfeited', refundTransactionId: null });
+      expect(ledgerPosts()).toHaveLength(0);
+      expect(state.balances).toMatchObject({ 10: '15.00', 20: '25.00' });
+    });
+
+    it('should refuse to leave while the organizer cannot cover the refund', async () => {
+      state.balances[10] = '4.00';
+
+      const response = await request(app)
+        .post('/api/events/7/leave')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(402);
+
+      expect(response.body.message).toBe('The organizer cannot cover your refund right now; please try again later');
+    });
+
+    it('should charge people promoted from the waitlist and skip those who cannot pay', async () => {
+      state.participants = [20, 30];
+      state.waitlist = [31, 32];
+
+      await request(app)
+        .post('/api/events/7/leave')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .expect(200);
+
+      expect(state.participants).toEqual([30, 32]);
+      expect(state.waitlist).toEqual([]);
+      expect(state.balances).toMatchObject({ 31: '5.00', 32: '35.00' });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT promote_waitlisted');
+      expect(mailer.send).toHaveBeenCalledWith(
+        'waitlistPaymentFailed',
+        'first@example.com',
+        { username: 'first', eventName: 'Wine Tasting', fee: '15.00' },
+        client
+      );
+      expect(mailer.send).toHaveBeenCalledWith(
+        'waitlistPromoted',
+        'second@example.com',
+        { username: 'second', eventName: 'Wine Tasting', fee: '15.00' },
+        client
+      );
+    });
+  });
+
+  describe('cancelling and deleting', () => {
+    beforeEach(() => {
+      state.payments = [payment(), payment({ id: '4', account_id: 32, status: 'forfeited' })];
+      state.balances = { ...state.balances, 10: '30.00', 20: '25.00', 32: '35.00' };
+      db.query.mockResolvedValue({ rows: [eventRow()] });
+    });
+
+    it('should refund every fee, forfeited ones included, when the event is cancelled', async () => {
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect(state.payments.map((row) => row.status)).toEqual(['refunded', 'refunded']);
+      expect(state.balances).toMatchObject({ 10: '0.00', 20: '40.00', 32: '50.00' });
+      expect(ledgerPosts().map(([reason, reference]) => [reason, reference])).toEqual([
+        ['entry_fee_refund', '7'],
+        ['entry_fee_refund', '7'],
+      ]);
+    });
+
+    it('should answer 402 when the organizer cannot cover the refunds', async () => {
+      state.balances[10] = '20.00';
+
+      const response = await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: 'cancelled' })
+        .expect(402);
+
+      expect(response.body.message).toBe("The organizer's balance does not cover the entry fee refunds");
+    });
+
+    it('should refund every fee before deleting the event', async () => {
+      await request(app)
+        .delete('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .expect(200);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const lastRefund = statements.map((sql) => sql.includes('UPDATE event_payments')).lastIndexOf(true);
+      expect(statements.indexOf('DELETE FROM events WHERE event_id = $1')).toBeGreaterThan(lastRefund);
+      expect(state.balances[10]).toBe('0.00');
+    });
+  });
+
+  describe('event fields', () => {
+    it('should store the price and refund cutoff', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({
+          name: 'Wine Tasting',
+          startTime: '2026-11-06T18:00:00Z',
+          endTime: '2026-11-06T22:00:00Z',
+          price: 15,
+          refundCutoffHours: 24,
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ price: 15, refundCutoffHours: 24 });
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('price, refund_cutoff_hours');
+      expect(params).toEqual([10, 'Wine Tasting', '2026-11-06T18:00:00Z', '2026-11-06T22:00:00Z', 15, 24]);
+    });
+
+    it.each([
+      [{ price: -1 }],
+      [{ price: 1.005 }],
+      [{ refundCutoffHours: -2 }],
+    ])('should reject %p', async (body) => {
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send(body)
+        .expect(400);
+    });
+  });
+
+  describe('eventFeeService.refundable', () => {
+    const event = { start_time: '2026-11-06T18:00:00.000Z', refund_cutoff_hours: 24 };
+
+    it('should refund up to the cutoff', () => {
+      expect(eventFeeService.refundable(event, new Date('2026-11-05T18:00:00.000Z'))).toBe(true);
+      expect(eventFeeService.refundable(event, new Date('2026-11-05T18:00:01.000Z'))).toBe(false);
+    });
+
+    it('should refund until the start with a zero cutoff', () => {
+      expect(eventFeeService.refundable({ ...event, refund_cutoff_hours: 0 }, new Date('2026-11-06T17:59:00.000Z'))).toBe(true);
+    });
+  });
+});
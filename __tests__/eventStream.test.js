@@ -0,0 +1,378 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  multi: jest.fn(),
+  zrangebyscore: jest.fn(),
+  duplicate: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const redisClient = require('../redisClient');
+const roleService = require('../services/roleService');
+const eventStream = require('../services/eventStream');
+const eventScheduler = require('../services/eventScheduler');
+
+const ROLE_PERMISSIONS = {
+  user: ['events:read', 'events:write', 'scores:write'],
+};
+
+const CHANNEL = 'stream:event:7';
+
+const message = (id, type = 'reading', data = { userId: 2, bac: 0.05 }) => JSON.stringify({ id, type, data });
+
+const waitUntil = async (check, description) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (check()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+};
+
+describe('Event stream', () => {
+  let app;
+  let server;
+  let port;
+  let subscriber;
+  let multi;
+  let streams;
+  let token;
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Friday Social',
+    status: 2,
+    organizer_id: 10,
+    organizer_user_id: 1,
+    participant_count: '5',
+    ...overrides,
+  });
+
+  const openStream = (headers = {}, path = '/api/events/7/stream') => new Promise((resolve, reject) => {
+    const req = http.get({
+      port,
+      path,
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+    }, (res) => {
+      const stream = { req, res, body: '' };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        stream.body += chunk;
+      });
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  const subscribed = () => waitUntil(() => subscriber.subscribe.mock.calls.length > 0, 'subscription');
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach((done) => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async (roles) => {
+      return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+    });
+
+    subscriber = new EventEmitter();
+    subscriber.subscribe = jest.fn().mockResolvedValue(1);
+    subscriber.unsubscribe = jest.fn().mockResolvedValue(0);
+    subscriber.disconnect = jest.fn();
+    redisClient.duplicate.mockReturnValue(subscriber);
+
+    multi = { commands: [] };
+    ['zadd', 'zremrangebyrank', 'expire', 'publish'].forEach((command) => {
+      multi[command] = jest.fn((...args) => {
+        multi.commands.push([command, ...args]);
+        return multi;
+      });
+    });
+    multi.exec = jest.fn().mockResolvedValue([]);
+    redisClient.multi.mockReturnValue(multi);
+
+    streams = [];
+    token = jwt.sign({ id: 2, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    streams.forEach((stream) => stream.req.destroy());
+    eventStream.close();
+    server.close(done);
+  });
+
+  describe('GET /api/events/:id/stream', () => {
+    it('should stream published messages as Server-Sent Events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const stream = await openStream();
+      await subscribed();
+
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(stream.res.headers['cache-control']).toBe('no-cache, no-transform');
+      expect(subscriber.subscribe).toHaveBeenCalledWith(CHANNEL);
+
+      subscriber.emit('message', CHANNEL, message(1, 'status', { status: 'ended' }));
+      await waitUntil(() => stream.body.includes('event: status'), 'status message');
+
+      expect(stream.body).toBe('retry: 3000\n\nid: 1\nevent: status\ndata: {"status":"ended"}\n\n');
+      expect(redisClient.zrangebyscore).not.toHaveBeenCalled();
+    });
+
+    it('should only deliver messages for the streamed event', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const stream = await openStream();
+      await subscribed();
+
+      subscriber.emit('message', 'stream:event:8', message(1));
+      subscriber.emit('message', CHANNEL, message(2));
+      await waitUntil(() => stream.body.includes('id: 2'), 'message');
+
+      expect(stream.body).not.toContain('id: 1\n');
+    });
+
+    it('should replay missed messages after Last-Event-ID without duplicates', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      redisClient.zrangebyscore.mockResolvedValue([message(4), message(5)]);
+      redisClient.get.mockResolvedValue('5');
+
+      const stream = await openStream({ 'Last-Event-ID': '3' });
+      await waitUntil(() => stream.body.includes('id: 5'), 'replay');
+
+      expect(redisClient.zrangebyscore).toHaveBeenCalledWith('stream:event:7:history', '(3', '+inf');
+
+      subscriber.emit('message', CHANNEL, message(5));
+      subscriber.emit('message', CHANNEL, message(6));
+      await waitUntil(() => stream.body.includes('id: 6'), 'live message');
+
+      expect(stream.body.match(/^id: \d+$/gm)).toEqual(['id: 4', 'id: 5', 'id: 6']);
+      expect(stream.body).not.toContain('event: reset');
+    });
+
+    it('should accept the last id as a query parameter', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      redisClient.zrangebyscore.mockResolvedValue([]);
+      redisClient.get.mockResolvedValue('8');
+
+      await openStream({}, '/api/events/7/stream?lastEventId=8');
+      await subscribed();
+      await waitUntil(() => redisClient.zrangebyscore.mock.calls.length > 0, 'replay');
+
+      expect(redisClient.zrangebyscore).toHaveBeenCalledWith('stream:event:7:history', '(8', '+inf');
+    });
+
+    it('should tell the client to reload when missed messages are gone', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      redisClient.zrangebyscore.mockResolvedValue([message(9), message(10)]);
+      redisClient.get.mockResolvedValue('10');
+
+      const stream = await openStream({ 'Last-Event-ID': '2' });
+      await waitUntil(() => stream.body.includes('id: 10'), 'replay');
+
+      expect(stream.body).toContain('event: reset\ndata: {}\n\nid: 9\n');
+    });
+
+    it('should start over when the message counter was reset', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      redisClient.zrangebyscore.mockResolvedValue([]);
+      redisClient.get.mockResolvedValue(null);
+
+      const stream = await openStream({ 'Last-Event-ID': '40' });
+      await waitUntil(() => stream.body.includes('event: reset'), 'reset');
+
+      subscriber.emit('message', CHANNEL, message(1));
+      await waitUntil(() => stream.body.includes('id: 1\n'), 'new message');
+    });
+
+    it('should send heartbeats', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const stream = await openStream();
+      await waitUntil(() => stream.body.includes(': heartbeat\n\n'), 'heartbeat');
+    });
+
+    it('should unsubscribe when the last client disconnects', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const first = await openStream();
+      const second = await openStream();
+      await waitUntil(() => second.body.includes('retry'), 'second stream');
+
+      expect(subscriber.subscribe).toHaveBeenCalledTimes(1);
+
+      first.req.destroy();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(subscriber.unsubscribe).not.toHaveBeenCalled();
+
+      second.req.destroy();
+      await waitUntil(() => subscriber.unsubscribe.mock.calls.length > 0, 'unsubscribe');
+      expect(subscriber.unsubscribe).toHaveBeenCalledWith(CHANNEL);
+    });
+
+    it('should not start a heartbeat when the client leaves during the replay', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      let finishReplay;
+      redisClient.zrangebyscore.mockReturnValue(new Promise((resolve) => {
+        finishReplay = resolve;
+      }));
+      redisClient.get.mockResolvedValue('5');
+
+      const stream = await openStream({ 'Last-Event-ID': '3' });
+      await waitUntil(() => redisClient.zrangebyscore.mock.calls.length > 0, 'replay');
+
+      stream.req.destroy();
+      await waitUntil(() => subscriber.unsubscribe.mock.calls.length > 0, 'unsubscribe');
+
+      const setInterval = jest.spyOn(global, 'setInterval');
+      finishReplay([message(4)]);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(setInterval).not.toHaveBeenCalled();
+      expect(logger.info).not.toHaveBeenCalledWith('Event stream opened', expect.any(Object));
+    });
+
+    it('should accept the auth cookie', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const stream = await openStream({ Authorization: '', Cookie: `token=${token}` });
+      expect(stream.res.statusCode).toBe(200);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/events/7/stream')
+        .expect(401);
+    });
+
+    it('should return 404 for unknown events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/events/99/stream')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(redisClient.duplicate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publish', () => {
+    it('should number, store and publish the message', async () => {
+      redisClient.incr.mockResolvedValue(3);
+
+      const id = await eventStream.publish(7, 'participants', { action: 'joined', accountId: 12 });
+
+      const raw = message(3, 'participants', { action: 'joined', accountId: 12 });
+      expect(id).toBe(3);
+      expect(redisClient.incr).toHaveBeenCalledWith('stream:event:7:seq');
+      expect(multi.commands).toEqual([
+        ['zadd', 'stream:event:7:history', 3, raw],
+        ['zremrangebyrank', 'stream:event:7:history', 0, -(eventStream.HISTORY_SIZE + 1)],
+        ['expire', 'stream:event:7:history', expect.any(Number)],
+        ['expire', 'stream:event:7:seq', expect.any(Number)],
+        ['publish', CHANNEL, raw],
+      ]);
+    });
+
+    it('should not throw when Redis is down', async () => {
+      redisClient.incr.mockRejectedValue(new Error('Connection is closed'));
+
+      await expect(eventStream.publish(7, 'status', { status: 'live' })).resolves.toBeNull();
+    });
+
+    it('should publish joins once committed', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 12 }] })
+        .mockResolvedValueOnce({
+          rows: [{ event_id: 7, status: 1, max_participants: -1, end_time: new Date(Date.now() + 3600000) }]
+        })
+        .mockResolvedValueOnce({ rows: [{ joined: false, waitlisted: false, participant_count: '2' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      db.transaction = jest.fn(async (callback) => callback(client));
+
+      await request(app)
+        .post('/api/events/7/join')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(201);
+
+      expect(publish).toHaveBeenCalledWith(7, 'participants', { action: 'joined', accountId: 12 });
+    });
+
+    it('should publish scheduled status changes', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ event_id: 7, name: 'Friday Social' }] }) // to live
+        .mockResolvedValueOnce({ rows: [] }) // participants to email
+        .mockResolvedValueOnce({ rows: [] }); // to ended
+      db.transaction = jest.fn(async (callback) => callback(client));
+
+      await eventScheduler.runOnce();
+
+      expect(publish).toHaveBeenCalledTimes(1);
+      expect(publish).toHaveBeenCalledWith(7, 'status', { status: 'live' });
+    });
+  });
+});
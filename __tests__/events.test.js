@@ -0,0 +1,776 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const roleService = require('../services/roleService');
+const eventService = require('../services/eventService');
+const eventScheduler = require('../services/eventScheduler');
+
+const ROLE_PERMISSIONS = {
+  user: ['events:read', 'events:write', 'scores:write'],
+  moderator: ['events:read', 'events:write', 'events:moderate'],
+};
+
+describe('Events API', () => {
+  let app;
+  let client;
+  let organizerToken;
+  let otherToken;
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Friday Social',
+    description: 'Drinks after work',
+    location: 'The Anchor',
+    start_time: '2026-11-06T18:00:00.000Z',
+    end_time: '2026-11-06T23:00:00.000Z',
+    max_participants: 20,
+    type: 0,
+    status: 0,
+    organizer_id: 10,
+    organizer_user_id: 1,
+    organizer_username: 'host',
+    participant_count: '3',
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async (roles) => {
+      return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+    });
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction = jest.fn(async (callback) => callback(client));
+
+    organizerToken = jwt.sign({ id: 1, email: 'host@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    otherToken = jwt.sign({ id: 2, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/events', () => {
+    it('should list events with pagination', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const response = await request(app)
+        .get('/api/events')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data.events[0]).toMatchObject({
+        id: 7,
+        name: 'Friday Social',
+        maxParticipants: 20,
+        participantCount: 3,
+        type: 'social',
+        status: 'draft',
+        organizer: { accountId: 10, userId: 1, username: 'host' },
+      });
+      expect(response.body.data.pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+    });
+
+    it('should filter by time window, status, type and organizer', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/events?from=2026-11-01T00:00:00Z&to=2026-11-30T00:00:00Z&status=published&type=tasting&organizerId=10')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('e.end_time >= $1');
+      expect(sql).toContain('e.start_time <= $2');
+      expect(sql).toContain('e.status = $3');
+      expect(sql).toContain('e.type = $4');
+      expect(sql).toContain('e.organizer_id = $5');
+      expect(params).toEqual(['2026-11-01T00:00:00Z', '2026-11-30T00:00:00Z', 1, 2, 10, 20, 0]);
+    });
+
+    it('should reject unknown status names', async () => {
+      await request(app)
+        .get('/api/events?status=1')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(400);
+    });
+
+    it('should reject an inverted time window', async () => {
+      await request(app)
+        .get('/api/events?from=2026-11-30T00:00:00Z&to=2026-11-01T00:00:00Z')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/events').expect(401);
+    });
+  });
+
+  describe('GET /api/events/:id', () => {
+    it('should return the event', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const response = await request(app)
+        .get('/api/events/7')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(7);
+    });
+
+    it('should return 404 for unknown events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/events/99')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/events', () => {
+    const newEvent = {
+      name: 'Friday Social',
+      startTime: '2026-11-06T18:00:00Z',
+      endTime: '2026-11-06T23:00:00Z',
+      maxParticipants: 20,
+    };
+
+    it('should create an event organized by the caller', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send(newEvent)
+        .expect(201);
+
+      expect(response.body.data.organizer.accountId).toBe(10);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO events (organizer_id, name, start_time, end_time, max_participants)');
+      expect(params).toEqual([10, 'Friday Social', '2026-11-06T18:00:00Z', '2026-11-06T23:00:00Z', 20]);
+    });
+
+    it('should require the end after the start', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ ...newEvent, endTime: '2026-11-06T17:00:00Z' })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('End time must be after start time');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it.each([0, -2, 'many'])('should reject maxParticipants %p', async (maxParticipants) => {
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ ...newEvent, maxParticipants })
+        .expect(400);
+    });
+
+    it('should accept -1 for unlimited participants', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [eventRow({ max_participants: -1 })] });
+
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ ...newEvent, maxParticipants: -1 })
+        .expect(201);
+    });
+
+    it('should store status and type names as integers', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [eventRow({ status: 1, type: 3 })] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ ...newEvent, status: 'published', type: 'competition' })
+        .expect(201);
+
+      expect(db.query.mock.calls[1][1].slice(-2)).toEqual([3, 1]);
+      expect(response.body.data).toMatchObject({ status: 'published', type: 'competition' });
+    });
+
+    it('should only create drafts or published events', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ ...newEvent, status: 'live' })
+        .expect(400);
+    });
+
+    it('should require a name and times', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ description: 'No details yet' })
+        .expect(400);
+    });
+
+    it('should refuse users without events:write', async () => {
+      roleService.getPermissions.mockResolvedValue(new Set(['events:read']));
+
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send(newEvent)
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/events/:id', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    it('should let the organizer update the event', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({ rows: [eventRow({ name: 'Friday Social II' })] });
+
+      const response = await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ name: 'Friday Social II' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Friday Social II');
+      expect(client.query.mock.calls[0]).toEqual([
+        expect.stringContaining('SET name = $1'),
+        ['Friday Social II', 7]
+      ]);
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Hijacked' })
+        .expect(403);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let events:moderate edit any event', async () => {
+      const moderatorToken = jwt.sign(
+        { id: 3, email: 'mod@example.com', role: 'moderator', roles: ['user', 'moderator'] },
+        process.env.JWT_SECRET
+      );
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ location: 'Moved indoors' })
+        .expect(200);
+    });
+
+    it('should hand extra places to the waitlist', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({ rows: [eventRow({ max_participants: 22 })] });
+      client.query
+        .mockResolvedValueOnce({
+          rows: [{ event_id: 7, name: 'Friday Social', max_participants: 22, status: 1, end_time: future }]
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '20' }] })
+        .mockResolvedValueOnce({ rows: [{ account_id: 31 }, { account_id: 32 }] })
+        .mockResolvedValueOnce({ rows: [{ email: 'a@example.com', username: 'a' }, { email: 'b@example.com', username: 'b' }] });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ maxParticipants: 22 })
+        .expect(200);
+
+      expect(client.query.mock.calls[2][1]).toEqual([7, 2]);
+      expect(mailer.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cancel an event and notify participants', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow({ status: 1 })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ status: 4 })] });
+      client.query
+        .mockResolvedValueOnce({ rows: [{ status: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [{ event_id: 7, name: 'Friday Social', max_participants: 20, status: 4, end_time: future }]
+        })
+        .mockResolvedValueOnce({ rows: [{ email: 'guest@example.com', username: 'guest' }] });
+
+      const response = await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('cancelled');
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[1][1]).toEqual([4, 7]);
+      expect(mailer.send).toHaveBeenCalledWith(
+        'eventStatusChanged',
+        'guest@example.com',
+        { username: 'guest', eventName: 'Friday Social', status: 'cancelled' },
+        client
+      );
+    });
+
+    it.each([
+      [0, 'live'],
+      [3, 'published'],
+      [4, 'draft'],
+    ])('should refuse the transition from status %p to %s', async (status, next) => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow({ status })] });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: next })
+        .expect(409);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should check the transition again against the locked event', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow({ status: 1 })] });
+      // The scheduler ended the event after it was read
+      client.query.mockResolvedValueOnce({ rows: [{ status: 3 }] });
+
+      const response = await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: 'cancelled' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Cannot change an event from ended to cancelled');
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should not notify twice when the event already has the new status', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow({ status: 1 })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ status: 4 })] });
+      // A concurrent request cancelled it first
+      client.query
+        .mockResolvedValueOnce({ rows: [{ status: 4 }] })
+        .mockResolvedValueOnce({
+          rows: [{ event_id: 7, name: 'Friday Social', max_participants: 20, status: 4, end_time: future }]
+        });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should check a single new time against the stored one', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ endTime: '2026-11-06T12:00:00Z' })
+        .expect(400);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require at least one field', async () => {
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should map constraint violations to 400', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      client.query.mockRejectedValueOnce(Object.assign(new Error('check violation'), {
+          code: '23514',
+          constraint: 'check_event_times'
+        }));
+
+      await request(app)
+        .patch('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ startTime: '2026-11-06T19:00:00Z' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/events/:id', () => {
+    it('should let the organizer delete the event', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .delete('/api/events/7')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .expect(200);
+
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[1][0]).toContain('FROM event_payments');
+      expect(client.query.mock.calls[2]).toEqual(['DELETE FROM events WHERE event_id = $1', [7]]);
+    });
+
+    it('should refuse other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .delete('/api/events/7')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+  describe('participation', () => {
+    const future = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const lockedEvent = (overrides = {}) => ({
+      event_id: 7,
+      name: 'Friday Social',
+      organizer_id: 10,
+      max_participants: 2,
+      status: 1,
+      start_time: future(1),
+      end_time: future(5),
+      ...overrides,
+    });
+
+    const joinState = (overrides = {}) => ({
+      joined: false,
+      waitlisted: false,
+      participant_count: '1',
+      ...overrides,
+    });
+
+    describe('POST /api/events/:id/join', () => {
+      it('should join an event with room', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] })
+          .mockResolvedValueOnce({ rows: [joinState()] });
+
+        const response = await request(app)
+          .post('/api/events/7/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(201);
+
+        expect(response.body.data.status).toBe('joined');
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(client.query.mock.calls[3]).toEqual([
+          'INSERT INTO event_participants (event_id, account_id) VALUES ($1, $2)',
+          [7, 20]
+        ]);
+      });
+
+      it('should always have room when participants are unlimited', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent({ max_participants: -1 })] })
+          .mockResolvedValueOnce({ rows: [joinState({ participant_count: '500' })] });
+
+        await request(app)
+          .post('/api/events/7/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(201);
+      });
+
+      it('should waitlist when the event is full', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] })
+          .mockResolvedValueOnce({ rows: [joinState({ participant_count: '2' })] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ position: '3' }] });
+
+        const response = await request(app)
+          .post('/api/events/7/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(202);
+
+        expect(response.body.data).toEqual({ status: 'waitlisted', position: 3 });
+        expect(client.query.mock.calls[3][0]).toContain('INSERT INTO event_waitlist');
+      });
+
+      it.each([
+        ['draft', { status: 0 }, 'Event has not been published yet'],
+        ['cancelled', { status: 4 }, 'Event has been cancelled'],
+        ['ended', { status: 3 }, 'Event has ended'],
+        ['past', { start_time: future(-5), end_time: future(-1) }, 'Event has ended'],
+      ])('should refuse to join a %s event', async (_, overrides, message) => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent(overrides)] });
+
+        const response = await request(app)
+          .post('/api/events/7/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(409);
+
+        expect(response.body.message).toBe(message);
+        expect(client.query).toHaveBeenCalledTimes(2);
+      });
+
+      it('should refuse to join twice', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] })
+          .mockResolvedValueOnce({ rows: [joinState({ joined: true })] });
+
+        await request(app)
+          .post('/api/events/7/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(409);
+
+        expect(client.query).toHaveBeenCalledTimes(3);
+      });
+
+      it('should return 404 for unknown events', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await request(app)
+          .post('/api/events/99/join')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(404);
+      });
+    });
+
+    describe('POST /api/events/:id/leave', () => {
+      it('should leave and promote the head of the waitlist', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] })
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+          .mockResolvedValueOnce({ rows: [{ account_id: 31 }] })
+          .mockResolvedValueOnce({ rows: [{ email: 'next@example.com', username: 'next' }] });
+
+        await request(app)
+          .post('/api/events/7/leave')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(200);
+
+        const [sql, params] = client.query.mock.calls[4];
+        expect(sql).toContain('ORDER BY created_at, account_id');
+        expect(params).toEqual([7, 1]);
+        expect(mailer.send).toHaveBeenCalledWith(
+          'waitlistPromoted',
+          'next@example.com',
+          { username: 'next', eventName: 'Friday Social' },
+          client
+        );
+      });
+
+      it('should not promote anyone once the event is over', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent({ status: 4 })] })
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] });
+
+        await request(app)
+          .post('/api/events/7/leave')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(200);
+
+        // Account, event lock, leave, entry fee lookup
+        expect(client.query).toHaveBeenCalledTimes(4);
+        expect(mailer.send).not.toHaveBeenCalled();
+      });
+
+      it('should leave the waitlist', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] });
+
+        const response = await request(app)
+          .post('/api/events/7/leave')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(200);
+
+        expect(response.body.message).toBe('Left waitlist');
+      });
+
+      it('should return 404 when not joined', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ account_id: 20 }] })
+          .mockResolvedValueOnce({ rows: [lockedEvent()] });
+
+        await request(app)
+          .post('/api/events/7/leave')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(404);
+      });
+    });
+
+    describe('GET /api/events/:id/participants', () => {
+      it('should list participants and the waitlist for the organizer', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [eventRow({ max_participants: 1 })] })
+          .mockResolvedValueOnce({
+            rows: [{ account_id: 20, user_id: 2, username: 'guest', joined_at: '2026-11-01T10:00:00.000Z' }]
+          })
+          .mockResolvedValueOnce({
+            rows: [
+              { account_id: 31, user_id: 5, username: 'next', created_at: '2026-11-01T11:00:00.000Z' },
+              { account_id: 32, user_id: 6, username: 'later', created_at: '2026-11-01T12:00:00.000Z' },
+            ]
+          });
+
+        const response = await request(app)
+          .get('/api/events/7/participants')
+          .set('Authorization', `Bearer ${organizerToken}`)
+          .expect(200);
+
+        expect(response.body.data.maxParticipants).toBe(1);
+        expect(response.body.data.participants[0]).toMatchObject({ accountId: 20, username: 'guest' });
+        expect(response.body.data.waitlist.map((entry) => [entry.username, entry.position])).toEqual([
+          ['next', 1],
+          ['later', 2],
+        ]);
+      });
+
+      it('should be closed to other users', async () => {
+        db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+        await request(app)
+          .get('/api/events/7/participants')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(403);
+
+        expect(db.query).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+  describe('lifecycle', () => {
+    it('should follow draft -> published -> live -> ended', () => {
+      const { STATUS, canTransition } = eventService;
+
+      expect(canTransition(STATUS.DRAFT, STATUS.PUBLISHED)).toBe(true);
+      expect(canTransition(STATUS.PUBLISHED, STATUS.LIVE)).toBe(true);
+      expect(canTransition(STATUS.LIVE, STATUS.ENDED)).toBe(true);
+      expect(canTransition(STATUS.LIVE, STATUS.CANCELLED)).toBe(true);
+      expect(canTransition(STATUS.DRAFT, STATUS.LIVE)).toBe(false);
+      expect(canTransition(STATUS.LIVE, STATUS.PUBLISHED)).toBe(false);
+      expect(canTransition(STATUS.CANCELLED, STATUS.PUBLISHED)).toBe(false);
+    });
+
+    it('should translate names and values', () => {
+      expect(eventService.statusName(2)).toBe('live');
+      expect(eventService.statusValue('cancelled')).toBe(4);
+      expect(eventService.typeName(2)).toBe('tasting');
+      expect(eventService.typeValue('party')).toBe(1);
+    });
+
+    describe('eventScheduler.runOnce', () => {
+      it('should start and end events by time and notify participants', async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ event_id: 7, name: 'Friday Social' }] })
+          .mockResolvedValueOnce({ rows: [{ email: 'guest@example.com', username: 'guest' }] })
+          .mockResolvedValueOnce({ rows: [{ event_id: 5, name: 'Thursday Tasting' }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        const result = await eventScheduler.runOnce();
+
+        expect(result).toEqual({ live: [7], ended: [5] });
+
+        const [liveSql, liveParams] = client.query.mock.calls[0];
+        expect(liveSql).toContain('start_time <= CURRENT_TIMESTAMP AND end_time > CURRENT_TIMESTAMP');
+        expect(liveParams).toEqual([2, [1]]);
+
+        const [endSql, endParams] = client.query.mock.calls[2];
+        expect(endSql).toContain('end_time <= CURRENT_TIMESTAMP');
+        expect(endParams).toEqual([3, [1, 2]]);
+
+        expect(mailer.send).toHaveBeenCalledTimes(1);
+        expect(mailer.send).toHaveBeenCalledWith(
+          'eventStatusChanged',
+          'guest@example.com',
+          { username: 'guest', eventName: 'Friday Social', status: 'live' },
+          client
+        );
+      });
+
+      it('should do nothing when no event is due', async () => {
+        expect(await eventScheduler.runOnce()).toEqual({ live: [], ended: [] });
+        expect(client.query).toHaveBeenCalledTimes(2);
+        expect(mailer.send).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,451 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.ID_UPLOAD_MAX_BYTES = '1024';
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const storage = require('../storage');
+const createLocalDriver = require('../storage/drivers/localDriver');
+const identityVerification = require('../services/identityVerification');
+const { detectMimeType } = require('../middleware/upload');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32)]);
+const PDF = Buffer.from('%PDF-1.7\n%test document');
+
+describe('Identity verification', () => {
+  describe('state machine', () => {
+    it('should allow the review lifecycle', () => {
+      const { STATUS, canTransition } = identityVerification;
+
+      expect(canTransition(STATUS.UNVERIFIED, STATUS.PENDING)).toBe(true);
+      expect(canTransition(STATUS.PENDING, STATUS.VERIFIED)).toBe(true);
+      expect(canTransition(STATUS.PENDING, STATUS.REJECTED)).toBe(true);
+      expect(canTransition(STATUS.REJECTED, STATUS.PENDING)).toBe(true);
+    });
+
+    it('should refuse shortcuts and leaving VERIFIED', () => {
+      const { STATUS, canTransition } = identityVerification;
+
+      expect(canTransition(STATUS.UNVERIFIED, STATUS.VERIFIED)).toBe(false);
+      expect(canTransition(STATUS.REJECTED, STATUS.VERIFIED)).toBe(false);
+      expect(canTransition(STATUS.VERIFIED, STATUS.PENDING)).toBe(false);
+    });
+  });
+
+  describe('detectMimeType', () => {
+    it('should identify files by content', () => {
+      expect(detectMimeType(PNG)).toBe('image/png');
+      expect(detectMimeType(JPEG)).toBe('image/jpeg');
+      expect(detectMimeType(PDF)).toBe('application/pdf');
+      expect(detectMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(detectMimeType(Buffer.from('<svg></svg>'))).toBeNull();
+    });
+  });
+
+  describe('local storage driver', () => {
+    let directory;
+    let driver;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'identity-'));
+      driver = createLocalDriver({ directory });
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should store, read and remove blobs', async () => {
+      await driver.put('identity/1/photo/abc', PNG, 'image/png');
+
+      expect(await driver.get('identity/1/photo/abc')).toEqual({ data: PNG, contentType: 'image/png' });
+
+      await driver.remove('identity/1/photo/abc');
+      expect(await driver.get('identity/1/photo/abc')).toBeNull();
+    });
+
+    it('should refuse keys that escape the directory', async () => {
+      await expect(driver.put('../outside', PNG, 'image/png')).rejects.toThrow('Invalid storage key');
+      await expect(driver.get('identity/../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let blobs;
+    let client;
+    let userToken;
+    let moderatorToken;
+
+    const statusRow = (overrides = {}) => ({
+      id_verification_status: 'UNVERIFIED',
+      id_document_type: null,
+      photo_key: null,
+      id_document_key: null,
+      id_rejection_reason: null,
+      id_submitted_at: null,
+      id_reviewed_at: null,
+      ...overrides,
+    });
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = 'test-secret';
+      process.env.NODE_ENV = 'test';
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      delete require.cache[require.resolve('../app.js')];
+      app = require('../app.js');
+
+      blobs = new Map();
+      storage.setDriver({
+        name: 'memory',
+        put: async (key, data, contentType) => {
+          blobs.set(key, { data, contentType });
+        },
+        get: async (key) => blobs.get(key) || null,
+        remove: async (key) => {
+          blobs.delete(key);
+        },
+      });
+
+      client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(async (callback) => callback(client));
+
+      userToken = jwt.sign({ id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+      moderatorToken = jwt.sign(
+        { id: 1, email: 'mod@example.com', role: 'moderator', roles: ['user', 'moderator'] },
+        process.env.JWT_SECRET
+      );
+    });
+
+    describe('PUT /api/identity/photo', () => {
+      it('should store the photo in the blob store', async () => {
+        client.query.mockResolvedValueOnce({ rows: [{ id_verification_status: 'UNVERIFIED', previous_key: null }] });
+        db.query.mockResolvedValueOnce({ rows: [statusRow({ photo_key: 'identity/2/photo/x' })] });
+
+        const response = await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'image/png')
+          .send(PNG)
+          .expect(200);
+
+        expect(response.body.data.photoUploaded).toBe(true);
+
+        const [[key, stored]] = [...blobs.entries()];
+        expect(key).toMatch(/^identity\/2\/photo\//);
+        expect(stored).toEqual({ data: PNG, contentType: 'image/png' });
+
+        const [sql, params] = client.query.mock.calls[1];
+        expect(sql).toContain('photo_key = $1');
+        expect(params).toEqual([key, 'image/png', null, 2]);
+      });
+
+      it('should drop the file it replaces', async () => {
+        blobs.set('identity/2/photo/old', { data: JPEG, contentType: 'image/jpeg' });
+        client.query.mockResolvedValueOnce({
+          rows: [{ id_verification_status: 'REJECTED', previous_key: 'identity/2/photo/old' }]
+        });
+        db.query.mockResolvedValueOnce({ rows: [statusRow()] });
+
+        await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'image/png')
+          .send(PNG)
+          .expect(200);
+
+        expect(blobs.has('identity/2/photo/old')).toBe(false);
+        expect(blobs.size).toBe(1);
+      });
+
+      it('should refuse changes while under review', async () => {
+        client.query.mockResolvedValueOnce({ rows: [{ id_verification_status: 'PENDING', previous_key: 'k' }] });
+
+        const response = await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'image/png')
+          .send(PNG)
+          .expect(409);
+
+        expect(response.body.data.status).toBe('PENDING');
+        expect(blobs.size).toBe(0);
+      });
+
+      it('should reject unsupported types', async () => {
+        await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'application/pdf')
+          .send(PDF)
+          .expect(415);
+
+        expect(db.transaction).not.toHaveBeenCalled();
+      });
+
+      it('should reject content that does not match its type', async () => {
+        const response = await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'image/png')
+          .send(JPEG)
+          .expect(415);
+
+        expect(response.body.message).toBe('File content does not match its type');
+      });
+
+      it('should reject files over the size limit', async () => {
+        await request(app)
+          .put('/api/identity/photo')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'image/png')
+          .send(Buffer.concat([PNG, Buffer.alloc(2048)]))
+          .expect(413);
+
+        expect(db.transaction).not.toHaveBeenCalled();
+      });
+
+      it('should require authentication', async () => {
+        await request(app)
+          .put('/api/identity/photo')
+          .set('Content-Type', 'image/png')
+          .send(PNG)
+          .expect(401);
+      });
+    });
+
+    describe('PUT /api/identity/document', () => {
+      it('should store a PDF with its document type', async () => {
+        client.query.mockResolvedValueOnce({ rows: [{ id_verification_status: 'UNVERIFIED', previous_key: null }] });
+        db.query.mockResolvedValueOnce({ rows: [statusRow({ id_document_type: 'passport', id_document_key: 'k' })] });
+
+        const response = await request(app)
+          .put('/api/identity/document?type=passport')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'application/pdf')
+          .send(PDF)
+          .expect(200);
+
+        expect(response.body.data).toMatchObject({ documentType: 'passport', documentUploaded: true });
+        expect(client.query.mock.calls[1][1].slice(1)).toEqual(['application/pdf', 'passport', 2]);
+      });
+
+      it('should require a known document type', async () => {
+        await request(app)
+          .put('/api/identity/document?type=library_card')
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Content-Type', 'application/pdf')
+          .send(PDF)
+          .expect(400);
+      });
+    });
+
+    describe('POST /api/identity/submit', () => {
+      it('should move the account to PENDING and notify the user', async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [statusRow({
+            photo_key: 'p',
+            id_document_key: 'd',
+            email: 'jane@example.com',
+            username: 'jane',
+          })]
+        });
+
+        const response = await request(app)
+          .post('/api/identity/submit')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(response.body.data.status).toBe('PENDING');
+        expect(client.query.mock.calls[1][1]).toEqual(['PENDING', 2]);
+        expect(mailer.send).toHaveBeenCalledWith('identitySubmitted', 'jane@example.com', { username: 'jane' }, client);
+      });
+
+      it('should list missing uploads', async () => {
+        client.query.mockResolvedValueOnce({ rows: [statusRow({ photo_key: 'p' })] });
+
+        const response = await request(app)
+          .post('/api/identity/submit')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(400);
+
+        expect(response.body.data.missing).toEqual(['document']);
+        expect(mailer.send).not.toHaveBeenCalled();
+      });
+
+      it('should refuse to resubmit a verified identity', async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [statusRow({ id_verification_status: 'VERIFIED', photo_key: 'p', id_document_key: 'd' })]
+        });
+
+        await request(app)
+          .post('/api/identity/submit')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(409);
+      });
+    });
+
+    describe('moderator review', () => {
+      it('should be closed to regular users', async () => {
+        await request(app)
+          .get('/api/identity/reviews')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(403);
+
+        expect(db.query).not.toHaveBeenCalled();
+      });
+
+      it('should list pending submissions', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+          .mockResolvedValueOnce({
+            rows: [{
+              user_id: 2,
+              username: 'jane',
+              email: 'jane@example.com',
+              ...statusRow({ id_verification_status: 'PENDING', photo_key: 'p', id_document_key: 'd' }),
+            }]
+          });
+
+        const response = await request(app)
+          .get('/api/identity/reviews')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .expect(200);
+
+        expect(response.body.data.entries[0]).toMatchObject({ userId: 2, status: 'PENDING', photoUploaded: true });
+        expect(response.body.data.pagination.total).toBe(1);
+        expect(db.query.mock.calls[1][1]).toEqual(['PENDING', 20, 0]);
+      });
+
+      it('should serve the uploaded files', async () => {
+        blobs.set('identity/2/document/x', { data: PDF, contentType: 'application/pdf' });
+        db.query.mockResolvedValueOnce({ rows: [{ key: 'identity/2/document/x' }] });
+
+        const response = await request(app)
+          .get('/api/identity/reviews/2/document')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .expect(200);
+
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.headers['cache-control']).toBe('no-store');
+        expect(Buffer.from(response.body).equals(PDF)).toBe(true);
+      });
+
+      it('should approve, audit and notify', async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [{ id_verification_status: 'PENDING', email: 'jane@example.com', username: 'jane' }]
+        });
+
+        const response = await request(app)
+          .post('/api/identity/reviews/2/approve')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .expect(200);
+
+        expect(response.body.data.status).toBe('VERIFIED');
+        expect(client.query.mock.calls[1][1]).toEqual(['VERIFIED', null, 1, 2]);
+
+        const audit = client.query.mock.calls.find(([sql]) => sql.includes('admin_audit_log'));
+        expect(audit[1].slice(0, 3)).toEqual([1, 'identity.approve', 2]);
+        expect(mailer.send).toHaveBeenCalledWith('identityApproved', 'jane@example.com', expect.any(Object), client);
+      });
+
+      it('should reject with a reason', async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [{ id_verification_status: 'PENDING', email: 'jane@example.com', username: 'jane' }]
+        });
+
+        await request(app)
+          .post('/api/identity/reviews/2/reject')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .send({ reason: 'Document is blurry' })
+          .expect(200);
+
+        expect(client.query.mock.calls[1][1]).toEqual(['REJECTED', 'Document is blurry', 1, 2]);
+        expect(mailer.send).toHaveBeenCalledWith(
+          'identityRejected',
+          'jane@example.com',
+          { username: 'jane', reason: 'Document is blurry' },
+          client
+        );
+      });
+
+      it('should require a rejection reason', async () => {
+        await request(app)
+          .post('/api/identity/reviews/2/reject')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .send({})
+          .expect(400);
+
+        expect(db.transaction).not.toHaveBeenCalled();
+      });
+
+      it('should only review pending submissions', async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [{ id_verification_status: 'UNVERIFIED', email: 'jane@example.com', username: 'jane' }]
+        });
+
+        await request(app)
+          .post('/api/identity/reviews/2/approve')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .expect(409);
+
+        expect(mailer.send).not.toHaveBeenCalled();
+      });
+
+      it('should not let moderators review themselves', async () => {
+        await request(app)
+          .post('/api/identity/reviews/1/approve')
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .expect(400);
+      });
+    });
+  });
+});
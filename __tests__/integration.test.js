@@ -12,9 +12,18 @@ jest.mock('../logger/winstonConfig', () => ({
 jest.mock('../redisClient', () => ({
   get: jest.fn(),
   setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
   on: jest.fn(),
 }));
 
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
 jest.mock('morgan', () => {
   const morganMock = jest.fn(() => (req, res, next) => next());
   morganMock.token = jest.fn();
@@ -34,6 +43,7 @@ jest.mock('../db/postgres', () => ({
 }));
 
 const db = require('../db/postgres');
+const mailer = require('../mailer');
 
 describe('Authentication Integration Tests', () => {
   let app;
@@ -92,9 +102,15 @@ describe('Authentication Integration Tests', () => {
                 email_verified: false,
               }]
             })
+            .mockResolvedValueOnce({ // Assign default role
+              rows: [{ role_id: 1 }]
+            })
             .mockResolvedValueOnce({ // Insert verification token
               rows: [{ id: 1 }]
             })
+            .mockResolvedValueOnce({ // Insert refresh token
+              rows: [{ id: 1 }]
+            })
         };
         return callback(mockClient);
       });
@@ -139,7 +155,10 @@ describe('Authentication Integration Tests', () => {
 
       db.query = jest.fn()
         .mockResolvedValueOnce({ rows: [mockUser] }) // Find user
-        .mockResolvedValueOnce({ rows: [] }); // Update last_login
+        .mockResolvedValueOnce({ rows: [] }) // Update last_login
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Insert refresh token
+        .mockResolvedValueOnce({ rows: [{ family_id: 'family-1' }] }) // Find session on logout
+        .mockResolvedValueOnce({ rows: [] }); // Revoke session
 
       // Login
       const loginResponse = await request(app)
@@ -162,9 +181,10 @@ describe('Authentication Integration Tests', () => {
 
       expect(logoutResponse.body.success).toBe(true);
       
-      // Verify token is cleared
+      // Verify token is cleared and the session revoked server-side
       const clearCookie = logoutResponse.headers['set-cookie'];
       expect(clearCookie[0]).toContain('token=;');
+      expect(db.query.mock.calls[4][0]).toContain('UPDATE refresh_tokens');
     });
   });
 
@@ -206,13 +226,15 @@ describe('Authentication Integration Tests', () => {
       expect(verifyResponse.body.success).toBe(true);
 
       // Step 3: Confirm reset
-      db.query = jest.fn().mockResolvedValueOnce({
-        rows: [{
-          user_id: 1,
-          expires_at: expiresAt,
-          used: false,
-        }]
-      });
+      db.query = jest.fn()
+        .mockResolvedValueOnce({
+          rows: [{
+            user_id: 1,
+            expires_at: expiresAt,
+            used: false,
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [] }); // Revoke sessions
 
       db.transaction = jest.fn(async (callback) => {
         const mockClient = {
@@ -290,7 +312,7 @@ describe('Authentication Integration Tests', () => {
       // Resend verification
       db.query = jest.fn()
         .mockResolvedValueOnce({ // Check if verified
-          rows: [{ email_verified: false }]
+          rows: [{ email_verified: false, email: 'verify@test.com', username: 'verifyuser' }]
         });
 
       db.transaction = jest.fn(async (callback) => {
@@ -308,7 +330,16 @@ describe('Authentication Integration Tests', () => {
         .expect(200);
 
       expect(resendResponse.body.success).toBe(true);
-      expect(resendResponse.body.verificationToken).toBeDefined();
+      expect(resendResponse.body.verificationToken).toBeUndefined();
+
+      // The new token goes out by email, queued in the same transaction
+      const insertedToken = mailer.send.mock.calls[0][2].token;
+      expect(mailer.send).toHaveBeenCalledWith(
+        'emailVerification',
+        'verify@test.com',
+        { username: 'verifyuser', token: insertedToken },
+        expect.anything()
+      );
     });
 
     it('should reject resend if already verified', async () => {
@@ -0,0 +1,295 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  exists: jest.fn(),
+  zcard: jest.fn(),
+  zrevrange: jest.fn(),
+  zrevrank: jest.fn(),
+  multi: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const roleService = require('../services/roleService');
+
+const ROLE_PERMISSIONS = {
+  user: ['events:read', 'events:write', 'scores:write'],
+};
+
+describe('Leaderboard API', () => {
+  let app;
+  let multi;
+  let organizerToken;
+  let userToken;
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Friday Social',
+    status: 2,
+    organizer_id: 10,
+    organizer_user_id: 1,
+    participant_count: '5',
+    ...overrides,
+  });
+
+  const userRows = (ids) => ({
+    rows: ids.map((id) => ({ id, username: `user${id}`, display_name: `User ${id}` }))
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async (roles) => {
+      return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+    });
+
+    // Chainable MULTI that records its commands
+    multi = { commands: [] };
+    ['del', 'zadd', 'hset', 'expire', 'set'].forEach((command) => {
+      multi[command] = jest.fn((...args) => {
+        multi.commands.push([command, ...args]);
+        return multi;
+      });
+    });
+    multi.exec = jest.fn().mockResolvedValue([]);
+    redisClient.multi.mockReturnValue(multi);
+
+    organizerToken = jwt.sign({ id: 1, email: 'host@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    userToken = jwt.sign({ id: 4, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/events/:id/leaderboard', () => {
+    it('should return the top entries, the caller\'s rank and neighbours', async () => {
+      redisClient.exists.mockResolvedValue(1);
+      redisClient.zcard.mockResolvedValue(6);
+      redisClient.zrevrange
+        .mockResolvedValueOnce(['2', '0.09', '3', '0.08'])
+        .mockResolvedValueOnce(['5', '0.06', '4', '0.05', '6', '0.04']);
+      redisClient.zrevrank.mockResolvedValue(3);
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce(userRows([2, 3, 5, 4, 6]));
+
+      const response = await request(app)
+        .get('/api/events/7/leaderboard?limit=2&around=1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        eventId: 7,
+        status: 'live',
+        board: 'peak',
+        total: 6,
+        top: [
+          { rank: 1, userId: 2, bac: 0.09, username: 'user2', displayName: 'User 2' },
+          { rank: 2, userId: 3, bac: 0.08, username: 'user3', displayName: 'User 3' },
+        ],
+        me: { rank: 4, userId: 4, bac: 0.05, username: 'user4', displayName: 'User 4' },
+        around: [
+          { rank: 3, userId: 5, bac: 0.06, username: 'user5', displayName: 'User 5' },
+          { rank: 4, userId: 4, bac: 0.05, username: 'user4', displayName: 'User 4' },
+          { rank: 5, userId: 6, bac: 0.04, username: 'user6', displayName: 'User 6' },
+        ],
+      });
+
+      expect(redisClient.zrevrange).toHaveBeenNthCalledWith(1, 'leaderboard:event:7:peak', 0, 1, 'WITHSCORES');
+      expect(redisClient.zrevrange).toHaveBeenNthCalledWith(2, 'leaderboard:event:7:peak', 2, 4, 'WITHSCORES');
+      expect(redisClient.zrevrank).toHaveBeenCalledWith('leaderboard:event:7:peak', 4);
+      expect(redisClient.multi).not.toHaveBeenCalled();
+    });
+
+    it('should read the latest board on request', async () => {
+      redisClient.exists.mockResolvedValue(1);
+      redisClient.zcard.mockResolvedValue(0);
+      redisClient.zrevrange.mockResolvedValue([]);
+      redisClient.zrevrank.mockResolvedValue(null);
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const response = await request(app)
+        .get('/api/events/7/leaderboard?board=latest')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ board: 'latest', total: 0, top: [], me: null, around: [] });
+      expect(redisClient.zrevrange).toHaveBeenCalledWith('leaderboard:event:7:latest', 0, 9, 'WITHSCORES');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave out callers who are not ranked', async () => {
+      redisClient.exists.mockResolvedValue(1);
+      redisClient.zcard.mockResolvedValue(1);
+      redisClient.zrevrange.mockResolvedValueOnce(['2', '0.09']);
+      redisClient.zrevrank.mockResolvedValue(null);
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce(userRows([2]));
+
+      const response = await request(app)
+        .get('/api/events/7/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.me).toBeNull();
+      expect(response.body.data.around).toEqual([]);
+      expect(redisClient.zrevrange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rebuild a missing board from public readings in Postgres', async () => {
+      redisClient.exists.mockResolvedValue(0);
+      redisClient.zcard.mockResolvedValue(2);
+      redisClient.zrevrange.mockResolvedValue([]);
+      redisClient.zrevrank.mockResolvedValue(null);
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({
+          rows: [
+            { user_id: 2, latest_bac: '0.030', peak_bac: '0.090', timestamp: '2026-11-06T21:00:00.000Z' },
+            { user_id: 3, latest_bac: '0.080', peak_bac: '0.080', timestamp: '2026-11-06T21:30:00.000Z' },
+          ]
+        });
+
+      await request(app)
+        .get('/api/events/7/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const [rebuildSql, rebuildValues] = db.query.mock.calls[1];
+      expect(rebuildSql).toContain('a.public_ranking');
+      expect(rebuildValues).toEqual([7]);
+
+      expect(multi.commands).toEqual(expect.arrayContaining([
+        ['del', 'leaderboard:event:7:peak', 'leaderboard:event:7:latest', 'leaderboard:event:7:latest-at'],
+        ['zadd', 'leaderboard:event:7:peak', '0.090', 2, '0.080', 3],
+        ['zadd', 'leaderboard:event:7:latest', '0.030', 2, '0.080', 3],
+        ['hset', 'leaderboard:event:7:latest-at', 2, Date.parse('2026-11-06T21:00:00.000Z'), 3, Date.parse('2026-11-06T21:30:00.000Z')],
+        ['set', 'leaderboard:event:7:ready', '1', 'EX', expect.any(Number)],
+      ]));
+      expect(multi.exec).toHaveBeenCalled();
+    });
+
+    it('should mark an empty board as built', async () => {
+      redisClient.exists.mockResolvedValue(0);
+      redisClient.zcard.mockResolvedValue(0);
+      redisClient.zrevrange.mockResolvedValue([]);
+      redisClient.zrevrank.mockResolvedValue(null);
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/events/7/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(multi.zadd).not.toHaveBeenCalled();
+      expect(multi.set).toHaveBeenCalledWith('leaderboard:event:7:ready', '1', 'EX', expect.any(Number));
+    });
+
+    it('should return 404 for unknown events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/events/99/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(redisClient.exists).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an unknown board', 'board=average'],
+      ['a limit above 100', 'limit=500'],
+      ['a negative neighbour count', 'around=-1'],
+    ])('should reject %s', async (_, query) => {
+      await request(app)
+        .get(`/api/events/7/leaderboard?${query}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('should return 500 when Redis fails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+      redisClient.exists.mockRejectedValue(new Error('Connection is closed'));
+
+      await request(app)
+        .get('/api/events/7/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(500);
+    });
+  });
+
+  describe('POST /api/events/:id/leaderboard/rebuild', () => {
+    it('should let the organizer rebuild the board', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [eventRow()] })
+        .mockResolvedValueOnce({
+          rows: [{ user_id: 2, latest_bac: '0.030', peak_bac: '0.090', timestamp: '2026-11-06T21:00:00.000Z' }]
+        });
+
+      const response = await request(app)
+        .post('/api/events/7/leaderboard/rebuild')
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ entries: 1 });
+      expect(multi.exec).toHaveBeenCalled();
+    });
+
+    it('should refuse other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      await request(app)
+        .post('/api/events/7/leaderboard/rebuild')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(redisClient.multi).not.toHaveBeenCalled();
+    });
+  });
+});
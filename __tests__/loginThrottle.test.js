@@ -0,0 +1,139 @@
+const loginThrottle = require('../services/loginThrottle');
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('loginThrottle', () => {
+  describe('lockDurationMs', () => {
+    it('should not lock after the first failure', () => {
+      expect(loginThrottle.lockDurationMs(1)).toBe(0);
+    });
+
+    it('should back off exponentially before the limit', () => {
+      const second = loginThrottle.lockDurationMs(2);
+      const third = loginThrottle.lockDurationMs(3);
+      const fourth = loginThrottle.lockDurationMs(4);
+
+      expect(second).toBeGreaterThan(0);
+      expect(third).toBe(second * 2);
+      expect(fourth).toBe(third * 2);
+    });
+
+    it('should hard lock at the attempt limit', () => {
+      expect(loginThrottle.lockDurationMs(loginThrottle.MAX_ATTEMPTS)).toBe(2 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('isLocked', () => {
+    it('should be locked while lock_until is in the future', () => {
+      expect(loginThrottle.isLocked({ lock_until: new Date(Date.now() + 1000) })).toBe(true);
+    });
+
+    it('should not be locked once lock_until has passed', () => {
+      expect(loginThrottle.isLocked({ lock_until: new Date(Date.now() - 1000) })).toBe(false);
+      expect(loginThrottle.isLocked({ lock_until: null })).toBe(false);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should increment attempts without locking on first failure', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] });
+
+      const attempts = await loginThrottle.recordFailure({ id: 7, failed_login_attempts: 0 });
+
+      expect(attempts).toBe(1);
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1]).toEqual([7, false]);
+    });
+
+    it('should set lock_until once backoff applies', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await loginThrottle.recordFailure({ id: 7, failed_login_attempts: 2 });
+
+      expect(db.query.mock.calls[1][0]).toContain('lock_until');
+      expect(db.query.mock.calls[1][1][1]).toBe(7);
+    });
+
+    it('should restart the count after an expired hard lock', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] });
+
+      await loginThrottle.recordFailure({
+        id: 7,
+        failed_login_attempts: loginThrottle.MAX_ATTEMPTS,
+        lock_until: new Date(Date.now() - 1000),
+      });
+
+      expect(db.query.mock.calls[0][1]).toEqual([7, true]);
+    });
+
+    it('should ignore users without an account row', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const attempts = await loginThrottle.recordFailure({ id: 7, failed_login_attempts: 0 });
+
+      expect(attempts).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('IP throttling', () => {
+    it('should allow IPs under the failure budget', async () => {
+      redisClient.get.mockResolvedValue('3');
+
+      await expect(loginThrottle.checkIp('1.2.3.4')).resolves.toEqual({ blocked: false });
+      expect(redisClient.get).toHaveBeenCalledWith('auth:login-failures:ip:1.2.3.4');
+    });
+
+    it('should block IPs over the failure budget with a retry hint', async () => {
+      redisClient.get.mockResolvedValue('20');
+      redisClient.ttl.mockResolvedValue(42);
+
+      await expect(loginThrottle.checkIp('1.2.3.4')).resolves.toEqual({
+        blocked: true,
+        retryAfter: 42,
+      });
+    });
+
+    it('should fail open when Redis is unavailable', async () => {
+      redisClient.get.mockRejectedValue(new Error('Redis down'));
+
+      await expect(loginThrottle.checkIp('1.2.3.4')).resolves.toEqual({ blocked: false });
+    });
+
+    it('should start the window on the first failure', async () => {
+      redisClient.incr.mockResolvedValue(1);
+
+      await loginThrottle.recordIpFailure('1.2.3.4');
+
+      expect(redisClient.expire).toHaveBeenCalledWith('auth:login-failures:ip:1.2.3.4', 900);
+    });
+
+    it('should not extend the window on later failures', async () => {
+      redisClient.incr.mockResolvedValue(5);
+
+      await loginThrottle.recordIpFailure('1.2.3.4');
+
+      expect(redisClient.expire).not.toHaveBeenCalled();
+    });
+  });
+});
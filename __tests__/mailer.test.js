@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const templates = require('../mailer/templates');
+const createFileTransport = require('../mailer/transports/fileTransport');
+
+describe('mailer', () => {
+  describe('templates', () => {
+    it('should render verification email with link in text and HTML', () => {
+      const message = templates.emailVerification({ username: 'jane', token: 'abc123' });
+
+      expect(message.subject).toBe('Verify your email address');
+      expect(message.text).toContain('/verify-email?token=abc123');
+      expect(message.html).toContain('/verify-email?token=abc123');
+      expect(message.text).toContain('Hi jane');
+    });
+
+    it('should render password reset email', () => {
+      const message = templates.passwordReset({ username: 'jane', token: 'reset456' });
+
+      expect(message.text).toContain('/reset-password?token=reset456');
+      expect(message.html).toContain('Reset password');
+    });
+
+    it('should render password changed and new sign-in notices', () => {
+      expect(templates.passwordChanged({ username: 'jane' }).subject).toContain('password');
+
+      const notice = templates.newLogin({ username: 'jane', ipAddress: '1.2.3.4', userAgent: 'Firefox' });
+      expect(notice.text).toContain('1.2.3.4');
+      expect(notice.text).toContain('Firefox');
+    });
+
+    it('should escape user-controlled values in HTML', () => {
+      const message = templates.newLogin({ username: '<script>x</script>', userAgent: '"><img>' });
+
+      expect(message.html).not.toContain('<script>');
+      expect(message.html).toContain('&lt;script&gt;');
+      expect(message.html).not.toContain('"><img>');
+    });
+  });
+
+  describe('send', () => {
+    it('should queue the rendered message in the outbox', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 42 }] });
+
+      const id = await mailer.send('passwordReset', 'jane@example.com', { token: 't' });
+
+      expect(id).toBe(42);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO email_outbox');
+      expect(params[0]).toBe('jane@example.com');
+      expect(params[1]).toBe('passwordReset');
+      expect(params[3]).toContain('token=t');
+    });
+
+    it('should queue through a transaction client when given one', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+      await mailer.send('passwordChanged', 'jane@example.com', {}, client);
+
+      expect(client.query).toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown templates', async () => {
+      await expect(mailer.send('nope', 'jane@example.com')).rejects.toThrow('Unknown email template');
+    });
+  });
+
+  describe('processOutbox', () => {
+    const claimedMessage = (overrides = {}) => ({
+      id: 7,
+      recipient: 'jane@example.com',
+      template: 'passwordChanged',
+      subject: 'Subject',
+      text_body: 'Text',
+      html_body: '<p>Html</p>',
+      attempts: 1,
+      ...overrides,
+    });
+
+    let transport;
+
+    beforeEach(() => {
+      transport = { name: 'test', send: jest.fn() };
+      mailer.setTransport(transport);
+    });
+
+    it('should send claimed messages and mark them sent', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [claimedMessage()] })
+        .mockResolvedValueOnce({ rows: [] });
+      transport.send.mockResolvedValue({ messageId: 'm1' });
+
+      const delivered = await mailer.processOutbox();
+
+      expect(delivered).toBe(1);
+      expect(transport.send).toHaveBeenCalledWith(
+        expect.objectContaining({ to: 'jane@example.com', subject: 'Subject', html: '<p>Html</p>' })
+      );
+      expect(db.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+      expect(db.query.mock.calls[1][0]).toContain("status = 'SENT'");
+    });
+
+    it('should reschedule failed messages with backoff', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [claimedMessage({ attempts: 2 })] })
+        .mockResolvedValueOnce({ rows: [] });
+      transport.send.mockRejectedValue(new Error('SMTP timeout'));
+
+      const delivered = await mailer.processOutbox();
+
+      expect(delivered).toBe(0);
+      expect(db.query.mock.calls[1][1]).toEqual([
+        7,
+        'PENDING',
+        'SMTP timeout',
+        String(mailer.retryDelaySeconds(2)),
+      ]);
+    });
+
+    it('should give up after the maximum attempts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [claimedMessage({ attempts: mailer.MAX_ATTEMPTS })] })
+        .mockResolvedValueOnce({ rows: [] });
+      transport.send.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await mailer.processOutbox();
+
+      expect(db.query.mock.calls[1][1][1]).toBe('FAILED');
+    });
+
+    it('should back off exponentially up to an hour', () => {
+      expect(mailer.retryDelaySeconds(1)).toBe(30);
+      expect(mailer.retryDelaySeconds(2)).toBe(60);
+      expect(mailer.retryDelaySeconds(20)).toBe(3600);
+    });
+  });
+
+  describe('fileTransport', () => {
+    it('should write each message as a JSON file', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+      const transport = createFileTransport({ directory });
+
+      const { messageId } = await transport.send({ to: 'jane@example.com', subject: 'Hello' });
+
+      const written = JSON.parse(await fs.readFile(path.join(directory, `${messageId}.json`), 'utf8'));
+      expect(written.to).toBe('jane@example.com');
+      expect(written.subject).toBe('Hello');
+
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+  });
+});
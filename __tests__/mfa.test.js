@@ -0,0 +1,319 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const totp = require('../services/totp');
+const encryption = require('../services/encryption');
+const mfaService = require('../services/mfaService');
+
+describe('Two-Factor Authentication API', () => {
+  let app;
+  let accessToken;
+  const secret = 'JBSWY3DPEHPK3PXP';
+
+  const mfaRow = (overrides = {}) => ({
+    secret_encrypted: encryption.encrypt(secret),
+    enabled: true,
+    last_used_step: null,
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    accessToken = jwt.sign({ id: 1, email: 'test@example.com', role: 'user' }, process.env.JWT_SECRET);
+  });
+
+  describe('POST /api/auth/login with MFA enabled', () => {
+    it('should return a pending MFA token instead of a session', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 1,
+          email: 'test@example.com',
+          password_hash: await bcrypt.hash('Test123!', 10),
+          is_active: true,
+          mfa_enabled: true,
+        }]
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'Test123!' })
+        .expect(200);
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.mfaToken).toBeDefined();
+      expect(response.body.data.token).toBeUndefined();
+      expect(response.headers['set-cookie']).toBeUndefined();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not accept the pending token as an access token', async () => {
+      const mfaToken = mfaService.generatePendingToken(1);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .expect(401);
+
+      expect(response.body).toEqual({ message: 'Invalid token' });
+    });
+  });
+
+  describe('POST /api/auth/mfa/verify', () => {
+    const loginUser = {
+      id: 1,
+      username: 'testuser',
+      email: 'test@example.com',
+      is_active: true,
+      mfa_enabled: true,
+    };
+
+    it('should complete login with a valid TOTP code', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [loginUser] }) // Load user
+        .mockResolvedValueOnce({ rows: [mfaRow()] }) // Load enrollment
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 }) // Record used step
+        .mockResolvedValueOnce({ rows: [] }) // Update last_login
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert refresh token
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1), code: totp.generate(secret) })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.headers['set-cookie'][0]).toContain('token=');
+    });
+
+    it('should complete login with an unused recovery code', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [loginUser] })
+        .mockResolvedValueOnce({ rows: [mfaRow()] })
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Consume recovery code
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1), recoveryCode: 'ABCDE-FGHIJ' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(db.query.mock.calls[2][1]).toEqual([1, mfaService.hashRecoveryCode('ABCDE-FGHIJ')]);
+    });
+
+    it('should reject a wrong code and count it as a failed login', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [loginUser] })
+        .mockResolvedValueOnce({ rows: [mfaRow()] })
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] }); // Record failure
+
+      const wrongCode = totp.generate(secret) === '000000' ? '111111' : '000000';
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1), code: wrongCode })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid verification code');
+      expect(db.query.mock.calls[2][0]).toContain('failed_login_attempts');
+    });
+
+    it('should reject a replayed code', async () => {
+      const step = Math.floor(Date.now() / 30000) + 1;
+      db.query
+        .mockResolvedValueOnce({ rows: [loginUser] })
+        .mockResolvedValueOnce({ rows: [mfaRow({ last_used_step: String(step) })] })
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] });
+
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1), code: totp.generate(secret) })
+        .expect(401);
+    });
+
+    it('should reject a code another login has just used', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [loginUser] })
+        .mockResolvedValueOnce({ rows: [mfaRow()] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Step already claimed
+        .mockResolvedValueOnce({ rows: [{ failed_login_attempts: 1 }] });
+
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1), code: totp.generate(secret) })
+        .expect(401);
+
+      const [sql, values] = db.query.mock.calls[2];
+      expect(sql).toContain('last_used_step IS NULL OR last_used_step < $1');
+      expect(values[1]).toBe(1);
+    });
+
+    it('should reject an access token in place of the pending token', async () => {
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: accessToken, code: '123456' })
+        .expect(401);
+
+      expect(response.body.message).toContain('MFA session');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should require a code or recovery code', async () => {
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: mfaService.generatePendingToken(1) })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/mfa/enroll', () => {
+    it('should store an encrypted secret and return the provisioning URI', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // No existing enrollment
+        .mockResolvedValueOnce({ rows: [] }); // Upsert secret
+
+      const response = await request(app)
+        .post('/api/auth/mfa/enroll')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { secret: issued, otpauthUri } = response.body.data;
+      expect(issued).toMatch(/^[A-Z2-7]{32}$/);
+      expect(otpauthUri).toContain(`secret=${issued}`);
+
+      const stored = db.query.mock.calls[1][1][1];
+      expect(stored).not.toContain(issued);
+      expect(encryption.decrypt(stored)).toBe(issued);
+    });
+
+    it('should refuse to re-enroll while MFA is enabled', async () => {
+      db.query.mockResolvedValueOnce({ rows: [mfaRow()] });
+
+      await request(app)
+        .post('/api/auth/mfa/enroll')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).post('/api/auth/mfa/enroll').expect(401);
+    });
+  });
+
+  describe('POST /api/auth/mfa/confirm', () => {
+    it('should enable MFA and return hashed-at-rest recovery codes', async () => {
+      db.query.mockResolvedValueOnce({ rows: [mfaRow({ enabled: false })] });
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/auth/mfa/confirm')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: totp.generate(secret) })
+        .expect(200);
+
+      const { recoveryCodes } = response.body.data;
+      expect(recoveryCodes).toHaveLength(mfaService.RECOVERY_CODE_COUNT);
+      expect(recoveryCodes[0]).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/);
+
+      const inserts = mockClient.query.mock.calls.filter(([sql]) =>
+        sql.includes('INSERT INTO mfa_recovery_codes')
+      );
+      expect(inserts).toHaveLength(mfaService.RECOVERY_CODE_COUNT);
+      expect(inserts[0][1][1]).toBe(mfaService.hashRecoveryCode(recoveryCodes[0]));
+    });
+
+    it('should reject an invalid code', async () => {
+      db.query.mockResolvedValueOnce({ rows: [mfaRow({ enabled: false })] });
+      const wrongCode = totp.generate(secret) === '000000' ? '111111' : '000000';
+
+      await request(app)
+        .post('/api/auth/mfa/confirm')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: wrongCode })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/mfa/disable', () => {
+    it('should disable MFA with password and current code', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: await bcrypt.hash('Test123!', 10) }] })
+        .mockResolvedValueOnce({ rows: [mfaRow()] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/auth/mfa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'Test123!', code: totp.generate(secret) })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[1][0]).toContain('DELETE FROM user_mfa');
+    });
+
+    it('should reject a wrong password', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ password_hash: await bcrypt.hash('Test123!', 10) }]
+      });
+
+      await request(app)
+        .post('/api/auth/mfa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'Wrong123!', code: totp.generate(secret) })
+        .expect(401);
+    });
+  });
+});
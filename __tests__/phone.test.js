@@ -0,0 +1,322 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Small in-memory Redis so codes, attempts and send budgets behave as they would live
+jest.mock('../redisClient', () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    setex: async (key, ttl, value) => {
+      store.set(key, value);
+    },
+    incr: async (key) => {
+      const value = (parseInt(store.get(key), 10) || 0) + 1;
+      store.set(key, String(value));
+      return value;
+    },
+    expire: async () => 1,
+    ttl: async () => 1200,
+    del: async (...keys) => {
+      keys.flat().forEach((key) => store.delete(key));
+    },
+    // Tag sets are not modelled: invalidating a tag finds no entries
+    multi: () => {
+      const replies = [];
+      const multi = {
+        smembers: () => {
+          replies.push([null, []]);
+          return multi;
+        },
+        del: () => {
+          replies.push([null, 0]);
+          return multi;
+        },
+        exec: async () => replies,
+      };
+      return multi;
+    },
+    on: () => {},
+  };
+});
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const sms = require('../sms');
+const phoneVerification = require('../services/phoneVerification');
+
+describe('Phone verification', () => {
+  let sent;
+
+  const lastCode = () => sent[sent.length - 1].body.match(/\d{6}/)[0];
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    redisClient.store.clear();
+    sent = [];
+    sms.setProvider({
+      name: 'test',
+      send: async (message) => {
+        sent.push(message);
+        return { messageId: String(sent.length) };
+      },
+    });
+  });
+
+  describe('phoneVerification service', () => {
+    it('should generate 6-digit codes', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(phoneVerification.generateCode()).toMatch(/^\d{6}$/);
+      }
+    });
+
+    it('should text a code and verify it once', async () => {
+      const result = await phoneVerification.sendCode(1, '+15551234567');
+
+      expect(result).toEqual({ sent: true, expiresIn: phoneVerification.CODE_TTL_SECONDS });
+      expect(sent[0].to).toBe('+15551234567');
+
+      const code = lastCode();
+      expect(redisClient.store.get('phone:code:1')).not.toContain(code);
+
+      expect(await phoneVerification.verifyCode(1, code)).toEqual({
+        status: 'verified',
+        phoneNumber: '+15551234567',
+      });
+      expect(await phoneVerification.verifyCode(1, code)).toEqual({ status: 'expired' });
+    });
+
+    it('should lock the code after too many wrong attempts', async () => {
+      await phoneVerification.sendCode(1, '+15551234567');
+      const code = lastCode();
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let i = 1; i < phoneVerification.MAX_ATTEMPTS; i++) {
+        expect(await phoneVerification.verifyCode(1, wrong)).toEqual({
+          status: 'invalid',
+          attemptsRemaining: phoneVerification.MAX_ATTEMPTS - i,
+        });
+      }
+
+      expect(await phoneVerification.verifyCode(1, wrong)).toEqual({ status: 'locked' });
+      expect(await phoneVerification.verifyCode(1, code)).toEqual({ status: 'expired' });
+    });
+
+    it('should replace the outstanding code on resend', async () => {
+      await phoneVerification.sendCode(1, '+15551234567');
+      const first = lastCode();
+      await phoneVerification.sendCode(1, '+15551234567');
+      const second = lastCode();
+
+      if (first !== second) {
+        expect((await phoneVerification.verifyCode(1, first)).status).toBe('invalid');
+      }
+      expect((await phoneVerification.verifyCode(1, second)).status).toBe('verified');
+    });
+
+    it('should rate limit sends per number', async () => {
+      for (let user = 1; user <= 3; user++) {
+        expect((await phoneVerification.sendCode(user, '+15551234567')).sent).toBe(true);
+      }
+
+      expect(await phoneVerification.sendCode(4, '+15551234567')).toEqual({
+        sent: false,
+        retryAfter: 1200,
+      });
+      expect(sent).toHaveLength(3);
+    });
+
+    it('should rate limit sends per user', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await phoneVerification.sendCode(1, `+1555000000${i}`)).sent).toBe(true);
+      }
+
+      expect((await phoneVerification.sendCode(1, '+15550000009')).sent).toBe(false);
+    });
+
+    it('should drop the code when the provider fails', async () => {
+      sms.setProvider({ name: 'broken', send: async () => { throw new Error('Gateway down'); } });
+
+      await expect(phoneVerification.sendCode(1, '+15551234567')).rejects.toThrow('Gateway down');
+      expect(redisClient.store.has('phone:code:1')).toBe(false);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let token;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      delete require.cache[require.resolve('../app.js')];
+      app = require('../app.js');
+
+      token = jwt.sign({ id: 1, email: 'test@example.com', role: 'user' }, process.env.JWT_SECRET);
+    });
+
+    describe('POST /api/auth/phone/send-code', () => {
+      it('should send a code to a new number', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ phone_number: null, phone_verified: false }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ phoneNumber: '+15551234567' })
+          .expect(200);
+
+        expect(response.body.data.phoneNumber).toBe('+15551234567');
+        expect(sent[0].to).toBe('+15551234567');
+      });
+
+      it('should default to the number on the account', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ phone_number: '+15557654321', phone_verified: false }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(sent[0].to).toBe('+15557654321');
+      });
+
+      it('should require a number when the account has none', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ phone_number: null, phone_verified: false }] });
+
+        await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(400);
+      });
+
+      it('should reject a number used by another account', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ phone_number: null, phone_verified: false }] })
+          .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+        await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ phoneNumber: '+15551234567' })
+          .expect(409);
+
+        expect(sent).toHaveLength(0);
+      });
+
+      it('should return 429 with Retry-After once rate limited', async () => {
+        redisClient.store.set('phone:sends:user:1', '5');
+        db.query
+          .mockResolvedValueOnce({ rows: [{ phone_number: null, phone_verified: false }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ phoneNumber: '+15551234567' })
+          .expect(429);
+
+        expect(response.headers['retry-after']).toBe('1200');
+      });
+
+      it('should validate the number format', async () => {
+        await request(app)
+          .post('/api/auth/phone/send-code')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ phoneNumber: '555-CALL-NOW' })
+          .expect(400);
+      });
+    });
+
+    describe('POST /api/auth/phone/verify', () => {
+      it('should attach and verify the number', async () => {
+        await phoneVerification.sendCode(1, '+15551234567');
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/phone/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: lastCode() })
+          .expect(200);
+
+        expect(response.body.data.phoneNumber).toBe('+15551234567');
+        expect(db.query).toHaveBeenCalledWith(
+          'UPDATE accounts SET phone_number = $1, phone_verified = TRUE WHERE user_id = $2',
+          ['+15551234567', 1]
+        );
+      });
+
+      it('should report remaining attempts for a wrong code', async () => {
+        await phoneVerification.sendCode(1, '+15551234567');
+        const wrong = lastCode() === '000000' ? '111111' : '000000';
+
+        const response = await request(app)
+          .post('/api/auth/phone/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: wrong })
+          .expect(400);
+
+        expect(response.body.data.attemptsRemaining).toBe(phoneVerification.MAX_ATTEMPTS - 1);
+        expect(db.query).not.toHaveBeenCalled();
+      });
+
+      it('should reject when no code is outstanding', async () => {
+        const response = await request(app)
+          .post('/api/auth/phone/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: '123456' })
+          .expect(400);
+
+        expect(response.body.message).toContain('expired');
+      });
+
+      it('should map a number claimed meanwhile to 409', async () => {
+        await phoneVerification.sendCode(1, '+15551234567');
+        db.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+        await request(app)
+          .post('/api/auth/phone/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: lastCode() })
+          .expect(409);
+      });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const pinService = require('../services/pinService');
+
+describe('Transaction PIN', () => {
+  let pinHash;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+    pinHash = await bcrypt.hash('1234', 10);
+  });
+
+  describe('pinService.verifyPin', () => {
+    it('should report a missing PIN', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ pin_hash: null }] });
+
+      expect(await pinService.verifyPin(1, '1234')).toEqual({ status: 'not_set' });
+    });
+
+    it('should verify the right PIN and reset the failures', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 3, pin_locked_until: null }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await pinService.verifyPin(1, '1234')).toEqual({ status: 'verified' });
+      expect(db.query.mock.calls[1][0]).toContain('pin_failed_attempts = 0');
+    });
+
+    it('should count the attempt before comparing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 2, pin_locked_until: null }] });
+
+      expect(await pinService.verifyPin(1, '9999')).toEqual({
+        status: 'invalid',
+        attemptsRemaining: pinService.MAX_ATTEMPTS - 2,
+      });
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toMatch(/^\s*UPDATE accounts/);
+      expect(sql).toContain('pin_locked_until IS NULL OR pin_locked_until <= CURRENT_TIMESTAMP');
+      expect(values).toEqual([1, pinService.MAX_ATTEMPTS, 30]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should lock once the failures reach the limit', async () => {
+      const lockedUntil = new Date(Date.now() + 30 * 60 * 1000);
+      db.query.mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 5, pin_locked_until: lockedUntil }] });
+
+      const result = await pinService.verifyPin(1, '9999');
+
+      expect(result.status).toBe('locked');
+      expect(result.retryAfter).toBeGreaterThan(29 * 60);
+    });
+
+    it('should still accept the right PIN on the last attempt', async () => {
+      const lockedUntil = new Date(Date.now() + 30 * 60 * 1000);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 5, pin_locked_until: lockedUntil }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await pinService.verifyPin(1, '1234')).toEqual({ status: 'verified' });
+      expect(db.query.mock.calls[1][0]).toContain('pin_locked_until = NULL');
+    });
+
+    it('should refuse to check while locked, even the right PIN', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_locked_until: new Date(Date.now() + 60 * 1000) }] });
+
+      const compare = jest.spyOn(bcrypt, 'compare');
+      expect((await pinService.verifyPin(1, '1234')).status).toBe('locked');
+      expect(compare).not.toHaveBeenCalled();
+    });
+
+    it('should restart the count after a lock runs out', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 1, pin_locked_until: null }] });
+
+      await pinService.verifyPin(1, '9999');
+
+      expect(db.query.mock.calls[0][0]).toContain('CASE WHEN pin_locked_until IS NOT NULL THEN 1 ELSE pin_failed_attempts + 1 END');
+    });
+
+    it('should not let parallel guesses past the limit', async () => {
+      let failures = 0;
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT pin_hash')) {
+          return { rows: [{ pin_hash: pinHash, pin_locked_until: new Date(Date.now() + 60 * 1000) }] };
+        }
+        if (failures >= pinService.MAX_ATTEMPTS) {
+          return { rows: [] };
+        }
+        failures += 1;
+        const lockedUntil = failures >= pinService.MAX_ATTEMPTS ? new Date(Date.now() + 60 * 1000) : null;
+        return { rows: [{ pin_hash: pinHash, pin_failed_attempts: failures, pin_locked_until: lockedUntil }] };
+      });
+
+      const guesses = ['0000', '0001', '0002', '0003', '0004', '0005', '0006', '0007'];
+      const results = await Promise.all(guesses.map((guess) => pinService.verifyPin(1, guess)));
+
+      expect(results.filter(({ status }) => status === 'invalid')).toHaveLength(pinService.MAX_ATTEMPTS - 1);
+      expect(results.filter(({ status }) => status === 'locked')).toHaveLength(guesses.length - pinService.MAX_ATTEMPTS + 1);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let token;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      delete require.cache[require.resolve('../app.js')];
+      app = require('../app.js');
+
+      token = jwt.sign(
+        { id: 1, email: 'test@example.com', role: 'user', sid: 'session-1' },
+        process.env.JWT_SECRET
+      );
+    });
+
+    describe('POST /api/auth/pin', () => {
+      it('should set the PIN after checking the password', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ password_hash: await bcrypt.hash('Test123!', 10) }] })
+          .mockResolvedValueOnce({ rowCount: 1, rows: [] });
+
+        await request(app)
+          .post('/api/auth/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '4321', password: 'Test123!' })
+          .expect(200);
+
+        const [sql, [storedHash, userId]] = db.query.mock.calls[1];
+        expect(sql).toContain('SET pin_hash = $1');
+        expect(userId).toBe(1);
+        expect(await bcrypt.compare('4321', storedHash)).toBe(true);
+      });
+
+      it('should reject a wrong password', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ password_hash: await bcrypt.hash('Test123!', 10) }] });
+
+        await request(app)
+          .post('/api/auth/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '4321', password: 'Wrong123!' })
+          .expect(401);
+
+        expect(db.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should reject non-numeric PINs', async () => {
+        await request(app)
+          .post('/api/auth/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '12ab', password: 'Test123!' })
+          .expect(400);
+      });
+    });
+
+    describe('PUT /api/auth/pin', () => {
+      it('should change the PIN with the current one', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 1, pin_locked_until: null }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rowCount: 1, rows: [] });
+
+        await request(app)
+          .put('/api/auth/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ currentPin: '1234', newPin: '5678' })
+          .expect(200);
+
+        expect(await bcrypt.compare('5678', db.query.mock.calls[2][1][0])).toBe(true);
+      });
+
+      it('should reject a wrong current PIN', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 1, pin_locked_until: null }] });
+
+        const response = await request(app)
+          .put('/api/auth/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ currentPin: '0000', newPin: '5678' })
+          .expect(401);
+
+        expect(response.body.data.attemptsRemaining).toBe(pinService.MAX_ATTEMPTS - 1);
+      });
+    });
+
+    describe('POST /api/auth/pin/verify', () => {
+      it('should record a confirmation for the session', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_failed_attempts: 1, pin_locked_until: null }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/pin/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '1234' })
+          .expect(200);
+
+        expect(response.body.data.expiresIn).toBe(pinService.CONFIRMATION_TTL_SECONDS);
+        expect(redisClient.setex).toHaveBeenCalledWith(
+          'pin:confirmed:session-1',
+          pinService.CONFIRMATION_TTL_SECONDS,
+          '1'
+        );
+      });
+
+      it('should return 429 with Retry-After while locked', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ pin_hash: pinHash, pin_locked_until: new Date(Date.now() + 60 * 1000) }] });
+
+        const response = await request(app)
+          .post('/api/auth/pin/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '1234' })
+          .expect(429);
+
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(redisClient.setex).not.toHaveBeenCalled();
+      });
+
+      it('should report when no PIN is set', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ pin_hash: null }] });
+
+        await request(app)
+          .post('/api/auth/pin/verify')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin: '1234' })
+          .expect(400);
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const redisClient = require('../redisClient');
+const rateLimitMiddleware = require('../rateLimitMiddleware');
+
+const WINDOW_START = 1_800_000_000_000;
+
+describe('rateLimitMiddleware', () => {
+  let store;
+  let now;
+
+  const appWith = (limit, { user } = {}) => {
+    const app = express();
+    app.use(express.json());
+    if (user) {
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+    }
+    app.post('/limited', limit, (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  const send = (app, body = {}) => request(app).post('/limited').send(body);
+
+  beforeEach(() => {
+    store = new Map();
+    now = WINDOW_START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    redisClient.incr.mockImplementation(async (key) => {
+      store.set(key, (store.get(key) || 0) + 1);
+      return store.get(key);
+    });
+    redisClient.get.mockImplementation(async (key) => (store.has(key) ? String(store.get(key)) : null));
+    redisClient.expire.mockResolvedValue(1);
+  });
+
+  it('should allow requests up to the limit and report what is left', async () => {
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 3, windowSeconds: 60 }));
+
+    const first = await send(app).expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('3');
+    expect(first.headers['ratelimit-remaining']).toBe('2');
+    expect(first.headers['ratelimit-reset']).toBe('60');
+    expect(first.headers['ratelimit-policy']).toBe('3;w=60');
+
+    await send(app).expect(200);
+    const third = await send(app).expect(200);
+    expect(third.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should answer 429 with Retry-After once the limit is reached', async () => {
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 2, windowSeconds: 60, message: 'Slow down' }));
+
+    await send(app).expect(200);
+    await send(app).expect(200);
+    const response = await send(app).expect(429);
+
+    expect(response.body).toEqual({ success: false, message: 'Slow down' });
+    // The next window must start and a third of it pass before 2 of these 3 requests count
+    expect(response.headers['retry-after']).toBe('81');
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should expire counters after the following window', async () => {
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 2, windowSeconds: 60 }));
+
+    await send(app);
+
+    const [key] = store.keys();
+    expect(key).toBe(`ratelimit:test:ip:::ffff:127.0.0.1:${WINDOW_START / 60000}`);
+    expect(redisClient.expire).toHaveBeenCalledWith(key, 120);
+  });
+
+  it('should weigh the previous window by how much of it still overlaps', async () => {
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 4, windowSeconds: 60 }));
+
+    for (let i = 0; i < 4; i += 1) {
+      await send(app).expect(200);
+    }
+
+    // A quarter into the next window, 3 of the previous 4 requests still count
+    now = WINDOW_START + 75 * 1000;
+    const allowed = await send(app).expect(200);
+    expect(allowed.headers['ratelimit-remaining']).toBe('0');
+
+    const blocked = await send(app).expect(429);
+    // Two of the previous window's requests must slide out: just over half of it
+    expect(blocked.headers['retry-after']).toBe('16');
+
+    now = WINDOW_START + 91 * 1000;
+    await send(app).expect(200);
+  });
+
+  it('should count anonymous requests per IP and signed-in ones per user', async () => {
+    const limit = rateLimitMiddleware.limit({ name: 'resend', max: 1, windowSeconds: 60, key: 'user' });
+
+    await send(appWith(limit, { user: { id: 7 } })).expect(200);
+    await send(appWith(limit, { user: { id: 7 } })).expect(429);
+    await send(appWith(limit, { user: { id: 8 } })).expect(200);
+    await send(appWith(limit)).expect(200);
+
+    expect([...store.keys()].map((key) => key.split(':').slice(0, 4).join(':'))).toEqual([
+      'ratelimit:resend:user:7',
+      'ratelimit:resend:user:8',
+      'ratelimit:resend:ip:',
+    ]);
+  });
+
+  it('should key on a hash of a custom key and skip requests without one', async () => {
+    const app = appWith(rateLimitMiddleware.limit({
+      name: 'reset',
+      max: 1,
+      windowSeconds: 60,
+      key: (req) => req.body.email,
+    }));
+
+    await send(app, { email: 'jane@example.com' }).expect(200);
+    await send(app, { email: 'jane@example.com' }).expect(429);
+    await send(app, { email: 'bob@example.com' }).expect(200);
+    await send(app).expect(200);
+    await send(app).expect(200);
+
+    expect(store.size).toBe(2);
+    for (const key of store.keys()) {
+      expect(key).toMatch(/^ratelimit:reset:key:[0-9a-f]{32}:\d+$/);
+    }
+  });
+
+  it('should let requests through when Redis fails and the policy fails open', async () => {
+    redisClient.incr.mockRejectedValue(new Error('Connection is closed.'));
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 1, windowSeconds: 60 }));
+
+    const response = await send(app).expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  it('should refuse requests when Redis fails and the policy fails closed', async () => {
+    redisClient.incr.mockRejectedValue(new Error('Connection is closed.'));
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 1, windowSeconds: 60, failOpen: false }));
+
+    const response = await send(app).expect(503);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should treat a Redis that does not answer as down', async () => {
+    redisClient.incr.mockReturnValue(new Promise(() => {}));
+    const app = appWith(rateLimitMiddleware.limit({ name: 'test', max: 1, windowSeconds: 60, failOpen: false }));
+
+    await send(app).expect(503);
+  });
+
+  it('should refuse incomplete policies', () => {
+    expect(() => rateLimitMiddleware.limit({ name: 'test', max: 0, windowSeconds: 60 })).toThrow();
+    expect(() => rateLimitMiddleware.limit({ name: 'test', max: 1, windowSeconds: 60, key: 'session' })).toThrow();
+  });
+});
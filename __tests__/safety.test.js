@@ -0,0 +1,486 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  eval: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const roleService = require('../services/roleService');
+const safetyService = require('../services/safetyService');
+const templates = require('../mailer/templates');
+
+const ROLE_PERMISSIONS = {
+  user: ['events:read', 'events:write', 'scores:write'],
+};
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Safety alerts', () => {
+  let app;
+  let client;
+  let userToken;
+  let moderatorToken;
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Friday Social',
+    type: 0,
+    status: 2,
+    organizer_id: 10,
+    start_time: new Date(Date.now() - HOUR).toISOString(),
+    end_time: new Date(Date.now() + 2 * HOUR).toISOString(),
+    ...overrides,
+  });
+
+  const alertRow = (overrides = {}) => ({
+    id: 5,
+    user_id: 2,
+    username: 'jane',
+    event_id: 7,
+    event_name: 'Friday Social',
+    score_id: 31,
+    level: 'danger',
+    bac: '0.160',
+    threshold: '0.150',
+    blocked_until: '2026-11-06T22:00:00.000Z',
+    organizer_notified: true,
+    contacts_notified: 2,
+    reviewed_at: null,
+    reviewed_by: null,
+    review_note: null,
+    created_at: '2026-11-06T20:00:00.000Z',
+    ...overrides,
+  });
+
+  // event, participant, block check, insert reading, personal best
+  const mockReading = (bac, { event = eventRow(), blockedUntil = null } = {}) => {
+    client.query
+      .mockResolvedValueOnce({ rows: [event] })
+      .mockResolvedValueOnce({ rows: [{ public_ranking: false }] })
+      .mockResolvedValueOnce({ rows: [{ blocked_until: blockedUntil }] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 31, event_id: 7, bac: String(bac), timestamp: new Date().toISOString(), created_at: new Date().toISOString() }]
+      })
+      .mockResolvedValueOnce({ rows: [] });
+  };
+
+  const alertInsert = () => client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO safety_alerts'));
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async (roles) => {
+      return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+    });
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction = jest.fn(async (callback) => callback(client));
+
+    userToken = jwt.sign({ id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    moderatorToken = jwt.sign(
+      { id: 1, email: 'mod@example.com', role: 'moderator', roles: ['user', 'moderator'] },
+      process.env.JWT_SECRET
+    );
+  });
+
+  describe('POST /api/events/:id/scores', () => {
+    it('should not raise an alert below the thresholds', async () => {
+      mockReading(0.05);
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.05 })
+        .expect(201);
+
+      expect(response.body.data.alert).toBeNull();
+      expect(alertInsert()).toBeUndefined();
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should raise a caution alert, email the user and pause readings', async () => {
+      mockReading(0.09);
+      client.query
+        .mockResolvedValueOnce({ rows: [{ email: 'jane@example.com', username: 'jane' }] })
+        .mockImplementationOnce(async (sql, values) => ({
+          rows: [alertRow({ level: 'caution', bac: '0.090', threshold: '0.080', blocked_until: values[6], organizer_notified: false, contacts_notified: 0 })]
+        }));
+
+      const before = Date.now();
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.09 })
+        .expect(201);
+
+      expect(response.body.message).toMatch(/safety threshold/);
+      expect(response.body.data.alert).toMatchObject({ id: 5, level: 'caution', threshold: 0.08 });
+
+      const [, values] = alertInsert();
+      expect(values.slice(0, 6)).toEqual([2, 7, 31, 'caution', 0.09, 0.08]);
+      expect(values[6].getTime()).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+      expect(values.slice(7)).toEqual([false, 0]);
+
+      expect(mailer.send).toHaveBeenCalledTimes(1);
+      expect(mailer.send).toHaveBeenCalledWith(
+        'safetyAlert',
+        'jane@example.com',
+        expect.objectContaining({ username: 'jane', eventName: 'Friday Social', bac: 0.09, level: 'caution' }),
+        client
+      );
+    });
+
+    it('should tell the organizer and safety contacts at the danger level', async () => {
+      mockReading(0.16);
+      client.query
+        .mockResolvedValueOnce({ rows: [{ email: 'jane@example.com', username: 'jane' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'host@example.com', username: 'host' }] })
+        .mockResolvedValueOnce({
+          rows: [{ name: 'Sam', email: 'sam@example.com' }, { name: 'Alex', email: 'alex@example.com' }]
+        })
+        .mockResolvedValueOnce({ rows: [alertRow()] });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.16 })
+        .expect(201);
+
+      const [, values] = alertInsert();
+      expect(values[3]).toBe('danger');
+      expect(values.slice(7)).toEqual([true, 2]);
+
+      expect(mailer.send.mock.calls.map(([template, to]) => [template, to])).toEqual([
+        ['safetyAlert', 'jane@example.com'],
+        ['safetyAlertOrganizer', 'host@example.com'],
+        ['safetyAlertContact', 'sam@example.com'],
+        ['safetyAlertContact', 'alex@example.com'],
+      ]);
+      expect(mailer.send.mock.calls[2][2]).toMatchObject({ name: 'Sam', participant: 'jane', bac: 0.16 });
+    });
+
+    it('should not send the organizer email when the organizer is the drinker', async () => {
+      mockReading(0.16);
+      client.query
+        .mockResolvedValueOnce({ rows: [{ email: 'jane@example.com', username: 'jane' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2, email: 'jane@example.com', username: 'jane' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [alertRow({ organizer_notified: false, contacts_notified: 0 })] });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.16 })
+        .expect(201);
+
+      expect(alertInsert()[1].slice(7)).toEqual([false, 0]);
+      expect(mailer.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse readings during the cooldown', async () => {
+      const blockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+      mockReading(0.05, { blockedUntil });
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.05 })
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBe('600');
+      expect(response.body.data.blockedUntil).toBe(blockedUntil.toISOString());
+      expect(client.query).toHaveBeenCalledTimes(3);
+
+      const [blockSql, blockValues] = client.query.mock.calls[2];
+      expect(blockSql).toContain('blocked_until > CURRENT_TIMESTAMP');
+      expect(blockValues).toEqual([2, 7]);
+    });
+  });
+
+  describe('policy', () => {
+    it('should pick the highest level a reading reaches', () => {
+      expect(safetyService.levelFor('social', 0.079)).toBeNull();
+      expect(safetyService.levelFor('social', 0.08).level).toBe('caution');
+      expect(safetyService.levelFor('social', 0.2).level).toBe('danger');
+    });
+
+    it('should replace the levels of the event types configured', () => {
+      const policy = safetyService.loadPolicy(JSON.stringify({
+        competition: [
+          { level: 'danger', bac: 0.12, cooldownMinutes: 180, notifyOrganizer: true },
+          { level: 'caution', bac: 0.05, cooldownMinutes: 15 },
+        ],
+      }));
+
+      expect(safetyService.levelsFor('competition', policy)).toEqual([
+        { level: 'caution', bac: 0.05, cooldownMinutes: 15, notifyOrganizer: false, notifyContacts: false },
+        { level: 'danger', bac: 0.12, cooldownMinutes: 180, notifyOrganizer: true, notifyContacts: false },
+      ]);
+      expect(safetyService.levelsFor('social', policy)).toBe(safetyService.DEFAULT_LEVELS);
+      expect(safetyService.levelFor('competition', 0.13, policy).cooldownMinutes).toBe(180);
+    });
+
+    it.each([
+      ['invalid JSON', '{'],
+      ['an unknown event type', '{"rave": []}'],
+      ['a BAC above 1', '{"party": [{"level": "danger", "bac": 1.5, "cooldownMinutes": 10}]}'],
+      ['a missing cooldown', '{"party": [{"level": "danger", "bac": 0.1}]}'],
+    ])('should reject %s', (_, raw) => {
+      expect(() => safetyService.loadPolicy(raw)).toThrow(/SAFETY_THRESHOLDS/);
+    });
+
+    it('should list the levels for every event type', async () => {
+      const response = await request(app)
+        .get('/api/safety/thresholds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(Object.keys(response.body.data.thresholds)).toEqual(['social', 'party', 'tasting', 'competition']);
+      expect(response.body.data.thresholds.social[1]).toMatchObject({ level: 'danger', bac: 0.15 });
+    });
+
+    it('should render the alert emails', () => {
+      const email = templates.safetyAlertContact({ name: 'Sam', participant: 'jane', eventName: 'Friday Social', bac: 0.16 });
+
+      expect(email.subject).toBe('jane may need a hand');
+      expect(email.text).toContain('0.16 at Friday Social');
+    });
+  });
+
+  describe('GET /api/safety/alerts', () => {
+    it('should list alerts for moderators with filters', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [alertRow()] });
+
+      const response = await request(app)
+        .get('/api/safety/alerts?eventId=7&level=danger&reviewed=false')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(response.body.data.alerts[0]).toMatchObject({
+        id: 5,
+        username: 'jane',
+        level: 'danger',
+        bac: 0.16,
+        threshold: 0.15,
+        contactsNotified: 2,
+      });
+      expect(response.body.data.pagination.total).toBe(1);
+
+      const [countSql, values] = db.query.mock.calls[0];
+      expect(countSql).toContain('s.event_id = $1 AND s.level = $2 AND s.reviewed_at IS NULL');
+      expect(values).toEqual([7, 'danger']);
+    });
+
+    it('should be limited to moderators', async () => {
+      await request(app)
+        .get('/api/safety/alerts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should reject invalid filters', async () => {
+      await request(app)
+        .get('/api/safety/alerts?reviewed=maybe')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/safety/alerts/:id/review', () => {
+    it('should mark the alert as reviewed', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [alertRow({ reviewed_at: '2026-11-07T09:00:00.000Z', reviewed_by: 1, review_note: 'Called them' })] });
+
+      const response = await request(app)
+        .post('/api/safety/alerts/5/review')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ note: 'Called them' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ reviewedBy: 1, reviewNote: 'Called them' });
+      expect(db.query.mock.calls[0][1]).toEqual([1, 'Called them', 5]);
+    });
+
+    it('should refuse to review twice', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [alertRow({ reviewed_at: '2026-11-07T09:00:00.000Z' })] });
+
+      await request(app)
+        .post('/api/safety/alerts/5/review')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(409);
+    });
+
+    it('should return 404 for unknown alerts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/safety/alerts/99/review')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/me/safety-alerts', () => {
+    it('should list only the user\'s own alerts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [alertRow()] });
+
+      const response = await request(app)
+        .get('/api/me/safety-alerts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.alerts).toHaveLength(1);
+      expect(db.query.mock.calls[0][0]).toContain('s.user_id = $1');
+      expect(db.query.mock.calls[0][1]).toEqual([2]);
+    });
+  });
+
+  describe('/api/me/safety-contacts', () => {
+    it('should list contacts', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 3, name: 'Sam', email: 'sam@example.com', created_at: '2026-10-01T00:00:00.000Z' }]
+      });
+
+      const response = await request(app)
+        .get('/api/me/safety-contacts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.contacts).toEqual([
+        { id: 3, name: 'Sam', email: 'sam@example.com', createdAt: '2026-10-01T00:00:00.000Z' }
+      ]);
+    });
+
+    it('should add a contact', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, name: 'Alex', email: 'alex@example.com', created_at: '2026-10-01T00:00:00.000Z' }] });
+
+      const response = await request(app)
+        .post('/api/me/safety-contacts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Alex', email: 'Alex@Example.com' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ id: 4, name: 'Alex' });
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[2][1]).toEqual([2, 'Alex', 'alex@example.com']);
+    });
+
+    it('should cap the number of contacts', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ total: String(safetyService.MAX_CONTACTS) }] });
+
+      await request(app)
+        .post('/api/me/safety-contacts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Alex', email: 'alex@example.com' })
+        .expect(409);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse duplicate contacts', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/me/safety-contacts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Sam', email: 'sam@example.com' })
+        .expect(409);
+
+      expect(response.body.message).toMatch(/already/);
+    });
+
+    it('should validate contacts', async () => {
+      await request(app)
+        .post('/api/me/safety-contacts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: '', email: 'not-an-email' })
+        .expect(400);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should remove a contact', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+
+      await request(app)
+        .delete('/api/me/safety-contacts/3')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual([3, 2]);
+    });
+
+    it('should return 404 when removing someone else\'s contact', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/api/me/safety-contacts/3')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+  });
+});
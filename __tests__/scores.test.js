@@ -0,0 +1,450 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  eval: jest.fn(),
+  zrevrange: jest.fn(),
+  multi: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const roleService = require('../services/roleService');
+const eventStream = require('../services/eventStream');
+const bacEstimator = require('../services/bacEstimator');
+
+const ROLE_PERMISSIONS = {
+  user: ['events:read', 'events:write', 'scores:write'],
+  guest: ['events:read'],
+};
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Scores API', () => {
+  let app;
+  let client;
+  let userToken;
+
+  const eventRow = (overrides = {}) => ({
+    event_id: 7,
+    name: 'Friday Social',
+    status: 2,
+    start_time: new Date(Date.now() - HOUR).toISOString(),
+    end_time: new Date(Date.now() + 2 * HOUR).toISOString(),
+    ...overrides,
+  });
+
+  const scoreRow = (overrides = {}) => ({
+    id: 31,
+    event_id: 7,
+    bac: '0.045',
+    timestamp: '2026-11-06T20:00:00.000Z',
+    created_at: '2026-11-06T20:00:01.000Z',
+    ...overrides,
+  });
+
+  // event lookup, participant check, safety block check, insert, personal best update
+  const mockSubmit = ({ event = eventRow(), participant = true, best = true, publicRanking = true } = {}) => {
+    client.query
+      .mockResolvedValueOnce({ rows: event ? [event] : [] })
+      .mockResolvedValueOnce({ rows: participant ? [{ public_ranking: publicRanking }] : [] })
+      .mockResolvedValueOnce({ rows: [{ blocked_until: null }] })
+      .mockResolvedValueOnce({ rows: [scoreRow()] })
+      .mockResolvedValueOnce({ rows: best ? [{ lifetime_max_bac: '0.045' }] : [] });
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    jest.spyOn(roleService, 'getPermissions').mockImplementation(async (roles) => {
+      return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+    });
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction = jest.fn(async (callback) => callback(client));
+
+    redisClient.eval.mockResolvedValue([]);
+    jest.spyOn(bacEstimator, 'publishEstimate').mockResolvedValue();
+
+    userToken = jwt.sign({ id: 2, email: 'guest@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+  });
+
+  describe('POST /api/events/:id/scores', () => {
+    it('should record a reading and report a new personal best', async () => {
+      mockSubmit();
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(response.body.data).toEqual({
+        score: expect.objectContaining({ id: 31, eventId: 7, eventName: 'Friday Social', bac: 0.045 }),
+        personalBest: true,
+        alert: null
+      });
+
+      const [insertSql, insertValues] = client.query.mock.calls[3];
+      expect(insertSql).toContain('INSERT INTO libation_scores');
+      expect(insertValues.slice(0, 3)).toEqual([2, 7, 0.045]);
+
+      const [bestSql, bestValues] = client.query.mock.calls[4];
+      expect(bestSql).toContain('lifetime_max_bac < $1');
+      expect(bestValues).toEqual([0.045, 2]);
+    });
+
+    it('should put the reading on the event leaderboard', async () => {
+      mockSubmit();
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(redisClient.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        4,
+        'leaderboard:event:7:ready',
+        'leaderboard:event:7:peak',
+        'leaderboard:event:7:latest',
+        'leaderboard:event:7:latest-at',
+        2,
+        0.045,
+        new Date('2026-11-06T20:00:00.000Z').getTime()
+      );
+    });
+
+    it('should stream the reading and the boards it changed', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      redisClient.eval.mockResolvedValueOnce(['peak']);
+      redisClient.zrevrange.mockResolvedValueOnce(['2', '0.045']);
+      mockSubmit();
+      db.query.mockResolvedValueOnce({ rows: [{ id: 2, username: 'guest', display_name: 'Guest' }] });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(publish).toHaveBeenCalledTimes(2);
+      expect(publish).toHaveBeenCalledWith(7, 'reading', {
+        userId: 2,
+        bac: 0.045,
+        recordedAt: '2026-11-06T20:00:00.000Z'
+      });
+      expect(publish).toHaveBeenCalledWith(7, 'leaderboard', {
+        board: 'peak',
+        top: [{ rank: 1, userId: 2, bac: 0.045, username: 'guest', displayName: 'Guest' }]
+      });
+      expect(bacEstimator.publishEstimate).toHaveBeenCalledWith(7, 2);
+    });
+
+    it('should build a missing board once the reading is committed', async () => {
+      const multi = { del: jest.fn(), zadd: jest.fn(), hset: jest.fn(), expire: jest.fn(), set: jest.fn() };
+      Object.keys(multi).forEach((command) => multi[command].mockReturnValue(multi));
+      multi.exec = jest.fn().mockResolvedValue([]);
+      redisClient.multi.mockReturnValue(multi);
+      redisClient.eval.mockResolvedValueOnce(null);
+      redisClient.zrevrange.mockResolvedValue([]);
+      mockSubmit();
+      db.query.mockResolvedValueOnce({
+        rows: [{ user_id: 2, latest_bac: '0.045', peak_bac: '0.045', timestamp: '2026-11-06T20:00:00.000Z' }]
+      });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(db.query.mock.calls[0][0]).toContain('FROM libation_scores');
+      expect(multi.zadd).toHaveBeenCalledWith('leaderboard:event:7:peak', '0.045', 2);
+      expect(multi.exec).toHaveBeenCalled();
+    });
+
+    it('should keep opted-out users off the leaderboard and stream', async () => {
+      const publish = jest.spyOn(eventStream, 'publish').mockResolvedValue(1);
+      mockSubmit({ publicRanking: false });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(redisClient.eval).not.toHaveBeenCalled();
+      expect(publish).not.toHaveBeenCalled();
+      expect(bacEstimator.publishEstimate).not.toHaveBeenCalled();
+    });
+
+    it('should still record the reading when the leaderboard update fails', async () => {
+      mockSubmit();
+      redisClient.eval.mockRejectedValueOnce(new Error('Connection is closed'));
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(redisClient.del).toHaveBeenCalledWith('leaderboard:event:7:ready');
+    });
+
+    it('should not report a personal best when the maximum is unchanged', async () => {
+      mockSubmit({ best: false });
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.045 })
+        .expect(201);
+
+      expect(response.body.data.personalBest).toBe(false);
+    });
+
+    it('should accept an explicit reading time inside the window', async () => {
+      mockSubmit();
+      const recordedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02, recordedAt })
+        .expect(201);
+
+      expect(client.query.mock.calls[3][1][3]).toEqual(new Date(recordedAt));
+    });
+
+    it.each([
+      ['above the range', 1.5],
+      ['negative', -0.01],
+      ['too precise', 0.0455],
+      ['not a number', 'tipsy'],
+    ])('should reject a BAC that is %s', async (_, bac) => {
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac })
+        .expect(400);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should require the BAC', async () => {
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should reject readings before the event starts', async () => {
+      mockSubmit({ event: eventRow({ status: 1, start_time: new Date(Date.now() + HOUR).toISOString() }) });
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/between the event start and end/);
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject readings stamped after the event ended', async () => {
+      mockSubmit({
+        event: eventRow({
+          status: 3,
+          start_time: new Date(Date.now() - 3 * HOUR).toISOString(),
+          end_time: new Date(Date.now() - HOUR).toISOString()
+        })
+      });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(400);
+    });
+
+    it('should accept a late submission for a reading taken during the event', async () => {
+      mockSubmit({
+        event: eventRow({
+          status: 3,
+          start_time: new Date(Date.now() - 3 * HOUR).toISOString(),
+          end_time: new Date(Date.now() - HOUR).toISOString()
+        })
+      });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02, recordedAt: new Date(Date.now() - 2 * HOUR).toISOString() })
+        .expect(201);
+    });
+
+    it('should reject readings stamped in the future', async () => {
+      mockSubmit();
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02, recordedAt: new Date(Date.now() + HOUR).toISOString() })
+        .expect(400);
+    });
+
+    it('should reject readings for cancelled events', async () => {
+      mockSubmit({ event: eventRow({ status: 4 }) });
+
+      const response = await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(409);
+
+      expect(response.body.message).toMatch(/cancelled/);
+    });
+
+    it('should only accept readings from participants', async () => {
+      mockSubmit({ participant: false });
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(403);
+    });
+
+    it('should return 404 for unknown events', async () => {
+      mockSubmit({ event: null });
+
+      await request(app)
+        .post('/api/events/99/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(404);
+    });
+
+    it('should map check_bac_value violations to 400', async () => {
+      const error = new Error('violates check constraint');
+      error.code = '23514';
+      error.constraint = 'check_bac_value';
+      db.transaction.mockRejectedValueOnce(error);
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bac: 0.02 })
+        .expect(400);
+    });
+
+    it('should require the scores:write permission', async () => {
+      const guestToken = jwt.sign({ id: 3, email: 'g@example.com', role: 'guest', roles: ['guest'] }, process.env.JWT_SECRET);
+
+      await request(app)
+        .post('/api/events/7/scores')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ bac: 0.02 })
+        .expect(403);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/me/scores', () => {
+    it('should list the user\'s readings with pagination', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '21' }] })
+        .mockResolvedValueOnce({ rows: [scoreRow({ event_name: 'Friday Social' })] });
+
+      const response = await request(app)
+        .get('/api/me/scores?page=2&limit=10')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.scores).toEqual([
+        expect.objectContaining({ id: 31, eventName: 'Friday Social', bac: 0.045 })
+      ]);
+      expect(response.body.data.pagination).toMatchObject({ page: 2, limit: 10, total: 21 });
+
+      const [sql, values] = db.query.mock.calls[1];
+      expect(sql).toContain('ORDER BY s.timestamp DESC');
+      expect(values).toEqual([2, 10, 10]);
+    });
+
+    it('should filter by event', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/me/scores?eventId=7')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(db.query.mock.calls[0][0]).toContain('s.event_id = $2');
+      expect(db.query.mock.calls[0][1]).toEqual([2, 7]);
+    });
+
+    it('should reject an invalid event filter', async () => {
+      await request(app)
+        .get('/api/me/scores?eventId=abc')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/me/scores')
+        .expect(401);
+    });
+  });
+});
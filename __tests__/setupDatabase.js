@@ -53,11 +53,17 @@ async function setupDatabase() {
     
     console.log('Running migrations on test database...');
     
-    // Read and execute migration file
-    const migrationFile = path.join(__dirname, '../db/migrations/001_create_tables.sql');
-    const migrationSQL = await fs.readFile(migrationFile, 'utf8');
-    
-    await testClient.query(migrationSQL);
+    // Read and execute migration files in order
+    const migrationsDir = path.join(__dirname, '../db/migrations');
+    const migrationFiles = (await fs.readdir(migrationsDir))
+      .filter((f) => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of migrationFiles) {
+      const migrationSQL = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      await testClient.query(migrationSQL);
+    }
+
     console.log('Migrations completed successfully');
     
     testClient.release();
@@ -0,0 +1,515 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const payments = require('../payments');
+const createFakeProvider = require('../payments/providers/fakeProvider');
+const topUpService = require('../services/topUpService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Wallet top-ups', () => {
+  let app;
+  let provider;
+  let state;
+  let userToken;
+  let adminToken;
+
+  const topUpRow = (overrides = {}) => ({
+    id: '1',
+    account_id: 5,
+    amount: '25.00',
+    currency: 'EUR',
+    provider: 'fake',
+    provider_intent_id: 'pi_1',
+    provider_refund_id: null,
+    status: 'pending',
+    transaction_id: null,
+    refund_transaction_id: null,
+    created_at: new Date(Date.now() - 30 * MINUTE_MS).toISOString(),
+    updated_at: null,
+    completed_at: null,
+    refunded_at: null,
+    ...overrides,
+  });
+
+  const ledgerPosts = () => db.transaction.client.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO wallet_transactions'))
+    .map(([, values]) => values);
+
+  // Fake database for jane (user 2, account 5) and her top-ups
+  const fakeQuery = async (sql, values) => {
+    const findTopUp = (predicate) => state.topUps.find(predicate);
+
+    if (sql.includes('SELECT COUNT(*) AS total FROM top_ups')) {
+      return { rows: [{ total: String(state.topUps.length) }] };
+    }
+    if (sql.includes('SELECT account_id FROM accounts WHERE user_id = $1')) {
+      return { rows: [{ account_id: 5 }] };
+    }
+    if (sql.includes('INSERT INTO top_ups')) {
+      const [accountId, amount, currency, providerName, intentId] = values;
+      const row = topUpRow({
+        id: String(state.topUps.length + 1),
+        account_id: accountId,
+        amount,
+        currency,
+        provider: providerName,
+        provider_intent_id: intentId,
+        created_at: '2026-11-06T20:00:00.000Z',
+      });
+      state.topUps.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('INSERT INTO payment_webhook_events')) {
+      const key = `${values[0]}:${values[1]}`;
+      if (state.webhookEvents.includes(key)) {
+        return { rows: [] };
+      }
+      state.webhookEvents.push(key);
+      return { rows: [{ event_id: values[1] }] };
+    }
+    if (sql.includes('WHERE provider = $1 AND provider_intent_id = $2')) {
+      const row = findTopUp((candidate) => candidate.provider === values[0] && candidate.provider_intent_id === values[1]);
+      return { rows: row ? [row] : [] };
+    }
+    if (sql.includes('FROM top_ups WHERE id = $1 FOR UPDATE')) {
+      const row = findTopUp((candidate) => candidate.id === String(values[0]));
+      return { rows: row ? [row] : [] };
+    }
+    if (sql.includes("WHERE status = 'refund_pending' AND provider_refund_id IS NULL")) {
+      return { rows: state.topUps.filter((row) => row.status === 'refund_pending' && !row.provider_refund_id) };
+    }
+    if (sql.includes('WHERE id = $1 AND account_id = (SELECT')) {
+      const row = findTopUp((candidate) => candidate.id === String(values[0]) && values[1] === 2);
+      return { rows: row ? [row] : [] };
+    }
+    if (sql.includes("WHERE status = 'pending' AND provider = $1")) {
+      const cutoff = Date.now() - values[1] * MINUTE_MS;
+      return {
+        rows: state.topUps.filter((row) => row.status === 'pending' && new Date(row.created_at).getTime() < cutoff)
+      };
+    }
+    if (sql.includes('UPDATE top_ups')) {
+      const row = findTopUp((candidate) => candidate.id === String(values[0]));
+      if (sql.includes("status = 'succeeded', transaction_id = $2")) {
+        Object.assign(row, { status: 'succeeded', transaction_id: String(values[1]) });
+      } else if (sql.includes("status = 'succeeded', provider_refund_id = NULL")) {
+        Object.assign(row, { status: 'succeeded', provider_refund_id: null, refund_transaction_id: null });
+      } else if (sql.includes("status = 'refund_pending'")) {
+        Object.assign(row, { status: 'refund_pending', refund_transaction_id: String(values[1]) });
+      } else if (sql.includes("status = 'refunded'")) {
+        Object.assign(row, { status: 'refunded', refunded_at: '2026-11-07T10:00:00.000Z' });
+      } else if (sql.includes('provider_refund_id = $2')) {
+        Object.assign(row, { provider_refund_id: values[1] });
+      } else if (sql.includes('status = $2')) {
+        Object.assign(row, { status: values[1] });
+      }
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('FROM top_ups')) {
+      return { rows: state.topUps };
+    }
+    if (sql.includes('INSERT INTO wallet_transactions')) {
+      state.transactionId += 1;
+      return { rows: [{ id: String(state.transactionId), reason: values[0], reference: values[1], created_at: '2026-11-06T20:00:00.000Z' }] };
+    }
+    if (sql.includes('UPDATE accounts SET balance')) {
+      const [amount, accountId] = values;
+      const balance = (parseFloat(state.balances[accountId]) + parseFloat(amount)).toFixed(2);
+      if (parseFloat(balance) < 0) {
+        throw Object.assign(new Error('check_balance_positive'), { code: '23514', constraint: 'check_balance_positive' });
+      }
+      state.balances[accountId] = balance;
+      return { rows: [{ balance }] };
+    }
+    if (sql.includes('INSERT INTO ledger_entries')) {
+      return { rows: [{ id: '90' }] };
+    }
+    if (sql.includes('WHERE u.id = $1')) {
+      return { rows: [{ id: 2, username: 'jane', account_id: 5, is_active: true, roles: ['user'], balance: state.balances[5] }] };
+    }
+    return { rows: [] };
+  };
+
+  // A pending top-up backed by an intent the fake provider knows about
+  const pendingTopUp = async (overrides = {}) => {
+    const intent = await provider.createIntent({ amount: '25.00', currency: 'EUR', reference: 'account:5' });
+    const row = topUpRow({ provider_intent_id: intent.id, ...overrides });
+    state.topUps.push(row);
+    return row;
+  };
+
+  const deliver = (webhook) => request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set(webhook.headers)
+    .send(webhook.rawBody);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    provider = createFakeProvider({ secret: 'whsec_test' });
+    payments.setProvider(provider);
+
+    state = { topUps: [], webhookEvents: [], balances: { 5: '10.00' }, transactionId: 40 };
+    db.query.mockImplementation(fakeQuery);
+    const client = { query: jest.fn(fakeQuery) };
+    db.transaction = jest.fn(async (callback) => callback(client));
+    db.transaction.client = client;
+
+    userToken = jwt.sign({ id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    adminToken = jwt.sign(
+      { id: 1, email: 'admin@example.com', role: 'admin', roles: ['user', 'admin'] },
+      process.env.JWT_SECRET
+    );
+  });
+
+  describe('POST /api/me/wallet/top-ups', () => {
+    it('should create a payment intent and a pending top-up', async () => {
+      const response = await request(app)
+        .post('/api/me/wallet/top-ups')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ amount: 25 })
+        .expect(201);
+
+      const { topUp, payment } = response.body.data;
+      expect(topUp).toMatchObject({ id: 1, amount: 25, currency: 'EUR', provider: 'fake', status: 'pending', transactionId: null });
+      expect(payment).toEqual({ provider: 'fake', intentId: expect.stringMatching(/^pi_/), clientSecret: expect.any(String) });
+      expect(await provider.getIntent(payment.intentId)).toMatchObject({ status: 'pending', amount: '25.00' });
+      expect(state.balances[5]).toBe('10.00');
+    });
+
+    it('should refuse amounts outside the allowed range', async () => {
+      const response = await request(app)
+        .post('/api/me/wallet/top-ups')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ amount: 1000 })
+        .expect(400);
+
+      expect(response.body.data).toEqual({ min: topUpService.MIN_AMOUNT, max: topUpService.MAX_AMOUNT });
+      expect(state.topUps).toHaveLength(0);
+    });
+
+    it('should validate the amount', async () => {
+      await request(app)
+        .post('/api/me/wallet/top-ups')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ amount: '12.345' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/me/wallet/top-ups', () => {
+    it('should list the user\'s top-ups', async () => {
+      await pendingTopUp();
+
+      const response = await request(app)
+        .get('/api/me/wallet/top-ups?status=pending')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.topUps).toHaveLength(1);
+      expect(response.body.data.pagination.total).toBe(1);
+      const [sql, values] = db.query.mock.calls.find(([text]) => text.includes('ORDER BY created_at DESC'));
+      expect(sql).toContain('status = $2');
+      expect(values).toEqual([2, 'pending', 20, 0]);
+    });
+
+    it('should return 404 for someone else\'s top-up', async () => {
+      const otherToken = jwt.sign({ id: 3, email: 'bob@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+      await pendingTopUp();
+
+      await request(app)
+        .get('/api/me/wallet/top-ups/1')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    it('should credit the wallet when the payment succeeds', async () => {
+      const topUp = await pendingTopUp();
+
+      await deliver(provider.complete(topUp.provider_intent_id)).expect(200);
+
+      expect(topUp.status).toBe('succeeded');
+      expect(topUp.transaction_id).toBe('41');
+      expect(state.balances[5]).toBe('35.00');
+      expect(ledgerPosts()).toEqual([['top_up', '1', 'Top-up via fake', null]]);
+    });
+
+    it('should handle each provider event once', async () => {
+      const topUp = await pendingTopUp();
+      const webhook = provider.complete(topUp.provider_intent_id);
+
+      await deliver(webhook).expect(200);
+      const response = await deliver(webhook).expect(200);
+
+      expect(response.body.message).toBe('Event already processed');
+      expect(state.balances[5]).toBe('35.00');
+    });
+
+    it('should not credit twice for different events about the same payment', async () => {
+      const topUp = await pendingTopUp();
+
+      await deliver(provider.complete(topUp.provider_intent_id)).expect(200);
+      await deliver(provider.complete(topUp.provider_intent_id)).expect(200);
+
+      expect(ledgerPosts()).toHaveLength(1);
+      expect(state.balances[5]).toBe('35.00');
+    });
+
+    it('should close the top-up when the payment fails', async () => {
+      const topUp = await pendingTopUp();
+
+      await deliver(provider.complete(topUp.provider_intent_id, 'failed')).expect(200);
+
+      expect(topUp.status).toBe('failed');
+      expect(ledgerPosts()).toHaveLength(0);
+    });
+
+    it('should reject a bad signature', async () => {
+      const topUp = await pendingTopUp();
+      const webhook = provider.complete(topUp.provider_intent_id);
+
+      const response = await deliver({
+        rawBody: webhook.rawBody.replace('payment.succeeded', 'payment.failed'),
+        headers: webhook.headers
+      }).expect(400);
+
+      expect(response.body.message).toBe('Invalid webhook signature');
+      expect(state.webhookEvents).toHaveLength(0);
+      expect(topUp.status).toBe('pending');
+    });
+
+    it('should reject a webhook signed by someone else', async () => {
+      const topUp = await pendingTopUp();
+      const forger = createFakeProvider({ secret: 'guessed' });
+      const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { intentId: topUp.provider_intent_id } });
+
+      await deliver({ rawBody, headers: { 'x-fake-signature': forger.sign(rawBody) } }).expect(400);
+    });
+
+    it('should reject an old signature', async () => {
+      const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { intentId: 'pi_1' } });
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+      await deliver({ rawBody, headers: { 'x-fake-signature': provider.sign(rawBody, tenMinutesAgo) } }).expect(400);
+    });
+
+    it('should accept events for unknown intents without changing anything', async () => {
+      const rawBody = JSON.stringify({ id: 'evt_9', type: 'payment.succeeded', data: { intentId: 'pi_unknown' } });
+
+      await deliver({ rawBody, headers: { 'x-fake-signature': provider.sign(rawBody) } }).expect(200);
+
+      expect(ledgerPosts()).toHaveLength(0);
+    });
+  });
+
+  describe('refunds', () => {
+    const refund = () => request(app)
+      .post('/api/admin/users/2/wallet/top-ups/1/refund')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    let topUp;
+
+    beforeEach(async () => {
+      topUp = await pendingTopUp();
+      provider.complete(topUp.provider_intent_id);
+      Object.assign(topUp, { status: 'succeeded', transaction_id: '30' });
+      state.balances[5] = '35.00';
+    });
+
+    it('should take the money out of the wallet and ask the provider for a refund', async () => {
+      const response = await refund().expect(200);
+
+      expect(response.body.message).toBe('Refund requested from the payment provider');
+      expect(response.body.data).toMatchObject({ status: 'refund_pending', refundTransactionId: 41 });
+      expect(topUp.provider_refund_id).toMatch(/^re_/);
+      expect(state.balances[5]).toBe('10.00');
+      expect(ledgerPosts()).toEqual([['top_up_refund', '1', 'Top-up refund via fake', 1]]);
+    });
+
+    it('should finish the refund when the provider confirms it', async () => {
+      await refund().expect(200);
+
+      await deliver(provider.settleRefund(topUp.provider_refund_id)).expect(200);
+
+      expect(topUp.status).toBe('refunded');
+      expect(state.balances[5]).toBe('10.00');
+    });
+
+    it('should put the money back when the provider refuses the refund later', async () => {
+      await refund().expect(200);
+
+      await deliver(provider.settleRefund(topUp.provider_refund_id, 'failed')).expect(200);
+
+      expect(topUp.status).toBe('succeeded');
+      expect(state.balances[5]).toBe('35.00');
+      expect(ledgerPosts().map(([reason]) => reason)).toEqual(['top_up_refund', 'top_up_refund_reversal']);
+    });
+
+    it('should put the money back when the provider declines the refund', async () => {
+      jest.spyOn(provider, 'refund').mockRejectedValue(Object.assign(new Error('card expired'), { declined: true }));
+
+      await refund().expect(502);
+
+      expect(topUp.status).toBe('succeeded');
+      expect(state.balances[5]).toBe('35.00');
+    });
+
+    it('should not put the money back when the provider fails after applying the refund', async () => {
+      const applyRefund = provider.refund;
+      jest.spyOn(provider, 'refund').mockImplementationOnce(async (params) => {
+        await applyRefund(params);
+        throw new Error('socket hang up');
+      });
+
+      const response = await refund().expect(200);
+
+      expect(response.body.data).toMatchObject({ status: 'refund_pending' });
+      expect(topUp.provider_refund_id).toBeNull();
+      expect(state.balances[5]).toBe('10.00');
+      expect(ledgerPosts().map(([reason]) => reason)).toEqual(['top_up_refund']);
+
+      // Reconciliation asks again under the same reference and gets the same refund
+      const outcome = await topUpService.reconcilePending();
+
+      expect(outcome.refundRequested).toEqual([1]);
+      expect(provider.refund).toHaveBeenLastCalledWith(expect.objectContaining({ reference: 'top-up:1' }));
+      expect(topUp.provider_refund_id).toMatch(/^re_/);
+
+      await deliver(provider.settleRefund(topUp.provider_refund_id)).expect(200);
+
+      expect(topUp.status).toBe('refunded');
+      expect(state.balances[5]).toBe('10.00');
+    });
+
+    it('should refuse when the wallet no longer holds the amount', async () => {
+      state.balances[5] = '5.00';
+
+      const response = await refund().expect(409);
+
+      expect(response.body.message).toBe('The wallet no longer holds the top-up amount');
+      expect(topUp.status).toBe('succeeded');
+    });
+
+    it('should only refund completed top-ups', async () => {
+      topUp.status = 'refunded';
+
+      await refund().expect(409);
+      expect(ledgerPosts()).toHaveLength(0);
+    });
+  });
+
+  describe('topUpService.reconcilePending', () => {
+    it('should settle old pending top-ups from the provider\'s answer', async () => {
+      const paid = await pendingTopUp({ id: '1' });
+      const declined = await pendingTopUp({ id: '2' });
+      const waiting = await pendingTopUp({ id: '3' });
+      const recent = await pendingTopUp({ id: '4', created_at: new Date().toISOString() });
+      provider.complete(paid.provider_intent_id);
+      provider.complete(declined.provider_intent_id, 'failed');
+      provider.complete(recent.provider_intent_id);
+
+      const outcome = await topUpService.reconcilePending();
+
+      expect(outcome).toEqual({ succeeded: [1], failed: [2], expired: [], refundRequested: [], refundDeclined: [] });
+      expect(state.balances[5]).toBe('35.00');
+      expect(waiting.status).toBe('pending');
+      expect(recent.status).toBe('pending');
+    });
+
+    it('should cancel and expire top-ups unpaid for too long', async () => {
+      const stale = await pendingTopUp({
+        created_at: new Date(Date.now() - (topUpService.EXPIRE_AFTER_HOURS * 60 + 1) * MINUTE_MS).toISOString()
+      });
+
+      const outcome = await topUpService.reconcilePending();
+
+      expect(outcome.expired).toEqual([1]);
+      expect(stale.status).toBe('expired');
+      expect(await provider.getIntent(stale.provider_intent_id)).toMatchObject({ status: 'cancelled' });
+    });
+
+    it('should still credit a payment that succeeds after expiring', async () => {
+      const topUp = await pendingTopUp({ status: 'expired' });
+
+      await deliver(provider.complete(topUp.provider_intent_id)).expect(200);
+
+      expect(topUp.status).toBe('succeeded');
+      expect(state.balances[5]).toBe('35.00');
+    });
+  });
+
+  describe('POST /api/payments/fake/intents/:intentId/complete', () => {
+    it('should pay a fake intent through the signed webhook', async () => {
+      const topUp = await pendingTopUp();
+
+      const response = await request(app)
+        .post(`/api/payments/fake/intents/${topUp.provider_intent_id}/complete`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: 1, status: 'succeeded' });
+      expect(state.balances[5]).toBe('35.00');
+    });
+
+    it('should not exist for real providers', async () => {
+      payments.setProvider({ ...provider, name: 'acme' });
+
+      await request(app)
+        .post('/api/payments/fake/intents/pi_1/complete')
+        .send({})
+        .expect(404);
+    });
+  });
+});
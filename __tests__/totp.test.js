@@ -0,0 +1,96 @@
+const totp = require('../services/totp');
+const encryption = require('../services/encryption');
+
+// RFC 6238 appendix B seed for SHA-1
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generate', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('should match RFC 6238 vector at T=%i', (seconds, expected) => {
+      expect(totp.generate(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+  });
+
+  describe('verify', () => {
+    const now = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(totp.verify(RFC_SECRET, '081804', { time: now })).toBe(Math.floor(now / 30000));
+    });
+
+    it('should accept codes one step either side', () => {
+      const previous = totp.generate(RFC_SECRET, now - 30000);
+      const next = totp.generate(RFC_SECRET, now + 30000);
+
+      expect(totp.verify(RFC_SECRET, previous, { time: now })).not.toBeNull();
+      expect(totp.verify(RFC_SECRET, next, { time: now })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = totp.generate(RFC_SECRET, now - 90000);
+      expect(totp.verify(RFC_SECRET, old, { time: now })).toBeNull();
+    });
+
+    it('should reject steps at or before afterStep (replay)', () => {
+      const step = Math.floor(now / 30000);
+      expect(totp.verify(RFC_SECRET, '081804', { time: now, afterStep: step })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verify(RFC_SECRET, 'abcdef', { time: now })).toBeNull();
+      expect(totp.verify(RFC_SECRET, '12345', { time: now })).toBeNull();
+      expect(totp.verify(RFC_SECRET, undefined, { time: now })).toBeNull();
+    });
+  });
+
+  describe('otpauthUri', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = totp.otpauthUri({
+        secret: 'JBSWY3DPEHPK3PXP',
+        accountName: 'user@example.com',
+        issuer: 'Velivolant',
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Velivolant%3Auser%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Velivolant');
+    });
+  });
+});
+
+describe('encryption', () => {
+  it('should round-trip secrets', () => {
+    const payload = encryption.encrypt('JBSWY3DPEHPK3PXP');
+
+    expect(payload).not.toContain('JBSWY3DPEHPK3PXP');
+    expect(encryption.decrypt(payload)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('should use a fresh IV for every encryption', () => {
+    expect(encryption.encrypt('same')).not.toBe(encryption.encrypt('same'));
+  });
+
+  it('should reject tampered ciphertext', () => {
+    const [iv, tag, data] = encryption.encrypt('secret').split('.');
+    const tampered = Buffer.from(data, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => encryption.decrypt([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+  });
+});
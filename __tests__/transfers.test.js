@@ -0,0 +1,341 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+const redisClient = require('../redisClient');
+const transferService = require('../services/transferService');
+
+describe('Wallet transfers', () => {
+  let app;
+  let client;
+  let userToken;
+  let state;
+
+  // Fake database for one transfer: sender jane (account 5), recipient bob (account 8)
+  const transferClient = () => ({
+    query: jest.fn(async (sql, values) => {
+      if (sql.includes('WHERE a.user_id = $1')) {
+        return { rows: state.sender ? [{ account_id: 5, username: 'jane' }] : [] };
+      }
+      if (sql.includes('t.idempotency_key = $2')) {
+        return { rows: state.existing ? [state.existing] : [] };
+      }
+      if (sql.includes('WHERE u.username = $1')) {
+        const users = { bob: { account_id: 8, id: 3, username: 'bob', email: 'bob@example.com' }, jane: { account_id: 5 } };
+        return { rows: users[values[0]] ? [users[values[0]]] : [] };
+      }
+      if (sql.includes('FROM wallet_transfers') && sql.includes('INTERVAL')) {
+        return { rows: [{ total: state.usedToday, count: state.countToday }] };
+      }
+      if (sql.includes('INSERT INTO wallet_transactions')) {
+        return { rows: [{ id: '41', reason: values[0], created_at: '2026-11-06T20:00:00.000Z' }] };
+      }
+      if (sql.includes('UPDATE accounts SET balance')) {
+        const [amount, accountId] = values;
+        const balance = (parseFloat(state.balances[accountId]) + parseFloat(amount)).toFixed(2);
+        if (parseFloat(balance) < 0) {
+          throw Object.assign(new Error('check_balance_positive'), { code: '23514', constraint: 'check_balance_positive' });
+        }
+        state.balances[accountId] = balance;
+        return { rows: [{ balance }] };
+      }
+      if (sql.includes('INSERT INTO ledger_entries')) {
+        return { rows: [{ id: '90' }] };
+      }
+      if (sql.includes('INSERT INTO wallet_transfers')) {
+        return {
+          rows: [{
+            id: '12',
+            amount: values[2],
+            note: values[3],
+            recipient_account_id: values[1],
+            transaction_id: values[5],
+            created_at: '2026-11-06T20:00:00.000Z'
+          }]
+        };
+      }
+      return { rows: [] };
+    })
+  });
+
+  const send = (body, key = 'key-1') => {
+    const req = request(app)
+      .post('/api/me/wallet/transfers')
+      .set('Authorization', `Bearer ${userToken}`);
+    return (key ? req.set('Idempotency-Key', key) : req).send(body);
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    state = { sender: true, existing: null, usedToday: '0', countToday: '0', balances: { 5: '40.00', 8: '3.00' } };
+    client = transferClient();
+    db.transaction = jest.fn(async (callback) => callback(client));
+    redisClient.get.mockResolvedValue(null);
+
+    userToken = jwt.sign({ id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+  });
+
+  describe('POST /api/me/wallet/transfers', () => {
+    it('should move the money in one serializable transaction', async () => {
+      const response = await send({ recipient: 'bob', amount: 12.5, note: 'Pizza' }).expect(201);
+
+      expect(response.body.data).toEqual({
+        id: 12,
+        amount: 12.5,
+        note: 'Pizza',
+        recipient: { accountId: 8, username: 'bob' },
+        transactionId: 41,
+        balance: 27.5,
+        createdAt: '2026-11-06T20:00:00.000Z'
+      });
+      expect(state.balances).toEqual({ 5: '27.50', 8: '15.50' });
+      expect(db.transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'SERIALIZABLE' });
+
+      const [, values] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO wallet_transfers'));
+      expect(values).toEqual([5, 8, '12.50', 'Pizza', 'key-1', 41]);
+      expect(mailer.send).toHaveBeenCalledWith(
+        'transferReceived',
+        'bob@example.com',
+        { username: 'bob', sender: 'jane', amount: '12.50', note: 'Pizza' },
+        client
+      );
+    });
+
+    it('should replay a retried request instead of paying twice', async () => {
+      state.existing = {
+        id: '12',
+        amount: '12.50',
+        note: 'Pizza',
+        recipient_account_id: 8,
+        recipient_username: 'bob',
+        transaction_id: '41',
+        balance_after: '27.50',
+        created_at: '2026-11-06T20:00:00.000Z'
+      };
+
+      const response = await send({ recipient: 'bob', amount: 12.5, note: 'Pizza' }).expect(200);
+
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.body.data).toMatchObject({ id: 12, amount: 12.5, balance: 27.5 });
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE accounts'))).toBe(false);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to reuse a key for a different transfer', async () => {
+      state.existing = { id: '12', amount: '12.50', note: null, recipient_username: 'bob' };
+
+      await send({ recipient: 'bob', amount: 20 }).expect(422);
+    });
+
+    it('should replay when a concurrent request with the same key won', async () => {
+      let attempts = 0;
+      db.transaction = jest.fn(async (callback) => {
+        attempts += 1;
+        if (attempts === 1) {
+          throw Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'wallet_transfers_idempotency_key' });
+        }
+        state.existing = {
+          id: '12', amount: '5.00', note: null, recipient_account_id: 8, recipient_username: 'bob',
+          transaction_id: '41', balance_after: '35.00', created_at: '2026-11-06T20:00:00.000Z'
+        };
+        return callback(client);
+      });
+
+      const response = await send({ recipient: 'bob', amount: 5 }).expect(200);
+
+      expect(attempts).toBe(2);
+      expect(response.body.data.id).toBe(12);
+    });
+
+    it('should retry serialization failures', async () => {
+      let attempts = 0;
+      db.transaction = jest.fn(async (callback) => {
+        attempts += 1;
+        if (attempts < 3) {
+          throw Object.assign(new Error('could not serialize access'), { code: '40001' });
+        }
+        return callback(client);
+      });
+
+      await send({ recipient: 'bob', amount: 5 }).expect(201);
+      expect(attempts).toBe(3);
+    });
+
+    it('should give up after repeated serialization failures', async () => {
+      db.transaction = jest.fn().mockRejectedValue(Object.assign(new Error('could not serialize access'), { code: '40001' }));
+
+      await send({ recipient: 'bob', amount: 5 }).expect(500);
+      expect(db.transaction).toHaveBeenCalledTimes(3);
+    });
+
+    it('should return 402 and roll back on insufficient balance', async () => {
+      state.balances[5] = '4.00';
+
+      const response = await send({ recipient: 'bob', amount: 5 }).expect(402);
+
+      expect(response.body.message).toBe('Insufficient balance');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO wallet_transfers'))).toBe(false);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the daily amount limit', async () => {
+      state.usedToday = '495.00';
+
+      const response = await send({ recipient: 'bob', amount: 10 }).expect(429);
+
+      expect(response.body.data).toEqual({ dailyLimit: 500, remainingToday: 5 });
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE accounts'))).toBe(false);
+    });
+
+    it('should enforce the daily transfer count', async () => {
+      state.countToday = '20';
+
+      const response = await send({ recipient: 'bob', amount: 1 }).expect(429);
+
+      expect(response.body.message).toBe('You can make at most 20 transfers a day');
+    });
+
+    it('should reject unknown recipients and yourself', async () => {
+      await send({ recipient: 'nobody', amount: 1 }).expect(404);
+      await send({ recipient: 'jane', amount: 1 }).expect(400);
+    });
+
+    it('should require an Idempotency-Key header', async () => {
+      const response = await send({ recipient: 'bob', amount: 1 }, null).expect(400);
+
+      expect(response.body.errors[0].message).toBe('Idempotency-Key header is required');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should validate the amount', async () => {
+      await send({ recipient: 'bob', amount: 0 }).expect(400);
+      await send({ recipient: 'bob', amount: 1.005 }).expect(400);
+      await send({ recipient: 'bob', amount: 'ten' }).expect(400);
+    });
+
+    it('should require a PIN confirmation for large transfers', async () => {
+      const response = await send({ recipient: 'bob', amount: 50 }).expect(403);
+
+      expect(response.body.code).toBe('PIN_REQUIRED');
+      expect(redisClient.get).toHaveBeenCalledWith('pin:confirmed:user:2');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should send large transfers after a PIN confirmation', async () => {
+      redisClient.get.mockResolvedValue('1');
+      state.balances[5] = '100.00';
+
+      await send({ recipient: 'bob', amount: 50 }).expect(201);
+    });
+
+    it('should return 404 without an account', async () => {
+      state.sender = false;
+
+      await send({ recipient: 'bob', amount: 1 }).expect(404);
+    });
+
+    it('should let the frontend send the Idempotency-Key header', async () => {
+      const response = await request(app)
+        .options('/api/me/wallet/transfers')
+        .set('Origin', 'http://localhost:8080')
+        .set('Access-Control-Request-Method', 'POST')
+        .set('Access-Control-Request-Headers', 'authorization,content-type,idempotency-key')
+        .expect(204);
+
+      expect(response.headers['access-control-allow-headers']).toContain('Idempotency-Key');
+      expect(response.headers['access-control-allow-origin']).toBe('http://localhost:8080');
+    });
+
+    it('should let the frontend read Idempotent-Replayed', async () => {
+      const response = await send({ recipient: 'bob', amount: 12.5 })
+        .set('Origin', 'http://localhost:8080')
+        .expect(201);
+
+      expect(response.headers['access-control-expose-headers']).toContain('Idempotent-Replayed');
+    });
+  });
+
+  describe('GET /api/me/wallet/transfer-limits', () => {
+    it('should report what is left today', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '120.25', count: '3' }] });
+
+      const response = await request(app)
+        .get('/api/me/wallet/transfer-limits')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        dailyLimit: 500,
+        dailyCount: 20,
+        usedToday: 120.25,
+        transfersToday: 3,
+        remainingToday: 379.75,
+        pinThreshold: 50
+      });
+    });
+  });
+
+  describe('transferService.loadPinThreshold', () => {
+    it('should read the configured threshold', () => {
+      expect(transferService.loadPinThreshold('100')).toBe(100);
+      expect(transferService.loadPinThreshold('0')).toBe(0);
+    });
+
+    it('should fall back to the default rather than turn the PIN check off', () => {
+      expect(transferService.loadPinThreshold(undefined)).toBe(50);
+      expect(transferService.loadPinThreshold('')).toBe(50);
+      expect(transferService.loadPinThreshold('fifty')).toBe(50);
+    });
+  });
+});
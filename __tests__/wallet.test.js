@@ -0,0 +1,408 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn(),
+  pool: { totalCount: 0 }
+}));
+
+jest.mock('../logger/winstonConfig', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../redisClient', () => ({
+  get: jest.fn(),
+  setex: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn(),
+  on: jest.fn(),
+}));
+
+jest.mock('../mailer', () => ({
+  send: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('morgan', () => {
+  const morganMock = jest.fn(() => (req, res, next) => next());
+  morganMock.token = jest.fn();
+  return morganMock;
+});
+
+jest.mock('../logger/performanceMiddleware', () => {
+  return (req, res, next) => next();
+});
+
+const db = require('../db/postgres');
+const ledgerService = require('../services/ledgerService');
+
+const overdraft = () => Object.assign(
+  new Error('new row for relation "accounts" violates check constraint "check_balance_positive"'),
+  { code: '23514', constraint: 'check_balance_positive' }
+);
+
+describe('Wallet ledger', () => {
+  let app;
+  let client;
+  let userToken;
+  let adminToken;
+  let balances;
+
+  // Fake ledger writes: balances move, ids count up
+  const ledgerClient = () => {
+    let nextId = 90;
+    return {
+      query: jest.fn(async (sql, values) => {
+        if (sql.includes('INSERT INTO wallet_transactions')) {
+          return {
+            rows: [{
+              id: '41',
+              reason: values[0],
+              reference: values[1],
+              description: values[2],
+              created_by: values[3],
+              created_at: '2026-11-06T20:00:00.000Z'
+            }]
+          };
+        }
+        if (sql.includes('UPDATE accounts SET balance')) {
+          const [amount, accountId] = values;
+          const balance = (parseFloat(balances[accountId]) + parseFloat(amount)).toFixed(2);
+          if (parseFloat(balance) < 0) {
+            throw overdraft();
+          }
+          balances[accountId] = balance;
+          return { rows: [{ balance }] };
+        }
+        if (sql.includes('INSERT INTO ledger_entries')) {
+          nextId += 1;
+          return { rows: [{ id: String(nextId) }] };
+        }
+        return { rows: [] };
+      })
+    };
+  };
+
+  const entryRow = (overrides = {}) => ({
+    id: '91',
+    transaction_id: '41',
+    amount: '25.00',
+    balance_after: '37.50',
+    created_at: '2026-11-06T20:00:00.000Z',
+    reason: 'adjustment',
+    reference: null,
+    description: 'Goodwill credit',
+    counterparty_account_id: null,
+    counterparty_system: 'adjustments',
+    counterparty_username: null,
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.NODE_ENV = 'test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../app.js')];
+    app = require('../app.js');
+
+    balances = { 5: '12.50', 8: '3.00' };
+    client = ledgerClient();
+    db.transaction = jest.fn(async (callback) => callback(client));
+
+    userToken = jwt.sign({ id: 2, email: 'jane@example.com', role: 'user', roles: ['user'] }, process.env.JWT_SECRET);
+    adminToken = jwt.sign(
+      { id: 1, email: 'admin@example.com', role: 'admin', roles: ['user', 'admin'] },
+      process.env.JWT_SECRET
+    );
+  });
+
+  describe('ledgerService.post', () => {
+    it('should write a balanced pair of entries and move both balances', async () => {
+      const transaction = await ledgerService.post(client, {
+        from: { accountId: 8 },
+        to: { accountId: 5 },
+        amount: 1.1,
+        reason: 'transfer',
+        reference: 77
+      });
+
+      expect(transaction).toMatchObject({
+        id: 41,
+        reason: 'transfer',
+        reference: '77',
+        amount: 1.1,
+        entries: [
+          { id: 91, accountId: 8, systemAccount: null, amount: -1.1, balanceAfter: 1.9 },
+          { id: 92, accountId: 5, systemAccount: null, amount: 1.1, balanceAfter: 13.6 }
+        ]
+      });
+      expect(balances).toEqual({ 5: '13.60', 8: '1.90' });
+
+      const entries = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ledger_entries'));
+      expect(entries.map(([, values]) => values[3])).toEqual(['-1.10', '1.10']);
+    });
+
+    it('should lock balances in account order', async () => {
+      await ledgerService.post(client, { from: { accountId: 8 }, to: { accountId: 5 }, amount: 1, reason: 'transfer' });
+
+      const updates = client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE accounts'));
+      expect(updates.map(([, values]) => values[1])).toEqual([5, 8]);
+    });
+
+    it('should leave system accounts without a balance', async () => {
+      const transaction = await ledgerService.post(client, {
+        from: { system: 'adjustments' },
+        to: { accountId: 5 },
+        amount: 25,
+        reason: 'adjustment'
+      });
+
+      expect(transaction.entries[0]).toEqual({
+        id: 91, accountId: null, systemAccount: 'adjustments', amount: -25, balanceAfter: null
+      });
+      expect(client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE accounts'))).toHaveLength(1);
+    });
+
+    it('should surface overdrafts as check_balance_positive violations', async () => {
+      const posting = ledgerService.post(client, {
+        from: { accountId: 8 },
+        to: { system: 'adjustments' },
+        amount: 5,
+        reason: 'adjustment'
+      });
+
+      await expect(posting).rejects.toMatchObject({ code: '23514' });
+      await posting.catch((error) => expect(ledgerService.isInsufficientFunds(error)).toBe(true));
+    });
+
+    it('should reject non-positive amounts and self transfers', async () => {
+      await expect(ledgerService.post(client, {
+        from: { system: 'adjustments' }, to: { accountId: 5 }, amount: 0, reason: 'adjustment'
+      })).rejects.toThrow('Ledger amount must be positive');
+
+      await expect(ledgerService.post(client, {
+        from: { accountId: 5 }, to: { accountId: 5 }, amount: 1, reason: 'transfer'
+      })).rejects.toThrow('two different accounts');
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/me/wallet/transactions', () => {
+    it('should list the user\'s entries with their counterparty', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({
+          rows: [entryRow({ amount: '-4.00', counterparty_account_id: 8, counterparty_system: null, counterparty_username: 'bob' })]
+        });
+
+      const response = await request(app)
+        .get('/api/me/wallet/transactions?reason=transfer&limit=10')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries).toEqual([{
+        id: 91,
+        transactionId: 41,
+        direction: 'debit',
+        amount: -4,
+        balanceAfter: 37.5,
+        reason: 'adjustment',
+        reference: null,
+        description: 'Goodwill credit',
+        counterparty: { type: 'account', accountId: 8, username: 'bob' },
+        createdAt: '2026-11-06T20:00:00.000Z'
+      }]);
+      expect(response.body.data.pagination).toMatchObject({ page: 1, limit: 10, total: 1 });
+
+      const [sql, values] = db.query.mock.calls[2];
+      expect(sql).toContain('ORDER BY e.id DESC');
+      expect(values).toEqual([5, 'transfer', 10, 0]);
+    });
+
+    it('should return 404 without an account', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/me/wallet/transactions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+
+    it('should reject an inverted date range', async () => {
+      await request(app)
+        .get('/api/me/wallet/transactions?from=2026-11-02T00:00:00Z&to=2026-11-01T00:00:00Z')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/me/wallet/transactions').expect(401);
+    });
+  });
+
+  describe('GET /api/me/wallet/statement', () => {
+    it('should total the period and derive the closing balance', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ opening: '12.50', credits: '25.00', debits: '0.10' }] })
+        .mockResolvedValueOnce({ rows: [entryRow()] });
+
+      const response = await request(app)
+        .get('/api/me/wallet/statement?from=2026-11-01T00:00:00Z&to=2026-12-01T00:00:00Z')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        from: '2026-11-01T00:00:00.000Z',
+        to: '2026-12-01T00:00:00.000Z',
+        openingBalance: 12.5,
+        credits: 25,
+        debits: 0.1,
+        closingBalance: 37.4
+      });
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(db.query.mock.calls[2][0]).toContain('ORDER BY e.created_at, e.id');
+    });
+
+    it('should default to the last 30 days', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ account_id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ opening: '0', credits: '0', debits: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/me/wallet/statement')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const [, [, from, to]] = db.query.mock.calls[1];
+      expect(to - from).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject periods longer than a year', async () => {
+      await request(app)
+        .get('/api/me/wallet/statement?from=2024-01-01T00:00:00Z&to=2026-01-01T00:00:00Z')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should read the balance from the ledger', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 2, email: 'jane@example.com', account_id: 5, balance: '37.50', roles: ['user'] }]
+      });
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.balance).toBe(37.5);
+      expect(db.query.mock.calls[0][0]).toContain('FROM ledger_entries le');
+      expect(db.query.mock.calls[0][0]).not.toContain('a.balance');
+    });
+  });
+
+  describe('admin wallets', () => {
+    const userRow = { id: 2, username: 'jane', email: 'jane@example.com', account_id: 5, balance: '12.50', roles: ['user'] };
+
+    it('should credit a wallet against the adjustments account and audit it', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/wallet/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 25, description: 'Goodwill credit' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        reason: 'adjustment',
+        description: 'Goodwill credit',
+        createdBy: 1,
+        entries: [
+          { systemAccount: 'adjustments', amount: -25 },
+          { accountId: 5, amount: 25, balanceAfter: 37.5 }
+        ]
+      });
+
+      const [audit] = client.query.mock.calls.filter(([sql]) => sql.includes('admin_audit_log'));
+      expect(audit[1].slice(0, 3)).toEqual([1, 'wallet.adjust', 2]);
+      expect(JSON.parse(audit[1][3])).toEqual({ amount: 25, description: 'Goodwill credit', transactionId: 41 });
+    });
+
+    it('should debit with a negative amount', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/wallet/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: -2.5, description: 'Duplicate credit' })
+        .expect(201);
+
+      expect(response.body.data.entries).toEqual([
+        expect.objectContaining({ accountId: 5, amount: -2.5, balanceAfter: 10 }),
+        expect.objectContaining({ systemAccount: 'adjustments', amount: 2.5 })
+      ]);
+    });
+
+    it('should refuse to overdraw the wallet', async () => {
+      db.query.mockResolvedValueOnce({ rows: [userRow] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/wallet/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: -20, description: 'Chargeback' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Adjustment would make the balance negative');
+    });
+
+    it('should validate the adjustment', async () => {
+      for (const body of [{ amount: 0, description: 'x' }, { amount: 1.234, description: 'x' }, { amount: 5 }]) {
+        await request(app)
+          .post('/api/admin/users/2/wallet/adjustments')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(body)
+          .expect(400);
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should list a user\'s wallet history', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [userRow] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] })
+        .mockResolvedValueOnce({ rows: [entryRow()] });
+
+      const response = await request(app)
+        .get('/api/admin/users/2/wallet/transactions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.balance).toBe(12.5);
+      expect(response.body.data.entries[0].counterparty).toEqual({ type: 'system', name: 'adjustments' });
+    });
+
+    it('should only be available to admins', async () => {
+      await request(app)
+        .post('/api/admin/users/2/wallet/adjustments')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ amount: 25, description: 'Free money' })
+        .expect(403);
+    });
+  });
+});
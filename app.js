@@ -11,8 +11,19 @@ const {
   performanceMiddleware,
 } = require('.');
 
+const mailer = require('./mailer');
+const eventScheduler = require('./services/eventScheduler');
+const eventStream = require('./services/eventStream');
+const topUpReconciler = require('./services/topUpReconciler');
+
 // Import routes
 const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const identityRoutes = require('./routes/identity');
+const eventRoutes = require('./routes/events');
+const meRoutes = require('./routes/me');
+const safetyRoutes = require('./routes/safety');
+const paymentRoutes = require('./routes/payments');
 
 const app = express();
 
@@ -44,14 +55,29 @@ const corsMiddleware = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  // Wallet transfers require Idempotency-Key and mark replays with Idempotent-Replayed
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  // None of these is CORS-safelisted; the frontend reads the rate limit ones on a 429
+  exposedHeaders: [
+    'Idempotent-Replayed',
+    'Retry-After',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy'
+  ]
 });
 
 app.use(corsMiddleware);
 app.options('*', corsMiddleware);
 
 // Apply middleware
-app.use(express.json());
+// Keep the raw body: payment webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieMiddleware);
 app.use(sessionMiddleware);
@@ -63,6 +89,24 @@ app.use(performanceMiddleware);
 // Mount auth routes
 app.use('/api/auth', authRoutes);
 
+// Mount admin routes
+app.use('/api/admin', adminRoutes);
+
+// Mount identity verification routes
+app.use('/api/identity', identityRoutes);
+
+// Mount event routes
+app.use('/api/events', eventRoutes);
+
+// Mount current-user routes
+app.use('/api/me', meRoutes);
+
+// Mount safety alert routes
+app.use('/api/safety', safetyRoutes);
+
+// Mount payment provider routes
+app.use('/api/payments', paymentRoutes);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -77,7 +121,7 @@ app.get(
   '/api/data',
   authMiddleware.verifyToken,
   loggingMiddleware.routeLogger('info'),
-  cacheMiddleware.cache(300),
+  cacheMiddleware.cache(300, { scope: 'user' }),
   (req, res) => {
     logger.info('Fetching data for user', { userId: req.user.id });
     res.json({ data: 'Success' });
@@ -107,7 +151,10 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('Server is shutting down');
-  // ... cleanup code ...
+  mailer.stop();
+  eventScheduler.stop();
+  topUpReconciler.stop();
+  eventStream.close();
   process.exit(0);
 });
 
@@ -116,6 +163,16 @@ module.exports = app;
 // Start server if this file is run directly (e.g., `node app.js`)
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
+
+  // Deliver queued email in the background
+  mailer.start();
+
+  // Start and end events on schedule
+  eventScheduler.start();
+
+  // Settle top-ups whose payment webhook never arrived
+  topUpReconciler.start();
+
   app.listen(PORT, () => {
     logger.info(`API server listening on port ${PORT}`, {
       port: PORT,
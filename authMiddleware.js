@@ -1,37 +1,104 @@
 const jwt = require('jsonwebtoken');
+const sessionStore = require('./services/sessionStore');
+const roleService = require('./services/roleService');
+const pinService = require('./services/pinService');
 
 const authMiddleware = {
   // Verify JWT token
-  verifyToken: (req, res, next) => {
+  verifyToken: async (req, res, next) => {
     const token = req.cookies.token || req.headers['authorization']?.split(' ')[1];
 
     if (!token) {
       return res.status(401).json({ message: 'No token provided' });
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       return res.status(401).json({ message: 'Invalid token' });
     }
+
+    // Only access tokens grant access (e.g. not pending-MFA tokens)
+    if (decoded.typ && decoded.typ !== 'access') {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    // Reject access tokens whose session was logged out or revoked
+    if (decoded.sid) {
+      try {
+        if (await sessionStore.isRevoked(decoded.sid)) {
+          return res.status(401).json({ message: 'Session revoked' });
+        }
+      } catch (error) {
+        console.error('Session Revocation Check Error:', error);
+      }
+    }
+
+    req.user = decoded;
+    next();
   },
 
-  // Check user role
+  // Check user role (any of the given roles)
   checkRole: (roles) => {
     return (req, res, next) => {
       if (!req.user) {
         return res.status(401).json({ message: 'Unauthorized' });
       }
 
-      if (!roles.includes(req.user.role)) {
+      const userRoles = req.user.roles || [req.user.role];
+      if (!roles.some((role) => userRoles.includes(role))) {
         return res.status(403).json({ message: 'Forbidden' });
       }
 
       next();
     };
   },
+
+  // Check user permissions (all of the given permissions, e.g. 'events:write')
+  requirePermission: (...permissions) => {
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Unauthorized' });
+      }
+
+      let granted;
+      try {
+        granted = await roleService.getPermissions(req.user.roles || [req.user.role]);
+      } catch (error) {
+        console.error('Permission Check Error:', error);
+        return res.status(500).json({ message: 'Authorization check failed' });
+      }
+
+      if (!permissions.every((permission) => granted.has(permission))) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      req.permissions = granted;
+      next();
+    };
+  },
+
+  // Require a recent PIN confirmation (POST /api/auth/pin/verify) for this session
+  requirePin: async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    let confirmed;
+    try {
+      confirmed = await pinService.hasRecentConfirmation(req.user);
+    } catch (error) {
+      console.error('PIN Confirmation Check Error:', error);
+      return res.status(500).json({ message: 'PIN check failed' });
+    }
+
+    if (!confirmed) {
+      return res.status(403).json({ message: 'PIN confirmation required', code: 'PIN_REQUIRED' });
+    }
+
+    next();
+  },
 };
 
 module.exports = authMiddleware;
@@ -1,10 +1,112 @@
+const crypto = require('crypto');
 const redisClient = require('./redisClient');
 
+const SCOPES = ['public', 'user'];
+
+// Request headers that change the response body (language, content type)
+const DEFAULT_VARY = ['accept-language', 'accept'];
+
+/**
+ * Build the cache key for a request. It starts with `cache:<url>`, so URL
+ * patterns passed to invalidate match every variant of a URL. Scope 'user'
+ * adds the user id, `byRole` the user's roles (sorted, falling back to the
+ * single `role`), and `vary` a hash of those request headers. Null when a 'user' scoped response has no user to key on.
+ */
+const cacheKey = (req, { scope, byRole, vary }) => {
+  // '|' separates the parts, so a URL cannot pose as another user's entry
+  let key = `cache:${req.originalUrl.replace(/\|/g, '%7C')}`;
+
+  if (scope === 'user') {
+    if (!req.user) {
+      return null;
+    }
+    key += `|user:${req.user.id}`;
+  }
+
+  if (byRole) {
+    const user = req.user || {};
+    const roles = Array.isArray(user.roles) && user.roles.length > 0
+      ? [...user.roles].sort().join(',')
+      : user.role;
+    key += `|role:${roles || 'anonymous'}`;
+  }
+
+  const headers = vary
+    .map((name) => [name.toLowerCase(), req.headers[name.toLowerCase()]])
+    .filter(([, value]) => value !== undefined);
+  if (headers.length > 0) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(headers)).digest('hex').slice(0, 16);
+    key += `|vary:${digest}`;
+  }
+
+  return key;
+};
+
+const TAG_PREFIX = 'cache-tag:';
+const SCAN_COUNT = 100;
+
+// Add a key to a tag set, keeping the set at least as long as the entry.
+// TTL is -1 for a new set, so it always gets one.
+const TAG_SCRIPT = `
+redis.call('SADD', KEYS[1], ARGV[1])
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[2]) then
+  redis.call('EXPIRE', KEYS[1], ARGV[2])
+end`;
+
+const tagKey = (tag) => `${TAG_PREFIX}${tag}`;
+
+const resolveTags = (tags, req) => (typeof tags === 'function' ? tags(req) : tags) || [];
+
+const userTag = (userId) => `user:${userId}`;
+
+// Per-user entries always carry their user's tag, so a profile change can drop
+// exactly that user's entries
+const entryTags = (req, { scope, tags }) => {
+  const resolved = resolveTags(tags, req);
+  return scope === 'user' ? [...new Set([userTag(req.user.id), ...resolved])] : resolved;
+};
+
+/**
+ * Store a response, recording its key in the set of each of its tags
+ */
+const store = (key, duration, body, tags) => {
+  if (tags.length === 0) {
+    return redisClient.setex(key, duration, body);
+  }
+
+  const multi = redisClient.multi().setex(key, duration, body);
+  tags.forEach((tag) => multi.eval(TAG_SCRIPT, 1, tagKey(tag), key, duration));
+  return multi.exec();
+};
+
+// Error responses and responses that set cookies (e.g. sessions) must not be replayed.
+// Only reliable once the response has finished: express-session adds its cookie
+// as the headers are written, after res.json has been called.
+const isCacheable = (res) => res.statusCode >= 200 && res.statusCode < 300 && !res.getHeader('Set-Cookie');
+
 const cacheMiddleware = {
-  // Cache middleware with configurable duration
-  cache: (duration) => {
+  cacheKey,
+  userTag,
+
+  /**
+   * Cache JSON responses for `duration` seconds. `scope` is 'public' (the
+   * same response for everyone) or 'user' (one entry per authenticated user;
+   * mount after verifyToken). `byRole` keeps a separate entry per role set and
+   * `vary` lists the request headers that change the response. `tags` (a
+   * list, or a function of the request returning one, e.g. ['event:7'])
+   * label the entry for invalidateTags; 'user' scoped entries are also
+   * tagged `user:<id>` (see userTag).
+   */
+  cache: (duration, { scope = 'public', byRole = false, vary = DEFAULT_VARY, tags = [] } = {}) => {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown cache scope: ${scope}`);
+    }
+
     return async (req, res, next) => {
-      const key = `cache:${req.originalUrl}`;
+      const key = cacheKey(req, { scope, byRole, vary });
+      if (!key) {
+        return next();
+      }
 
       try {
         const cachedResponse = await redisClient.get(key);
@@ -15,13 +117,27 @@ const cacheMiddleware = {
 
         // Store original res.json function
         const originalJson = res.json;
+        let body;
 
-        // Override res.json method to cache the response
+        // Override res.json method to capture the response
         res.json = function (data) {
-          redisClient.setex(key, duration, JSON.stringify(data));
+          body = JSON.stringify(data);
           return originalJson.call(this, data);
         };
 
+        // Cache it once the headers are final
+        res.once('finish', () => {
+          if (body === undefined || !isCacheable(res)) {
+            return;
+          }
+          try {
+            Promise.resolve(store(key, duration, body, entryTags(req, { scope, tags })))
+              .catch((error) => console.error('Redis Cache Error:', error));
+          } catch (error) {
+            console.error('Redis Cache Error:', error);
+          }
+        });
+
         next();
       } catch (error) {
         console.error('Redis Cache Error:', error);
@@ -30,17 +146,58 @@ const cacheMiddleware = {
     };
   },
 
+  // Delete cached responses whose URL matches any of the patterns (e.g. '/api/auth/me*');
+  // a trailing '*' also matches the per-user and per-header variants of a URL.
+  // Uses SCAN, which walks the keyspace in batches instead of blocking Redis like KEYS.
+  invalidate: async (patterns) => {
+    for (const pattern of patterns) {
+      let cursor = '0';
+      do {
+        const [next, keys] = await redisClient.scan(cursor, 'MATCH', `cache:${pattern}`, 'COUNT', SCAN_COUNT);
+        if (keys.length > 0) {
+          await redisClient.del(keys);
+        }
+        cursor = next;
+      } while (cursor !== '0');
+    }
+  },
+
+  /**
+   * Delete the cached responses labelled with any of the tags, e.g. from a
+   * controller after a change has committed
+   */
+  invalidateTags: async (tags) => {
+    for (const tag of tags) {
+      // Read and drop the set together, so entries cached meanwhile go in a new one
+      const [[error, keys]] = await redisClient.multi().smembers(tagKey(tag)).del(tagKey(tag)).exec();
+      if (error) {
+        throw error;
+      }
+      if (keys.length > 0) {
+        await redisClient.del(keys);
+      }
+    }
+  },
+
+  // Middleware form of invalidateTags; `tags` is a list or a function of the request
+  clearTags: (tags) => {
+    return async (req, res, next) => {
+      try {
+        await cacheMiddleware.invalidateTags(resolveTags(tags, req));
+        next();
+      } catch (error) {
+        console.error('Redis Clear Cache Error:', error);
+        next();
+      }
+    };
+  },
+
   // Clear cache for specific patterns
   clearCache: (patterns) => {
     return async (req, res, next) => {
       try {
         if (Array.isArray(patterns)) {
-          for (const pattern of patterns) {
-            const keys = await redisClient.keys(`cache:${pattern}`);
-            if (keys.length > 0) {
-              await redisClient.del(keys);
-            }
-          }
+          await cacheMiddleware.invalidate(patterns);
         }
         next();
       } catch (error) {
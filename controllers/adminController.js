@@ -0,0 +1,556 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const tokenService = require('../services/tokenService');
+const roleService = require('../services/roleService');
+const accountTokens = require('../services/accountTokens');
+const auditLog = require('../services/auditLog');
+const ledgerService = require('../services/ledgerService');
+const topUpService = require('../services/topUpService');
+const { pageParams, pagination } = require('../utils/pagination');
+
+const ADMIN_USER_QUERY = `SELECT u.id, u.username, u.email, u.display_name, u.is_active, u.created_at,
+        a.account_id, a.first_name, a.last_name, a.phone_number,
+        a.email_verified, a.phone_verified, a.id_verification_status,
+        a.last_login, a.failed_login_attempts, a.lock_until, a.password_reset_required,
+        COALESCE(m.enabled, FALSE) AS mfa_enabled,
+        ${ledgerService.balanceColumn('a.account_id')},
+        ${roleService.rolesColumn('u.id')}
+ FROM users u
+ LEFT JOIN accounts a ON u.id = a.user_id
+ LEFT JOIN user_mfa m ON u.id = m.user_id`;
+
+const formatUser = (row) => ({
+  id: row.id,
+  accountId: row.account_id,
+  username: row.username,
+  email: row.email,
+  displayName: row.display_name,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  phoneNumber: row.phone_number,
+  isActive: row.is_active,
+  emailVerified: row.email_verified,
+  phoneVerified: row.phone_verified,
+  idVerificationStatus: row.id_verification_status,
+  balance: row.balance === null || row.balance === undefined ? null : parseFloat(row.balance),
+  roles: roleService.normalizeRoles(row.roles),
+  mfaEnabled: row.mfa_enabled,
+  failedLoginAttempts: row.failed_login_attempts,
+  lockUntil: row.lock_until,
+  passwordResetRequired: row.password_reset_required,
+  lastLogin: row.last_login,
+  createdAt: row.created_at,
+});
+
+const findUser = async (userId) => {
+  const result = await db.query(`${ADMIN_USER_QUERY} WHERE u.id = $1`, [userId]);
+  return result.rows[0];
+};
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+const adminController = {
+  /**
+   * List and search users
+   * GET /api/admin/users?q=&status=&page=&limit=
+   */
+  listUsers: async (req, res) => {
+    try {
+      const { q, status } = req.query;
+      const params = pageParams(req.query);
+
+      const conditions = [];
+      const values = [];
+
+      if (q) {
+        values.push(`%${q}%`);
+        conditions.push(`(u.username ILIKE $${values.length} OR u.email ILIKE $${values.length}
+          OR a.first_name ILIKE $${values.length} OR a.last_name ILIKE $${values.length})`);
+      }
+
+      if (status) {
+        values.push(status === 'active');
+        conditions.push(`u.is_active = $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(
+        `SELECT COUNT(*) AS total
+         FROM users u
+         LEFT JOIN accounts a ON u.id = a.user_id
+         ${where}`,
+        values
+      );
+
+      const result = await db.query(
+        `${ADMIN_USER_QUERY}
+         ${where}
+         ORDER BY u.id
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, params.limit, params.offset]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          users: result.rows.map(formatUser),
+          pagination: pagination(params, parseInt(countResult.rows[0].total, 10))
+        }
+      });
+    } catch (error) {
+      logger.error('Admin list users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list users'
+      });
+    }
+  },
+
+  /**
+   * View a user's account
+   * GET /api/admin/users/:id
+   */
+  getUser: async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: formatUser(user)
+      });
+    } catch (error) {
+      logger.error('Admin get user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get user'
+      });
+    }
+  },
+
+  /**
+   * Deactivate an account and end its sessions
+   * POST /api/admin/users/:id/deactivate
+   */
+  deactivateUser: async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+
+      const user = await findUser(userId);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      if (!user.is_active) {
+        return res.status(409).json({
+          success: false,
+          message: 'Account is already deactivated'
+        });
+      }
+
+      await db.transaction(async (client) => {
+        await client.query('UPDATE users SET is_active = FALSE WHERE id = $1', [userId]);
+
+        await auditLog.record({
+          actorId: req.user.id,
+          action: 'user.deactivate',
+          targetUserId: userId,
+          details: { reason: req.body.reason || null },
+          ipAddress: req.ip
+        }, client);
+      });
+
+      const revokedSessions = await tokenService.revokeAllSessions(userId);
+
+      logger.info('Account deactivated by admin', { userId, adminId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Account deactivated',
+        data: { revokedSessions }
+      });
+    } catch (error) {
+      logger.error('Admin deactivate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate account'
+      });
+    }
+  },
+
+  /**
+   * Reactivate a deactivated account
+   * POST /api/admin/users/:id/reactivate
+   */
+  reactivateUser: async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      const user = await findUser(userId);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      if (user.is_active) {
+        return res.status(409).json({
+          success: false,
+          message: 'Account is already active'
+        });
+      }
+
+      await db.transaction(async (client) => {
+        await client.query('UPDATE users SET is_active = TRUE WHERE id = $1', [userId]);
+
+        await auditLog.record({
+          actorId: req.user.id,
+          action: 'user.reactivate',
+          targetUserId: userId,
+          details: { reason: req.body.reason || null },
+          ipAddress: req.ip
+        }, client);
+      });
+
+      logger.info('Account reactivated by admin', { userId, adminId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Account reactivated'
+      });
+    } catch (error) {
+      logger.error('Admin reactivate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reactivate account'
+      });
+    }
+  },
+
+  /**
+   * Require a password reset: blocks password logins, ends sessions and emails a reset link
+   * POST /api/admin/users/:id/password-reset
+   */
+  forcePasswordReset: async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      const user = await findUser(userId);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      await db.transaction(async (client) => {
+        await client.query(
+          'UPDATE accounts SET password_reset_required = TRUE WHERE user_id = $1',
+          [userId]
+        );
+
+        await accountTokens.issuePasswordReset(client, user);
+
+        await auditLog.record({
+          actorId: req.user.id,
+          action: 'user.force_password_reset',
+          targetUserId: userId,
+          details: { reason: req.body.reason || null },
+          ipAddress: req.ip
+        }, client);
+      });
+
+      const revokedSessions = await tokenService.revokeAllSessions(userId);
+
+      logger.info('Password reset forced by admin', { userId, adminId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Password reset required and reset email sent',
+        data: { revokedSessions }
+      });
+    } catch (error) {
+      logger.error('Admin force password reset error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to force password reset'
+      });
+    }
+  },
+
+  /**
+   * Resend the email verification link
+   * POST /api/admin/users/:id/verification-email
+   */
+  resendVerification: async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      const user = await findUser(userId);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      if (user.email_verified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      await db.transaction(async (client) => {
+        await accountTokens.revokeEmailVerifications(client, userId);
+        await accountTokens.issueEmailVerification(client, user);
+
+        await auditLog.record({
+          actorId: req.user.id,
+          action: 'user.resend_verification',
+          targetUserId: userId,
+          ipAddress: req.ip
+        }, client);
+      });
+
+      logger.info('Verification email resent by admin', { userId, adminId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      logger.error('Admin resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend verification email'
+      });
+    }
+  },
+
+  /**
+   * Revoke every session of a user
+   * DELETE /api/admin/users/:id/sessions
+   */
+  revokeSessions: async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      const user = await findUser(userId);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      const revokedSessions = await tokenService.revokeAllSessions(userId);
+
+      await auditLog.record({
+        actorId: req.user.id,
+        action: 'user.revoke_sessions',
+        targetUserId: userId,
+        details: { reason: req.body.reason || null, revokedSessions },
+        ipAddress: req.ip
+      });
+
+      logger.info('Sessions revoked by admin', { userId, adminId: req.user.id, revokedSessions });
+
+      res.json({
+        success: true,
+        message: 'All sessions revoked',
+        data: { revokedSessions }
+      });
+    } catch (error) {
+      logger.error('Admin revoke sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke sessions'
+      });
+    }
+  },
+
+  /**
+   * Audit trail of admin actions on a user
+   * GET /api/admin/users/:id/audit
+   */
+  getAuditTrail: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+      const { entries, total } = await auditLog.listForUser(req.params.id, params);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('Admin audit trail error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audit trail'
+      });
+    }
+  },
+
+  /**
+   * A user's wallet ledger entries, newest first
+   * GET /api/admin/users/:id/wallet/transactions?reason=&from=&to=&page=&limit=
+   */
+  getWalletHistory: async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user || !user.account_id) {
+        return userNotFound(res);
+      }
+
+      const params = pageParams(req.query);
+      const { reason, from, to } = req.query;
+      const { entries, total } = await ledgerService.history(user.account_id, { reason, from, to, ...params });
+
+      res.json({
+        success: true,
+        data: {
+          balance: parseFloat(user.balance),
+          entries,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('Admin wallet history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get wallet history'
+      });
+    }
+  },
+
+  /**
+   * Credit (positive amount) or debit (negative amount) a user's wallet,
+   * against the adjustments system account
+   * POST /api/admin/users/:id/wallet/adjustments
+   */
+  adjustBalance: async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user || !user.account_id) {
+        return userNotFound(res);
+      }
+
+      const { amount, description } = req.body;
+      const member = { accountId: user.account_id };
+      const adjustments = { system: ledgerService.SYSTEM_ACCOUNT.ADJUSTMENTS };
+
+      const transaction = await db.transaction(async (client) => {
+        const posted = await ledgerService.post(client, {
+          from: amount > 0 ? adjustments : member,
+          to: amount > 0 ? member : adjustments,
+          amount: Math.abs(amount),
+          reason: ledgerService.REASON.ADJUSTMENT,
+          description,
+          createdBy: req.user.id
+        });
+
+        await auditLog.record({
+          actorId: req.user.id,
+          action: 'wallet.adjust',
+          targetUserId: user.id,
+          details: { amount, description, transactionId: posted.id },
+          ipAddress: req.ip
+        }, client);
+
+        return posted;
+      });
+
+      logger.info('Wallet adjusted by admin', { userId: user.id, adminId: req.user.id, transactionId: transaction.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Wallet adjusted',
+        data: transaction
+      });
+    } catch (error) {
+      if (ledgerService.isInsufficientFunds(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Adjustment would make the balance negative'
+        });
+      }
+
+      logger.error('Admin wallet adjustment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust wallet'
+      });
+    }
+  },
+
+  /**
+   * Refund a completed top-up to the card it was paid with, taking it out of the wallet
+   * POST /api/admin/users/:id/wallet/top-ups/:topUpId/refund
+   */
+  refundTopUp: async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      const result = await topUpService.refund(user.id, req.params.topUpId, { createdBy: req.user.id });
+
+      switch (result.status) {
+        case 'not_found':
+          return res.status(404).json({
+            success: false,
+            message: 'Top-up not found'
+          });
+        case 'not_refundable':
+          return res.status(409).json({
+            success: false,
+            message: 'Only completed top-ups can be refunded',
+            data: result.topUp
+          });
+        case 'insufficient_funds':
+          return res.status(409).json({
+            success: false,
+            message: 'The wallet no longer holds the top-up amount'
+          });
+        case 'provider_error':
+          return res.status(502).json({
+            success: false,
+            message: 'The payment provider did not accept the refund; the wallet was not charged'
+          });
+        default:
+          break;
+      }
+
+      await auditLog.record({
+        actorId: req.user.id,
+        action: 'wallet.top_up_refund',
+        targetUserId: user.id,
+        details: { topUpId: result.topUp.id, amount: result.topUp.amount, status: result.status },
+        ipAddress: req.ip
+      });
+
+      logger.info('Top-up refunded by admin', { userId: user.id, adminId: req.user.id, topUpId: result.topUp.id });
+
+      res.json({
+        success: true,
+        message: result.status === 'refunded' ? 'Top-up refunded' : 'Refund requested from the payment provider',
+        data: result.topUp
+      });
+    } catch (error) {
+      logger.error('Admin top-up refund error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refund top-up'
+      });
+    }
+  },
+};
+
+module.exports = adminController;
@@ -1,8 +1,16 @@
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const db = require('../db/postgres');
 const logger = require('../logger/winstonConfig');
+const tokenService = require('../services/tokenService');
+const loginThrottle = require('../services/loginThrottle');
+const mfaService = require('../services/mfaService');
+const roleService = require('../services/roleService');
+const accountTokens = require('../services/accountTokens');
+const leaderboardService = require('../services/leaderboardService');
+const ledgerService = require('../services/ledgerService');
+const cacheMiddleware = require('../cacheMiddleware');
+const mailer = require('../mailer');
 
 // Helper functions
 const hashPassword = async (password) => {
@@ -14,20 +22,124 @@ const verifyPassword = async (password, hash) => {
   return bcrypt.compare(password, hash);
 };
 
-const generateToken = (userId, email, role = 'user') => {
-  return jwt.sign(
-    { id: userId, email, role },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+// Queue a notice whose loss shouldn't fail the request it describes
+const queueNotice = async (template, to, data) => {
+  try {
+    await mailer.send(template, to, data);
+  } catch (error) {
+    logger.error('Failed to queue email', { template, error: error.message });
+  }
+};
+
+/**
+ * Finish a successful login: record it, start a session and respond with the tokens
+ */
+const completeLogin = async (req, res, user) => {
+  // Update last login and clear any failed attempts
+  await db.query(
+    `UPDATE accounts
+     SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0, lock_until = NULL
+     WHERE user_id = $1`,
+    [user.id]
   );
+
+  // Start a new session and issue its tokens
+  const meta = tokenService.requestMeta(req);
+  const session = await tokenService.createSession(user.id, meta);
+  const roles = roleService.normalizeRoles(user.roles);
+  const token = tokenService.generateAccessToken(
+    { id: user.id, email: user.email, roles },
+    session.sessionId
+  );
+  const refreshToken = session.refreshToken;
+
+  tokenService.setAuthCookies(res, { accessToken: token, refreshToken });
+
+  logger.info('User logged in', { userId: user.id, email: user.email });
+
+  if (session.newDevice) {
+    await queueNotice('newLogin', user.email, {
+      username: user.username,
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent,
+      time: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: roleService.primaryRole(roles),
+        roles,
+      },
+      token,
+      refreshToken
+    }
+  });
 };
 
-const generateResetToken = () => {
-  return crypto.randomBytes(32).toString('hex');
+const LOGIN_USER_QUERY = `SELECT u.id, u.username, u.email, u.password_hash, u.is_active,
+        a.account_id, a.first_name, a.last_name, a.email_verified,
+        a.failed_login_attempts, a.lock_until, a.password_reset_required,
+        COALESCE(m.enabled, FALSE) AS mfa_enabled,
+        ${roleService.rolesColumn('u.id')}
+ FROM users u
+ LEFT JOIN accounts a ON u.id = a.user_id
+ LEFT JOIN user_mfa m ON u.id = m.user_id`;
+
+const CURRENT_USER_QUERY = `SELECT u.id, u.username, u.email, u.display_name, u.is_active, u.created_at,
+        a.account_id, a.first_name, a.last_name, a.phone_number, a.email_verified,
+        a.phone_verified, a.last_login, a.pin_hash IS NOT NULL AS pin_set,
+        a.public_ranking, a.weight_kg, a.sex,
+        ${ledgerService.balanceColumn('a.account_id')},
+        ${roleService.rolesColumn('u.id')}
+ FROM users u
+ LEFT JOIN accounts a ON u.id = a.user_id
+ WHERE u.id = $1`;
+
+const formatCurrentUser = (user) => {
+  const roles = roleService.normalizeRoles(user.roles);
+
+  return {
+    id: user.id,
+    accountId: user.account_id,
+    username: user.username,
+    email: user.email,
+    displayName: user.display_name,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    phoneNumber: user.phone_number,
+    emailVerified: user.email_verified,
+    phoneVerified: user.phone_verified,
+    pinSet: user.pin_set,
+    publicRanking: user.public_ranking,
+    bodyProfile: {
+      weightKg: user.weight_kg === null || user.weight_kg === undefined ? null : parseFloat(user.weight_kg),
+      sex: user.sex || null,
+    },
+    balance: parseFloat(user.balance),
+    role: roleService.primaryRole(roles),
+    roles,
+    createdAt: user.created_at,
+    lastLogin: user.last_login,
+  };
 };
 
-const generateVerificationToken = () => {
-  return crypto.randomBytes(32).toString('hex');
+// The user's cached responses (/me among them) would otherwise keep serving the old profile
+const invalidateCurrentUserCache = async (userId) => {
+  try {
+    await cacheMiddleware.invalidateTags([cacheMiddleware.userTag(userId)]);
+  } catch (error) {
+    logger.error('Failed to invalidate profile cache', { userId, error: error.message });
+  }
 };
 
 const authController = {
@@ -81,33 +193,33 @@ const authController = {
 
         const account = accountResult.rows[0];
 
-        // Generate email verification token
-        const verificationToken = generateVerificationToken();
-        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+        await roleService.assignRole(user.id, roleService.DEFAULT_ROLE, null, client);
 
-        await client.query(
-          `INSERT INTO email_verification_tokens (user_id, token, expires_at) 
-           VALUES ($1, $2, $3)`,
-          [user.id, verificationToken, expiresAt]
+        // Email a verification link
+        await accountTokens.issueEmailVerification(client, user);
+
+        // Start a session for the auto-login
+        const session = await tokenService.createSession(
+          user.id,
+          tokenService.requestMeta(req),
+          client
         );
 
         return {
           user,
           account,
-          verificationToken
+          session
         };
       });
 
-      // Generate JWT token
-      const token = generateToken(result.user.id, email, 'user');
+      // Generate short-lived access token bound to the session
+      const token = tokenService.generateAccessToken(
+        { id: result.user.id, email, roles: [roleService.DEFAULT_ROLE] },
+        result.session.sessionId
+      );
+      const refreshToken = result.session.refreshToken;
 
-      // Set token in cookie
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-      });
+      tokenService.setAuthCookies(res, { accessToken: token, refreshToken });
 
       logger.info('User registered', { 
         userId: result.user.id, 
@@ -128,9 +240,7 @@ const authController = {
             emailVerified: result.account.email_verified,
           },
           token,
-          ...(process.env.NODE_ENV !== 'production' && { 
-            verificationToken: result.verificationToken 
-          })
+          refreshToken
         }
       });
     } catch (error) {
@@ -151,28 +261,47 @@ const authController = {
     try {
       const { emailOrUsername, password } = req.body;
 
+      // Throttle clients that keep failing, whichever accounts they target
+      const ipStatus = await loginThrottle.checkIp(req.ip);
+      if (ipStatus.blocked) {
+        res.set('Retry-After', String(ipStatus.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many login attempts. Please try again later.'
+        });
+      }
+
       // Find user by email or username
       const userResult = await db.query(
-        `SELECT u.id, u.username, u.email, u.password_hash, u.is_active,
-                a.account_id, a.first_name, a.last_name, a.email_verified
-         FROM users u
-         LEFT JOIN accounts a ON u.id = a.user_id
+        `${LOGIN_USER_QUERY}
          WHERE u.email = $1 OR u.username = $1`,
         [emailOrUsername]
       );
 
-      if (userResult.rows.length === 0) {
+      const user = userResult.rows[0];
+
+      // Unknown and locked accounts get the same response (and bcrypt cost)
+      // as a wrong password so the endpoint doesn't reveal which emails exist
+      if (!user || loginThrottle.isLocked(user)) {
+        await loginThrottle.burnPasswordCheck(password);
+        await loginThrottle.recordIpFailure(req.ip);
+
+        if (user) {
+          logger.info('Login attempt on locked account', { userId: user.id });
+        }
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      const user = userResult.rows[0];
-
       // Verify password
       const isValidPassword = await verifyPassword(password, user.password_hash);
       if (!isValidPassword) {
+        await loginThrottle.recordFailure(user);
+        await loginThrottle.recordIpFailure(req.ip);
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
@@ -187,41 +316,29 @@ const authController = {
         });
       }
 
-      // Update last login
-      await db.query(
-        'UPDATE accounts SET last_login = CURRENT_TIMESTAMP WHERE user_id = $1',
-        [user.id]
-      );
-
-      // Generate JWT token
-      const token = generateToken(user.id, user.email, 'user');
+      // An admin forced a reset: the old password no longer opens a session
+      if (user.password_reset_required) {
+        return res.status(403).json({
+          success: false,
+          message: 'Password reset required. Check your email for a reset link.'
+        });
+      }
 
-      // Set token in cookie
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000
-      });
+      // Second factor required: hand out a short-lived pending token instead of a session
+      if (user.mfa_enabled) {
+        logger.info('Login awaiting second factor', { userId: user.id });
 
-      logger.info('User logged in', { userId: user.id, email: user.email });
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            mfaRequired: true,
+            mfaToken: mfaService.generatePendingToken(user.id)
+          }
+        });
+      }
 
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            emailVerified: user.email_verified,
-            role: 'user',
-          },
-          token
-        }
-      });
+      await completeLogin(req, res, user);
     } catch (error) {
       logger.error('Login error:', error);
       res.status(500).json({
@@ -233,11 +350,80 @@ const authController = {
   },
 
   /**
-   * Logout user
+   * Complete a login that requires a second factor
+   * POST /api/auth/mfa/verify
+   */
+  verifyMfaLogin: async (req, res) => {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      const userId = mfaService.verifyPendingToken(mfaToken);
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired MFA session'
+        });
+      }
+
+      const userResult = await db.query(`${LOGIN_USER_QUERY} WHERE u.id = $1`, [userId]);
+      const user = userResult.rows[0];
+
+      if (!user || !user.is_active || loginThrottle.isLocked(user)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired MFA session'
+        });
+      }
+
+      const isValidCode = await mfaService.verifyChallenge(user.id, { code, recoveryCode });
+      if (!isValidCode) {
+        // Wrong codes count towards the same lockout as wrong passwords
+        await loginThrottle.recordFailure(user);
+        await loginThrottle.recordIpFailure(req.ip);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      if (recoveryCode) {
+        logger.info('Recovery code used for login', { userId: user.id });
+      }
+
+      await completeLogin(req, res, user);
+    } catch (error) {
+      logger.error('MFA verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Two-factor verification failed'
+      });
+    }
+  },
+
+  /**
+   * Logout user and revoke the session server-side
    * POST /api/auth/logout
    */
   logout: async (req, res) => {
-    res.clearCookie('token');
+    try {
+      const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+      const accessToken = req.cookies.token || req.headers['authorization']?.split(' ')[1];
+
+      if (refreshToken) {
+        await tokenService.revokeSessionByRefreshToken(refreshToken);
+      } else if (accessToken) {
+        // No refresh token presented: fall back to the session in the access token
+        const decoded = jwt.decode(accessToken);
+        if (decoded?.sid) {
+          await tokenService.revokeSession(decoded.sid);
+        }
+      }
+    } catch (error) {
+      logger.error('Logout revocation error:', error);
+    }
+
+    tokenService.clearAuthCookies(res);
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -261,7 +447,7 @@ const authController = {
 
       // Find user by email
       const userResult = await db.query(
-        'SELECT id FROM users WHERE email = $1',
+        'SELECT id, username, email FROM users WHERE email = $1',
         [email]
       );
 
@@ -274,27 +460,17 @@ const authController = {
         });
       }
 
-      const userId = userResult.rows[0].id;
+      const user = userResult.rows[0];
+      const userId = user.id;
 
-      // Generate reset token
-      const resetToken = generateResetToken();
-      const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-      // Store reset token
-      await db.query(
-        `INSERT INTO password_reset_tokens (user_id, token, expires_at) 
-         VALUES ($1, $2, $3)`,
-        [userId, resetToken, expiresAt]
-      );
+      // Store reset token and queue the reset email together
+      await db.transaction((client) => accountTokens.issuePasswordReset(client, user));
 
       logger.info('Password reset requested', { userId, email });
 
-      // In production, send email with reset link
-      // For now, return token in response (ONLY FOR DEVELOPMENT)
       res.json({
         success: true,
-        message: 'If the email exists, a reset link has been sent',
-        ...(process.env.NODE_ENV !== 'production' && { resetToken })
+        message: 'If the email exists, a reset link has been sent'
       });
     } catch (error) {
       logger.error('Password reset request error:', error);
@@ -382,9 +558,10 @@ const authController = {
 
       // Find and validate token
       const tokenResult = await db.query(
-        `SELECT user_id, expires_at, used 
-         FROM password_reset_tokens 
-         WHERE token = $1`,
+        `SELECT t.user_id, t.expires_at, t.used, u.email, u.username
+         FROM password_reset_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token = $1`,
         [token]
       );
 
@@ -419,9 +596,28 @@ const authController = {
           'UPDATE password_reset_tokens SET used = TRUE WHERE token = $1',
           [token]
         );
+
+        // Proving control of the email unlocks an account locked by failed logins
+        // and satisfies a reset forced by an admin
+        await client.query(
+          `UPDATE accounts
+           SET failed_login_attempts = 0, lock_until = NULL, password_reset_required = FALSE
+           WHERE user_id = $1`,
+          [resetData.user_id]
+        );
+
+        await mailer.send(
+          'passwordChanged',
+          resetData.email,
+          { username: resetData.username },
+          client
+        );
       });
 
-      logger.info('Password reset completed', { userId: resetData.user_id });
+      // Whoever held the old password may still have a session
+      const revokedSessions = await tokenService.revokeAllSessions(resetData.user_id);
+
+      logger.info('Password reset completed', { userId: resetData.user_id, revokedSessions });
 
       res.json({
         success: true,
@@ -447,7 +643,7 @@ const authController = {
 
       // Get user's current password hash
       const userResult = await db.query(
-        'SELECT password_hash FROM users WHERE id = $1',
+        'SELECT password_hash, email, username FROM users WHERE id = $1',
         [userId]
       );
 
@@ -479,7 +675,12 @@ const authController = {
         [newPasswordHash, newSalt, userId]
       );
 
-      logger.info('Password changed', { userId });
+      // Sign out every other device; this one keeps its session
+      const revokedSessions = await tokenService.revokeAllSessions(userId, { except: req.user.sid });
+
+      logger.info('Password changed', { userId, revokedSessions });
+
+      await queueNotice('passwordChanged', user.email, { username: user.username });
 
       res.json({
         success: true,
@@ -500,15 +701,7 @@ const authController = {
    */
   getCurrentUser: async (req, res) => {
     try {
-      const result = await db.query(
-        `SELECT u.id, u.username, u.email, u.is_active, u.created_at,
-                a.account_id, a.first_name, a.last_name, a.email_verified, 
-                a.balance, a.last_login
-         FROM users u
-         LEFT JOIN accounts a ON u.id = a.user_id
-         WHERE u.id = $1`,
-        [req.user.id]
-      );
+      const result = await db.query(CURRENT_USER_QUERY, [req.user.id]);
 
       if (result.rows.length === 0) {
         return res.status(404).json({
@@ -517,65 +710,201 @@ const authController = {
         });
       }
 
-      const user = result.rows[0];
+      res.json({
+        success: true,
+        data: formatCurrentUser(result.rows[0])
+      });
+    } catch (error) {
+      logger.error('Get current user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get user'
+      });
+    }
+  },
+
+  /**
+   * Update the current user's profile. A new email only replaces the
+   * current one after it is confirmed through POST /api/auth/email/verify.
+   * PATCH /api/auth/me
+   */
+  updateProfile: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const {
+        firstName, lastName, displayName, phoneNumber, email, publicRanking, weightKg, sex
+      } = req.body;
+
+      const currentResult = await db.query(CURRENT_USER_QUERY, [userId]);
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const current = currentResult.rows[0];
+      const newEmail = email !== undefined && email !== current.email ? email : null;
+
+      if (newEmail) {
+        const emailTaken = await db.query(
+          'SELECT id FROM users WHERE email = $1 AND id <> $2',
+          [newEmail, userId]
+        );
+
+        if (emailTaken.rows.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Email already registered'
+          });
+        }
+      }
+
+      const accountUpdates = [];
+      const accountValues = [];
+      const setAccount = (column, value) => {
+        accountValues.push(value);
+        accountUpdates.push(`${column} = $${accountValues.length}`);
+      };
+
+      if (firstName !== undefined) {
+        setAccount('first_name', firstName);
+      }
+      if (lastName !== undefined) {
+        setAccount('last_name', lastName);
+      }
+      if (phoneNumber !== undefined && phoneNumber !== current.phone_number) {
+        // A new number has to be verified again
+        setAccount('phone_number', phoneNumber);
+        setAccount('phone_verified', false);
+      }
+      if (newEmail) {
+        setAccount('email_verified', false);
+      }
+      // Body profile for BAC estimates; null clears a field
+      if (weightKg !== undefined) {
+        setAccount('weight_kg', weightKg);
+      }
+      if (sex !== undefined) {
+        setAccount('sex', sex);
+      }
+
+      const rankingChanged = publicRanking !== undefined && publicRanking !== current.public_ranking;
+      if (rankingChanged) {
+        setAccount('public_ranking', publicRanking);
+      }
+
+      await db.transaction(async (client) => {
+        if (displayName !== undefined) {
+          await client.query(
+            'UPDATE users SET display_name = $1 WHERE id = $2',
+            [displayName, userId]
+          );
+        }
+
+        if (accountUpdates.length > 0) {
+          accountValues.push(userId);
+          await client.query(
+            `UPDATE accounts SET ${accountUpdates.join(', ')} WHERE user_id = $${accountValues.length}`,
+            accountValues
+          );
+        }
+
+        if (newEmail) {
+          // Only the latest requested address can be confirmed
+          await accountTokens.revokeEmailVerifications(client, userId);
+          await accountTokens.issueEmailChange(client, current, newEmail);
+          await mailer.send(
+            'emailChangeRequested',
+            current.email,
+            { username: current.username, newEmail },
+            client
+          );
+        }
+      });
+
+      await invalidateCurrentUserCache(userId);
+
+      if (rankingChanged) {
+        // Boards the user appears on are rebuilt without (or with) them
+        await leaderboardService.invalidateForUser(userId);
+      }
+
+      const updated = await db.query(CURRENT_USER_QUERY, [userId]);
+
+      logger.info('Profile updated', { userId, emailChangeRequested: Boolean(newEmail) });
 
       res.json({
         success: true,
+        message: newEmail
+          ? 'Profile updated. Check your new email address to confirm the change.'
+          : 'Profile updated',
         data: {
-          id: user.id,
-          accountId: user.account_id,
-          username: user.username,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          emailVerified: user.email_verified,
-          balance: parseFloat(user.balance),
-          role: 'user',
-          createdAt: user.created_at,
-          lastLogin: user.last_login,
+          ...formatCurrentUser(updated.rows[0]),
+          pendingEmail: newEmail || undefined
         }
       });
     } catch (error) {
-      logger.error('Get current user error:', error);
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Phone number already in use'
+        });
+      }
+
+      logger.error('Update profile error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get user'
+        message: 'Failed to update profile'
       });
     }
   },
 
   /**
-   * Refresh JWT token
+   * Rotate refresh token and issue a new access token
    * POST /api/auth/refresh
    */
   refreshToken: async (req, res) => {
     try {
-      const result = await db.query(
-        'SELECT id, email, is_active FROM users WHERE id = $1',
-        [req.user.id]
+      const presentedToken = req.cookies.refreshToken || req.body.refreshToken;
+
+      if (!presentedToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const rotated = await tokenService.rotateRefreshToken(
+        presentedToken,
+        tokenService.requestMeta(req)
       );
 
-      if (result.rows.length === 0 || !result.rows[0].is_active) {
+      if (!rotated) {
+        tokenService.clearAuthCookies(res);
         return res.status(401).json({
           success: false,
           message: 'Invalid session'
         });
       }
 
-      const user = result.rows[0];
-      const token = generateToken(user.id, user.email, 'user');
+      const token = tokenService.generateAccessToken(
+        rotated.user,
+        rotated.sessionId
+      );
 
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000
+      tokenService.setAuthCookies(res, {
+        accessToken: token,
+        refreshToken: rotated.refreshToken
       });
 
       res.json({
         success: true,
         message: 'Token refreshed',
-        data: { token }
+        data: {
+          token,
+          refreshToken: rotated.refreshToken
+        }
       });
     } catch (error) {
       logger.error('Token refresh error:', error);
@@ -603,7 +932,7 @@ const authController = {
 
       // Find token
       const tokenResult = await db.query(
-        `SELECT user_id, expires_at, used 
+        `SELECT user_id, expires_at, used, new_email 
          FROM email_verification_tokens 
          WHERE token = $1`,
         [token]
@@ -628,6 +957,14 @@ const authController = {
 
       // Update user and mark token as used in transaction
       await db.transaction(async (client) => {
+        // Confirming a change of address swaps it in
+        if (verificationData.new_email) {
+          await client.query(
+            'UPDATE users SET email = $1 WHERE id = $2',
+            [verificationData.new_email, verificationData.user_id]
+          );
+        }
+
         await client.query(
           'UPDATE accounts SET email_verified = TRUE WHERE user_id = $1',
           [verificationData.user_id]
@@ -639,13 +976,26 @@ const authController = {
         );
       });
 
-      logger.info('Email verified', { userId: verificationData.user_id });
+      await invalidateCurrentUserCache(verificationData.user_id);
+
+      logger.info('Email verified', {
+        userId: verificationData.user_id,
+        emailChanged: Boolean(verificationData.new_email)
+      });
 
       res.json({
         success: true,
         message: 'Email verified successfully'
       });
     } catch (error) {
+      // The new address was registered by someone else after the change was requested
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered'
+        });
+      }
+
       logger.error('Email verification error:', error);
       res.status(500).json({
         success: false,
@@ -664,7 +1014,10 @@ const authController = {
 
       // Check if email is already verified
       const accountResult = await db.query(
-        'SELECT email_verified FROM accounts WHERE user_id = $1',
+        `SELECT a.email_verified, u.email, u.username
+         FROM accounts a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.user_id = $1`,
         [userId]
       );
 
@@ -682,29 +1035,17 @@ const authController = {
         });
       }
 
-      // Generate new verification token
-      const verificationToken = generateVerificationToken();
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-
       // Invalidate old tokens and create new one
       await db.transaction(async (client) => {
-        await client.query(
-          'UPDATE email_verification_tokens SET used = TRUE WHERE user_id = $1 AND used = FALSE',
-          [userId]
-        );
-
-        await client.query(
-          'INSERT INTO email_verification_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
-          [userId, verificationToken, expiresAt]
-        );
+        await accountTokens.revokeEmailVerifications(client, userId);
+        await accountTokens.issueEmailVerification(client, { id: userId, ...accountResult.rows[0] });
       });
 
       logger.info('Verification email resent', { userId });
 
       res.json({
         success: true,
-        message: 'Verification email sent',
-        ...(process.env.NODE_ENV !== 'production' && { verificationToken })
+        message: 'Verification email sent'
       });
     } catch (error) {
       logger.error('Resend verification error:', error);
@@ -0,0 +1,531 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const eventService = require('../services/eventService');
+const participationService = require('../services/participationService');
+const eventFeeService = require('../services/eventFeeService');
+const ledgerService = require('../services/ledgerService');
+const eventStream = require('../services/eventStream');
+const { pageParams, pagination } = require('../utils/pagination');
+
+// Request fields and the columns they update
+const EVENT_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  location: 'location',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  maxParticipants: 'max_participants',
+  price: 'price',
+  refundCutoffHours: 'refund_cutoff_hours',
+  type: 'type',
+  status: 'status',
+};
+
+// Status and type arrive as names and are stored as integers
+const columnValue = (field, value) => {
+  if (field === 'status') {
+    return eventService.statusValue(value);
+  }
+  if (field === 'type') {
+    return eventService.typeValue(value);
+  }
+  return value;
+};
+
+const CLOSED_MESSAGES = {
+  draft: 'Event has not been published yet',
+  cancelled: 'Event has been cancelled',
+  ended: 'Event has ended',
+};
+
+const eventNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Event not found'
+});
+
+const notOrganizer = (res) => res.status(403).json({
+  success: false,
+  message: 'Only the organizer can change this event'
+});
+
+// The organizer's balance no longer holds the fees to pay back
+const refundsNotCovered = (res) => res.status(402).json({
+  success: false,
+  message: "The organizer's balance does not cover the entry fee refunds"
+});
+
+// check_event_times / check_max_participants violations that slipped past validation
+const constraintViolation = (res, error) => res.status(400).json({
+  success: false,
+  message: error.constraint === 'check_event_times'
+    ? 'End time must be after start time'
+    : 'Event violates a constraint'
+});
+
+const eventController = {
+  /**
+   * List events, soonest first. `from`/`to` select events overlapping the window.
+   * GET /api/events?from=&to=&status=&type=&organizerId=&page=&limit=
+   */
+  listEvents: async (req, res) => {
+    try {
+      const { from, to, status, type, organizerId } = req.query;
+      const params = pageParams(req.query);
+
+      const conditions = [];
+      const values = [];
+
+      if (from) {
+        values.push(from);
+        conditions.push(`e.end_time >= $${values.length}`);
+      }
+
+      if (to) {
+        values.push(to);
+        conditions.push(`e.start_time <= $${values.length}`);
+      }
+
+      if (status) {
+        values.push(eventService.statusValue(status));
+        conditions.push(`e.status = $${values.length}`);
+      }
+
+      if (type) {
+        values.push(eventService.typeValue(type));
+        conditions.push(`e.type = $${values.length}`);
+      }
+
+      if (organizerId) {
+        values.push(organizerId);
+        conditions.push(`e.organizer_id = $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(`SELECT COUNT(*) AS total FROM events e ${where}`, values);
+
+      const result = await db.query(
+        `${eventService.EVENT_QUERY}
+         ${where}
+         ORDER BY e.start_time, e.event_id
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, params.limit, params.offset]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          events: result.rows.map(eventService.formatEvent),
+          pagination: pagination(params, parseInt(countResult.rows[0].total, 10))
+        }
+      });
+    } catch (error) {
+      logger.error('List events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list events'
+      });
+    }
+  },
+
+  /**
+   * Get one event
+   * GET /api/events/:id
+   */
+  getEvent: async (req, res) => {
+    try {
+      const event = await eventService.findEvent(req.params.id);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: eventService.formatEvent(event)
+      });
+    } catch (error) {
+      logger.error('Get event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get event'
+      });
+    }
+  },
+
+  /**
+   * Create an event organized by the current user
+   * POST /api/events
+   */
+  createEvent: async (req, res) => {
+    try {
+      const accountId = await eventService.getAccountId(req.user.id);
+      if (!accountId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      const fields = Object.keys(EVENT_COLUMNS).filter((field) => req.body[field] !== undefined);
+      const columns = ['organizer_id', ...fields.map((field) => EVENT_COLUMNS[field])];
+      const values = [accountId, ...fields.map((field) => columnValue(field, req.body[field]))];
+
+      const result = await db.query(
+        `INSERT INTO events (${columns.join(', ')})
+         VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING event_id`,
+        values
+      );
+
+      const event = await eventService.findEvent(result.rows[0].event_id);
+
+      logger.info('Event created', { eventId: event.event_id, userId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Event created',
+        data: eventService.formatEvent(event)
+      });
+    } catch (error) {
+      if (error.code === '23514') {
+        return constraintViolation(res, error);
+      }
+
+      logger.error('Create event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create event'
+      });
+    }
+  },
+
+  /**
+   * Update an event (organizer only). Status changes must follow the lifecycle
+   * and notify the participants; cancelling refunds every entry fee.
+   * PATCH /api/events/:id
+   */
+  updateEvent: async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      const event = await eventService.findEvent(eventId);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      if (!eventService.canManage(event, { userId: req.user.id, permissions: req.permissions })) {
+        return notOrganizer(res);
+      }
+
+      // Validation compares the times only when both are sent
+      const startTime = new Date(req.body.startTime || event.start_time);
+      const endTime = new Date(req.body.endTime || event.end_time);
+      if (endTime <= startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time'
+        });
+      }
+
+      const nextStatus = req.body.status === undefined
+        ? event.status
+        : eventService.statusValue(req.body.status);
+      const transitionConflict = (from) => res.status(409).json({
+        success: false,
+        message: `Cannot change an event from ${eventService.statusName(from)} to ${req.body.status}`
+      });
+
+      if (nextStatus !== event.status && !eventService.canTransition(event.status, nextStatus)) {
+        return transitionConflict(event.status);
+      }
+
+      const fields = Object.keys(EVENT_COLUMNS).filter((field) => req.body[field] !== undefined);
+      const assignments = fields.map((field, index) => `${EVENT_COLUMNS[field]} = $${index + 1}`);
+
+      const outcome = await db.transaction(async (client) => {
+        // Another request or the scheduler may have moved the event since it
+        // was read; check the transition again against the locked row
+        let statusChanged = false;
+        if (req.body.status !== undefined) {
+          const locked = await client.query('SELECT status FROM events WHERE event_id = $1 FOR UPDATE', [eventId]);
+          if (!locked.rows[0]) {
+            return { status: 'not_found' };
+          }
+
+          const currentStatus = locked.rows[0].status;
+          statusChanged = nextStatus !== currentStatus;
+          if (statusChanged && !eventService.canTransition(currentStatus, nextStatus)) {
+            return { status: 'conflict', from: currentStatus };
+          }
+        }
+
+        const result = await client.query(
+          `UPDATE events SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE event_id = $${fields.length + 1}
+           RETURNING event_id, name, organizer_id, max_participants, price, status, end_time`,
+          [...fields.map((field) => columnValue(field, req.body[field])), eventId]
+        );
+
+        // Extra places go to the waitlist
+        const promotedIds = req.body.maxParticipants === undefined
+          ? []
+          : await participationService.promoteFromWaitlist(client, result.rows[0]);
+
+        if (statusChanged) {
+          await eventService.notifyParticipants(client, result.rows[0], nextStatus);
+        }
+
+        if (statusChanged && nextStatus === eventService.STATUS.CANCELLED) {
+          await eventFeeService.refundAll(client, result.rows[0], { createdBy: req.user.id });
+        }
+
+        return { status: 'updated', promotedIds, statusChanged };
+      });
+
+      if (outcome.status === 'not_found') {
+        return eventNotFound(res);
+      }
+      if (outcome.status === 'conflict') {
+        return transitionConflict(outcome.from);
+      }
+
+      await participationService.publishChanges(eventId, { joined: outcome.promotedIds });
+      if (outcome.statusChanged) {
+        await eventStream.publish(eventId, 'status', { status: eventService.statusName(nextStatus) });
+      }
+
+      const updated = await eventService.findEvent(eventId);
+
+      logger.info('Event updated', { eventId, userId: req.user.id, fields, status: req.body.status });
+
+      res.json({
+        success: true,
+        message: 'Event updated',
+        data: eventService.formatEvent(updated)
+      });
+    } catch (error) {
+      if (ledgerService.isInsufficientFunds(error)) {
+        return refundsNotCovered(res);
+      }
+
+      if (error.code === '23514') {
+        return constraintViolation(res, error);
+      }
+
+      logger.error('Update event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update event'
+      });
+    }
+  },
+
+  /**
+   * Delete an event with its participants and scores (organizer only).
+   * Entry fees are refunded first; the payments stay on record.
+   * DELETE /api/events/:id
+   */
+  deleteEvent: async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      const event = await eventService.findEvent(eventId);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      if (!eventService.canManage(event, { userId: req.user.id, permissions: req.permissions })) {
+        return notOrganizer(res);
+      }
+
+      await db.transaction(async (client) => {
+        // Lock out joins paying a fee while the refunds run
+        await client.query('SELECT event_id FROM events WHERE event_id = $1 FOR UPDATE', [eventId]);
+        await eventFeeService.refundAll(client, event, { createdBy: req.user.id });
+        await client.query('DELETE FROM events WHERE event_id = $1', [eventId]);
+      });
+
+      logger.info('Event deleted', { eventId, userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Event deleted'
+      });
+    } catch (error) {
+      if (ledgerService.isInsufficientFunds(error)) {
+        return refundsNotCovered(res);
+      }
+
+      logger.error('Delete event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete event'
+      });
+    }
+  },
+
+  /**
+   * Join an event, or its waitlist when it is full. Paid events charge the
+   * entry fee to the caller's balance.
+   * POST /api/events/:id/join
+   */
+  joinEvent: async (req, res) => {
+    try {
+      const result = await participationService.join(req.params.id, req.user.id);
+
+      switch (result.status) {
+        case 'not_found':
+          return eventNotFound(res);
+        case 'no_account':
+          return res.status(404).json({
+            success: false,
+            message: 'Account not found'
+          });
+        case 'closed':
+          return res.status(409).json({
+            success: false,
+            message: CLOSED_MESSAGES[result.reason]
+          });
+        case 'already_joined':
+          return res.status(409).json({
+            success: false,
+            message: 'You have already joined this event'
+          });
+        case 'already_waitlisted':
+          return res.status(409).json({
+            success: false,
+            message: 'You are already on the waitlist',
+            data: { position: result.position }
+          });
+        default:
+          break;
+      }
+
+      logger.info('Event join', { eventId: req.params.id, userId: req.user.id, status: result.status });
+
+      const waitlisted = result.status === 'waitlisted';
+      res.status(waitlisted ? 202 : 201).json({
+        success: true,
+        message: waitlisted ? 'Event is full; you have been added to the waitlist' : 'Joined event',
+        data: waitlisted
+          ? { status: 'waitlisted', position: result.position }
+          : { status: 'joined', payment: result.payment }
+      });
+    } catch (error) {
+      if (ledgerService.isInsufficientFunds(error)) {
+        return res.status(402).json({
+          success: false,
+          message: 'Insufficient balance to pay the entry fee'
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already joined this event'
+        });
+      }
+
+      logger.error('Join event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join event'
+      });
+    }
+  },
+
+  /**
+   * Leave an event or its waitlist. Entry fees are refunded up to the event's
+   * refund cutoff and forfeited after it.
+   * POST /api/events/:id/leave
+   */
+  leaveEvent: async (req, res) => {
+    try {
+      const result = await participationService.leave(req.params.id, req.user.id);
+
+      if (result.status === 'not_found') {
+        return eventNotFound(res);
+      }
+
+      if (result.status === 'not_joined' || result.status === 'no_account') {
+        return res.status(404).json({
+          success: false,
+          message: 'You have not joined this event'
+        });
+      }
+
+      logger.info('Event leave', { eventId: req.params.id, userId: req.user.id, status: result.status });
+
+      if (result.status === 'left_waitlist') {
+        return res.json({
+          success: true,
+          message: 'Left waitlist'
+        });
+      }
+
+      const messages = {
+        refunded: 'Left event; your entry fee has been refunded',
+        forfeited: 'Left event; the entry fee is not refundable this close to the start',
+      };
+
+      res.json({
+        success: true,
+        message: result.payment ? messages[result.payment.status] : 'Left event',
+        data: { payment: result.payment }
+      });
+    } catch (error) {
+      // The fee went to the organizer, who has since spent it
+      if (ledgerService.isInsufficientFunds(error)) {
+        return res.status(402).json({
+          success: false,
+          message: 'The organizer cannot cover your refund right now; please try again later'
+        });
+      }
+
+      logger.error('Leave event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave event'
+      });
+    }
+  },
+
+  /**
+   * Participants and waitlist (organizer only)
+   * GET /api/events/:id/participants
+   */
+  listParticipants: async (req, res) => {
+    try {
+      const event = await eventService.findEvent(req.params.id);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      if (!eventService.canManage(event, { userId: req.user.id, permissions: req.permissions })) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer can view participants'
+        });
+      }
+
+      const { participants, waitlist } = await participationService.listParticipants(event.event_id);
+
+      res.json({
+        success: true,
+        data: {
+          maxParticipants: event.max_participants,
+          participants,
+          waitlist
+        }
+      });
+    } catch (error) {
+      logger.error('List participants error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list participants'
+      });
+    }
+  },
+};
+
+module.exports = eventController;
@@ -0,0 +1,266 @@
+const logger = require('../logger/winstonConfig');
+const identityVerification = require('../services/identityVerification');
+const { pageParams, pagination } = require('../utils/pagination');
+
+const accountNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Account not found'
+});
+
+const statusConflict = (res, currentStatus, message) => res.status(409).json({
+  success: false,
+  message,
+  data: { status: currentStatus }
+});
+
+/**
+ * Store the upload parsed by `rawUpload` as the account's photo or ID document
+ */
+const saveUpload = async (req, res, kind, documentType) => {
+  const result = await identityVerification.saveUpload(req.user.id, kind, {
+    ...req.upload,
+    documentType
+  });
+
+  if (result.status === 'not_found') {
+    return accountNotFound(res);
+  }
+
+  if (result.status === 'conflict') {
+    return statusConflict(
+      res,
+      result.currentStatus,
+      'Documents cannot be changed while they are under review or approved'
+    );
+  }
+
+  logger.info('Identity upload stored', { userId: req.user.id, kind, size: req.upload.data.length });
+
+  res.json({
+    success: true,
+    message: kind === 'photo' ? 'Photo uploaded' : 'ID document uploaded',
+    data: await identityVerification.getStatus(req.user.id)
+  });
+};
+
+/**
+ * Approve or reject a pending submission
+ */
+const recordReview = async (req, res, approve) => {
+  try {
+    const userId = req.params.id;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review your own documents'
+      });
+    }
+
+    const result = await identityVerification.review(userId, {
+      reviewerId: req.user.id,
+      approve,
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    if (result.status === 'not_found') {
+      return accountNotFound(res);
+    }
+
+    if (result.status === 'conflict') {
+      return statusConflict(res, result.currentStatus, 'Only pending submissions can be reviewed');
+    }
+
+    logger.info('Identity review recorded', {
+      userId,
+      reviewerId: req.user.id,
+      status: result.verificationStatus
+    });
+
+    res.json({
+      success: true,
+      message: approve ? 'Identity verified' : 'Identity rejected',
+      data: { status: result.verificationStatus }
+    });
+  } catch (error) {
+    logger.error('Identity review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record review'
+    });
+  }
+};
+
+const identityController = {
+  /**
+   * Current identity verification state
+   * GET /api/identity
+   */
+  getStatus: async (req, res) => {
+    try {
+      const status = await identityVerification.getStatus(req.user.id);
+      if (!status) {
+        return accountNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      logger.error('Get identity status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get verification status'
+      });
+    }
+  },
+
+  /**
+   * Upload a photo of the account holder (raw image body)
+   * PUT /api/identity/photo
+   */
+  uploadPhoto: async (req, res) => {
+    try {
+      await saveUpload(req, res, 'photo', null);
+    } catch (error) {
+      logger.error('Upload identity photo error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload photo'
+      });
+    }
+  },
+
+  /**
+   * Upload an ID document (raw image or PDF body)
+   * PUT /api/identity/document?type=passport|drivers_license|national_id
+   */
+  uploadDocument: async (req, res) => {
+    try {
+      await saveUpload(req, res, 'document', req.query.type);
+    } catch (error) {
+      logger.error('Upload identity document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload ID document'
+      });
+    }
+  },
+
+  /**
+   * Submit the uploads for moderator review
+   * POST /api/identity/submit
+   */
+  submit: async (req, res) => {
+    try {
+      const result = await identityVerification.submit(req.user.id);
+
+      if (result.status === 'not_found') {
+        return accountNotFound(res);
+      }
+
+      if (result.status === 'conflict') {
+        return statusConflict(res, result.currentStatus, `Verification is already ${result.currentStatus}`);
+      }
+
+      if (result.status === 'incomplete') {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a photo and an ID document before submitting',
+          data: { missing: result.missing }
+        });
+      }
+
+      logger.info('Identity documents submitted for review', { userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Documents submitted for review',
+        data: { status: identityVerification.STATUS.PENDING }
+      });
+    } catch (error) {
+      logger.error('Submit identity documents error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit documents'
+      });
+    }
+  },
+
+  /**
+   * Review queue (PENDING unless another status is asked for)
+   * GET /api/identity/reviews?status=&page=&limit=
+   */
+  listReviews: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+      const status = req.query.status || identityVerification.STATUS.PENDING;
+
+      const { entries, total } = await identityVerification.listForReview({ status, ...params });
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List identity reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list reviews'
+      });
+    }
+  },
+
+  /**
+   * Download a user's photo or ID document
+   * GET /api/identity/reviews/:id/:kind
+   */
+  getReviewFile: async (req, res) => {
+    try {
+      const file = await identityVerification.getUpload(req.params.id, req.params.kind);
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(file.data);
+    } catch (error) {
+      logger.error('Get identity file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load file'
+      });
+    }
+  },
+
+  /**
+   * Approve a pending submission
+   * POST /api/identity/reviews/:id/approve
+   */
+  approve: async (req, res) => {
+    await recordReview(req, res, true);
+  },
+
+  /**
+   * Reject a pending submission with a reason shown to the user
+   * POST /api/identity/reviews/:id/reject
+   */
+  reject: async (req, res) => {
+    await recordReview(req, res, false);
+  },
+};
+
+module.exports = identityController;
@@ -0,0 +1,83 @@
+const logger = require('../logger/winstonConfig');
+const eventService = require('../services/eventService');
+const leaderboardService = require('../services/leaderboardService');
+
+const eventNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Event not found'
+});
+
+const leaderboardController = {
+  /**
+   * Event leaderboard: top entries, the caller's rank and their neighbours
+   * GET /api/events/:id/leaderboard?board=&limit=&around=
+   */
+  getLeaderboard: async (req, res) => {
+    try {
+      const event = await eventService.findEvent(req.params.id);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      const leaderboard = await leaderboardService.getLeaderboard(event.event_id, {
+        board: req.query.board,
+        userId: req.user.id,
+        limit: req.query.limit,
+        around: req.query.around
+      });
+
+      res.json({
+        success: true,
+        data: {
+          eventId: event.event_id,
+          status: eventService.statusName(event.status),
+          ...leaderboard
+        }
+      });
+    } catch (error) {
+      logger.error('Get leaderboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get leaderboard'
+      });
+    }
+  },
+
+  /**
+   * Rebuild the leaderboard from stored readings (organizer only)
+   * POST /api/events/:id/leaderboard/rebuild
+   */
+  rebuildLeaderboard: async (req, res) => {
+    try {
+      const event = await eventService.findEvent(req.params.id);
+      if (!event) {
+        return eventNotFound(res);
+      }
+
+      if (!eventService.canManage(event, { userId: req.user.id, permissions: req.permissions })) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer can rebuild the leaderboard'
+        });
+      }
+
+      const entries = await leaderboardService.rebuild(event.event_id);
+
+      logger.info('Leaderboard rebuild requested', { eventId: event.event_id, userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Leaderboard rebuilt',
+        data: { entries }
+      });
+    } catch (error) {
+      logger.error('Rebuild leaderboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rebuild leaderboard'
+      });
+    }
+  },
+};
+
+module.exports = leaderboardController;
@@ -0,0 +1,205 @@
+const bcrypt = require('bcrypt');
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const totp = require('../services/totp');
+const mfaService = require('../services/mfaService');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Velivolant';
+
+const mfaController = {
+  /**
+   * Start TOTP enrollment and return the secret for the authenticator app
+   * POST /api/auth/mfa/enroll
+   */
+  enroll: async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const existing = await mfaService.getEnrollment(userId);
+      if (existing && existing.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = await mfaService.startEnrollment(userId);
+
+      logger.info('MFA enrollment started', { userId });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code and confirm with a code from your authenticator app',
+        data: {
+          secret,
+          otpauthUri: totp.otpauthUri({
+            secret,
+            accountName: req.user.email,
+            issuer: MFA_ISSUER
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('MFA enrollment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor enrollment'
+      });
+    }
+  },
+
+  /**
+   * Confirm enrollment with a first code, enable MFA and issue recovery codes
+   * POST /api/auth/mfa/confirm
+   */
+  confirm: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { code } = req.body;
+
+      const enrollment = await mfaService.getEnrollment(userId);
+      if (!enrollment || enrollment.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'No pending two-factor enrollment'
+        });
+      }
+
+      const step = totp.verify(enrollment.secret, code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      const recoveryCodes = await db.transaction(async (client) => {
+        await client.query(
+          `UPDATE user_mfa
+           SET enabled = TRUE, confirmed_at = CURRENT_TIMESTAMP, last_used_step = $1
+           WHERE user_id = $2`,
+          [step, userId]
+        );
+
+        return mfaService.replaceRecoveryCodes(client, userId);
+      });
+
+      logger.info('MFA enabled', { userId });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('MFA confirmation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm two-factor enrollment'
+      });
+    }
+  },
+
+  /**
+   * Disable MFA (requires password and a current code or recovery code)
+   * POST /api/auth/mfa/disable
+   */
+  disable: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { password, code, recoveryCode } = req.body;
+
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required'
+        });
+      }
+
+      const userResult = await db.query(
+        'SELECT password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      const isValidCode = await mfaService.verifyChallenge(userId, { code, recoveryCode });
+      if (!isValidCode) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      await db.transaction(async (client) => {
+        await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+      });
+
+      logger.info('MFA disabled', { userId });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      logger.error('MFA disable error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable two-factor authentication'
+      });
+    }
+  },
+
+  /**
+   * Replace recovery codes (requires a current code)
+   * POST /api/auth/mfa/recovery-codes
+   */
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { code } = req.body;
+
+      const isValidCode = await mfaService.verifyChallenge(userId, { code });
+      if (!isValidCode) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      const recoveryCodes = await db.transaction((client) =>
+        mfaService.replaceRecoveryCodes(client, userId)
+      );
+
+      logger.info('MFA recovery codes regenerated', { userId });
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('MFA recovery code error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to regenerate recovery codes'
+      });
+    }
+  },
+};
+
+module.exports = mfaController;
@@ -0,0 +1,77 @@
+const logger = require('../logger/winstonConfig');
+const payments = require('../payments');
+const topUpService = require('../services/topUpService');
+
+const paymentController = {
+  /**
+   * Payment provider callbacks. Anything but a 2xx makes the provider retry.
+   * POST /api/payments/webhook
+   */
+  handleWebhook: async (req, res) => {
+    try {
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : null;
+      const result = await topUpService.handleWebhook(rawBody, req.headers);
+
+      if (result.status === 'invalid_signature') {
+        logger.warn('Rejected payment webhook with an invalid signature', { ip: req.ip });
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.status === 'duplicate' ? 'Event already processed' : 'Event received'
+      });
+    } catch (error) {
+      logger.error('Payment webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process webhook'
+      });
+    }
+  },
+
+  /**
+   * Development only: pay (or fail) a fake provider intent and deliver its signed webhook
+   * POST /api/payments/fake/intents/:intentId/complete
+   */
+  completeFakePayment: async (req, res) => {
+    try {
+      const provider = payments.getProvider();
+      if (provider.name !== 'fake') {
+        return res.status(404).json({
+          success: false,
+          message: 'Route not found'
+        });
+      }
+
+      let webhook;
+      try {
+        webhook = provider.complete(req.params.intentId, req.body.status || 'succeeded');
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment intent not found'
+        });
+      }
+
+      const result = await topUpService.handleWebhook(webhook.rawBody, webhook.headers);
+
+      res.json({
+        success: true,
+        message: 'Payment completed',
+        data: result.topUp || null
+      });
+    } catch (error) {
+      logger.error('Fake payment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete payment'
+      });
+    }
+  },
+};
+
+module.exports = paymentController;
@@ -0,0 +1,153 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const cacheMiddleware = require('../cacheMiddleware');
+const phoneVerification = require('../services/phoneVerification');
+
+const phoneController = {
+  /**
+   * Text a verification code to a phone number (defaults to the account's number)
+   * POST /api/auth/phone/send-code
+   */
+  sendCode: async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const accountResult = await db.query(
+        'SELECT phone_number, phone_verified FROM accounts WHERE user_id = $1',
+        [userId]
+      );
+
+      if (accountResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      const account = accountResult.rows[0];
+      const phoneNumber = req.body.phoneNumber || account.phone_number;
+
+      if (!phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number is required'
+        });
+      }
+
+      if (phoneNumber === account.phone_number && account.phone_verified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number is already verified'
+        });
+      }
+
+      const taken = await db.query(
+        'SELECT 1 FROM accounts WHERE phone_number = $1 AND user_id <> $2',
+        [phoneNumber, userId]
+      );
+
+      if (taken.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Phone number already in use'
+        });
+      }
+
+      const result = await phoneVerification.sendCode(userId, phoneNumber);
+
+      if (!result.sent) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many verification codes requested. Please try again later.'
+        });
+      }
+
+      logger.info('Phone verification code sent', { userId });
+
+      res.json({
+        success: true,
+        message: 'Verification code sent',
+        data: {
+          phoneNumber,
+          expiresIn: result.expiresIn
+        }
+      });
+    } catch (error) {
+      logger.error('Phone verification send error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code'
+      });
+    }
+  },
+
+  /**
+   * Confirm the code, attach the number to the account and mark it verified
+   * POST /api/auth/phone/verify
+   */
+  verify: async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const result = await phoneVerification.verifyCode(userId, req.body.code);
+
+      if (result.status === 'expired') {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code has expired. Please request a new one.'
+        });
+      }
+
+      if (result.status === 'locked') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many incorrect codes. Please request a new one.'
+        });
+      }
+
+      if (result.status === 'invalid') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code',
+          data: { attemptsRemaining: result.attemptsRemaining }
+        });
+      }
+
+      await db.query(
+        'UPDATE accounts SET phone_number = $1, phone_verified = TRUE WHERE user_id = $2',
+        [result.phoneNumber, userId]
+      );
+
+      try {
+        await cacheMiddleware.invalidateTags([cacheMiddleware.userTag(userId)]);
+      } catch (error) {
+        logger.error('Failed to invalidate profile cache', { userId, error: error.message });
+      }
+
+      logger.info('Phone number verified', { userId });
+
+      res.json({
+        success: true,
+        message: 'Phone number verified',
+        data: { phoneNumber: result.phoneNumber }
+      });
+    } catch (error) {
+      // Someone else attached the number between sending and verifying
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Phone number already in use'
+        });
+      }
+
+      logger.error('Phone verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Phone verification failed'
+      });
+    }
+  },
+};
+
+module.exports = phoneController;
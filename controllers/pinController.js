@@ -0,0 +1,151 @@
+const bcrypt = require('bcrypt');
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const pinService = require('../services/pinService');
+
+/**
+ * Respond to a PIN check that did not verify. Returns true if a response was sent.
+ */
+const rejectPinCheck = (res, result) => {
+  if (result.status === 'not_set') {
+    res.status(400).json({
+      success: false,
+      message: 'No PIN has been set'
+    });
+    return true;
+  }
+
+  if (result.status === 'locked') {
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({
+      success: false,
+      message: 'Too many incorrect PIN attempts. Please try again later.'
+    });
+    return true;
+  }
+
+  if (result.status === 'invalid') {
+    res.status(401).json({
+      success: false,
+      message: 'PIN is incorrect',
+      data: { attemptsRemaining: result.attemptsRemaining }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+const pinController = {
+  /**
+   * Set (or reset a forgotten) PIN, confirmed with the account password
+   * POST /api/auth/pin
+   */
+  setPin: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { pin, password } = req.body;
+
+      const userResult = await db.query(
+        'SELECT password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      const updated = await pinService.setPin(userId, pin);
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      logger.info('PIN set', { userId });
+
+      res.json({
+        success: true,
+        message: 'PIN set successfully'
+      });
+    } catch (error) {
+      logger.error('Set PIN error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set PIN'
+      });
+    }
+  },
+
+  /**
+   * Change the PIN using the current one
+   * PUT /api/auth/pin
+   */
+  changePin: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { currentPin, newPin } = req.body;
+
+      const result = await pinService.verifyPin(userId, currentPin);
+      if (rejectPinCheck(res, result)) {
+        return;
+      }
+
+      await pinService.setPin(userId, newPin);
+
+      logger.info('PIN changed', { userId });
+
+      res.json({
+        success: true,
+        message: 'PIN changed successfully'
+      });
+    } catch (error) {
+      logger.error('Change PIN error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to change PIN'
+      });
+    }
+  },
+
+  /**
+   * Confirm the PIN; routes guarded by requirePin accept the session for a few minutes
+   * POST /api/auth/pin/verify
+   */
+  verifyPin: async (req, res) => {
+    try {
+      const result = await pinService.verifyPin(req.user.id, req.body.pin);
+      if (rejectPinCheck(res, result)) {
+        return;
+      }
+
+      await pinService.recordConfirmation(req.user);
+
+      res.json({
+        success: true,
+        message: 'PIN verified',
+        data: { expiresIn: pinService.CONFIRMATION_TTL_SECONDS }
+      });
+    } catch (error) {
+      logger.error('Verify PIN error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'PIN verification failed'
+      });
+    }
+  },
+};
+
+module.exports = pinController;
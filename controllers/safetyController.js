@@ -0,0 +1,217 @@
+const logger = require('../logger/winstonConfig');
+const eventService = require('../services/eventService');
+const safetyService = require('../services/safetyService');
+const { pageParams, pagination } = require('../utils/pagination');
+
+const safetyController = {
+  /**
+   * BAC alert levels for each event type
+   * GET /api/safety/thresholds
+   */
+  getThresholds: async (req, res) => {
+    const thresholds = Object.fromEntries(
+      Object.keys(eventService.TYPE).map((type) => {
+        const name = type.toLowerCase();
+        return [name, safetyService.levelsFor(name)];
+      })
+    );
+
+    res.json({
+      success: true,
+      data: { thresholds }
+    });
+  },
+
+  /**
+   * Safety alerts for review (moderators and admins)
+   * GET /api/safety/alerts?userId=&eventId=&level=&reviewed=&page=&limit=
+   */
+  listAlerts: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+      const { userId, eventId, level, reviewed } = req.query;
+
+      const { alerts, total } = await safetyService.listAlerts({ userId, eventId, level, reviewed, ...params });
+
+      res.json({
+        success: true,
+        data: {
+          alerts,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List safety alerts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list safety alerts'
+      });
+    }
+  },
+
+  /**
+   * Mark a safety alert as reviewed (moderators and admins)
+   * POST /api/safety/alerts/:id/review
+   */
+  reviewAlert: async (req, res) => {
+    try {
+      const result = await safetyService.review(req.params.id, {
+        reviewerId: req.user.id,
+        note: req.body.note
+      });
+
+      if (result.status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Safety alert not found'
+        });
+      }
+
+      if (result.status === 'already_reviewed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Safety alert has already been reviewed',
+          data: result.alert
+        });
+      }
+
+      logger.info('Safety alert reviewed', { alertId: result.alert.id, reviewerId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Safety alert reviewed',
+        data: result.alert
+      });
+    } catch (error) {
+      logger.error('Review safety alert error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review safety alert'
+      });
+    }
+  },
+
+  /**
+   * The current user's safety alerts, newest first
+   * GET /api/me/safety-alerts?eventId=&page=&limit=
+   */
+  listMyAlerts: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+
+      const { alerts, total } = await safetyService.listAlerts({
+        userId: req.user.id,
+        eventId: req.query.eventId,
+        ...params
+      });
+
+      res.json({
+        success: true,
+        data: {
+          alerts,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List own safety alerts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list safety alerts'
+      });
+    }
+  },
+
+  /**
+   * The current user's safety contacts
+   * GET /api/me/safety-contacts
+   */
+  listContacts: async (req, res) => {
+    try {
+      const contacts = await safetyService.listContacts(req.user.id);
+
+      res.json({
+        success: true,
+        data: { contacts }
+      });
+    } catch (error) {
+      logger.error('List safety contacts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list safety contacts'
+      });
+    }
+  },
+
+  /**
+   * Add someone to be emailed about dangerous readings
+   * POST /api/me/safety-contacts
+   */
+  addContact: async (req, res) => {
+    try {
+      const result = await safetyService.addContact(req.user.id, {
+        name: req.body.name,
+        email: req.body.email
+      });
+
+      if (result.status === 'limit') {
+        return res.status(409).json({
+          success: false,
+          message: `You can have at most ${safetyService.MAX_CONTACTS} safety contacts`
+        });
+      }
+
+      if (result.status === 'duplicate') {
+        return res.status(409).json({
+          success: false,
+          message: 'This contact has already been added'
+        });
+      }
+
+      logger.info('Safety contact added', { userId: req.user.id, contactId: result.contact.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Safety contact added',
+        data: result.contact
+      });
+    } catch (error) {
+      logger.error('Add safety contact error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add safety contact'
+      });
+    }
+  },
+
+  /**
+   * Remove a safety contact
+   * DELETE /api/me/safety-contacts/:contactId
+   */
+  removeContact: async (req, res) => {
+    try {
+      const removed = await safetyService.removeContact(req.user.id, req.params.contactId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Safety contact not found'
+        });
+      }
+
+      logger.info('Safety contact removed', { userId: req.user.id, contactId: req.params.contactId });
+
+      res.json({
+        success: true,
+        message: 'Safety contact removed'
+      });
+    } catch (error) {
+      logger.error('Remove safety contact error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove safety contact'
+      });
+    }
+  },
+};
+
+module.exports = safetyController;
@@ -0,0 +1,155 @@
+const logger = require('../logger/winstonConfig');
+const scoreService = require('../services/scoreService');
+const bacEstimator = require('../services/bacEstimator');
+const { pageParams, pagination } = require('../utils/pagination');
+
+const scoreController = {
+  /**
+   * Submit a BAC reading for an event the user takes part in
+   * POST /api/events/:id/scores
+   */
+  submitScore: async (req, res) => {
+    try {
+      const result = await scoreService.submit(req.params.id, req.user.id, {
+        bac: req.body.bac,
+        recordedAt: req.body.recordedAt
+      });
+
+      if (result.status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      if (result.status === 'not_participant') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only participants can submit readings for this event'
+        });
+      }
+
+      if (result.status === 'closed') {
+        return res.status(409).json({
+          success: false,
+          message: `Readings cannot be submitted for a ${result.reason} event`
+        });
+      }
+
+      if (result.status === 'blocked') {
+        const retryAfter = Math.max(1, Math.ceil((new Date(result.blockedUntil) - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Readings are paused after a safety alert. Please take a break.',
+          data: { blockedUntil: result.blockedUntil }
+        });
+      }
+
+      if (result.status === 'outside_window') {
+        return res.status(400).json({
+          success: false,
+          message: 'Readings must be taken between the event start and end times'
+        });
+      }
+
+      logger.info('BAC reading recorded', {
+        userId: req.user.id,
+        eventId: req.params.id,
+        scoreId: result.score.id,
+        personalBest: result.personalBest,
+        alert: result.alert ? result.alert.level : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.alert
+          ? 'Reading recorded. This reading is over a safety threshold, so readings are paused for a while.'
+          : 'Reading recorded',
+        data: {
+          score: result.score,
+          personalBest: result.personalBest,
+          alert: result.alert
+            ? {
+              id: result.alert.id,
+              level: result.alert.level,
+              threshold: result.alert.threshold,
+              blockedUntil: result.alert.blockedUntil
+            }
+            : null
+        }
+      });
+    } catch (error) {
+      if (error.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          message: 'BAC must be between 0.000 and 1.000'
+        });
+      }
+
+      logger.error('Submit score error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record reading'
+      });
+    }
+  },
+
+  /**
+   * The current user's readings, newest first
+   * GET /api/me/scores?eventId=&page=&limit=
+   */
+  listMyScores: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+      const { scores, total } = await scoreService.listForUser(req.user.id, {
+        eventId: req.query.eventId,
+        ...params
+      });
+
+      res.json({
+        success: true,
+        data: {
+          scores,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List scores error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list readings'
+      });
+    }
+  },
+
+  /**
+   * Estimated current BAC and when it drops under the legal limits, from the
+   * user's recent readings and body profile. Always carries the disclaimer.
+   * GET /api/me/bac/estimate
+   */
+  estimateMyBac: async (req, res) => {
+    try {
+      const estimate = await bacEstimator.estimateForUser(req.user.id);
+
+      res.json({
+        success: true,
+        message: estimate
+          ? 'BAC estimated from your recent readings'
+          : `No readings in the last ${bacEstimator.LOOKBACK_HOURS} hours to estimate from`,
+        data: {
+          estimate,
+          disclaimer: bacEstimator.DISCLAIMER
+        }
+      });
+    } catch (error) {
+      logger.error('Estimate BAC error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to estimate BAC'
+      });
+    }
+  },
+};
+
+module.exports = scoreController;
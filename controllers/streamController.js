@@ -0,0 +1,113 @@
+const logger = require('../logger/winstonConfig');
+const eventService = require('../services/eventService');
+const eventStream = require('../services/eventStream');
+
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 15 * 1000;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+const formatMessage = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const streamController = {
+  /**
+   * Server-Sent Events stream of readings, leaderboard changes, participant
+   * joins/leaves and status changes. Reconnecting clients send Last-Event-ID
+   * (or ?lastEventId=) and get the messages they missed.
+   * GET /api/events/:id/stream
+   */
+  streamEvent: async (req, res) => {
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+
+    const cleanup = () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    };
+    // The response closes when the client goes away
+    res.on('close', cleanup);
+
+    try {
+      const event = await eventService.findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const lastId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      // Live messages wait until the replay is written, and nothing goes out twice
+      let sentId = lastId;
+      let pending = [];
+      const send = (message) => {
+        if (message.id > sentId) {
+          sentId = message.id;
+          res.write(formatMessage(message));
+        }
+      };
+
+      unsubscribe = await eventStream.subscribe(event.event_id, (message) => {
+        if (pending) {
+          pending.push(message);
+        } else {
+          send(message);
+        }
+      });
+
+      if (closed) {
+        return cleanup();
+      }
+
+      if (lastId > 0) {
+        const { messages, latest, missed } = await eventStream.since(event.event_id, lastId);
+        if (missed) {
+          // No id, so the client keeps its Last-Event-ID if this connection drops too
+          res.write('event: reset\ndata: {}\n\n');
+          sentId = Math.min(lastId, latest);
+        }
+        messages.forEach(send);
+      }
+
+      // The client may have gone during the replay; cleanup has already run
+      if (closed) {
+        return cleanup();
+      }
+
+      pending.forEach(send);
+      pending = null;
+
+      heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+      logger.info('Event stream opened', { eventId: event.event_id, userId: req.user.id, lastEventId: lastId });
+    } catch (error) {
+      cleanup();
+      logger.error('Event stream error:', error);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open event stream'
+      });
+    }
+  },
+};
+
+module.exports = streamController;
@@ -0,0 +1,273 @@
+const logger = require('../logger/winstonConfig');
+const eventService = require('../services/eventService');
+const ledgerService = require('../services/ledgerService');
+const transferService = require('../services/transferService');
+const topUpService = require('../services/topUpService');
+const { pageParams, pagination } = require('../utils/pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STATEMENT_DAYS = 30;
+
+const accountNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Account not found'
+});
+
+const walletController = {
+  /**
+   * The current user's ledger entries, newest first
+   * GET /api/me/wallet/transactions?reason=&from=&to=&page=&limit=
+   */
+  listMyTransactions: async (req, res) => {
+    try {
+      const accountId = await eventService.getAccountId(req.user.id);
+      if (!accountId) {
+        return accountNotFound(res);
+      }
+
+      const params = pageParams(req.query);
+      const { reason, from, to } = req.query;
+      const { entries, total } = await ledgerService.history(accountId, { reason, from, to, ...params });
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List wallet transactions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list wallet transactions'
+      });
+    }
+  },
+
+  /**
+   * Statement of the current user's wallet for a period (default: the last 30 days)
+   * GET /api/me/wallet/statement?from=&to=
+   */
+  getMyStatement: async (req, res) => {
+    try {
+      const accountId = await eventService.getAccountId(req.user.id);
+      if (!accountId) {
+        return accountNotFound(res);
+      }
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - DEFAULT_STATEMENT_DAYS * DAY_MS);
+
+      const statement = await ledgerService.statement(accountId, { from, to });
+
+      res.json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      logger.error('Wallet statement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build wallet statement'
+      });
+    }
+  },
+
+  /**
+   * Send part of the balance to another user. Requires an Idempotency-Key
+   * header; a retry with the same key returns the original transfer.
+   * POST /api/me/wallet/transfers
+   */
+  sendTransfer: async (req, res) => {
+    try {
+      const { recipient, amount, note } = req.body;
+      const result = await transferService.send(req.user.id, {
+        recipient,
+        amount,
+        note,
+        idempotencyKey: req.get('Idempotency-Key')
+      });
+
+      switch (result.status) {
+        case 'no_account':
+          return accountNotFound(res);
+        case 'recipient_not_found':
+          return res.status(404).json({
+            success: false,
+            message: 'Recipient not found'
+          });
+        case 'self':
+          return res.status(400).json({
+            success: false,
+            message: 'You cannot send money to yourself'
+          });
+        case 'key_reused':
+          return res.status(422).json({
+            success: false,
+            message: 'This Idempotency-Key was already used for a different transfer'
+          });
+        case 'daily_count':
+          return res.status(429).json({
+            success: false,
+            message: `You can make at most ${result.limit} transfers a day`
+          });
+        case 'daily_limit':
+          return res.status(429).json({
+            success: false,
+            message: 'Transfer exceeds your daily limit',
+            data: { dailyLimit: result.limit, remainingToday: result.remaining }
+          });
+        case 'insufficient_funds':
+          return res.status(402).json({
+            success: false,
+            message: 'Insufficient balance'
+          });
+        case 'replayed':
+          res.set('Idempotent-Replayed', 'true');
+          return res.json({
+            success: true,
+            message: 'Transfer already sent',
+            data: result.transfer
+          });
+        default:
+          break;
+      }
+
+      logger.info('Wallet transfer sent', {
+        userId: req.user.id,
+        transferId: result.transfer.id,
+        recipientAccountId: result.transfer.recipient.accountId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Transfer sent',
+        data: result.transfer
+      });
+    } catch (error) {
+      logger.error('Wallet transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send transfer'
+      });
+    }
+  },
+
+  /**
+   * Transfer limits and what is left of them today
+   * GET /api/me/wallet/transfer-limits
+   */
+  getTransferLimits: async (req, res) => {
+    try {
+      const limits = await transferService.limits(req.user.id);
+      if (!limits) {
+        return accountNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: limits
+      });
+    } catch (error) {
+      logger.error('Transfer limits error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get transfer limits'
+      });
+    }
+  },
+
+  /**
+   * Start a top-up; the client pays the returned payment intent
+   * POST /api/me/wallet/top-ups
+   */
+  createTopUp: async (req, res) => {
+    try {
+      const result = await topUpService.create(req.user.id, { amount: req.body.amount });
+
+      switch (result.status) {
+        case 'no_account':
+          return accountNotFound(res);
+        case 'out_of_range':
+          return res.status(400).json({
+            success: false,
+            message: `Top-ups must be between ${result.min.toFixed(2)} and ${result.max.toFixed(2)}`,
+            data: { min: result.min, max: result.max }
+          });
+        default:
+          break;
+      }
+
+      logger.info('Top-up started', { userId: req.user.id, topUpId: result.topUp.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Top-up started; complete the payment to credit your wallet',
+        data: { topUp: result.topUp, payment: result.payment }
+      });
+    } catch (error) {
+      logger.error('Create top-up error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start top-up'
+      });
+    }
+  },
+
+  /**
+   * The current user's top-ups, newest first
+   * GET /api/me/wallet/top-ups?status=&page=&limit=
+   */
+  listMyTopUps: async (req, res) => {
+    try {
+      const params = pageParams(req.query);
+      const { topUps, total } = await topUpService.list(req.user.id, { status: req.query.status, ...params });
+
+      res.json({
+        success: true,
+        data: {
+          topUps,
+          pagination: pagination(params, total)
+        }
+      });
+    } catch (error) {
+      logger.error('List top-ups error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list top-ups'
+      });
+    }
+  },
+
+  /**
+   * One of the current user's top-ups (poll it after paying)
+   * GET /api/me/wallet/top-ups/:topUpId
+   */
+  getMyTopUp: async (req, res) => {
+    try {
+      const topUp = await topUpService.find(req.user.id, req.params.topUpId);
+      if (!topUp) {
+        return res.status(404).json({
+          success: false,
+          message: 'Top-up not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: topUp
+      });
+    } catch (error) {
+      logger.error('Get top-up error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get top-up'
+      });
+    }
+  },
+};
+
+module.exports = walletController;
@@ -0,0 +1,4 @@
+-- Track failed logins per account for lockout and progressive backoff
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS lock_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS last_failed_login TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,73 @@
+-- Create roles table
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create permissions table (names are "resource:action", e.g. events:write)
+CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create role_permissions table
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+-- Create user_roles table
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role_id);
+
+-- Seed roles
+INSERT INTO roles (name, description) VALUES
+    ('user', 'Regular member'),
+    ('moderator', 'Reviews identity documents and moderates events'),
+    ('admin', 'Full administrative access')
+ON CONFLICT (name) DO NOTHING;
+
+-- Seed permissions
+INSERT INTO permissions (name, description) VALUES
+    ('events:read', 'View events'),
+    ('events:write', 'Create and edit own events'),
+    ('events:moderate', 'Edit or cancel any event'),
+    ('scores:write', 'Submit libation scores'),
+    ('users:read', 'View other user accounts'),
+    ('users:write', 'Manage other user accounts'),
+    ('roles:write', 'Assign and remove roles'),
+    ('verification:review', 'Review identity documents')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON (
+    (r.name = 'user' AND p.name IN ('events:read', 'events:write', 'scores:write'))
+    OR (r.name = 'moderator' AND p.name IN (
+        'events:read', 'events:write', 'events:moderate', 'scores:write',
+        'users:read', 'verification:review'
+    ))
+    OR r.name = 'admin'
+)
+ON CONFLICT DO NOTHING;
+
+-- Every existing user gets the base role
+INSERT INTO user_roles (user_id, role_id)
+SELECT u.id, r.id
+FROM users u
+CROSS JOIN roles r
+WHERE r.name = 'user'
+ON CONFLICT DO NOTHING;
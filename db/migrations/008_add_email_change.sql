@@ -0,0 +1,2 @@
+-- A verification token with new_email set confirms an email change to that address
+ALTER TABLE email_verification_tokens ADD COLUMN IF NOT EXISTS new_email VARCHAR(255);
@@ -0,0 +1,4 @@
+-- Track failed PIN checks so repeated guesses lock the PIN
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS pin_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS pin_locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS pin_updated_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,19 @@
+-- Identity documents live in the blob store; accounts keep the keys and review state.
+-- photo_base64 / id_document_base64 are legacy and no longer written.
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS photo_key VARCHAR(255);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS photo_mime_type VARCHAR(50);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_document_key VARCHAR(255);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_document_mime_type VARCHAR(50);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_rejection_reason TEXT;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS id_reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE accounts SET id_verification_status = 'UNVERIFIED' WHERE id_verification_status IS NULL;
+ALTER TABLE accounts ALTER COLUMN id_verification_status SET NOT NULL;
+ALTER TABLE accounts ADD CONSTRAINT check_id_verification_status
+    CHECK (id_verification_status IN ('UNVERIFIED', 'PENDING', 'VERIFIED', 'REJECTED'));
+
+-- Review queue, oldest submission first
+CREATE INDEX IF NOT EXISTS idx_accounts_id_review_queue
+    ON accounts(id_submitted_at) WHERE id_verification_status = 'PENDING';
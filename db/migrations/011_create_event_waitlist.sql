@@ -0,0 +1,10 @@
+-- Create event_waitlist table (people waiting for a place at a full event, first come first served)
+CREATE TABLE IF NOT EXISTS event_waitlist (
+    event_id INTEGER REFERENCES events(event_id) ON DELETE CASCADE,
+    account_id INTEGER REFERENCES accounts(account_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_waitlist_order ON event_waitlist(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_event_participants_account ON event_participants(account_id);
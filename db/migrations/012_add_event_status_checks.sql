@@ -0,0 +1,12 @@
+-- events.status: 0 draft, 1 published, 2 live, 3 ended, 4 cancelled
+-- events.type:   0 social, 1 party, 2 tasting, 3 competition
+-- Values had no defined meaning before; anything unknown falls back to the default.
+UPDATE events SET status = 0 WHERE status NOT BETWEEN 0 AND 4;
+UPDATE events SET type = 0 WHERE type NOT BETWEEN 0 AND 3;
+
+ALTER TABLE events ADD CONSTRAINT check_event_status CHECK (status BETWEEN 0 AND 4);
+ALTER TABLE events ADD CONSTRAINT check_event_type CHECK (type BETWEEN 0 AND 3);
+
+-- The scheduler looks for published/live events by start and end time
+CREATE INDEX IF NOT EXISTS idx_events_schedule_start ON events(start_time) WHERE status = 1;
+CREATE INDEX IF NOT EXISTS idx_events_schedule_end ON events(end_time) WHERE status IN (1, 2);
@@ -0,0 +1,5 @@
+-- Whether a user's readings appear on event leaderboards (opted in by default)
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS public_ranking BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Leaderboards are rebuilt from each participant's readings for one event
+CREATE INDEX IF NOT EXISTS idx_libation_scores_event_user ON libation_scores(event_id, user_id, timestamp DESC);
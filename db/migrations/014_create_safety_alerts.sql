@@ -0,0 +1,34 @@
+-- Create safety_contacts table (people a user wants told when a reading is dangerous)
+CREATE TABLE IF NOT EXISTS safety_contacts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, email)
+);
+
+-- Create safety_alerts table (one row per reading that crossed a BAC threshold, kept for review)
+CREATE TABLE IF NOT EXISTS safety_alerts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_id INTEGER REFERENCES events(event_id) ON DELETE SET NULL,
+    score_id INTEGER REFERENCES libation_scores(id) ON DELETE SET NULL,
+    level VARCHAR(20) NOT NULL,
+    bac DECIMAL(4, 3) NOT NULL,
+    threshold DECIMAL(4, 3) NOT NULL,
+    blocked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    organizer_notified BOOLEAN NOT NULL DEFAULT FALSE,
+    contacts_notified INTEGER NOT NULL DEFAULT 0,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    review_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_safety_contacts_user ON safety_contacts(user_id);
+-- Active submission blocks per user and event
+CREATE INDEX IF NOT EXISTS idx_safety_alerts_block ON safety_alerts(user_id, event_id, blocked_until);
+CREATE INDEX IF NOT EXISTS idx_safety_alerts_created ON safety_alerts(created_at);
+-- Review queue
+CREATE INDEX IF NOT EXISTS idx_safety_alerts_unreviewed ON safety_alerts(created_at) WHERE reviewed_at IS NULL;
@@ -0,0 +1,6 @@
+-- Optional body profile for BAC estimates (Widmark distribution ratio and elimination rate)
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(5, 1);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS sex VARCHAR(10);
+
+ALTER TABLE accounts ADD CONSTRAINT check_weight_kg CHECK (weight_kg IS NULL OR weight_kg BETWEEN 30 AND 300);
+ALTER TABLE accounts ADD CONSTRAINT check_sex CHECK (sex IS NULL OR sex IN ('male', 'female'));
@@ -0,0 +1,71 @@
+-- Create wallet_transactions table (one row per money movement)
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    reason VARCHAR(30) NOT NULL,
+    reference VARCHAR(100),
+    description VARCHAR(255),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create ledger_entries table (double entry: the entries of a transaction sum to zero).
+-- A member account's entries keep the balance they left it with; system accounts
+-- (e.g. adjustments) stand for money entering or leaving the platform.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id BIGINT NOT NULL REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    account_id INTEGER REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    system_account VARCHAR(30),
+    amount DECIMAL(12, 2) NOT NULL,
+    balance_after DECIMAL(10, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_entry_amount CHECK (amount <> 0),
+    CONSTRAINT check_entry_owner CHECK ((account_id IS NULL) <> (system_account IS NULL)),
+    CONSTRAINT check_entry_balance CHECK ((account_id IS NULL) = (balance_after IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+-- History and the latest balance of an account
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_id, id);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_reference ON wallet_transactions(reason, reference);
+
+-- Checked at commit, once every entry of the transaction is in
+CREATE OR REPLACE FUNCTION check_ledger_transaction_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT SUM(amount) FROM ledger_entries WHERE transaction_id = NEW.transaction_id) <> 0 THEN
+        RAISE EXCEPTION 'Ledger transaction % does not balance', NEW.transaction_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced AFTER INSERT ON ledger_entries
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_ledger_transaction_balanced();
+
+-- Opening entries, so the ledger explains every existing balance
+DO $$
+DECLARE
+    account RECORD;
+    opening_id BIGINT;
+BEGIN
+    FOR account IN
+        SELECT a.account_id, a.balance
+        FROM accounts a
+        WHERE a.balance <> 0
+          AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.account_id = a.account_id)
+    LOOP
+        INSERT INTO wallet_transactions (reason, description)
+        VALUES ('opening_balance', 'Balance before the ledger was introduced')
+        RETURNING id INTO opening_id;
+
+        INSERT INTO ledger_entries (transaction_id, account_id, amount, balance_after)
+        VALUES (opening_id, account.account_id, account.balance, account.balance);
+
+        INSERT INTO ledger_entries (transaction_id, system_account, amount)
+        VALUES (opening_id, 'opening_balance', -account.balance);
+    END LOOP;
+END $$;
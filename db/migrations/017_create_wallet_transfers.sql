@@ -0,0 +1,17 @@
+-- Create wallet_transfers table (member-to-member payments, one per idempotency key)
+CREATE TABLE IF NOT EXISTS wallet_transfers (
+    id BIGSERIAL PRIMARY KEY,
+    sender_account_id INTEGER NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    recipient_account_id INTEGER NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    amount DECIMAL(10, 2) NOT NULL,
+    note VARCHAR(140),
+    idempotency_key VARCHAR(255) NOT NULL,
+    transaction_id BIGINT NOT NULL UNIQUE REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_transfer_amount CHECK (amount > 0),
+    CONSTRAINT check_transfer_accounts CHECK (sender_account_id <> recipient_account_id),
+    CONSTRAINT wallet_transfers_idempotency_key UNIQUE (sender_account_id, idempotency_key)
+);
+
+-- Daily limits sum a sender's recent transfers
+CREATE INDEX IF NOT EXISTS idx_wallet_transfers_sender_created ON wallet_transfers(sender_account_id, created_at);
@@ -0,0 +1,29 @@
+-- Entry fees, charged from the participant's wallet to the organizer's on joining
+ALTER TABLE events ADD COLUMN IF NOT EXISTS price DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+-- Participants leaving at least this many hours before the start get their fee back
+ALTER TABLE events ADD COLUMN IF NOT EXISTS refund_cutoff_hours INTEGER NOT NULL DEFAULT 24;
+
+ALTER TABLE events ADD CONSTRAINT check_event_price CHECK (price >= 0);
+ALTER TABLE events ADD CONSTRAINT check_refund_cutoff CHECK (refund_cutoff_hours >= 0);
+
+-- Create event_payments table (one row per entry fee charged, kept after refunds)
+CREATE TABLE IF NOT EXISTS event_payments (
+    id BIGSERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(event_id) ON DELETE SET NULL,
+    account_id INTEGER NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    payee_account_id INTEGER NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'paid',
+    charge_transaction_id BIGINT NOT NULL REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    refund_transaction_id BIGINT REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_payment_amount CHECK (amount > 0),
+    CONSTRAINT check_payment_status CHECK (status IN ('paid', 'forfeited', 'refunded')),
+    CONSTRAINT check_payment_refund CHECK ((status = 'refunded') = (refund_transaction_id IS NOT NULL))
+);
+
+-- A participant holds at most one unrefunded fee for their current place
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_payments_paid ON event_payments(event_id, account_id) WHERE status = 'paid';
+CREATE INDEX IF NOT EXISTS idx_event_payments_event ON event_payments(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_event_payments_account ON event_payments(account_id);
@@ -0,0 +1,36 @@
+-- Create top_ups table (money paid into a wallet through the payment provider)
+CREATE TABLE IF NOT EXISTS top_ups (
+    id BIGSERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    provider_intent_id VARCHAR(255) NOT NULL,
+    provider_refund_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    transaction_id BIGINT UNIQUE REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    refund_transaction_id BIGINT UNIQUE REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT check_top_up_amount CHECK (amount > 0),
+    CONSTRAINT check_top_up_status CHECK (status IN ('pending', 'succeeded', 'failed', 'expired', 'refund_pending', 'refunded')),
+    -- Only completed top-ups have credited the wallet
+    CONSTRAINT check_top_up_credited CHECK ((transaction_id IS NOT NULL) = (status IN ('succeeded', 'refund_pending', 'refunded'))),
+    CONSTRAINT top_ups_provider_intent UNIQUE (provider, provider_intent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_top_ups_account_created ON top_ups(account_id, created_at DESC);
+-- Reconciliation looks for old pending top-ups
+CREATE INDEX IF NOT EXISTS idx_top_ups_pending ON top_ups(created_at) WHERE status = 'pending';
+
+-- Create payment_webhook_events table (provider callbacks already handled)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    provider VARCHAR(30) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    top_up_id BIGINT REFERENCES top_ups(id) ON DELETE SET NULL,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, event_id)
+);
@@ -80,13 +80,14 @@ class PostgresClient {
   }
 
   /**
-   * Execute a transaction
+   * Execute a transaction. `isolationLevel` (e.g. 'SERIALIZABLE') overrides
+   * the default READ COMMITTED.
    */
-  async transaction(callback) {
+  async transaction(callback, { isolationLevel } = {}) {
     const client = await this.getClient();
     
     try {
-      await client.query('BEGIN');
+      await client.query(isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel}` : 'BEGIN');
       const result = await callback(client);
       await client.query('COMMIT');
       return result;
@@ -2,6 +2,7 @@ const authMiddleware = require('./authMiddleware');
 const sessionMiddleware = require('./sessionMiddleware');
 const cookieMiddleware = require('./cookieMiddleware');
 const cacheMiddleware = require('./cacheMiddleware');
+const rateLimitMiddleware = require('./rateLimitMiddleware');
 const redisClient = require('./redisClient');
 const logger = require('./logger/winstonConfig');
 const loggingMiddleware = require('./logger/loggingMiddleware');
@@ -12,6 +13,7 @@ module.exports = {
   sessionMiddleware,
   cookieMiddleware,
   cacheMiddleware,
+  rateLimitMiddleware,
   redisClient,
   logger,
   loggingMiddleware,
@@ -7,6 +7,7 @@ module.exports = {
     'controllers/**/*.js',
     'routes/**/*.js',
     'db/**/*.js',
+    'services/**/*.js',
     '!node_modules/**',
     '!coverage/**',
     '!dist/**',
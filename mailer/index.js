@@ -0,0 +1,179 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const templates = require('./templates');
+const createSmtpTransport = require('./transports/smtpTransport');
+const createFileTransport = require('./transports/fileTransport');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 8;
+const POLL_INTERVAL_MS = parseInt(process.env.MAIL_POLL_INTERVAL_MS, 10) || 5000;
+// How long a claimed message stays invisible to other workers while being sent
+const LEASE_SECONDS = 60;
+
+const createTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+// Retry delay after a failed attempt: 30s, 1m, 2m, ... capped at 1h
+const retryDelaySeconds = (attempts) => Math.min(30 * 2 ** (attempts - 1), 60 * 60);
+
+let transport = null;
+let timer = null;
+let processing = false;
+
+const mailer = {
+  MAX_ATTEMPTS,
+
+  retryDelaySeconds,
+
+  getTransport: () => {
+    if (!transport) {
+      transport = createTransport();
+    }
+    return transport;
+  },
+
+  /**
+   * Replace the transport (custom providers, tests)
+   */
+  setTransport: (customTransport) => {
+    transport = customTransport;
+  },
+
+  /**
+   * Render a template and queue it in the outbox. Pass a transaction client to
+   * queue the message atomically with the writes it describes.
+   */
+  send: async (templateName, to, data = {}, client = db) => {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const { subject, text, html } = template(data);
+
+    const result = await client.query(
+      `INSERT INTO email_outbox (recipient, template, subject, text_body, html_body)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [to, templateName, subject, text, html]
+    );
+
+    logger.info('Email queued', { id: result.rows[0].id, template: templateName });
+
+    return result.rows[0].id;
+  },
+
+  /**
+   * Deliver due messages. Rows are claimed with a lease so several instances
+   * can run this concurrently and a crash mid-send only delays the message.
+   */
+  processOutbox: async ({ limit = 10 } = {}) => {
+    if (processing) {
+      return 0;
+    }
+    processing = true;
+
+    try {
+      const claimed = await db.query(
+        `UPDATE email_outbox
+         SET attempts = attempts + 1,
+             next_attempt_at = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL
+         WHERE id IN (
+           SELECT id FROM email_outbox
+           WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, recipient, template, subject, text_body, html_body, attempts`,
+        [limit, String(LEASE_SECONDS)]
+      );
+
+      const from = process.env.MAIL_FROM || 'no-reply@localhost';
+      let delivered = 0;
+
+      for (const message of claimed.rows) {
+        try {
+          await mailer.getTransport().send({
+            from,
+            to: message.recipient,
+            subject: message.subject,
+            text: message.text_body,
+            html: message.html_body,
+          });
+
+          await db.query(
+            `UPDATE email_outbox SET status = 'SENT', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+             WHERE id = $1`,
+            [message.id]
+          );
+          delivered++;
+        } catch (error) {
+          const exhausted = message.attempts >= MAX_ATTEMPTS;
+
+          await db.query(
+            `UPDATE email_outbox
+             SET status = $2, last_error = $3,
+                 next_attempt_at = CURRENT_TIMESTAMP + ($4 || ' seconds')::INTERVAL
+             WHERE id = $1`,
+            [
+              message.id,
+              exhausted ? 'FAILED' : 'PENDING',
+              error.message,
+              String(retryDelaySeconds(message.attempts)),
+            ]
+          );
+
+          logger.error('Email delivery failed', {
+            id: message.id,
+            template: message.template,
+            attempts: message.attempts,
+            gaveUp: exhausted,
+            error: error.message,
+          });
+        }
+      }
+
+      return delivered;
+    } finally {
+      processing = false;
+    }
+  },
+
+  /**
+   * Poll the outbox in the background
+   */
+  start: (intervalMs = POLL_INTERVAL_MS) => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(() => {
+      mailer.processOutbox().catch((error) => {
+        logger.error('Mail outbox processing error', { error: error.message });
+      });
+    }, intervalMs);
+    timer.unref();
+
+    logger.info('Mail outbox worker started', { transport: mailer.getTransport().name });
+  },
+
+  stop: () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  },
+};
+
+module.exports = mailer;
@@ -0,0 +1,178 @@
+const appUrl = () => process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:8080';
+const appName = () => process.env.APP_NAME || 'Velivolant';
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML frame so every message looks the same
+const layout = (title, paragraphs, action) => {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n      ');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#2d6cdf;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#222">
+    <h2>${escapeHtml(title)}</h2>
+      ${body}
+      ${button}
+    <p style="color:#888;font-size:12px">${escapeHtml(appName())}</p>
+  </body>
+</html>`;
+};
+
+const text = (paragraphs, action) =>
+  [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : []), '', `— ${appName()}`].join(
+    '\n\n'
+  );
+
+const render = (subject, paragraphs, action) => ({
+  subject,
+  text: text(paragraphs, action),
+  html: layout(subject, paragraphs, action),
+});
+
+/**
+ * Email templates. Each takes template data and returns { subject, text, html }.
+ */
+const templates = {
+  emailVerification: ({ username, token }) =>
+    render(
+      'Verify your email address',
+      [`Hi ${username || 'there'},`, 'Please confirm your email address. The link expires in 24 hours.'],
+      { label: 'Verify email', url: `${appUrl()}/verify-email?token=${encodeURIComponent(token)}` }
+    ),
+
+  passwordReset: ({ username, token }) =>
+    render(
+      'Reset your password',
+      [
+        `Hi ${username || 'there'},`,
+        'We received a request to reset your password. The link expires in 1 hour.',
+        'If you did not request this, you can ignore this email.',
+      ],
+      { label: 'Reset password', url: `${appUrl()}/reset-password?token=${encodeURIComponent(token)}` }
+    ),
+
+  passwordChanged: ({ username }) =>
+    render('Your password was changed', [
+      `Hi ${username || 'there'},`,
+      'The password for your account was just changed.',
+      'If this was not you, reset your password immediately and contact support.',
+    ]),
+
+  newLogin: ({ username, ipAddress, userAgent, time }) =>
+    render('New sign-in to your account', [
+      `Hi ${username || 'there'},`,
+      'Your account was just signed in to from a new device.',
+      `Time: ${time || new Date().toISOString()}`,
+      `IP address: ${ipAddress || 'unknown'}`,
+      `Device: ${userAgent || 'unknown'}`,
+      'If this was not you, change your password and sign out of all sessions.',
+    ]),
+
+  emailChange: ({ username, token }) =>
+    render(
+      'Confirm your new email address',
+      [
+        `Hi ${username || 'there'},`,
+        'Please confirm this address to finish changing the email on your account. The link expires in 24 hours.',
+      ],
+      { label: 'Confirm email', url: `${appUrl()}/verify-email?token=${encodeURIComponent(token)}` }
+    ),
+
+  emailChangeRequested: ({ username, newEmail }) =>
+    render('Your email address is being changed', [
+      `Hi ${username || 'there'},`,
+      `A change of your account email to ${newEmail} was requested. It takes effect once the new address is confirmed.`,
+      'If this was not you, change your password and contact support.',
+    ]),
+
+  identitySubmitted: ({ username }) =>
+    render('We received your identity documents', [
+      `Hi ${username || 'there'},`,
+      'Your photo and ID document were submitted for review. We will email you once a moderator has checked them.',
+    ]),
+
+  identityApproved: ({ username }) =>
+    render('Your identity is verified', [
+      `Hi ${username || 'there'},`,
+      'Your identity documents were approved. Your account is now verified.',
+    ]),
+
+  identityRejected: ({ username, reason }) =>
+    render(
+      'Your identity documents were not accepted',
+      [
+        `Hi ${username || 'there'},`,
+        'A moderator could not verify your identity from the documents you submitted.',
+        `Reason: ${reason || 'not given'}`,
+        'Please upload new documents and submit them again.',
+      ],
+      { label: 'Upload documents', url: `${appUrl()}/account/verification` }
+    ),
+
+  waitlistPromoted: ({ username, eventName, fee }) =>
+    render('You have a place at the event', [
+      `Hi ${username || 'there'},`,
+      `A place opened up at ${eventName} and you have been moved from the waitlist to the participant list.`,
+      ...(fee ? [`The entry fee of ${fee} has been paid from your wallet.`] : []),
+      'If you can no longer come, please leave the event so the next person can have your place.',
+    ]),
+
+  waitlistPaymentFailed: ({ username, eventName, fee }) =>
+    render('We could not give you a place at the event', [
+      `Hi ${username || 'there'},`,
+      `A place opened up at ${eventName}, but your wallet balance did not cover the entry fee of ${fee}, so it went to the next person and you have been taken off the waitlist.`,
+      'Top up your wallet and join the event again if places are still available.',
+    ]),
+
+  safetyAlert: ({ username, eventName, bac, blockedUntil }) =>
+    render('Please take a break', [
+      `Hi ${username || 'there'},`,
+      `Your reading of ${bac} at ${eventName} is over a safety threshold.`,
+      `New readings for the event are paused until ${new Date(blockedUntil).toUTCString()}. Drink some water, eat something, and do not drive.`,
+      'If you feel unwell, ask someone nearby for help or call your local emergency number.',
+    ]),
+
+  safetyAlertOrganizer: ({ username, participant, eventName, bac, level }) =>
+    render(`Safety alert at ${eventName}`, [
+      `Hi ${username || 'there'},`,
+      `${participant} recorded a reading of ${bac} at ${eventName}, which is at the ${level} level.`,
+      'Please check on them and make sure they get home safely.',
+    ]),
+
+  safetyAlertContact: ({ name, participant, eventName, bac }) =>
+    render(`${participant} may need a hand`, [
+      `Hi ${name || 'there'},`,
+      `${participant} listed you as a safety contact. They recorded a BAC reading of ${bac} at ${eventName}, which is over a safety threshold.`,
+      'You may want to check on them and make sure they get home safely.',
+    ]),
+
+  transferReceived: ({ username, sender, amount, note }) =>
+    render(`${sender} sent you ${amount}`, [
+      `Hi ${username || 'there'},`,
+      `${sender} sent ${amount} to your wallet.`,
+      ...(note ? [`Their note: "${note}"`] : []),
+    ]),
+
+  eventStatusChanged: ({ username, eventName, status }) => {
+    const changes = {
+      published: ['is open', 'The event is now published.'],
+      live: ['has started', 'The event is now live.'],
+      ended: ['has ended', 'The event is over. Thanks for taking part!'],
+      cancelled: ['was cancelled', 'The organizer cancelled the event.'],
+    };
+    const [headline, detail] = changes[status] || [`is now ${status}`, `The event status changed to ${status}.`];
+
+    return render(`${eventName} ${headline}`, [`Hi ${username || 'there'},`, detail]);
+  },
+};
+
+module.exports = templates;
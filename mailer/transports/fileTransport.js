@@ -0,0 +1,29 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes each message as a JSON file instead of sending it.
+ * Used for local development and tests.
+ */
+const createFileTransport = (options = {}) => {
+  const directory = options.directory || process.env.MAIL_OUTBOX_DIR || path.join('tmp', 'mail');
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { messageId };
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST || 'localhost',
+    port: options.port || parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,72 @@
+const express = require('express');
+
+// Leading bytes of each accepted file type
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/png', matches: (data) => data.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')) },
+  {
+    mimeType: 'image/webp',
+    matches: (data) => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP',
+  },
+  { mimeType: 'application/pdf', matches: (data) => data.toString('latin1', 0, 5) === '%PDF-' },
+];
+
+/**
+ * Identify a file from its content rather than the name or header it was sent with
+ */
+const detectMimeType = (data) => {
+  const signature = SIGNATURES.find(({ matches }) => matches(data));
+  return signature ? signature.mimeType : null;
+};
+
+/**
+ * Accept a raw file upload (the request body is the file, typed by Content-Type).
+ * Rejects files over `maxBytes` (413), types outside `mimeTypes` and content that
+ * does not match the declared type (415). Sets `req.upload = { data, mimeType }`.
+ */
+const rawUpload = ({ maxBytes, mimeTypes }) => [
+  express.raw({ type: () => true, limit: maxBytes }),
+
+  (err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        message: `File cannot exceed ${maxBytes} bytes`
+      });
+    }
+    next(err);
+  },
+
+  (req, res, next) => {
+    const declaredType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+
+    if (!mimeTypes.includes(declaredType)) {
+      return res.status(415).json({
+        success: false,
+        message: `File type must be one of: ${mimeTypes.join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+
+    if (detectMimeType(req.body) !== declaredType) {
+      return res.status(415).json({
+        success: false,
+        message: 'File content does not match its type'
+      });
+    }
+
+    req.upload = { data: req.body, mimeType: declaredType };
+    next();
+  },
+];
+
+module.exports = {
+  rawUpload,
+  detectMimeType,
+};
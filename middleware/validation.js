@@ -1,4 +1,6 @@
-const { body, validationResult } = require('express-validator');
+const { body, header, param, query, validationResult } = require('express-validator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Validation middleware to check for errors
 const validate = (req, res, next) => {
@@ -79,6 +81,12 @@ const loginValidation = [
   validate,
 ];
 
+// Phone numbers are stored in international format (E.164 digits, optional +)
+const phoneNumberRule = () => body('phoneNumber')
+  .trim()
+  .matches(/^\+?[1-9]\d{6,14}$/)
+  .withMessage('Please provide a valid phone number in international format');
+
 // Update profile validation rules
 const updateProfileValidation = [
   body('firstName')
@@ -93,6 +101,17 @@ const updateProfileValidation = [
     .isLength({ max: 50 })
     .withMessage('Last name cannot exceed 50 characters'),
 
+  body('displayName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Display name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Display name cannot exceed 100 characters'),
+
+  // null clears the phone number
+  phoneNumberRule().optional({ values: 'null' }),
+
   body('email')
     .optional()
     .trim()
@@ -100,6 +119,27 @@ const updateProfileValidation = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
 
+  body('publicRanking')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Public ranking must be true or false'),
+
+  body('weightKg')
+    .optional({ values: 'null' })
+    .isFloat({ min: 30, max: 300 })
+    .withMessage('Weight must be between 30 and 300 kg')
+    .toFloat(),
+
+  body('sex')
+    .optional({ values: 'null' })
+    .isIn(['male', 'female'])
+    .withMessage('Sex must be male or female'),
+
+  body()
+    .custom((value) => ['firstName', 'lastName', 'displayName', 'phoneNumber', 'email', 'publicRanking', 'weightKg', 'sex']
+      .some((field) => value && value[field] !== undefined))
+    .withMessage('No profile fields to update'),
+
   validate,
 ];
 
@@ -128,9 +168,702 @@ const changePasswordValidation = [
   validate,
 ];
 
+// Two-factor code validation rules (enrollment confirmation, recovery code regeneration)
+const mfaCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  validate,
+];
+
+// Two-factor challenge validation rules (a TOTP code or a recovery code)
+const mfaChallengeValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 11 })
+    .withMessage('Recovery code is invalid'),
+
+  body()
+    .custom((value) => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('Verification code or recovery code is required'),
+
+  validate,
+];
+
+// Phone verification code request rules (defaults to the account's number)
+const phoneSendCodeValidation = [
+  phoneNumberRule().optional(),
+
+  validate,
+];
+
+// Phone verification code rules
+const phoneVerifyValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  validate,
+];
+
+// PINs are 4 to 6 digits
+const pinRule = (field) => body(field)
+  .notEmpty()
+  .withMessage('PIN is required')
+  .matches(/^\d{4,6}$/)
+  .withMessage('PIN must be 4 to 6 digits');
+
+// Set PIN validation rules
+const setPinValidation = [
+  pinRule('pin'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  validate,
+];
+
+// Change PIN validation rules
+const changePinValidation = [
+  pinRule('currentPin'),
+
+  pinRule('newPin')
+    .custom((value, { req }) => value !== req.body.currentPin)
+    .withMessage('New PIN must be different from current PIN'),
+
+  validate,
+];
+
+// Verify PIN validation rules
+const verifyPinValidation = [
+  pinRule('pin'),
+
+  validate,
+];
+
+// Pagination query rules (page, limit), combined into the validators below
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+];
+
+const userIdParamRule = param('id')
+  .isInt({ min: 1 })
+  .withMessage('User id must be a positive integer')
+  .toInt();
+
+// Admin user search validation rules
+const adminUserSearchValidation = [
+  ...paginationRules,
+
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+
+  validate,
+];
+
+// Admin account action validation rules (user id in the path, optional reason)
+const adminUserActionValidation = [
+  userIdParamRule,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate,
+];
+
+// Admin audit trail validation rules
+const adminUserAuditValidation = [
+  userIdParamRule,
+  ...paginationRules,
+  validate,
+];
+
+// Identity document upload validation rules (the file itself is the request body)
+const identityDocumentValidation = [
+  query('type')
+    .isIn(['passport', 'drivers_license', 'national_id'])
+    .withMessage('Document type must be passport, drivers_license or national_id'),
+
+  validate,
+];
+
+// Identity review queue validation rules
+const identityReviewListValidation = [
+  ...paginationRules,
+
+  query('status')
+    .optional()
+    .isIn(['UNVERIFIED', 'PENDING', 'VERIFIED', 'REJECTED'])
+    .withMessage('Status must be UNVERIFIED, PENDING, VERIFIED or REJECTED'),
+
+  validate,
+];
+
+// Identity review file validation rules
+const identityReviewFileValidation = [
+  userIdParamRule,
+
+  param('kind')
+    .isIn(['photo', 'document'])
+    .withMessage('File must be photo or document'),
+
+  validate,
+];
+
+// Identity approval validation rules
+const identityApproveValidation = [
+  userIdParamRule,
+  validate,
+];
+
+// Identity rejection validation rules (the reason is sent to the user)
+const identityRejectValidation = [
+  userIdParamRule,
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate,
+];
+
+const EVENT_STATUSES = ['draft', 'published', 'live', 'ended', 'cancelled'];
+const EVENT_TYPES = ['social', 'party', 'tasting', 'competition'];
+const EVENT_FIELDS = [
+  'name', 'description', 'location', 'startTime', 'endTime', 'maxParticipants',
+  'price', 'refundCutoffHours', 'type', 'status',
+];
+
+const eventIdParamRule = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Event id must be a positive integer')
+  .toInt();
+
+// Event fields; `optional` is true for partial updates. Mirrors the table constraints.
+const eventFieldRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Event name is required')
+      .isLength({ max: 255 })
+      .withMessage('Event name cannot exceed 255 characters'),
+
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Description cannot exceed 5000 characters'),
+
+    body('location')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Location cannot exceed 255 characters'),
+
+    field('startTime')
+      .isISO8601({ strict: true })
+      .withMessage('Start time must be an ISO 8601 date'),
+
+    field('endTime')
+      .isISO8601({ strict: true })
+      .withMessage('End time must be an ISO 8601 date')
+      // check_event_times (updates with one side are checked against the stored event)
+      .custom((value, { req }) => {
+        if (req.body.startTime !== undefined && new Date(value) <= new Date(req.body.startTime)) {
+          throw new Error('End time must be after start time');
+        }
+        return true;
+      }),
+
+    // check_max_participants: -1 means unlimited
+    body('maxParticipants')
+      .optional()
+      .isInt()
+      .withMessage('Max participants must be an integer')
+      .toInt()
+      .custom((value) => value === -1 || value > 0)
+      .withMessage('Max participants must be positive, or -1 for unlimited'),
+
+    // check_event_price: entry fee in wallet currency, 0 for free events
+    body('price')
+      .optional()
+      .isDecimal({ decimal_digits: '0,2' })
+      .withMessage('Price must be a number with at most 2 decimal places')
+      .isFloat({ min: 0, max: 99999999.99 })
+      .withMessage('Price cannot be negative')
+      .toFloat(),
+
+    body('refundCutoffHours')
+      .optional()
+      .isInt({ min: 0, max: 8760 })
+      .withMessage('Refund cutoff must be between 0 and 8760 hours')
+      .toInt(),
+
+    body('type')
+      .optional()
+      .isIn(EVENT_TYPES)
+      .withMessage(`Type must be one of: ${EVENT_TYPES.join(', ')}`),
+
+    // New events start as drafts or published; later changes follow the status transitions
+    body('status')
+      .optional()
+      .isIn(optional ? EVENT_STATUSES : ['draft', 'published'])
+      .withMessage(optional
+        ? `Status must be one of: ${EVENT_STATUSES.join(', ')}`
+        : 'Status must be draft or published'),
+  ];
+};
+
+// Create event validation rules
+const createEventValidation = [
+  ...eventFieldRules(false),
+  validate,
+];
+
+// Update event validation rules (any subset of fields)
+const updateEventValidation = [
+  eventIdParamRule,
+  ...eventFieldRules(true),
+
+  body()
+    .custom((value) => EVENT_FIELDS.some((field) => value && value[field] !== undefined))
+    .withMessage('No event fields to update'),
+
+  validate,
+];
+
+// Event id validation rules
+const eventIdValidation = [
+  eventIdParamRule,
+  validate,
+];
+
+// Event list validation rules
+const listEventsValidation = [
+  ...paginationRules,
+
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('From must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('To must be after from'),
+
+  query('status')
+    .optional()
+    .isIn(EVENT_STATUSES)
+    .withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
+
+  query('type')
+    .optional()
+    .isIn(EVENT_TYPES)
+    .withMessage(`Type must be one of: ${EVENT_TYPES.join(', ')}`),
+
+  query('organizerId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Organizer id must be a positive integer')
+    .toInt(),
+
+  validate,
+];
+
+// BAC reading validation rules (mirrors check_bac_value and DECIMAL(4, 3))
+const submitScoreValidation = [
+  eventIdParamRule,
+
+  body('bac')
+    .notEmpty()
+    .withMessage('BAC is required')
+    .isDecimal({ decimal_digits: '0,3' })
+    .withMessage('BAC must be a number with at most 3 decimal places')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('BAC must be between 0.000 and 1.000')
+    .toFloat(),
+
+  body('recordedAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Recorded at must be an ISO 8601 date'),
+
+  validate,
+];
+
+// Event leaderboard validation rules
+const leaderboardValidation = [
+  eventIdParamRule,
+
+  query('board')
+    .optional()
+    .isIn(['peak', 'latest'])
+    .withMessage('Board must be peak or latest'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('around')
+    .optional()
+    .isInt({ min: 0, max: 25 })
+    .withMessage('Around must be between 0 and 25')
+    .toInt(),
+
+  validate,
+];
+
+const eventIdQueryRule = query('eventId')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Event id must be a positive integer')
+  .toInt();
+
+// Own score history validation rules
+const scoreHistoryValidation = [
+  ...paginationRules,
+  eventIdQueryRule,
+  validate,
+];
+
+// Own safety alert history validation rules
+const safetyAlertHistoryValidation = [
+  ...paginationRules,
+  eventIdQueryRule,
+  validate,
+];
+
+// Safety alert review queue validation rules
+const safetyAlertListValidation = [
+  ...paginationRules,
+  eventIdQueryRule,
+
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User id must be a positive integer')
+    .toInt(),
+
+  query('level')
+    .optional()
+    .matches(/^[a-z_]{1,20}$/)
+    .withMessage('Level must be a level name such as caution or danger'),
+
+  query('reviewed')
+    .optional()
+    .isBoolean()
+    .withMessage('Reviewed must be true or false')
+    .toBoolean(),
+
+  validate,
+];
+
+// Safety alert review validation rules
+const safetyAlertReviewValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Alert id must be a positive integer')
+    .toInt(),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  validate,
+];
+
+// Safety contact validation rules
+const safetyContactValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  validate,
+];
+
+// Safety contact removal validation rules
+const safetyContactIdValidation = [
+  param('contactId')
+    .isInt({ min: 1 })
+    .withMessage('Contact id must be a positive integer')
+    .toInt(),
+
+  validate,
+];
+
+// Wallet history validation rules (own and admin)
+const walletHistoryRules = [
+  ...paginationRules,
+
+  query('reason')
+    .optional()
+    .matches(/^[a-z_]{1,30}$/)
+    .withMessage('Reason must be a reason name such as adjustment'),
+
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('From must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('To must be after from'),
+];
+
+const walletHistoryValidation = [
+  ...walletHistoryRules,
+  validate,
+];
+
+// Wallet statement validation rules (at most a year)
+const walletStatementValidation = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('From must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('To must be an ISO 8601 date'),
+
+  query()
+    .custom((value) => {
+      const to = value.to ? new Date(value.to) : new Date();
+      const from = value.from ? new Date(value.from) : new Date(to.getTime() - 30 * DAY_MS);
+      return from < to && to - from <= 366 * DAY_MS;
+    })
+    .withMessage('Statement period must be positive and at most a year'),
+
+  validate,
+];
+
+// Wallet transfer validation rules
+const walletTransferValidation = [
+  header('Idempotency-Key')
+    .trim()
+    .notEmpty()
+    .withMessage('Idempotency-Key header is required')
+    .isLength({ max: 255 })
+    .withMessage('Idempotency-Key cannot exceed 255 characters'),
+
+  body('recipient')
+    .trim()
+    .notEmpty()
+    .withMessage('Recipient username is required'),
+
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Amount must be a number with at most 2 decimal places')
+    .isFloat({ min: 0.01, max: 99999999.99 })
+    .withMessage('Amount must be at least 0.01')
+    .toFloat(),
+
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 140 })
+    .withMessage('Note cannot exceed 140 characters'),
+
+  validate,
+];
+
+// Top-up validation rules (the allowed range is checked by the top-up service)
+const topUpCreateValidation = [
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Amount must be a number with at most 2 decimal places')
+    .isFloat({ min: 0.01, max: 99999999.99 })
+    .withMessage('Amount must be at least 0.01')
+    .toFloat(),
+
+  validate,
+];
+
+const TOP_UP_STATUSES = ['pending', 'succeeded', 'failed', 'expired', 'refund_pending', 'refunded'];
+
+const topUpIdParamRule = param('topUpId')
+  .isInt({ min: 1 })
+  .withMessage('Top-up id must be a positive integer')
+  .toInt();
+
+// Top-up list validation rules
+const topUpListValidation = [
+  ...paginationRules,
+
+  query('status')
+    .optional()
+    .isIn(TOP_UP_STATUSES)
+    .withMessage(`Status must be one of: ${TOP_UP_STATUSES.join(', ')}`),
+
+  validate,
+];
+
+// Top-up id validation rules
+const topUpIdValidation = [
+  topUpIdParamRule,
+  validate,
+];
+
+// Fake payment completion validation rules (development only)
+const fakePaymentValidation = [
+  param('intentId')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment intent id is required'),
+
+  body('status')
+    .optional()
+    .isIn(['succeeded', 'failed'])
+    .withMessage('Status must be succeeded or failed'),
+
+  validate,
+];
+
+// Admin wallet history validation rules
+const adminWalletHistoryValidation = [
+  userIdParamRule,
+  ...walletHistoryRules,
+  validate,
+];
+
+// Admin wallet adjustment validation rules (signed amount, DECIMAL(10, 2))
+const adminWalletAdjustmentValidation = [
+  userIdParamRule,
+
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Amount must be a number with at most 2 decimal places')
+    .isFloat({ min: -99999999.99, max: 99999999.99 })
+    .withMessage('Amount is out of range')
+    .toFloat()
+    .custom((value) => value !== 0)
+    .withMessage('Amount cannot be zero'),
+
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+
+  validate,
+];
+
+// Admin top-up refund validation rules
+const adminTopUpRefundValidation = [
+  userIdParamRule,
+  topUpIdParamRule,
+  validate,
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
   updateProfileValidation,
   changePasswordValidation,
+  mfaCodeValidation,
+  mfaChallengeValidation,
+  phoneSendCodeValidation,
+  phoneVerifyValidation,
+  setPinValidation,
+  changePinValidation,
+  verifyPinValidation,
+  adminUserSearchValidation,
+  adminUserActionValidation,
+  adminUserAuditValidation,
+  identityDocumentValidation,
+  identityReviewListValidation,
+  identityReviewFileValidation,
+  identityApproveValidation,
+  identityRejectValidation,
+  createEventValidation,
+  updateEventValidation,
+  eventIdValidation,
+  listEventsValidation,
+  submitScoreValidation,
+  scoreHistoryValidation,
+  leaderboardValidation,
+  safetyAlertHistoryValidation,
+  safetyAlertListValidation,
+  safetyAlertReviewValidation,
+  safetyContactValidation,
+  safetyContactIdValidation,
+  walletHistoryValidation,
+  walletStatementValidation,
+  walletTransferValidation,
+  adminWalletHistoryValidation,
+  adminWalletAdjustmentValidation,
+  topUpCreateValidation,
+  topUpListValidation,
+  topUpIdValidation,
+  fakePaymentValidation,
+  adminTopUpRefundValidation,
 };
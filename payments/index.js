@@ -0,0 +1,61 @@
+const createFakeProvider = require('./providers/fakeProvider');
+
+/**
+ * Payment providers take the card payments behind wallet top-ups. Amounts are
+ * decimal strings ("25.00"). Providers implement:
+ *   createIntent({ amount, currency, reference }) => Promise<{ id, status, clientSecret }>
+ *   getIntent(id) => Promise<{ id, status, amount } | null>  (status: pending, succeeded, failed or cancelled)
+ *   cancelIntent(id) => Promise<void>
+ *   refund({ intentId, amount, reference }) => Promise<{ id, status }>  (status: pending or succeeded)
+ *   verifyWebhook(rawBody, headers) => { id, type, intentId, refundId, amount } | null
+ * verifyWebhook returns null unless the signature checks out. Event types are
+ * payment.succeeded, payment.failed, refund.succeeded and refund.failed.
+ * refund is idempotent on its reference: asking again returns the same refund.
+ * It rejects with `declined: true` set on the error only when the provider
+ * definitely refused and nothing was refunded (see payments.isDeclined); any
+ * other failure (a timeout, a 5xx) may have refunded after all.
+ * Register a real provider with `payments.setProvider(provider)` at startup.
+ */
+const createProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'fake');
+
+  if (!name) {
+    throw new Error('No payment provider configured');
+  }
+
+  switch (name) {
+    case 'fake':
+      // It hands out money for nothing, so it never runs in production
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment provider cannot be used in production');
+      }
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+};
+
+let provider = null;
+
+const payments = {
+  getProvider: () => {
+    if (!provider) {
+      provider = createProvider();
+    }
+    return provider;
+  },
+
+  /**
+   * Whether a provider error is a definite refusal rather than an unknown outcome
+   */
+  isDeclined: (error) => Boolean(error && error.declined),
+
+  /**
+   * Replace the provider (real providers, tests)
+   */
+  setProvider: (customProvider) => {
+    provider = customProvider;
+  },
+};
+
+module.exports = payments;
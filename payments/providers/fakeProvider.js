@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const logger = require('../../logger/winstonConfig');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+// Signed webhooks older than this are refused, so captured ones cannot be replayed later
+const TOLERANCE_SECONDS = 5 * 60;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Stand-in for a card payment provider, used for local development and tests.
+ * Intents live in memory. Webhooks are signed with PAYMENT_WEBHOOK_SECRET the
+ * way real providers sign theirs: `t=<unix seconds>,v1=<HMAC-SHA256 of "t.body">`.
+ * `complete` and `settleRefund` play the customer and the bank; they return the
+ * signed webhook ({ rawBody, headers }) the provider would send.
+ */
+const createFakeProvider = (options = {}) => {
+  const secret = options.secret || process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+  const intents = new Map();
+  const refunds = new Map();
+  const refundsByReference = new Map();
+
+  const signature = (timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const sign = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${signature(timestamp, rawBody)}`;
+
+  const webhook = (type, data) => {
+    const rawBody = JSON.stringify({ id: randomId('evt'), type, data, created: Math.floor(Date.now() / 1000) });
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+  };
+
+  const findIntent = (id) => {
+    const intent = intents.get(id);
+    if (!intent) {
+      throw new Error(`Unknown payment intent: ${id}`);
+    }
+    return intent;
+  };
+
+  return {
+    name: 'fake',
+    SIGNATURE_HEADER,
+    sign,
+
+    createIntent: async ({ amount, currency, reference }) => {
+      const intent = { id: randomId('pi'), amount, currency, reference, status: 'pending' };
+      intents.set(intent.id, intent);
+
+      logger.info('Payment intent created (fake provider)', { intentId: intent.id, amount, currency });
+      return {
+        id: intent.id,
+        status: intent.status,
+        clientSecret: `${intent.id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      };
+    },
+
+    getIntent: async (id) => {
+      const intent = intents.get(id);
+      return intent ? { id, status: intent.status, amount: intent.amount } : null;
+    },
+
+    cancelIntent: async (id) => {
+      const intent = findIntent(id);
+      if (intent.status !== 'pending') {
+        throw new Error(`Payment intent ${id} is ${intent.status}`);
+      }
+      intent.status = 'cancelled';
+    },
+
+    refund: async ({ intentId, amount, reference }) => {
+      const existing = refundsByReference.get(reference);
+      if (existing) {
+        return { id: existing.id, status: existing.status };
+      }
+
+      const intent = intents.get(intentId);
+      if (!intent || intent.status !== 'succeeded') {
+        throw Object.assign(new Error(`Payment intent ${intentId} is ${intent ? intent.status : 'unknown'}`), { declined: true });
+      }
+
+      const refund = { id: randomId('re'), intentId, amount, reference, status: 'pending' };
+      refunds.set(refund.id, refund);
+      refundsByReference.set(reference, refund);
+      return { id: refund.id, status: refund.status };
+    },
+
+    verifyWebhook: (rawBody, headers = {}) => {
+      const header = headers[SIGNATURE_HEADER];
+      if (!rawBody || typeof header !== 'string') {
+        return null;
+      }
+
+      const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+      const timestamp = parseInt(parts.t, 10);
+      if (!Number.isInteger(timestamp) || !parts.v1
+        || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+        return null;
+      }
+
+      const expected = Buffer.from(signature(timestamp, rawBody), 'hex');
+      const received = Buffer.from(parts.v1, 'hex');
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return null;
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data.intentId,
+        refundId: event.data.refundId || null,
+        amount: event.data.amount,
+      };
+    },
+
+    /**
+     * The customer pays (or the payment fails). Returns the webhook to deliver.
+     */
+    complete: (intentId, status = 'succeeded') => {
+      const intent = findIntent(intentId);
+      intent.status = status;
+      return webhook(`payment.${status}`, { intentId, amount: intent.amount });
+    },
+
+    /**
+     * The bank pays a refund back (or refuses it). Returns the webhook to deliver.
+     */
+    settleRefund: (refundId, status = 'succeeded') => {
+      const refund = refunds.get(refundId);
+      if (!refund) {
+        throw new Error(`Unknown refund: ${refundId}`);
+      }
+      refund.status = status;
+      return webhook(`refund.${status}`, { intentId: refund.intentId, refundId, amount: refund.amount });
+    },
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const redisClient = require('./redisClient');
+const logger = require('./logger/winstonConfig');
+
+// ioredis queues commands while disconnected; give up on Redis after this long
+const REDIS_TIMEOUT_MS = parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS, 10) || 500;
+
+const KEY_PREFIX = 'ratelimit:';
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const KEY_FUNCTIONS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Anonymous requests fall back to the client IP
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+};
+
+const resolveKey = (key) => {
+  if (typeof key === 'function') {
+    // Custom keys can be personal data (e.g. an email address), so only a hash is stored
+    return (req) => {
+      const value = key(req);
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      return `key:${crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32)}`;
+    };
+  }
+
+  if (!KEY_FUNCTIONS[key]) {
+    throw new Error(`Unknown rate limit key: ${key}`);
+  }
+  return KEY_FUNCTIONS[key];
+};
+
+/**
+ * Milliseconds after which one more request would be allowed, assuming no
+ * other requests arrive meanwhile. It is allowed once
+ * floor(previous * weight) + current + 1 <= max, i.e. previous * weight < max - current.
+ */
+const retryAfterMs = ({ max, windowMs, elapsedMs, previous, current }) => {
+  // Within this window: wait for enough of the previous window to slide out
+  if (current + 1 <= max) {
+    return (1 - (max - current) / previous) * windowMs - elapsedMs;
+  }
+
+  // Otherwise this window's requests must slide out of the next one
+  return windowMs - elapsedMs + (1 - max / current) * windowMs;
+};
+
+/**
+ * Count a request against a sliding window: this window's count plus the
+ * previous window's, weighted by how much of it still overlaps the last
+ * `windowMs`. Resolves to the estimated count and the window position.
+ */
+const hit = async (key, windowMs, now) => {
+  const window = Math.floor(now / windowMs);
+  const currentKey = `${KEY_PREFIX}${key}:${window}`;
+
+  const current = await redisClient.incr(currentKey);
+  if (current === 1) {
+    // Kept for the following window, which weighs it
+    await redisClient.expire(currentKey, Math.ceil((2 * windowMs) / 1000));
+  }
+  const previous = parseInt(await redisClient.get(`${KEY_PREFIX}${key}:${window - 1}`), 10) || 0;
+
+  const elapsedMs = now - window * windowMs;
+  const weight = 1 - elapsedMs / windowMs;
+
+  return {
+    count: Math.floor(previous * weight) + current,
+    current,
+    previous,
+    elapsedMs,
+  };
+};
+
+const rateLimitMiddleware = {
+  /**
+   * Limit requests to `max` per `windowSeconds` (sliding window), counted in
+   * Redis per `key`: 'ip', 'user' (the authenticated user; mount after
+   * verifyToken) or a function of the request (requests it returns nothing
+   * for are not limited). Rejected requests count too. `name` separates the
+   * counters of different policies. When Redis is unavailable, requests are
+   * let through if `failOpen`, otherwise refused with 503.
+   */
+  limit: ({
+    name,
+    max,
+    windowSeconds,
+    key = 'ip',
+    failOpen = true,
+    message = 'Too many requests. Please try again later.',
+  }) => {
+    if (!name || !(max > 0) || !(windowSeconds > 0)) {
+      throw new Error('A rate limit needs a name, a positive max and a positive windowSeconds');
+    }
+
+    const keyFor = resolveKey(key);
+    const windowMs = windowSeconds * 1000;
+
+    return async (req, res, next) => {
+      const id = keyFor(req);
+      if (!id) {
+        return next();
+      }
+
+      let usage;
+      try {
+        usage = await withTimeout(hit(`${name}:${id}`, windowMs, Date.now()), REDIS_TIMEOUT_MS);
+      } catch (error) {
+        logger.error('Rate limit check failed', { policy: name, failOpen, error: error.message });
+        if (failOpen) {
+          return next();
+        }
+        return res.status(503).json({
+          success: false,
+          message: 'Service temporarily unavailable. Please try again later.'
+        });
+      }
+
+      const blocked = usage.count > max;
+      // Rounded past the boundary, where the request would still be refused
+      const resetSeconds = blocked
+        ? Math.floor(retryAfterMs({ max, windowMs, ...usage }) / 1000) + 1
+        : Math.max(1, Math.ceil((windowMs - usage.elapsedMs) / 1000));
+
+      res.set({
+        'RateLimit-Policy': `${max};w=${windowSeconds}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - usage.count)),
+        'RateLimit-Reset': String(resetSeconds),
+      });
+
+      if (!blocked) {
+        return next();
+      }
+
+      logger.warn('Rate limit exceeded', { policy: name, key: id, path: req.originalUrl });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    };
+  },
+};
+
+module.exports = rateLimitMiddleware;
@@ -0,0 +1,33 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { authMiddleware } = require('../');
+const {
+  adminUserSearchValidation,
+  adminUserActionValidation,
+  adminUserAuditValidation,
+  adminWalletHistoryValidation,
+  adminWalletAdjustmentValidation,
+  adminTopUpRefundValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authMiddleware.verifyToken, authMiddleware.checkRole(['admin']));
+
+// User management
+router.get('/users', adminUserSearchValidation, adminController.listUsers);
+router.get('/users/:id', adminUserActionValidation, adminController.getUser);
+router.get('/users/:id/audit', adminUserAuditValidation, adminController.getAuditTrail);
+router.post('/users/:id/deactivate', adminUserActionValidation, adminController.deactivateUser);
+router.post('/users/:id/reactivate', adminUserActionValidation, adminController.reactivateUser);
+router.post('/users/:id/password-reset', adminUserActionValidation, adminController.forcePasswordReset);
+router.post('/users/:id/verification-email', adminUserActionValidation, adminController.resendVerification);
+router.delete('/users/:id/sessions', adminUserActionValidation, adminController.revokeSessions);
+
+// Wallets
+router.get('/users/:id/wallet/transactions', adminWalletHistoryValidation, adminController.getWalletHistory);
+router.post('/users/:id/wallet/adjustments', adminWalletAdjustmentValidation, adminController.adjustBalance);
+router.post('/users/:id/wallet/top-ups/:topUpId/refund', adminTopUpRefundValidation, adminController.refundTopUp);
+
+module.exports = router;
@@ -1,31 +1,97 @@
 const express = require('express');
 const authController = require('../controllers/authController');
-const { authMiddleware } = require('../');
+const mfaController = require('../controllers/mfaController');
+const phoneController = require('../controllers/phoneController');
+const pinController = require('../controllers/pinController');
+const { authMiddleware, rateLimitMiddleware } = require('../');
 const { 
   registerValidation, 
   loginValidation,
-  changePasswordValidation 
+  updateProfileValidation,
+  changePasswordValidation,
+  mfaCodeValidation,
+  mfaChallengeValidation,
+  phoneSendCodeValidation,
+  phoneVerifyValidation,
+  setPinValidation,
+  changePinValidation,
+  verifyPinValidation
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+const HOUR_SECONDS = 60 * 60;
+
+// Routes that send email or run bcrypt; rejected requests count too
+const loginLimit = rateLimitMiddleware.limit({
+  name: 'login',
+  max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX, 10) || 10,
+  windowSeconds: 60,
+  message: 'Too many login attempts. Please try again later.'
+});
+const registerLimit = rateLimitMiddleware.limit({
+  name: 'register',
+  max: parseInt(process.env.RATE_LIMIT_REGISTER_MAX, 10) || 5,
+  windowSeconds: HOUR_SECONDS
+});
+const resetRequestLimits = [
+  rateLimitMiddleware.limit({
+    name: 'password-reset',
+    max: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_MAX, 10) || 10,
+    windowSeconds: HOUR_SECONDS,
+    failOpen: false
+  }),
+  // Also per address, so one inbox cannot be flooded from many IPs
+  rateLimitMiddleware.limit({
+    name: 'password-reset-email',
+    max: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_EMAIL_MAX, 10) || 3,
+    windowSeconds: HOUR_SECONDS,
+    key: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+    failOpen: false
+  }),
+];
+const emailResendLimit = rateLimitMiddleware.limit({
+  name: 'email-resend',
+  max: parseInt(process.env.RATE_LIMIT_EMAIL_RESEND_MAX, 10) || 3,
+  windowSeconds: HOUR_SECONDS,
+  key: 'user',
+  failOpen: false
+});
+
 // Public routes (no authentication required)
-router.post('/register', registerValidation, authController.register);
-router.post('/login', loginValidation, authController.login);
+router.post('/register', registerLimit, registerValidation, authController.register);
+router.post('/login', loginLimit, loginValidation, authController.login);
 router.post('/logout', authController.logout);
+router.post('/refresh', authController.refreshToken);
 
 // Password reset flow
-router.post('/password/reset-request', authController.requestPasswordReset);
+router.post('/password/reset-request', resetRequestLimits, authController.requestPasswordReset);
 router.post('/password/reset-verify', authController.verifyResetToken);
 router.post('/password/reset-confirm', authController.confirmPasswordReset);
 
 // Protected routes (authentication required)
 router.get('/me', authMiddleware.verifyToken, authController.getCurrentUser);
+router.patch('/me', authMiddleware.verifyToken, updateProfileValidation, authController.updateProfile);
 router.post('/password/change', authMiddleware.verifyToken, changePasswordValidation, authController.changePassword);
-router.post('/refresh', authMiddleware.verifyToken, authController.refreshToken);
 
 // Email verification
 router.post('/email/verify', authController.verifyEmail);
-router.post('/email/resend', authMiddleware.verifyToken, authController.resendVerificationEmail);
+router.post('/email/resend', authMiddleware.verifyToken, emailResendLimit, authController.resendVerificationEmail);
+
+// Phone verification
+router.post('/phone/send-code', authMiddleware.verifyToken, phoneSendCodeValidation, phoneController.sendCode);
+router.post('/phone/verify', authMiddleware.verifyToken, phoneVerifyValidation, phoneController.verify);
+
+// Transaction PIN
+router.post('/pin', authMiddleware.verifyToken, setPinValidation, pinController.setPin);
+router.put('/pin', authMiddleware.verifyToken, changePinValidation, pinController.changePin);
+router.post('/pin/verify', authMiddleware.verifyToken, verifyPinValidation, pinController.verifyPin);
+
+// Two-factor authentication
+router.post('/mfa/verify', mfaChallengeValidation, authController.verifyMfaLogin);
+router.post('/mfa/enroll', authMiddleware.verifyToken, mfaController.enroll);
+router.post('/mfa/confirm', authMiddleware.verifyToken, mfaCodeValidation, mfaController.confirm);
+router.post('/mfa/disable', authMiddleware.verifyToken, mfaChallengeValidation, mfaController.disable);
+router.post('/mfa/recovery-codes', authMiddleware.verifyToken, mfaCodeValidation, mfaController.regenerateRecoveryCodes);
 
 module.exports = router;
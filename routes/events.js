@@ -0,0 +1,46 @@
+const express = require('express');
+const eventController = require('../controllers/eventController');
+const scoreController = require('../controllers/scoreController');
+const leaderboardController = require('../controllers/leaderboardController');
+const streamController = require('../controllers/streamController');
+const { authMiddleware } = require('../');
+const {
+  createEventValidation,
+  updateEventValidation,
+  eventIdValidation,
+  listEventsValidation,
+  submitScoreValidation,
+  leaderboardValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Every event route requires authentication
+router.use(authMiddleware.verifyToken);
+
+const canRead = authMiddleware.requirePermission('events:read');
+const canWrite = authMiddleware.requirePermission('events:write');
+const canScore = authMiddleware.requirePermission('scores:write');
+
+router.get('/', canRead, listEventsValidation, eventController.listEvents);
+router.get('/:id', canRead, eventIdValidation, eventController.getEvent);
+router.post('/', canWrite, createEventValidation, eventController.createEvent);
+router.patch('/:id', canWrite, updateEventValidation, eventController.updateEvent);
+router.delete('/:id', canWrite, eventIdValidation, eventController.deleteEvent);
+
+// Participation
+router.post('/:id/join', canRead, eventIdValidation, eventController.joinEvent);
+router.post('/:id/leave', canRead, eventIdValidation, eventController.leaveEvent);
+router.get('/:id/participants', canRead, eventIdValidation, eventController.listParticipants);
+
+// BAC readings
+router.post('/:id/scores', canScore, submitScoreValidation, scoreController.submitScore);
+
+// Leaderboard
+router.get('/:id/leaderboard', canRead, leaderboardValidation, leaderboardController.getLeaderboard);
+router.post('/:id/leaderboard/rebuild', canWrite, eventIdValidation, leaderboardController.rebuildLeaderboard);
+
+// Live updates (Server-Sent Events)
+router.get('/:id/stream', canRead, eventIdValidation, streamController.streamEvent);
+
+module.exports = router;
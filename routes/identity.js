@@ -0,0 +1,44 @@
+const express = require('express');
+const identityController = require('../controllers/identityController');
+const identityVerification = require('../services/identityVerification');
+const { authMiddleware } = require('../');
+const { rawUpload } = require('../middleware/upload');
+const {
+  identityDocumentValidation,
+  identityReviewListValidation,
+  identityReviewFileValidation,
+  identityApproveValidation,
+  identityRejectValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const { UPLOADS, MAX_UPLOAD_BYTES } = identityVerification;
+
+// Every identity route requires authentication
+router.use(authMiddleware.verifyToken);
+
+// Account holder: upload, then submit for review
+router.get('/', identityController.getStatus);
+router.put(
+  '/photo',
+  rawUpload({ maxBytes: MAX_UPLOAD_BYTES, mimeTypes: UPLOADS.photo.mimeTypes }),
+  identityController.uploadPhoto
+);
+router.put(
+  '/document',
+  identityDocumentValidation,
+  rawUpload({ maxBytes: MAX_UPLOAD_BYTES, mimeTypes: UPLOADS.document.mimeTypes }),
+  identityController.uploadDocument
+);
+router.post('/submit', identityController.submit);
+
+// Moderator review
+const reviewer = authMiddleware.checkRole(['moderator', 'admin']);
+
+router.get('/reviews', reviewer, identityReviewListValidation, identityController.listReviews);
+router.get('/reviews/:id/:kind', reviewer, identityReviewFileValidation, identityController.getReviewFile);
+router.post('/reviews/:id/approve', reviewer, identityApproveValidation, identityController.approve);
+router.post('/reviews/:id/reject', reviewer, identityRejectValidation, identityController.reject);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const scoreController = require('../controllers/scoreController');
+const safetyController = require('../controllers/safetyController');
+const walletController = require('../controllers/walletController');
+const { authMiddleware } = require('../');
+const {
+  scoreHistoryValidation,
+  safetyAlertHistoryValidation,
+  safetyContactValidation,
+  safetyContactIdValidation,
+  walletHistoryValidation,
+  walletStatementValidation,
+  walletTransferValidation,
+  topUpCreateValidation,
+  topUpListValidation,
+  topUpIdValidation
+} = require('../middleware/validation');
+const transferService = require('../services/transferService');
+
+const router = express.Router();
+
+// Everything here is about the signed-in user
+router.use(authMiddleware.verifyToken);
+
+// Transfers from TRANSFER_PIN_THRESHOLD up need a recent PIN confirmation
+const requirePinForLargeTransfers = (req, res, next) => (
+  req.body.amount >= transferService.PIN_THRESHOLD ? authMiddleware.requirePin(req, res, next) : next()
+);
+
+router.get('/scores', scoreHistoryValidation, scoreController.listMyScores);
+router.get('/bac/estimate', scoreController.estimateMyBac);
+
+// Safety alerts and the contacts they are sent to
+router.get('/safety-alerts', safetyAlertHistoryValidation, safetyController.listMyAlerts);
+router.get('/safety-contacts', safetyController.listContacts);
+router.post('/safety-contacts', safetyContactValidation, safetyController.addContact);
+router.delete('/safety-contacts/:contactId', safetyContactIdValidation, safetyController.removeContact);
+
+// Wallet ledger
+router.get('/wallet/transactions', walletHistoryValidation, walletController.listMyTransactions);
+router.get('/wallet/statement', walletStatementValidation, walletController.getMyStatement);
+router.get('/wallet/transfer-limits', walletController.getTransferLimits);
+router.post('/wallet/transfers', walletTransferValidation, requirePinForLargeTransfers, walletController.sendTransfer);
+
+// Top-ups through the payment provider
+router.get('/wallet/top-ups', topUpListValidation, walletController.listMyTopUps);
+router.post('/wallet/top-ups', topUpCreateValidation, walletController.createTopUp);
+router.get('/wallet/top-ups/:topUpId', topUpIdValidation, walletController.getMyTopUp);
+
+module.exports = router;
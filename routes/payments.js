@@ -0,0 +1,13 @@
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const { fakePaymentValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Called by the payment provider; the signature takes the place of authentication
+router.post('/webhook', paymentController.handleWebhook);
+
+// Stands in for the customer paying when the fake provider is configured
+router.post('/fake/intents/:intentId/complete', fakePaymentValidation, paymentController.completeFakePayment);
+
+module.exports = router;
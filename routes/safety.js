@@ -0,0 +1,22 @@
+const express = require('express');
+const safetyController = require('../controllers/safetyController');
+const { authMiddleware } = require('../');
+const {
+  safetyAlertListValidation,
+  safetyAlertReviewValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Every safety route requires authentication
+router.use(authMiddleware.verifyToken);
+
+router.get('/thresholds', safetyController.getThresholds);
+
+// Moderator review
+const reviewer = authMiddleware.checkRole(['moderator', 'admin']);
+
+router.get('/alerts', reviewer, safetyAlertListValidation, safetyController.listAlerts);
+router.post('/alerts/:id/review', reviewer, safetyAlertReviewValidation, safetyController.reviewAlert);
+
+module.exports = router;
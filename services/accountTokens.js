@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const mailer = require('../mailer');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const generateToken = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const accountTokens = {
+  /**
+   * Store a password reset token and queue the reset email in the caller's transaction
+   */
+  issuePasswordReset: async (client, { id, email, username }) => {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+    await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token, expires_at) 
+       VALUES ($1, $2, $3)`,
+      [id, token, expiresAt]
+    );
+
+    await mailer.send('passwordReset', email, { username, token }, client);
+    return token;
+  },
+
+  /**
+   * Store an email verification token and queue the verification email in the caller's transaction
+   */
+  issueEmailVerification: async (client, { id, email, username }) => {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+
+    await client.query(
+      `INSERT INTO email_verification_tokens (user_id, token, expires_at) 
+       VALUES ($1, $2, $3)`,
+      [id, token, expiresAt]
+    );
+
+    await mailer.send('emailVerification', email, { username, token }, client);
+    return token;
+  },
+
+  /**
+   * Store a token confirming a change of email and send it to the new address.
+   * The account keeps its current email until the token is used.
+   */
+  issueEmailChange: async (client, { id, username }, newEmail) => {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+
+    await client.query(
+      `INSERT INTO email_verification_tokens (user_id, token, expires_at, new_email) 
+       VALUES ($1, $2, $3, $4)`,
+      [id, token, expiresAt, newEmail]
+    );
+
+    await mailer.send('emailChange', newEmail, { username, token }, client);
+    return token;
+  },
+
+  /**
+   * Invalidate outstanding verification tokens before issuing a new one
+   */
+  revokeEmailVerifications: async (client, userId) => {
+    await client.query(
+      'UPDATE email_verification_tokens SET used = TRUE WHERE user_id = $1 AND used = FALSE',
+      [userId]
+    );
+  },
+};
+
+module.exports = accountTokens;
@@ -0,0 +1,50 @@
+const db = require('../db/postgres');
+
+const auditLog = {
+  /**
+   * Record an administrative action. Pass the transaction client so the
+   * entry commits (or rolls back) with the change it describes.
+   */
+  record: async ({ actorId, action, targetUserId = null, details = null, ipAddress = null }, client = db) => {
+    await client.query(
+      `INSERT INTO admin_audit_log (actor_id, action, target_user_id, details, ip_address)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [actorId, action, targetUserId, details ? JSON.stringify(details) : null, ipAddress]
+    );
+  },
+
+  /**
+   * Entries about one account, newest first
+   */
+  listForUser: async (targetUserId, { limit, offset }) => {
+    const countResult = await db.query(
+      'SELECT COUNT(*) AS total FROM admin_audit_log WHERE target_user_id = $1',
+      [targetUserId]
+    );
+
+    const result = await db.query(
+      `SELECT l.id, l.action, l.details, l.ip_address, l.created_at,
+              l.actor_id, u.username AS actor_username
+       FROM admin_audit_log l
+       LEFT JOIN users u ON u.id = l.actor_id
+       WHERE l.target_user_id = $1
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $2 OFFSET $3`,
+      [targetUserId, limit, offset]
+    );
+
+    return {
+      entries: result.rows.map((row) => ({
+        id: row.id,
+        action: row.action,
+        details: row.details,
+        ipAddress: row.ip_address,
+        actor: { id: row.actor_id, username: row.actor_username },
+        createdAt: row.created_at,
+      })),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+};
+
+module.exports = auditLog;
@@ -0,0 +1,229 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const eventStream = require('./eventStream');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Readings older than this say nothing useful about the current BAC
+const LOOKBACK_HOURS = parseInt(process.env.BAC_ESTIMATE_LOOKBACK_HOURS, 10) || 12;
+
+/**
+ * Limits to project, highest first. BAC_LEGAL_LIMITS is a comma separated
+ * list, e.g. "0.08,0.05,0.02". Bad configuration throws at startup.
+ */
+const loadLimits = (raw = process.env.BAC_LEGAL_LIMITS) => {
+  if (!raw) {
+    return [0.08, 0.05, 0.02];
+  }
+
+  const limits = raw.split(',').map((value) => Number(value.trim()));
+  if (limits.some((limit) => !Number.isFinite(limit) || limit <= 0 || limit >= 1)) {
+    throw new Error('BAC_LEGAL_LIMITS must be a comma separated list of BAC values between 0 and 1');
+  }
+
+  return [...new Set(limits)].sort((a, b) => b - a);
+};
+
+const LEGAL_LIMITS = loadLimits();
+
+// Elimination in BAC points per hour. Typical rates range from 0.010 to 0.025;
+// rates fitted from the user's own readings are kept within that range.
+const DEFAULT_ELIMINATION_RATE = 0.015;
+const ELIMINATION_RATE_BY_SEX = { male: 0.015, female: 0.017 };
+const MIN_ELIMINATION_RATE = 0.010;
+const MAX_ELIMINATION_RATE = 0.025;
+
+// A fitted rate needs at least two falling readings this far apart
+const MIN_FIT_SPAN_HOURS = 0.5;
+
+// Widmark distribution ratio (body water), used to express BAC as alcohol in the body
+const WIDMARK_R = { male: 0.68, female: 0.55 };
+const DEFAULT_WIDMARK_R = 0.6;
+const GRAMS_PER_STANDARD_DRINK = 14;
+
+const CURVE_STEP_MINUTES = 15;
+const MAX_CURVE_POINTS = 97; // 24 hours
+
+const DISCLAIMER = 'This is a rough statistical estimate, not a measurement. '
+  + 'Actual BAC depends on food, medication, health and how recently you drank, '
+  + 'and keeps rising for a while after your last drink. It assumes you have stopped drinking. '
+  + 'Never use it to decide whether you are fit to drive or safe to be alone; '
+  + 'if in doubt, wait longer or seek help.';
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Slope of the readings from the peak on, as a positive elimination rate,
+ * or null when they do not show a decline
+ */
+const fittedRate = (readings) => {
+  const peak = readings.reduce((best, reading, index) => (reading.bac >= readings[best].bac ? index : best), 0);
+  const falling = readings.slice(peak);
+
+  if (falling.length < 2) {
+    return null;
+  }
+
+  const origin = falling[0].time;
+  const points = falling.map((reading) => ({ x: (reading.time - origin) / HOUR_MS, y: reading.bac }));
+  if (points[points.length - 1].x < MIN_FIT_SPAN_HOURS) {
+    return null;
+  }
+
+  // Least squares line through the falling readings
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const rate = -covariance / variance;
+
+  return rate > 0 ? Math.min(Math.max(rate, MIN_ELIMINATION_RATE), MAX_ELIMINATION_RATE) : null;
+};
+
+const eliminationRate = (readings, profile) => {
+  const fitted = fittedRate(readings);
+  if (fitted !== null) {
+    return { rate: fitted, source: 'readings' };
+  }
+
+  if (profile.sex && ELIMINATION_RATE_BY_SEX[profile.sex]) {
+    return { rate: ELIMINATION_RATE_BY_SEX[profile.sex], source: 'profile' };
+  }
+
+  return { rate: DEFAULT_ELIMINATION_RATE, source: 'default' };
+};
+
+const at = (now, hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+/**
+ * Decay of BAC from the latest reading, assuming no further drinking.
+ */
+const bacEstimator = {
+  LEGAL_LIMITS,
+  LOOKBACK_HOURS,
+  DISCLAIMER,
+  loadLimits,
+
+  /**
+   * Estimate from readings (`{ bac, recordedAt }`, any order) and an optional
+   * body profile (`{ weightKg, sex }`). Returns null without readings.
+   */
+  estimate: (readings, profile = {}, { now = new Date(), limits = LEGAL_LIMITS } = {}) => {
+    if (readings.length === 0) {
+      return null;
+    }
+
+    const sorted = readings
+      .map((reading) => ({ bac: Number(reading.bac), time: new Date(reading.recordedAt).getTime() }))
+      .sort((a, b) => a.time - b.time);
+    const latest = sorted[sorted.length - 1];
+
+    const { rate, source } = eliminationRate(sorted, profile);
+    const elapsedHours = Math.max(0, (now.getTime() - latest.time) / HOUR_MS);
+    const current = Math.max(0, latest.bac - rate * elapsedHours);
+
+    const hoursUntil = (limit) => Math.max(0, (current - limit) / rate);
+    const soberHours = current / rate;
+
+    const curve = [];
+    for (let step = 0; step < MAX_CURVE_POINTS; step++) {
+      const hours = (step * CURVE_STEP_MINUTES) / 60;
+      const bac = Math.max(0, current - rate * hours);
+      curve.push({ at: at(now, hours), bac: round(bac) });
+      if (bac === 0) {
+        break;
+      }
+    }
+
+    // Grams of alcohol still in the body need the weight (Widmark: A = C * r * W)
+    let alcoholGrams = null;
+    if (profile.weightKg) {
+      const r = WIDMARK_R[profile.sex] || DEFAULT_WIDMARK_R;
+      alcoholGrams = current * 10 * r * profile.weightKg;
+    }
+
+    return {
+      estimatedAt: now,
+      currentBac: round(current),
+      basedOn: {
+        bac: latest.bac,
+        recordedAt: new Date(latest.time),
+        readings: sorted.length,
+      },
+      eliminationRate: round(rate, 4),
+      eliminationRateSource: source,
+      alcoholGrams: alcoholGrams === null ? null : round(alcoholGrams, 1),
+      standardDrinks: alcoholGrams === null ? null : round(alcoholGrams / GRAMS_PER_STANDARD_DRINK, 1),
+      limits: limits.map((limit) => ({
+        limit,
+        below: current < limit,
+        at: at(now, hoursUntil(limit)),
+        hoursFromNow: round(hoursUntil(limit), 2),
+      })),
+      soberAt: at(now, soberHours),
+      curve,
+    };
+  },
+
+  /**
+   * Estimate for a user from their readings in the last LOOKBACK_HOURS and
+   * the body profile on their account (unless withProfile is false)
+   */
+  estimateForUser: async (userId, { now = new Date(), withProfile = true } = {}) => {
+    const since = new Date(now.getTime() - LOOKBACK_HOURS * HOUR_MS);
+
+    const [readings, account] = await Promise.all([
+      db.query(
+        `SELECT bac, timestamp
+         FROM libation_scores
+         WHERE user_id = $1 AND timestamp > $2
+         ORDER BY timestamp`,
+        [userId, since]
+      ),
+      withProfile
+        ? db.query('SELECT weight_kg, sex FROM accounts WHERE user_id = $1', [userId])
+        : { rows: [] },
+    ]);
+
+    const row = account.rows[0] || {};
+    const profile = {
+      weightKg: row.weight_kg ? parseFloat(row.weight_kg) : null,
+      sex: row.sex || null,
+    };
+
+    return bacEstimator.estimate(
+      readings.rows.map((reading) => ({ bac: parseFloat(reading.bac), recordedAt: reading.timestamp })),
+      profile,
+      { now }
+    );
+  },
+
+  /**
+   * Stream the user's new estimate to everyone watching the event. It is made
+   * without the body profile: a profile-based elimination rate gives away the
+   * user's sex (through the rate itself, soberAt and the limits), and the
+   * alcohol amount their weight. Never throws.
+   */
+  publishEstimate: async (eventId, userId) => {
+    try {
+      const estimate = await bacEstimator.estimateForUser(userId, { withProfile: false });
+      if (!estimate) {
+        return;
+      }
+
+      await eventStream.publish(eventId, 'estimate', {
+        userId,
+        estimatedAt: estimate.estimatedAt,
+        currentBac: estimate.currentBac,
+        eliminationRate: estimate.eliminationRate,
+        limits: estimate.limits,
+        soberAt: estimate.soberAt,
+        disclaimer: DISCLAIMER,
+      });
+    } catch (error) {
+      logger.error('Failed to publish BAC estimate', { eventId, userId, error: error.message });
+    }
+  },
+};
+
+module.exports = bacEstimator;
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+const getKey = () => {
+  const material = process.env.DATA_ENCRYPTION_KEY;
+
+  if (!material) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DATA_ENCRYPTION_KEY must be set in production');
+    }
+    // Development fallback so local setups work without extra configuration
+    return crypto.createHash('sha256').update(`dev:${process.env.JWT_SECRET}`).digest();
+  }
+
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Authenticated encryption for secrets stored at rest.
+ * Output format: base64(iv).base64(authTag).base64(ciphertext)
+ */
+const encryption = {
+  encrypt: (plaintext) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, ciphertext].map((part) => part.toString('base64')).join('.');
+  },
+
+  decrypt: (payload) => {
+    const [iv, authTag, ciphertext] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  },
+};
+
+module.exports = encryption;
@@ -0,0 +1,151 @@
+const logger = require('../logger/winstonConfig');
+const ledgerService = require('./ledgerService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PAYMENT_COLUMNS = `id, event_id, account_id, payee_account_id, amount, status,
+        charge_transaction_id, refund_transaction_id, created_at, updated_at`;
+
+const formatPayment = (row) => ({
+  id: Number(row.id),
+  eventId: row.event_id,
+  accountId: row.account_id,
+  amount: parseFloat(row.amount),
+  status: row.status,
+  chargeTransactionId: Number(row.charge_transaction_id),
+  refundTransactionId: row.refund_transaction_id === null ? null : Number(row.refund_transaction_id),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Pay a fee back from whoever received it
+const refund = async (client, event, payment, createdBy) => {
+  const posted = await ledgerService.post(client, {
+    from: { accountId: payment.payee_account_id },
+    to: { accountId: payment.account_id },
+    amount: payment.amount,
+    reason: ledgerService.REASON.ENTRY_FEE_REFUND,
+    reference: event.event_id,
+    description: `Entry fee refund: ${event.name}`,
+    createdBy,
+  });
+
+  const updated = await client.query(
+    `UPDATE event_payments
+     SET status = 'refunded', refund_transaction_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [payment.id, posted.id]
+  );
+  return formatPayment(updated.rows[0]);
+};
+
+/**
+ * Event entry fees. Fees move through the wallet ledger (reason entry_fee or
+ * entry_fee_refund, referencing the event id), and event_payments links each
+ * place to its charge and refund. Every function runs inside the caller's
+ * transaction, which must hold the event row lock.
+ */
+const eventFeeService = {
+  formatPayment,
+
+  /**
+   * Whether a participant leaving now gets the fee back: only up to
+   * refund_cutoff_hours before the start
+   */
+  refundable: (event, now = new Date()) => {
+    const cutoff = new Date(event.start_time).getTime() - event.refund_cutoff_hours * HOUR_MS;
+    return now.getTime() <= cutoff;
+  },
+
+  /**
+   * Charge the event's price to an account taking a place and pay it to the
+   * organizer. Free events and the organizer's own place cost nothing.
+   * An overdraft throws a check_balance_positive violation
+   * (see ledgerService.isInsufficientFunds). Resolves to the payment, or null.
+   */
+  charge: async (client, event, accountId, { createdBy = null } = {}) => {
+    const price = parseFloat(event.price) || 0;
+    if (price <= 0 || accountId === event.organizer_id) {
+      return null;
+    }
+
+    const posted = await ledgerService.post(client, {
+      from: { accountId },
+      to: { accountId: event.organizer_id },
+      amount: price,
+      reason: ledgerService.REASON.ENTRY_FEE,
+      reference: event.event_id,
+      description: `Entry fee: ${event.name}`,
+      createdBy,
+    });
+
+    const inserted = await client.query(
+      `INSERT INTO event_payments (event_id, account_id, payee_account_id, amount, charge_transaction_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [event.event_id, accountId, event.organizer_id, posted.amount.toFixed(2), posted.id]
+    );
+    return formatPayment(inserted.rows[0]);
+  },
+
+  /**
+   * Settle the fee of a participant giving up their place: refunded before
+   * the cutoff, forfeited to the organizer after it. A refund the organizer
+   * cannot cover throws a check_balance_positive violation.
+   * Resolves to the payment, or null when the place was free.
+   */
+  settleLeave: async (client, event, accountId, { createdBy = null, now = new Date() } = {}) => {
+    const result = await client.query(
+      `SELECT ${PAYMENT_COLUMNS}
+       FROM event_payments
+       WHERE event_id = $1 AND account_id = $2 AND status = 'paid'
+       FOR UPDATE`,
+      [event.event_id, accountId]
+    );
+    const payment = result.rows[0];
+    if (!payment) {
+      return null;
+    }
+
+    if (eventFeeService.refundable(event, now)) {
+      return refund(client, event, payment, createdBy);
+    }
+
+    const forfeited = await client.query(
+      `UPDATE event_payments SET status = 'forfeited', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [payment.id]
+    );
+    return formatPayment(forfeited.rows[0]);
+  },
+
+  /**
+   * Refund every fee paid for an event, forfeited ones included, when it is
+   * cancelled or deleted. Refunds the organizer cannot cover throw a
+   * check_balance_positive violation. Resolves to the refunded payments.
+   */
+  refundAll: async (client, event, { createdBy = null } = {}) => {
+    const result = await client.query(
+      `SELECT ${PAYMENT_COLUMNS}
+       FROM event_payments
+       WHERE event_id = $1 AND status IN ('paid', 'forfeited')
+       ORDER BY id
+       FOR UPDATE`,
+      [event.event_id]
+    );
+
+    const refunded = [];
+    for (const payment of result.rows) {
+      refunded.push(await refund(client, event, payment, createdBy));
+    }
+
+    if (refunded.length > 0) {
+      logger.info('Refunded event entry fees', { eventId: event.event_id, count: refunded.length });
+    }
+    return refunded;
+  },
+};
+
+module.exports = eventFeeService;
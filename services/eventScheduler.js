@@ -0,0 +1,104 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const eventService = require('./eventService');
+const eventStream = require('./eventStream');
+
+const INTERVAL_MS = parseInt(process.env.EVENT_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+const { STATUS } = eventService;
+
+let timer = null;
+let running = false;
+
+/**
+ * Move every event in `fromStatuses` matching `condition` to `toStatus` and
+ * notify its participants, in one transaction, then tell live clients. The UPDATE claims the rows, so
+ * several app instances can run the scheduler side by side.
+ */
+const transition = async (fromStatuses, toStatus, condition) => {
+  const eventIds = await db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE events
+       SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE status = ANY($2) AND ${condition}
+       RETURNING event_id, name`,
+      [toStatus, fromStatuses]
+    );
+
+    for (const event of result.rows) {
+      await eventService.notifyParticipants(client, event, toStatus);
+    }
+
+    return result.rows.map((event) => event.event_id);
+  });
+
+  for (const eventId of eventIds) {
+    await eventStream.publish(eventId, 'status', { status: eventService.statusName(toStatus) });
+  }
+
+  return eventIds;
+};
+
+const eventScheduler = {
+  INTERVAL_MS,
+
+  /**
+   * Start and end events whose times have passed. Resolves to the event ids moved.
+   */
+  runOnce: async () => {
+    const live = await transition(
+      [STATUS.PUBLISHED],
+      STATUS.LIVE,
+      'start_time <= CURRENT_TIMESTAMP AND end_time > CURRENT_TIMESTAMP'
+    );
+
+    const ended = await transition(
+      [STATUS.PUBLISHED, STATUS.LIVE],
+      STATUS.ENDED,
+      'end_time <= CURRENT_TIMESTAMP'
+    );
+
+    if (live.length > 0 || ended.length > 0) {
+      logger.info('Scheduled event transitions', { live, ended });
+    }
+
+    return { live, ended };
+  },
+
+  /**
+   * Run the scheduler in the background
+   */
+  start: (intervalMs = INTERVAL_MS) => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(async () => {
+      // A slow run must not overlap the next tick
+      if (running) {
+        return;
+      }
+
+      running = true;
+      try {
+        await eventScheduler.runOnce();
+      } catch (error) {
+        logger.error('Event scheduler error', { error: error.message });
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+    timer.unref();
+
+    logger.info('Event scheduler started', { intervalMs });
+  },
+
+  stop: () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  },
+};
+
+module.exports = eventScheduler;
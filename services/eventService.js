@@ -0,0 +1,155 @@
+const db = require('../db/postgres');
+const mailer = require('../mailer');
+
+// events.status values
+const STATUS = {
+  DRAFT: 0,
+  PUBLISHED: 1,
+  LIVE: 2,
+  ENDED: 3,
+  CANCELLED: 4,
+};
+
+// events.type values
+const TYPE = {
+  SOCIAL: 0,
+  PARTY: 1,
+  TASTING: 2,
+  COMPETITION: 3,
+};
+
+// The API speaks lowercase names ('published', 'tasting'); the table stores the integers
+const nameOf = (values, value) => {
+  const entry = Object.entries(values).find(([, number]) => number === value);
+  return entry ? entry[0].toLowerCase() : null;
+};
+
+const valueOf = (values, name) => values[String(name).toUpperCase()];
+
+/**
+ * Allowed status changes. The scheduler moves published events to live at
+ * start_time and to ended at end_time (straight from published if the event
+ * was never live, e.g. while the scheduler was down). Ended and cancelled are final.
+ */
+const TRANSITIONS = {
+  [STATUS.DRAFT]: [STATUS.PUBLISHED, STATUS.CANCELLED],
+  [STATUS.PUBLISHED]: [STATUS.LIVE, STATUS.ENDED, STATUS.CANCELLED],
+  [STATUS.LIVE]: [STATUS.ENDED, STATUS.CANCELLED],
+  [STATUS.ENDED]: [],
+  [STATUS.CANCELLED]: [],
+};
+
+const EVENT_QUERY = `SELECT e.event_id, e.name, e.description, e.location, e.start_time, e.end_time,
+        e.max_participants, e.price, e.refund_cutoff_hours, e.type, e.status, e.created_at, e.updated_at,
+        e.organizer_id, o.user_id AS organizer_user_id, ou.username AS organizer_username,
+        (SELECT COUNT(*) FROM event_participants p WHERE p.event_id = e.event_id) AS participant_count
+ FROM events e
+ LEFT JOIN accounts o ON o.account_id = e.organizer_id
+ LEFT JOIN users ou ON ou.id = o.user_id`;
+
+const formatEvent = (row) => ({
+  id: row.event_id,
+  name: row.name,
+  description: row.description,
+  location: row.location,
+  startTime: row.start_time,
+  endTime: row.end_time,
+  maxParticipants: row.max_participants,
+  participantCount: parseInt(row.participant_count, 10) || 0,
+  price: parseFloat(row.price) || 0,
+  refundCutoffHours: row.refund_cutoff_hours,
+  type: nameOf(TYPE, row.type),
+  status: nameOf(STATUS, row.status),
+  organizer: {
+    accountId: row.organizer_id,
+    userId: row.organizer_user_id,
+    username: row.organizer_username,
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const eventService = {
+  STATUS,
+  TYPE,
+  TRANSITIONS,
+  EVENT_QUERY,
+  formatEvent,
+
+  /**
+   * Raw event row with organizer details, or undefined
+   */
+  findEvent: async (eventId, client = db) => {
+    const result = await client.query(`${EVENT_QUERY} WHERE e.event_id = $1`, [eventId]);
+    return result.rows[0];
+  },
+
+  /**
+   * The account id of a user (events and participants reference accounts, not users)
+   */
+  getAccountId: async (userId, client = db) => {
+    const result = await client.query('SELECT account_id FROM accounts WHERE user_id = $1', [userId]);
+    return result.rows[0] ? result.rows[0].account_id : null;
+  },
+
+  /**
+   * Organizers manage their own events; `events:moderate` manages any
+   */
+  canManage: (event, { userId, permissions }) => {
+    return event.organizer_user_id === userId || Boolean(permissions && permissions.has('events:moderate'));
+  },
+
+  statusName: (status) => nameOf(STATUS, status),
+  statusValue: (name) => valueOf(STATUS, name),
+  typeName: (type) => nameOf(TYPE, type),
+  typeValue: (name) => valueOf(TYPE, name),
+
+  canTransition: (from, to) => (TRANSITIONS[from] || []).includes(to),
+
+  /**
+   * Why an event does not take participants ('draft', 'cancelled' or 'ended'), or null if it does
+   */
+  closedReason: (event, now = new Date()) => {
+    if (event.status === STATUS.DRAFT) {
+      return 'draft';
+    }
+
+    if (event.status === STATUS.CANCELLED) {
+      return 'cancelled';
+    }
+
+    if (event.status === STATUS.ENDED || new Date(event.end_time) <= now) {
+      return 'ended';
+    }
+
+    return null;
+  },
+
+  /**
+   * Email everyone taking part that the event changed status.
+   * Pass the transaction client so the emails commit with the change.
+   */
+  notifyParticipants: async (client, { event_id: eventId, name }, status) => {
+    const result = await client.query(
+      `SELECT u.email, u.username
+       FROM event_participants p
+       JOIN accounts a ON a.account_id = p.account_id
+       JOIN users u ON u.id = a.user_id
+       WHERE p.event_id = $1`,
+      [eventId]
+    );
+
+    for (const { email, username } of result.rows) {
+      await mailer.send(
+        'eventStatusChanged',
+        email,
+        { username, eventName: name, status: nameOf(STATUS, status) },
+        client
+      );
+    }
+
+    return result.rows.length;
+  },
+};
+
+module.exports = eventService;
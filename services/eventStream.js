@@ -0,0 +1,138 @@
+const redisClient = require('../redisClient');
+const logger = require('../logger/winstonConfig');
+
+// Messages kept per event for clients reconnecting with Last-Event-ID
+const HISTORY_SIZE = parseInt(process.env.STREAM_HISTORY_SIZE, 10) || 100;
+const HISTORY_TTL_SECONDS = parseInt(process.env.STREAM_HISTORY_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+const KEY_PREFIX = 'stream:event:';
+
+const keys = (eventId) => ({
+  channel: `${KEY_PREFIX}${eventId}`,
+  sequence: `${KEY_PREFIX}${eventId}:seq`,
+  history: `${KEY_PREFIX}${eventId}:history`,
+});
+
+// A subscribed connection cannot run other commands, so listeners share one
+let subscriber = null;
+const listeners = new Map(); // channel -> Set of callbacks
+
+const getSubscriber = () => {
+  if (!subscriber) {
+    subscriber = redisClient.duplicate();
+    subscriber.on('message', (channel, raw) => {
+      const callbacks = listeners.get(channel);
+      if (!callbacks) {
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        logger.error('Malformed event stream message', { channel, error: error.message });
+        return;
+      }
+
+      callbacks.forEach((callback) => callback(message));
+    });
+  }
+  return subscriber;
+};
+
+/**
+ * Fan-out of live event updates through Redis pub/sub, so every app instance
+ * sees messages published by any other. Each message gets a per-event id from
+ * a Redis counter and is kept in a short history for replay.
+ */
+const eventStream = {
+  HISTORY_SIZE,
+
+  /**
+   * Publish `{ id, type, data }` to everyone streaming the event. Call after the
+   * change has committed. Never throws: live updates are best effort.
+   */
+  publish: async (eventId, type, data = {}) => {
+    const key = keys(eventId);
+    try {
+      const id = await redisClient.incr(key.sequence);
+      const message = JSON.stringify({ id, type, data });
+
+      await redisClient.multi()
+        .zadd(key.history, id, message)
+        .zremrangebyrank(key.history, 0, -(HISTORY_SIZE + 1))
+        .expire(key.history, HISTORY_TTL_SECONDS)
+        .expire(key.sequence, HISTORY_TTL_SECONDS)
+        .publish(key.channel, message)
+        .exec();
+
+      return id;
+    } catch (error) {
+      logger.error('Failed to publish event stream message', { eventId, type, error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Messages after `lastId` still in the history, oldest first, and the latest
+   * id. `missed` is set when some of them are gone (history trimmed or expired,
+   * or the counter started again), so the client has to reload its state.
+   */
+  since: async (eventId, lastId) => {
+    const key = keys(eventId);
+    const [history, sequence] = await Promise.all([
+      redisClient.zrangebyscore(key.history, `(${lastId}`, '+inf'),
+      redisClient.get(key.sequence),
+    ]);
+
+    const latest = parseInt(sequence, 10) || 0;
+    const messages = history.map((raw) => JSON.parse(raw));
+
+    return {
+      messages,
+      latest,
+      missed: lastId > latest || messages.length < latest - lastId,
+    };
+  },
+
+  /**
+   * Call `callback(message)` for every message published to the event.
+   * Resolves to an unsubscribe function.
+   */
+  subscribe: async (eventId, callback) => {
+    const { channel } = keys(eventId);
+
+    let callbacks = listeners.get(channel);
+    if (!callbacks) {
+      callbacks = new Set();
+      listeners.set(channel, callbacks);
+      await getSubscriber().subscribe(channel);
+    }
+    callbacks.add(callback);
+
+    return async () => {
+      callbacks.delete(callback);
+      if (callbacks.size === 0 && listeners.get(channel) === callbacks) {
+        listeners.delete(channel);
+        try {
+          await getSubscriber().unsubscribe(channel);
+        } catch (error) {
+          logger.error('Failed to unsubscribe from event stream', { eventId, error: error.message });
+        }
+      }
+    };
+  },
+
+  /**
+   * Close the subscriber connection (shutdown, tests)
+   */
+  close: () => {
+    listeners.clear();
+    if (subscriber) {
+      subscriber.disconnect();
+      subscriber = null;
+    }
+  },
+};
+
+module.exports = eventStream;
@@ -0,0 +1,274 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const mailer = require('../mailer');
+const storage = require('../storage');
+const auditLog = require('./auditLog');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.ID_UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+const STATUS = {
+  UNVERIFIED: 'UNVERIFIED',
+  PENDING: 'PENDING',
+  VERIFIED: 'VERIFIED',
+  REJECTED: 'REJECTED',
+};
+
+// Allowed status changes. VERIFIED is final; a rejected user uploads again and resubmits.
+const TRANSITIONS = {
+  [STATUS.UNVERIFIED]: [STATUS.PENDING],
+  [STATUS.PENDING]: [STATUS.VERIFIED, STATUS.REJECTED],
+  [STATUS.REJECTED]: [STATUS.PENDING],
+  [STATUS.VERIFIED]: [],
+};
+
+// Uploads are only accepted while nothing is under review or approved
+const EDITABLE_STATUSES = [STATUS.UNVERIFIED, STATUS.REJECTED];
+
+const UPLOADS = {
+  photo: {
+    keyColumn: 'photo_key',
+    mimeColumn: 'photo_mime_type',
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  },
+  document: {
+    keyColumn: 'id_document_key',
+    mimeColumn: 'id_document_mime_type',
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+  },
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const formatStatus = (row) => ({
+  status: row.id_verification_status,
+  documentType: row.id_document_type,
+  photoUploaded: Boolean(row.photo_key),
+  documentUploaded: Boolean(row.id_document_key),
+  rejectionReason: row.id_rejection_reason,
+  submittedAt: row.id_submitted_at,
+  reviewedAt: row.id_reviewed_at,
+});
+
+const STATUS_COLUMNS = `a.id_verification_status, a.id_document_type, a.photo_key, a.id_document_key,
+        a.id_rejection_reason, a.id_submitted_at, a.id_reviewed_at`;
+
+const identityVerification = {
+  STATUS,
+  UPLOADS,
+  MAX_UPLOAD_BYTES,
+  canTransition,
+
+  /**
+   * Current verification state of a user, or null without an account
+   */
+  getStatus: async (userId) => {
+    const result = await db.query(
+      `SELECT ${STATUS_COLUMNS} FROM accounts a WHERE a.user_id = $1`,
+      [userId]
+    );
+
+    return result.rows[0] ? formatStatus(result.rows[0]) : null;
+  },
+
+  /**
+   * Store an uploaded photo or ID document and point the account at it.
+   * Resolves to a status: 'saved', 'not_found' or 'conflict' (with currentStatus).
+   */
+  saveUpload: async (userId, kind, { data, mimeType, documentType = null }) => {
+    const upload = UPLOADS[kind];
+    let key = null;
+
+    try {
+      const outcome = await db.transaction(async (client) => {
+        const result = await client.query(
+          `SELECT id_verification_status, ${upload.keyColumn} AS previous_key
+           FROM accounts WHERE user_id = $1 FOR UPDATE`,
+          [userId]
+        );
+
+        const account = result.rows[0];
+        if (!account) {
+          return { status: 'not_found' };
+        }
+
+        if (!EDITABLE_STATUSES.includes(account.id_verification_status)) {
+          return { status: 'conflict', currentStatus: account.id_verification_status };
+        }
+
+        key = await storage.put(`identity/${userId}/${kind}`, data, mimeType);
+
+        await client.query(
+          `UPDATE accounts
+           SET ${upload.keyColumn} = $1, ${upload.mimeColumn} = $2,
+               id_document_type = COALESCE($3, id_document_type)
+           WHERE user_id = $4`,
+          [key, mimeType, documentType, userId]
+        );
+
+        return { status: 'saved', previousKey: account.previous_key };
+      });
+
+      const { previousKey, ...rest } = outcome;
+
+      // The replaced file is unreachable once the row commits
+      if (previousKey) {
+        await storage.remove(previousKey).catch((error) => {
+          logger.warn('Failed to remove replaced identity upload', { userId, error: error.message });
+        });
+      }
+
+      return rest;
+    } catch (error) {
+      if (key) {
+        await storage.remove(key).catch(() => {});
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Send the uploads for review (UNVERIFIED/REJECTED -> PENDING).
+   * Resolves to a status: 'submitted', 'not_found', 'incomplete' (with missing)
+   * or 'conflict' (with currentStatus).
+   */
+  submit: async (userId) => {
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT ${STATUS_COLUMNS}, u.email, u.username
+         FROM accounts a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.user_id = $1
+         FOR UPDATE OF a`,
+        [userId]
+      );
+
+      const account = result.rows[0];
+      if (!account) {
+        return { status: 'not_found' };
+      }
+
+      if (!canTransition(account.id_verification_status, STATUS.PENDING)) {
+        return { status: 'conflict', currentStatus: account.id_verification_status };
+      }
+
+      const missing = Object.keys(UPLOADS).filter((kind) => !account[UPLOADS[kind].keyColumn]);
+      if (missing.length > 0) {
+        return { status: 'incomplete', missing };
+      }
+
+      await client.query(
+        `UPDATE accounts
+         SET id_verification_status = $1, id_submitted_at = CURRENT_TIMESTAMP,
+             id_rejection_reason = NULL, id_reviewed_at = NULL, id_reviewed_by = NULL
+         WHERE user_id = $2`,
+        [STATUS.PENDING, userId]
+      );
+
+      await mailer.send('identitySubmitted', account.email, { username: account.username }, client);
+
+      return { status: 'submitted' };
+    });
+  },
+
+  /**
+   * Review queue for moderators, oldest submission first
+   */
+  listForReview: async ({ status, limit, offset }) => {
+    const countResult = await db.query(
+      'SELECT COUNT(*) AS total FROM accounts WHERE id_verification_status = $1',
+      [status]
+    );
+
+    const result = await db.query(
+      `SELECT a.user_id, u.username, u.email, a.first_name, a.last_name,
+              ${STATUS_COLUMNS}, a.id_reviewed_by
+       FROM accounts a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.id_verification_status = $1
+       ORDER BY a.id_submitted_at ASC NULLS LAST, a.user_id
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return {
+      entries: result.rows.map((row) => ({
+        userId: row.user_id,
+        username: row.username,
+        email: row.email,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        reviewedBy: row.id_reviewed_by,
+        ...formatStatus(row),
+      })),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+
+  /**
+   * Load an uploaded file for review. Resolves to null when there is none.
+   */
+  getUpload: async (userId, kind) => {
+    const result = await db.query(
+      `SELECT ${UPLOADS[kind].keyColumn} AS key FROM accounts WHERE user_id = $1`,
+      [userId]
+    );
+
+    const key = result.rows[0] && result.rows[0].key;
+    return key ? storage.get(key) : null;
+  },
+
+  /**
+   * Approve or reject a pending submission, audit it and notify the user.
+   * Resolves to a status: 'reviewed', 'not_found' or 'conflict' (with currentStatus).
+   */
+  review: async (userId, { reviewerId, approve, reason = null, ipAddress = null }) => {
+    const nextStatus = approve ? STATUS.VERIFIED : STATUS.REJECTED;
+
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT a.id_verification_status, u.email, u.username
+         FROM accounts a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.user_id = $1
+         FOR UPDATE OF a`,
+        [userId]
+      );
+
+      const account = result.rows[0];
+      if (!account) {
+        return { status: 'not_found' };
+      }
+
+      if (!canTransition(account.id_verification_status, nextStatus)) {
+        return { status: 'conflict', currentStatus: account.id_verification_status };
+      }
+
+      await client.query(
+        `UPDATE accounts
+         SET id_verification_status = $1, id_rejection_reason = $2,
+             id_reviewed_at = CURRENT_TIMESTAMP, id_reviewed_by = $3
+         WHERE user_id = $4`,
+        [nextStatus, approve ? null : reason, reviewerId, userId]
+      );
+
+      await auditLog.record({
+        actorId: reviewerId,
+        action: approve ? 'identity.approve' : 'identity.reject',
+        targetUserId: userId,
+        details: approve ? null : { reason },
+        ipAddress
+      }, client);
+
+      await mailer.send(
+        approve ? 'identityApproved' : 'identityRejected',
+        account.email,
+        { username: account.username, reason },
+        client
+      );
+
+      return { status: 'reviewed', verificationStatus: nextStatus };
+    });
+  },
+};
+
+module.exports = identityVerification;
@@ -0,0 +1,242 @@
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const logger = require('../logger/winstonConfig');
+const eventStream = require('./eventStream');
+
+// Boards outlive their event by this long before Redis drops them
+const TTL_SECONDS = parseInt(process.env.LEADERBOARD_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+const BOARDS = ['peak', 'latest'];
+
+// Entries sent to event streams when a board changes
+const STREAM_TOP = 10;
+
+const KEY_PREFIX = 'leaderboard:event:';
+
+/**
+ * Each event has two sorted sets of user id → BAC ('peak' and 'latest'), a hash
+ * of when each latest reading was taken, and a marker saying the board has been
+ * built from Postgres. Without the marker, reads rebuild the board first.
+ */
+const keys = (eventId) => ({
+  ready: `${KEY_PREFIX}${eventId}:ready`,
+  peak: `${KEY_PREFIX}${eventId}:peak`,
+  latest: `${KEY_PREFIX}${eventId}:latest`,
+  latestAt: `${KEY_PREFIX}${eventId}:latest-at`,
+});
+
+// Applies one reading atomically: raises the peak, and replaces the latest
+// unless a newer reading is already on the board. Keeps the sets expiring with
+// the marker. Returns the names of the boards that changed, or nil when the
+// board has not been built.
+const RECORD_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return nil
+end
+local changed = {}
+local peak = redis.call('ZSCORE', KEYS[2], ARGV[1])
+if not peak or tonumber(ARGV[2]) > tonumber(peak) then
+  redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+  table.insert(changed, 'peak')
+end
+local at = redis.call('HGET', KEYS[4], ARGV[1])
+if not at or tonumber(ARGV[3]) >= tonumber(at) then
+  redis.call('ZADD', KEYS[3], ARGV[2], ARGV[1])
+  redis.call('HSET', KEYS[4], ARGV[1], ARGV[3])
+  table.insert(changed, 'latest')
+end
+local ttl = redis.call('PTTL', KEYS[1])
+for index = 2, 4 do
+  redis.call('PEXPIRE', KEYS[index], ttl)
+end
+return changed
+`;
+
+// [member, score, member, score, ...] from WITHSCORES replies
+const pairs = (reply) => {
+  const entries = [];
+  for (let index = 0; index < reply.length; index += 2) {
+    entries.push({ userId: parseInt(reply[index], 10), bac: parseFloat(reply[index + 1]) });
+  }
+  return entries;
+};
+
+const withRanks = (entries, firstRank) => entries.map((entry, index) => ({ rank: firstRank + index, ...entry }));
+
+// Names come from Postgres, so renames show without rebuilding
+const withNames = async (entries) => {
+  const userIds = [...new Set(entries.map((entry) => entry.userId))];
+  const names = new Map();
+  if (userIds.length > 0) {
+    const users = await db.query(
+      'SELECT id, username, display_name FROM users WHERE id = ANY($1)',
+      [userIds]
+    );
+    users.rows.forEach((row) => names.set(row.id, { username: row.username, displayName: row.display_name }));
+  }
+
+  return entries.map((entry) => ({
+    ...entry,
+    ...(names.get(entry.userId) || { username: null, displayName: null }),
+  }));
+};
+
+const leaderboardService = {
+  BOARDS,
+  TTL_SECONDS,
+
+  /**
+   * Replace an event's boards with every public participant's peak and latest
+   * reading from Postgres
+   */
+  rebuild: async (eventId) => {
+    const result = await db.query(
+      `SELECT DISTINCT ON (s.user_id) s.user_id, s.bac AS latest_bac, s.timestamp,
+              MAX(s.bac) OVER (PARTITION BY s.user_id) AS peak_bac
+       FROM libation_scores s
+       JOIN accounts a ON a.user_id = s.user_id
+       WHERE s.event_id = $1 AND a.public_ranking
+       ORDER BY s.user_id, s.timestamp DESC, s.id DESC`,
+      [eventId]
+    );
+
+    const key = keys(eventId);
+    const multi = redisClient.multi().del(key.peak, key.latest, key.latestAt);
+
+    if (result.rows.length > 0) {
+      multi
+        .zadd(key.peak, ...result.rows.flatMap((row) => [row.peak_bac, row.user_id]))
+        .zadd(key.latest, ...result.rows.flatMap((row) => [row.latest_bac, row.user_id]))
+        .hset(key.latestAt, ...result.rows.flatMap((row) => [row.user_id, new Date(row.timestamp).getTime()]))
+        .expire(key.peak, TTL_SECONDS)
+        .expire(key.latest, TTL_SECONDS)
+        .expire(key.latestAt, TTL_SECONDS);
+    }
+
+    await multi.set(key.ready, '1', 'EX', TTL_SECONDS).exec();
+
+    logger.info('Leaderboard rebuilt', { eventId, entries: result.rows.length });
+    return result.rows.length;
+  },
+
+  /**
+   * Put a new reading on the event's boards and stream the top of each board
+   * that changed. Opted-out users are left off. Failures are logged and drop
+   * the board, so the next read rebuilds it.
+   */
+  recordScore: async (eventId, { userId, bac, recordedAt, publicRanking }) => {
+    if (!publicRanking) {
+      return;
+    }
+
+    const key = keys(eventId);
+    try {
+      let changed = await redisClient.eval(
+        RECORD_SCRIPT,
+        4,
+        key.ready,
+        key.peak,
+        key.latest,
+        key.latestAt,
+        userId,
+        bac,
+        new Date(recordedAt).getTime()
+      );
+
+      // The reading is committed, so building the board now includes it
+      if (!changed) {
+        await leaderboardService.rebuild(eventId);
+        changed = BOARDS;
+      }
+
+      for (const board of changed) {
+        await eventStream.publish(eventId, 'leaderboard', {
+          board,
+          top: await leaderboardService.top(eventId, board),
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to update leaderboard', { eventId, userId, error: error.message });
+      await leaderboardService.invalidate([eventId]);
+    }
+  },
+
+  /**
+   * Drop boards so they are rebuilt on the next read
+   */
+  invalidate: async (eventIds) => {
+    if (eventIds.length === 0) {
+      return;
+    }
+
+    try {
+      await redisClient.del(...eventIds.map((eventId) => keys(eventId).ready));
+    } catch (error) {
+      logger.error('Failed to invalidate leaderboards', { eventIds, error: error.message });
+    }
+  },
+
+  /**
+   * Rebuild the boards of every event a user has readings for, after they
+   * opt in to or out of public ranking
+   */
+  invalidateForUser: async (userId) => {
+    const result = await db.query(
+      'SELECT DISTINCT event_id FROM libation_scores WHERE user_id = $1',
+      [userId]
+    );
+    await leaderboardService.invalidate(result.rows.map((row) => row.event_id));
+  },
+
+  /**
+   * The first `limit` entries of a board, with names
+   */
+  top: async (eventId, board, limit = STREAM_TOP) => {
+    const reply = await redisClient.zrevrange(keys(eventId)[board], 0, limit - 1, 'WITHSCORES');
+    return withNames(withRanks(pairs(reply), 1));
+  },
+
+  /**
+   * Top `limit` entries, the user's own entry and `around` neighbours either side
+   * of it. Ranks start at 1, highest BAC first.
+   */
+  getLeaderboard: async (eventId, { board = 'peak', userId, limit = 10, around = 2 }) => {
+    const key = keys(eventId);
+
+    if (!(await redisClient.exists(key.ready))) {
+      await leaderboardService.rebuild(eventId);
+    }
+
+    const [total, top, myRank] = await Promise.all([
+      redisClient.zcard(key[board]),
+      redisClient.zrevrange(key[board], 0, limit - 1, 'WITHSCORES'),
+      redisClient.zrevrank(key[board], userId),
+    ]);
+
+    const topEntries = withRanks(pairs(top), 1);
+    let me = null;
+    let neighbours = [];
+
+    if (myRank !== null) {
+      const first = Math.max(0, myRank - around);
+      const nearby = withRanks(
+        pairs(await redisClient.zrevrange(key[board], first, myRank + around, 'WITHSCORES')),
+        first + 1
+      );
+      me = nearby.find((entry) => entry.rank === myRank + 1);
+      neighbours = nearby;
+    }
+
+    const named = await withNames([...topEntries, ...neighbours]);
+
+    return {
+      board,
+      total,
+      top: named.slice(0, topEntries.length),
+      me: me ? named.find((entry) => entry.rank === me.rank && entry.userId === me.userId) : null,
+      around: named.slice(topEntries.length),
+    };
+  },
+};
+
+module.exports = leaderboardService;
@@ -0,0 +1,264 @@
+const db = require('../db/postgres');
+
+/**
+ * System accounts stand for money entering or leaving the platform. They
+ * have no balance of their own.
+ */
+const SYSTEM_ACCOUNT = {
+  OPENING_BALANCE: 'opening_balance',
+  ADJUSTMENTS: 'adjustments',
+  // Card payments in and refunds out through the payment provider
+  PAYMENTS: 'payments',
+};
+
+const REASON = {
+  OPENING_BALANCE: 'opening_balance',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+  ENTRY_FEE: 'entry_fee',
+  ENTRY_FEE_REFUND: 'entry_fee_refund',
+  TOP_UP: 'top_up',
+  TOP_UP_REFUND: 'top_up_refund',
+  TOP_UP_REFUND_REVERSAL: 'top_up_refund_reversal',
+};
+
+// Money is handled in whole cents and sent to Postgres as exact decimal strings
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const toAmount = (cents) => (cents / 100).toFixed(2);
+
+const ENTRY_QUERY = `SELECT e.id, e.transaction_id, e.amount, e.balance_after, e.created_at,
+        t.reason, t.reference, t.description,
+        c.account_id AS counterparty_account_id, c.system_account AS counterparty_system,
+        cu.username AS counterparty_username
+ FROM ledger_entries e
+ JOIN wallet_transactions t ON t.id = e.transaction_id
+ LEFT JOIN ledger_entries c ON c.transaction_id = e.transaction_id AND c.id <> e.id
+ LEFT JOIN accounts ca ON ca.account_id = c.account_id
+ LEFT JOIN users cu ON cu.id = ca.user_id`;
+
+const formatCounterparty = (row) => {
+  if (row.counterparty_account_id) {
+    return { type: 'account', accountId: row.counterparty_account_id, username: row.counterparty_username };
+  }
+  return { type: 'system', name: row.counterparty_system };
+};
+
+const formatEntry = (row) => {
+  const amount = parseFloat(row.amount);
+  return {
+    id: Number(row.id),
+    transactionId: Number(row.transaction_id),
+    direction: amount > 0 ? 'credit' : 'debit',
+    amount,
+    balanceAfter: parseFloat(row.balance_after),
+    reason: row.reason,
+    reference: row.reference,
+    description: row.description,
+    counterparty: formatCounterparty(row),
+    createdAt: row.created_at,
+  };
+};
+
+/**
+ * Filters shared by history and statements
+ */
+const entryConditions = (accountId, { reason, from, to }) => {
+  const conditions = ['e.account_id = $1'];
+  const values = [accountId];
+
+  if (reason) {
+    values.push(reason);
+    conditions.push(`t.reason = $${values.length}`);
+  }
+
+  if (from) {
+    values.push(from);
+    conditions.push(`e.created_at >= $${values.length}`);
+  }
+
+  if (to) {
+    values.push(to);
+    conditions.push(`e.created_at < $${values.length}`);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, values };
+};
+
+/**
+ * The wallet ledger. Every change to accounts.balance goes through `post`,
+ * which writes a balanced pair of entries and moves the cached balance in the
+ * same database transaction, so the two never disagree.
+ */
+const ledgerService = {
+  SYSTEM_ACCOUNT,
+  REASON,
+  formatEntry,
+
+  /**
+   * Select an account's balance (aliased `balance`) from its latest ledger
+   * entry. NULL when there is no account, 0 before the first entry.
+   */
+  balanceColumn: (accountIdColumn) => `CASE WHEN ${accountIdColumn} IS NULL THEN NULL ELSE COALESCE((
+    SELECT le.balance_after FROM ledger_entries le
+    WHERE le.account_id = ${accountIdColumn}
+    ORDER BY le.id DESC
+    LIMIT 1
+  ), 0) END AS balance`,
+
+  /**
+   * A check_balance_positive violation: the debit would overdraw the account
+   */
+  isInsufficientFunds: (error) => error.code === '23514' && error.constraint === 'check_balance_positive',
+
+  /**
+   * Move `amount` (positive, at most 2 decimal places) from one party to
+   * another. Parties are `{ accountId }` or `{ system }` (a SYSTEM_ACCOUNT).
+   * Call inside db.transaction; an overdraft throws a check_balance_positive
+   * violation (see isInsufficientFunds) and rolls everything back.
+   * Resolves to the transaction with its entries.
+   */
+  post: async (client, { from, to, amount, reason, reference = null, description = null, createdBy = null }) => {
+    const cents = toCents(amount);
+    if (!Number.isSafeInteger(cents) || cents <= 0) {
+      throw new Error(`Ledger amount must be positive, got ${amount}`);
+    }
+
+    if (from.accountId && from.accountId === to.accountId) {
+      throw new Error('Ledger transfers need two different accounts');
+    }
+
+    const transaction = await client.query(
+      `INSERT INTO wallet_transactions (reason, reference, description, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, reason, reference, description, created_by, created_at`,
+      [reason, reference === null ? null : String(reference), description, createdBy]
+    );
+    const transactionId = transaction.rows[0].id;
+
+    const legs = [
+      { party: from, cents: -cents },
+      { party: to, cents },
+    ];
+
+    // Balances are locked in account order so opposite transfers cannot deadlock
+    const members = legs
+      .filter((leg) => leg.party.accountId)
+      .sort((a, b) => a.party.accountId - b.party.accountId);
+
+    for (const leg of members) {
+      const updated = await client.query(
+        'UPDATE accounts SET balance = balance + $1 WHERE account_id = $2 RETURNING balance',
+        [toAmount(leg.cents), leg.party.accountId]
+      );
+
+      if (updated.rows.length === 0) {
+        throw new Error(`Account ${leg.party.accountId} not found`);
+      }
+      leg.balanceAfter = updated.rows[0].balance;
+    }
+
+    const entries = [];
+    for (const leg of legs) {
+      const inserted = await client.query(
+        `INSERT INTO ledger_entries (transaction_id, account_id, system_account, amount, balance_after)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [
+          transactionId,
+          leg.party.accountId || null,
+          leg.party.system || null,
+          toAmount(leg.cents),
+          leg.party.accountId ? leg.balanceAfter : null,
+        ]
+      );
+
+      entries.push({
+        id: Number(inserted.rows[0].id),
+        accountId: leg.party.accountId || null,
+        systemAccount: leg.party.system || null,
+        amount: leg.cents / 100,
+        balanceAfter: leg.party.accountId ? parseFloat(leg.balanceAfter) : null,
+      });
+    }
+
+    const row = transaction.rows[0];
+    return {
+      id: Number(row.id),
+      reason: row.reason,
+      reference: row.reference,
+      description: row.description,
+      amount: cents / 100,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      entries,
+    };
+  },
+
+  /**
+   * An account's entries, newest first. Filters: reason, from, to.
+   */
+  history: async (accountId, { reason, from, to, limit, offset }) => {
+    const { where, values } = entryConditions(accountId, { reason, from, to });
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total
+       FROM ledger_entries e
+       JOIN wallet_transactions t ON t.id = e.transaction_id
+       ${where}`,
+      values
+    );
+
+    const result = await db.query(
+      `${ENTRY_QUERY}
+       ${where}
+       ORDER BY e.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      entries: result.rows.map(formatEntry),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+
+  /**
+   * Opening and closing balance, totals and entries (oldest first) for
+   * `from` <= created_at < `to`. The opening balance sums everything before
+   * `from`, so opening + credits - debits is always the closing balance.
+   */
+  statement: async (accountId, { from, to }) => {
+    const totals = await db.query(
+      `SELECT COALESCE(SUM(amount) FILTER (WHERE created_at < $2), 0) AS opening,
+              COALESCE(SUM(amount) FILTER (WHERE created_at >= $2 AND created_at < $3 AND amount > 0), 0) AS credits,
+              COALESCE(SUM(-amount) FILTER (WHERE created_at >= $2 AND created_at < $3 AND amount < 0), 0) AS debits
+       FROM ledger_entries
+       WHERE account_id = $1`,
+      [accountId, from, to]
+    );
+
+    const { where, values } = entryConditions(accountId, { from, to });
+    const result = await db.query(
+      `${ENTRY_QUERY}
+       ${where}
+       ORDER BY e.created_at, e.id`,
+      values
+    );
+
+    const opening = toCents(totals.rows[0].opening);
+    const credits = toCents(totals.rows[0].credits);
+    const debits = toCents(totals.rows[0].debits);
+
+    return {
+      from,
+      to,
+      openingBalance: opening / 100,
+      credits: credits / 100,
+      debits: debits / 100,
+      closingBalance: (opening + credits - debits) / 100,
+      entries: result.rows.map(formatEntry),
+    };
+  },
+};
+
+module.exports = ledgerService;
@@ -0,0 +1,125 @@
+const bcrypt = require('bcrypt');
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const logger = require('../logger/winstonConfig');
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 120;
+const BACKOFF_BASE_MS = parseInt(process.env.LOGIN_BACKOFF_BASE_MS, 10) || 1000;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const IP_WINDOW_SECONDS = parseInt(process.env.LOGIN_IP_WINDOW_SECONDS, 10) || 15 * 60;
+
+const IP_PREFIX = 'auth:login-failures:ip:';
+
+// Compared against when there is no real hash, so unknown and locked
+// accounts cost the same bcrypt work as a wrong password
+const DUMMY_PASSWORD_HASH = '$2b$10$SBawtYp.yQ./jemaLn.meu3.VwG3YP/bugUd1C/Q8tuXuM.MtFfsu';
+
+/**
+ * Lock duration after the given number of consecutive failures: exponential
+ * backoff from the second failure, then a hard lock at MAX_ATTEMPTS.
+ */
+const lockDurationMs = (attempts) => {
+  if (attempts >= MAX_ATTEMPTS) {
+    return LOCK_MINUTES * 60 * 1000;
+  }
+  if (attempts < 2) {
+    return 0;
+  }
+  return BACKOFF_BASE_MS * 2 ** (attempts - 2);
+};
+
+const loginThrottle = {
+  MAX_ATTEMPTS,
+
+  lockDurationMs,
+
+  /**
+   * Check whether the client IP has exceeded its failure budget
+   */
+  checkIp: async (ip) => {
+    try {
+      const failures = parseInt(await redisClient.get(`${IP_PREFIX}${ip}`), 10) || 0;
+
+      if (failures < IP_MAX_FAILURES) {
+        return { blocked: false };
+      }
+
+      const ttl = await redisClient.ttl(`${IP_PREFIX}${ip}`);
+      return { blocked: true, retryAfter: ttl > 0 ? ttl : IP_WINDOW_SECONDS };
+    } catch (error) {
+      logger.error('Login IP throttle check failed', { ip, error: error.message });
+      return { blocked: false };
+    }
+  },
+
+  /**
+   * Count a failed attempt against the client IP
+   */
+  recordIpFailure: async (ip) => {
+    try {
+      const key = `${IP_PREFIX}${ip}`;
+      const failures = await redisClient.incr(key);
+      if (failures === 1) {
+        await redisClient.expire(key, IP_WINDOW_SECONDS);
+      }
+    } catch (error) {
+      logger.error('Failed to record login IP failure', { ip, error: error.message });
+    }
+  },
+
+  isLocked: (user) => {
+    return Boolean(user.lock_until && new Date(user.lock_until) > new Date());
+  },
+
+  /**
+   * Count a failed password against the account and apply backoff/lockout
+   */
+  recordFailure: async (user) => {
+    // A hard lock that has run out starts the count again, like the legacy model
+    const lockExpired = user.failed_login_attempts >= MAX_ATTEMPTS && !loginThrottle.isLocked(user);
+
+    const result = await db.query(
+      `UPDATE accounts
+       SET failed_login_attempts = CASE WHEN $2 THEN 1 ELSE failed_login_attempts + 1 END,
+           last_failed_login = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING failed_login_attempts`,
+      [user.id, lockExpired]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const attempts = result.rows[0].failed_login_attempts;
+    const duration = lockDurationMs(attempts);
+
+    if (duration > 0) {
+      const lockUntil = new Date(Date.now() + duration);
+      await db.query('UPDATE accounts SET lock_until = $1 WHERE user_id = $2', [
+        lockUntil,
+        user.id,
+      ]);
+
+      if (attempts >= MAX_ATTEMPTS) {
+        logger.warn('Account locked after repeated login failures', {
+          userId: user.id,
+          attempts,
+          lockUntil,
+        });
+      }
+    }
+
+    return attempts;
+  },
+
+  /**
+   * Spend the same bcrypt work as a real password check
+   */
+  burnPasswordCheck: async (password) => {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+  },
+};
+
+module.exports = loginThrottle;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db/postgres');
+const totp = require('./totp');
+const encryption = require('./encryption');
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_PENDING_TTL_SECONDS = 5 * 60;
+const MFA_PENDING_TYPE = 'mfa_pending';
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Recovery codes look like ABCDE-FGHIJ (50 bits of entropy)
+const generateRecoveryCode = () => {
+  const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const mfaService = {
+  RECOVERY_CODE_COUNT,
+  MFA_PENDING_TYPE,
+
+  hashRecoveryCode,
+
+  /**
+   * Load a user's MFA enrollment with the secret decrypted
+   */
+  getEnrollment: async (userId, client = db) => {
+    const result = await client.query(
+      'SELECT secret_encrypted, enabled, last_used_step FROM user_mfa WHERE user_id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      secret: encryption.decrypt(row.secret_encrypted),
+      enabled: row.enabled,
+      lastUsedStep: row.last_used_step === null ? -1 : Number(row.last_used_step),
+    };
+  },
+
+  /**
+   * Store a new (unconfirmed) secret, replacing any pending enrollment
+   */
+  startEnrollment: async (userId) => {
+    const secret = totp.generateSecret();
+
+    await db.query(
+      `INSERT INTO user_mfa (user_id, secret_encrypted, enabled)
+       VALUES ($1, $2, FALSE)
+       ON CONFLICT (user_id) DO UPDATE
+       SET secret_encrypted = EXCLUDED.secret_encrypted, enabled = FALSE,
+           last_used_step = NULL, confirmed_at = NULL`,
+      [userId, encryption.encrypt(secret)]
+    );
+
+    return secret;
+  },
+
+  /**
+   * Replace all recovery codes. Returns the plaintext codes, which are only
+   * ever shown once.
+   */
+  replaceRecoveryCodes: async (client, userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+      await client.query(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+
+    return codes;
+  },
+
+  /**
+   * Check a TOTP code for an enrollment and record its step so it can't be
+   * replayed. The step is claimed in one statement, so of two requests racing
+   * with the same code only one succeeds.
+   */
+  verifyTotp: async (userId, enrollment, code) => {
+    const step = totp.verify(enrollment.secret, code, { afterStep: enrollment.lastUsedStep });
+    if (step === null) {
+      return false;
+    }
+
+    const result = await db.query(
+      `UPDATE user_mfa SET last_used_step = $1
+       WHERE user_id = $2 AND (last_used_step IS NULL OR last_used_step < $1)`,
+      [step, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Consume a recovery code. Each code works exactly once.
+   */
+  consumeRecoveryCode: async (userId, code) => {
+    const result = await db.query(
+      `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM mfa_recovery_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING id`,
+      [userId, hashRecoveryCode(code)]
+    );
+
+    return result.rows.length > 0;
+  },
+
+  /**
+   * Verify either a TOTP code or a recovery code for an enabled enrollment
+   */
+  verifyChallenge: async (userId, { code, recoveryCode }) => {
+    const enrollment = await mfaService.getEnrollment(userId);
+    if (!enrollment || !enrollment.enabled) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      return mfaService.consumeRecoveryCode(userId, recoveryCode);
+    }
+
+    return mfaService.verifyTotp(userId, enrollment, code);
+  },
+
+  /**
+   * Short-lived token proving the password step of a login succeeded
+   */
+  generatePendingToken: (userId) => {
+    return jwt.sign({ id: userId, typ: MFA_PENDING_TYPE }, process.env.JWT_SECRET, {
+      expiresIn: MFA_PENDING_TTL_SECONDS,
+    });
+  },
+
+  /**
+   * Decode a pending token, returning the user id or null
+   */
+  verifyPendingToken: (token) => {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.typ === MFA_PENDING_TYPE ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
+module.exports = mfaService;
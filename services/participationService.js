@@ -0,0 +1,345 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const mailer = require('../mailer');
+const eventService = require('./eventService');
+const eventFeeService = require('./eventFeeService');
+const ledgerService = require('./ledgerService');
+const eventStream = require('./eventStream');
+
+// Locks the event row, so joins and leaves for one event run one at a time
+const lockEvent = async (client, eventId) => {
+  const result = await client.query(
+    `SELECT event_id, name, organizer_id, max_participants, price, refund_cutoff_hours,
+            status, start_time, end_time
+     FROM events WHERE event_id = $1 FOR UPDATE`,
+    [eventId]
+  );
+  return result.rows[0];
+};
+
+const waitlistPosition = async (client, eventId, accountId) => {
+  const result = await client.query(
+    `SELECT COUNT(*) AS position
+     FROM event_waitlist w, event_waitlist mine
+     WHERE w.event_id = $1 AND mine.event_id = $1 AND mine.account_id = $2
+       AND (w.created_at, w.account_id) <= (mine.created_at, mine.account_id)`,
+    [eventId, accountId]
+  );
+  return parseInt(result.rows[0].position, 10);
+};
+
+/**
+ * Promote from a paid event's waitlist one at a time, each paying the entry
+ * fee as they take the place. Whoever cannot pay is taken off the waitlist
+ * and the place goes to the next. Resolves to the promoted account ids.
+ */
+const promotePaying = async (client, event, freePlaces) => {
+  const promoted = [];
+  const fees = new Map();
+  const unpaid = [];
+
+  while (freePlaces === null || promoted.length < freePlaces) {
+    const next = await client.query(
+      `DELETE FROM event_waitlist
+       WHERE (event_id, account_id) IN (
+         SELECT event_id, account_id FROM event_waitlist
+         WHERE event_id = $1
+         ORDER BY created_at, account_id
+         LIMIT 1
+       )
+       RETURNING account_id`,
+      [event.event_id]
+    );
+    if (next.rows.length === 0) {
+      break;
+    }
+    const accountId = next.rows[0].account_id;
+
+    await client.query('SAVEPOINT promote_waitlisted');
+    try {
+      await client.query(
+        'INSERT INTO event_participants (event_id, account_id) VALUES ($1, $2)',
+        [event.event_id, accountId]
+      );
+      const payment = await eventFeeService.charge(client, event, accountId);
+      await client.query('RELEASE SAVEPOINT promote_waitlisted');
+
+      promoted.push(accountId);
+      if (payment) {
+        fees.set(accountId, payment.amount.toFixed(2));
+      }
+    } catch (error) {
+      if (!ledgerService.isInsufficientFunds(error)) {
+        throw error;
+      }
+      await client.query('ROLLBACK TO SAVEPOINT promote_waitlisted');
+      unpaid.push(accountId);
+    }
+  }
+
+  if (promoted.length === 0 && unpaid.length === 0) {
+    return promoted;
+  }
+
+  const recipients = await client.query(
+    `SELECT a.account_id, u.email, u.username
+     FROM accounts a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.account_id = ANY($1)`,
+    [[...promoted, ...unpaid]]
+  );
+
+  const fee = (parseFloat(event.price) || 0).toFixed(2);
+  for (const { account_id: accountId, email, username } of recipients.rows) {
+    if (unpaid.includes(accountId)) {
+      await mailer.send('waitlistPaymentFailed', email, { username, eventName: event.name, fee }, client);
+    } else {
+      await mailer.send(
+        'waitlistPromoted',
+        email,
+        { username, eventName: event.name, fee: fees.get(accountId) || null },
+        client
+      );
+    }
+  }
+
+  if (unpaid.length > 0) {
+    logger.info('Dropped from event waitlist for an unpaid fee', { eventId: event.event_id, accountIds: unpaid });
+  }
+  logger.info('Promoted from event waitlist', { eventId: event.event_id, accountIds: promoted });
+  return promoted;
+};
+
+const participationService = {
+  /**
+   * Join an event, or its waitlist when it is full. Taking a place pays the
+   * entry fee (waitlisted users pay when promoted); an overdraft throws a
+   * check_balance_positive violation. Resolves to a status: 'joined' (with
+   * payment), 'waitlisted' (with position), 'already_joined', 'already_waitlisted'
+   * (with position), 'closed' (with reason), 'not_found' or 'no_account'.
+   */
+  join: async (eventId, userId) => {
+    const result = await db.transaction(async (client) => {
+      const accountId = await eventService.getAccountId(userId, client);
+      if (!accountId) {
+        return { status: 'no_account' };
+      }
+
+      const event = await lockEvent(client, eventId);
+      if (!event) {
+        return { status: 'not_found' };
+      }
+
+      const reason = eventService.closedReason(event);
+      if (reason) {
+        return { status: 'closed', reason };
+      }
+
+      const stateResult = await client.query(
+        `SELECT EXISTS (SELECT 1 FROM event_participants WHERE event_id = $1 AND account_id = $2) AS joined,
+                EXISTS (SELECT 1 FROM event_waitlist WHERE event_id = $1 AND account_id = $2) AS waitlisted,
+                (SELECT COUNT(*) FROM event_participants WHERE event_id = $1) AS participant_count`,
+        [eventId, accountId]
+      );
+      const state = stateResult.rows[0];
+
+      if (state.joined) {
+        return { status: 'already_joined' };
+      }
+
+      if (state.waitlisted) {
+        return { status: 'already_waitlisted', position: await waitlistPosition(client, eventId, accountId) };
+      }
+
+      const hasRoom = event.max_participants === -1
+        || parseInt(state.participant_count, 10) < event.max_participants;
+
+      if (hasRoom) {
+        await client.query(
+          'INSERT INTO event_participants (event_id, account_id) VALUES ($1, $2)',
+          [eventId, accountId]
+        );
+        const payment = await eventFeeService.charge(client, event, accountId, { createdBy: userId });
+        return { status: 'joined', accountId, payment };
+      }
+
+      await client.query(
+        'INSERT INTO event_waitlist (event_id, account_id) VALUES ($1, $2)',
+        [eventId, accountId]
+      );
+      return { status: 'waitlisted', position: await waitlistPosition(client, eventId, accountId) };
+    });
+
+    if (result.status === 'joined') {
+      await participationService.publishChanges(eventId, { joined: [result.accountId] });
+    }
+
+    return result;
+  },
+
+  /**
+   * Leave an event or its waitlist. A freed place goes to the head of the waitlist.
+   * A paid fee is refunded before the event's refund cutoff and forfeited after;
+   * a refund the organizer cannot cover throws a check_balance_positive violation.
+   * Resolves to a status: 'left' (with promoted account ids and payment),
+   * 'left_waitlist', 'not_joined', 'not_found' or 'no_account'.
+   */
+  leave: async (eventId, userId) => {
+    const result = await db.transaction(async (client) => {
+      const accountId = await eventService.getAccountId(userId, client);
+      if (!accountId) {
+        return { status: 'no_account' };
+      }
+
+      const event = await lockEvent(client, eventId);
+      if (!event) {
+        return { status: 'not_found' };
+      }
+
+      const left = await client.query(
+        'DELETE FROM event_participants WHERE event_id = $1 AND account_id = $2 RETURNING account_id',
+        [eventId, accountId]
+      );
+
+      if (left.rows.length > 0) {
+        const promoted = await participationService.promoteFromWaitlist(client, event);
+        const payment = await eventFeeService.settleLeave(client, event, accountId, { createdBy: userId });
+        return { status: 'left', accountId, promoted, payment };
+      }
+
+      const unqueued = await client.query(
+        'DELETE FROM event_waitlist WHERE event_id = $1 AND account_id = $2 RETURNING account_id',
+        [eventId, accountId]
+      );
+
+      return { status: unqueued.rows.length > 0 ? 'left_waitlist' : 'not_joined' };
+    });
+
+    if (result.status === 'left') {
+      await participationService.publishChanges(eventId, { joined: result.promoted, left: [result.accountId] });
+    }
+
+    return result;
+  },
+
+  /**
+   * Stream participant joins and leaves to the event's live clients.
+   * Call once the change has committed.
+   */
+  publishChanges: async (eventId, { joined = [], left = [] }) => {
+    for (const accountId of left) {
+      await eventStream.publish(eventId, 'participants', { action: 'left', accountId });
+    }
+    for (const accountId of joined) {
+      await eventStream.publish(eventId, 'participants', { action: 'joined', accountId });
+    }
+  },
+
+  /**
+   * Fill free places from the waitlist, oldest first, and email the people promoted.
+   * For paid events, people who cannot pay the fee lose their spot on the waitlist.
+   * Call inside a transaction holding the event row lock. Resolves to the promoted account ids.
+   */
+  promoteFromWaitlist: async (client, event) => {
+    if (eventService.closedReason(event)) {
+      return [];
+    }
+
+    let freePlaces = null; // unlimited
+    if (event.max_participants !== -1) {
+      const countResult = await client.query(
+        'SELECT COUNT(*) AS total FROM event_participants WHERE event_id = $1',
+        [event.event_id]
+      );
+      freePlaces = event.max_participants - parseInt(countResult.rows[0].total, 10);
+
+      if (freePlaces <= 0) {
+        return [];
+      }
+    }
+
+    if (parseFloat(event.price) > 0) {
+      return promotePaying(client, event, freePlaces);
+    }
+
+    const result = await client.query(
+      `WITH next AS (
+         DELETE FROM event_waitlist
+         WHERE (event_id, account_id) IN (
+           SELECT event_id, account_id FROM event_waitlist
+           WHERE event_id = $1
+           ORDER BY created_at, account_id
+           LIMIT $2
+         )
+         RETURNING account_id
+       )
+       INSERT INTO event_participants (event_id, account_id)
+       SELECT $1, account_id FROM next
+       RETURNING account_id`,
+      [event.event_id, freePlaces]
+    );
+
+    const promoted = result.rows.map((row) => row.account_id);
+    if (promoted.length === 0) {
+      return promoted;
+    }
+
+    const recipients = await client.query(
+      `SELECT u.email, u.username
+       FROM accounts a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.account_id = ANY($1)`,
+      [promoted]
+    );
+
+    for (const { email, username } of recipients.rows) {
+      await mailer.send('waitlistPromoted', email, { username, eventName: event.name }, client);
+    }
+
+    logger.info('Promoted from event waitlist', { eventId: event.event_id, accountIds: promoted });
+    return promoted;
+  },
+
+  /**
+   * Participants in join order, and the waitlist in queue order
+   */
+  listParticipants: async (eventId) => {
+    const participants = await db.query(
+      `SELECT p.account_id, a.user_id, u.username, u.display_name, p.joined_at
+       FROM event_participants p
+       JOIN accounts a ON a.account_id = p.account_id
+       JOIN users u ON u.id = a.user_id
+       WHERE p.event_id = $1
+       ORDER BY p.joined_at, p.account_id`,
+      [eventId]
+    );
+
+    const waitlist = await db.query(
+      `SELECT w.account_id, a.user_id, u.username, u.display_name, w.created_at
+       FROM event_waitlist w
+       JOIN accounts a ON a.account_id = w.account_id
+       JOIN users u ON u.id = a.user_id
+       WHERE w.event_id = $1
+       ORDER BY w.created_at, w.account_id`,
+      [eventId]
+    );
+
+    const person = (row) => ({
+      accountId: row.account_id,
+      userId: row.user_id,
+      username: row.username,
+      displayName: row.display_name,
+    });
+
+    return {
+      participants: participants.rows.map((row) => ({ ...person(row), joinedAt: row.joined_at })),
+      waitlist: waitlist.rows.map((row, index) => ({
+        ...person(row),
+        position: index + 1,
+        waitlistedAt: row.created_at,
+      })),
+    };
+  },
+};
+
+module.exports = participationService;
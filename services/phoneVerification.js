@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const redisClient = require('../redisClient');
+const sms = require('../sms');
+
+const CODE_TTL_SECONDS = parseInt(process.env.PHONE_CODE_TTL_SECONDS, 10) || 10 * 60;
+const MAX_ATTEMPTS = parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS, 10) || 5;
+const SEND_WINDOW_SECONDS = parseInt(process.env.PHONE_SEND_WINDOW_SECONDS, 10) || 60 * 60;
+const MAX_SENDS_PER_USER = parseInt(process.env.PHONE_MAX_SENDS_PER_USER, 10) || 5;
+const MAX_SENDS_PER_NUMBER = parseInt(process.env.PHONE_MAX_SENDS_PER_NUMBER, 10) || 3;
+
+const CODE_PREFIX = 'phone:code:';
+const ATTEMPTS_PREFIX = 'phone:code-attempts:';
+const USER_SENDS_PREFIX = 'phone:sends:user:';
+const NUMBER_SENDS_PREFIX = 'phone:sends:number:';
+
+// Bound to the user so a stored hash is useless for anyone else's code
+const hashCode = (userId, code) => {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+};
+
+/**
+ * Count a send against a fixed-window budget. Returns the seconds until the
+ * window resets when the budget is exhausted, otherwise null.
+ */
+const consumeSendBudget = async (key, max) => {
+  const sends = await redisClient.incr(key);
+  if (sends === 1) {
+    await redisClient.expire(key, SEND_WINDOW_SECONDS);
+  }
+
+  if (sends <= max) {
+    return null;
+  }
+
+  const ttl = await redisClient.ttl(key);
+  return ttl > 0 ? ttl : SEND_WINDOW_SECONDS;
+};
+
+const clearCode = async (userId) => {
+  await redisClient.del(`${CODE_PREFIX}${userId}`, `${ATTEMPTS_PREFIX}${userId}`);
+};
+
+const phoneVerification = {
+  CODE_TTL_SECONDS,
+  MAX_ATTEMPTS,
+
+  generateCode: () => {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  },
+
+  /**
+   * Text a new code to the number, replacing any outstanding one.
+   * Returns { sent: false, retryAfter } when the user or number is over its send limit.
+   */
+  sendCode: async (userId, phoneNumber) => {
+    const retryAfter =
+      (await consumeSendBudget(`${USER_SENDS_PREFIX}${userId}`, MAX_SENDS_PER_USER)) ||
+      (await consumeSendBudget(`${NUMBER_SENDS_PREFIX}${phoneNumber}`, MAX_SENDS_PER_NUMBER));
+
+    if (retryAfter) {
+      return { sent: false, retryAfter };
+    }
+
+    const code = phoneVerification.generateCode();
+
+    await redisClient.setex(
+      `${CODE_PREFIX}${userId}`,
+      CODE_TTL_SECONDS,
+      JSON.stringify({ phoneNumber, codeHash: hashCode(userId, code) })
+    );
+    await redisClient.del(`${ATTEMPTS_PREFIX}${userId}`);
+
+    try {
+      await sms.send(
+        phoneNumber,
+        `Your ${process.env.APP_NAME || 'Velivolant'} verification code is ${code}. ` +
+          `It expires in ${Math.round(CODE_TTL_SECONDS / 60)} minutes.`
+      );
+    } catch (error) {
+      await clearCode(userId);
+      throw error;
+    }
+
+    return { sent: true, expiresIn: CODE_TTL_SECONDS };
+  },
+
+  /**
+   * Check a code against the outstanding one. Resolves to a status:
+   * 'verified' (with phoneNumber), 'invalid' (with attemptsRemaining),
+   * 'expired' (no outstanding code) or 'locked' (too many wrong codes).
+   */
+  verifyCode: async (userId, code) => {
+    const stored = await redisClient.get(`${CODE_PREFIX}${userId}`);
+    if (!stored) {
+      return { status: 'expired' };
+    }
+
+    const attemptsKey = `${ATTEMPTS_PREFIX}${userId}`;
+    const attempts = await redisClient.incr(attemptsKey);
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, CODE_TTL_SECONDS);
+    }
+
+    if (attempts > MAX_ATTEMPTS) {
+      await clearCode(userId);
+      return { status: 'locked' };
+    }
+
+    const { phoneNumber, codeHash } = JSON.parse(stored);
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(hashCode(userId, code)),
+      Buffer.from(codeHash)
+    );
+
+    if (!matches) {
+      if (attempts >= MAX_ATTEMPTS) {
+        await clearCode(userId);
+        return { status: 'locked' };
+      }
+      return { status: 'invalid', attemptsRemaining: MAX_ATTEMPTS - attempts };
+    }
+
+    await clearCode(userId);
+    return { status: 'verified', phoneNumber };
+  },
+};
+
+module.exports = phoneVerification;
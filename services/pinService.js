@@ -0,0 +1,107 @@
+const bcrypt = require('bcrypt');
+const db = require('../db/postgres');
+const redisClient = require('../redisClient');
+const logger = require('../logger/winstonConfig');
+
+const MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = parseInt(process.env.PIN_LOCK_MINUTES, 10) || 30;
+const CONFIRMATION_TTL_SECONDS = parseInt(process.env.PIN_CONFIRMATION_TTL_SECONDS, 10) || 5 * 60;
+
+const CONFIRMED_PREFIX = 'pin:confirmed:';
+
+// Confirmations belong to the session, so another device still has to enter the PIN
+const confirmationKey = ({ id, sid }) => `${CONFIRMED_PREFIX}${sid || `user:${id}`}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+const pinService = {
+  MAX_ATTEMPTS,
+  CONFIRMATION_TTL_SECONDS,
+
+  /**
+   * Store a new PIN and clear any lockout
+   */
+  setPin: async (userId, pin) => {
+    const pinHash = await bcrypt.hash(pin, 10);
+
+    const result = await db.query(
+      `UPDATE accounts
+       SET pin_hash = $1, pin_failed_attempts = 0, pin_locked_until = NULL,
+           pin_updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2`,
+      [pinHash, userId]
+    );
+
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Check a PIN, counting failures towards a lockout. Resolves to a status:
+   * 'verified', 'invalid' (with attemptsRemaining), 'locked' (with retryAfter)
+   * or 'not_set'.
+   */
+  verifyPin: async (userId, pin) => {
+    // Count the attempt before comparing, in one statement, so parallel
+    // guesses cannot all get past the lock check. A lock that has run out
+    // starts the count again; a right PIN clears it below.
+    const reserved = await db.query(
+      `UPDATE accounts
+       SET pin_failed_attempts = CASE WHEN pin_locked_until IS NOT NULL THEN 1 ELSE pin_failed_attempts + 1 END,
+           pin_locked_until = CASE
+             WHEN (CASE WHEN pin_locked_until IS NOT NULL THEN 1 ELSE pin_failed_attempts + 1 END) >= $2
+             THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+             ELSE NULL
+           END
+       WHERE user_id = $1 AND pin_hash IS NOT NULL
+         AND (pin_locked_until IS NULL OR pin_locked_until <= CURRENT_TIMESTAMP)
+       RETURNING pin_hash, pin_failed_attempts, pin_locked_until`,
+      [userId, MAX_ATTEMPTS, LOCK_MINUTES]
+    );
+
+    const attempt = reserved.rows[0];
+    if (!attempt) {
+      const result = await db.query(
+        'SELECT pin_hash, pin_locked_until FROM accounts WHERE user_id = $1',
+        [userId]
+      );
+      const account = result.rows[0];
+      if (!account || !account.pin_hash) {
+        return { status: 'not_set' };
+      }
+      return { status: 'locked', retryAfter: secondsUntil(account.pin_locked_until) };
+    }
+
+    const isValid = await bcrypt.compare(pin, attempt.pin_hash);
+
+    if (isValid) {
+      await db.query(
+        'UPDATE accounts SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE user_id = $1',
+        [userId]
+      );
+      return { status: 'verified' };
+    }
+
+    const { pin_failed_attempts: attempts, pin_locked_until: lockedUntil } = attempt;
+
+    if (lockedUntil) {
+      logger.warn('PIN locked after repeated failures', { userId, attempts, lockedUntil });
+      return { status: 'locked', retryAfter: secondsUntil(lockedUntil) };
+    }
+
+    return { status: 'invalid', attemptsRemaining: MAX_ATTEMPTS - attempts };
+  },
+
+  /**
+   * Remember a successful PIN check for the user's current session
+   */
+  recordConfirmation: async (user) => {
+    await redisClient.setex(confirmationKey(user), CONFIRMATION_TTL_SECONDS, '1');
+  },
+
+  hasRecentConfirmation: async (user) => {
+    const confirmed = await redisClient.get(confirmationKey(user));
+    return Boolean(confirmed);
+  },
+};
+
+module.exports = pinService;
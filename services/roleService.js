@@ -0,0 +1,129 @@
+const db = require('../db/postgres');
+
+const DEFAULT_ROLE = 'user';
+
+// Highest first; the first match becomes the token's primary `role` claim
+const ROLE_PRECEDENCE = ['admin', 'moderator', 'user'];
+
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 60 * 1000;
+
+let permissionCache = null;
+
+const loadPermissionMap = async () => {
+  if (permissionCache && permissionCache.expiresAt > Date.now()) {
+    return permissionCache.map;
+  }
+
+  const result = await db.query(
+    `SELECT r.name AS role, p.name AS permission
+     FROM role_permissions rp
+     JOIN roles r ON r.id = rp.role_id
+     JOIN permissions p ON p.id = rp.permission_id`
+  );
+
+  const map = new Map();
+  result.rows.forEach(({ role, permission }) => {
+    if (!map.has(role)) {
+      map.set(role, new Set());
+    }
+    map.get(role).add(permission);
+  });
+
+  permissionCache = { map, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS };
+  return map;
+};
+
+const roleService = {
+  DEFAULT_ROLE,
+
+  /**
+   * SQL select expression returning a user's role names as an array.
+   * `userIdColumn` must be a trusted column reference such as 'u.id'.
+   */
+  rolesColumn: (userIdColumn) => `ARRAY(
+    SELECT r.name FROM user_roles ur
+    JOIN roles r ON r.id = ur.role_id
+    WHERE ur.user_id = ${userIdColumn}
+    ORDER BY r.name
+  ) AS roles`,
+
+  /**
+   * Every user implicitly holds the default role, including users created
+   * outside this service that have no user_roles rows yet
+   */
+  normalizeRoles: (roles) => {
+    return [...new Set([DEFAULT_ROLE, ...(roles || [])])];
+  },
+
+  primaryRole: (roles) => {
+    return ROLE_PRECEDENCE.find((role) => roles.includes(role)) || DEFAULT_ROLE;
+  },
+
+  /**
+   * Resolve the permissions granted by a set of roles
+   */
+  getPermissions: async (roles) => {
+    const map = await loadPermissionMap();
+    const permissions = new Set();
+
+    roleService.normalizeRoles(roles).forEach((role) => {
+      (map.get(role) || []).forEach((permission) => permissions.add(permission));
+    });
+
+    return permissions;
+  },
+
+  hasPermission: async (roles, permission) => {
+    const permissions = await roleService.getPermissions(roles);
+    return permissions.has(permission);
+  },
+
+  getUserRoles: async (userId, client = db) => {
+    const result = await client.query(
+      `SELECT r.name
+       FROM user_roles ur
+       JOIN roles r ON r.id = ur.role_id
+       WHERE ur.user_id = $1
+       ORDER BY r.name`,
+      [userId]
+    );
+
+    return roleService.normalizeRoles(result.rows.map((row) => row.name));
+  },
+
+  /**
+   * Grant a role. Returns false if the role doesn't exist.
+   */
+  assignRole: async (userId, roleName, grantedBy = null, client = db) => {
+    const result = await client.query(
+      `INSERT INTO user_roles (user_id, role_id, granted_by)
+       SELECT $1, id, $3 FROM roles WHERE name = $2
+       ON CONFLICT (user_id, role_id) DO NOTHING
+       RETURNING role_id`,
+      [userId, roleName, grantedBy]
+    );
+
+    if (result.rows.length > 0) {
+      return true;
+    }
+
+    const role = await client.query('SELECT id FROM roles WHERE name = $1', [roleName]);
+    return role.rows.length > 0;
+  },
+
+  removeRole: async (userId, roleName, client = db) => {
+    const result = await client.query(
+      `DELETE FROM user_roles
+       WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)`,
+      [userId, roleName]
+    );
+
+    return result.rowCount > 0;
+  },
+
+  clearCache: () => {
+    permissionCache = null;
+  },
+};
+
+module.exports = roleService;
@@ -0,0 +1,331 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const mailer = require('../mailer');
+const eventService = require('./eventService');
+
+const MAX_CONTACTS = parseInt(process.env.SAFETY_MAX_CONTACTS, 10) || 5;
+
+/**
+ * Alert levels, lowest first. A reading at or above `bac` raises the highest
+ * level it reaches and blocks the user's readings for the event for
+ * `cooldownMinutes`.
+ */
+const DEFAULT_LEVELS = [
+  { level: 'caution', bac: 0.08, cooldownMinutes: 30, notifyOrganizer: false, notifyContacts: false },
+  { level: 'danger', bac: 0.15, cooldownMinutes: 120, notifyOrganizer: true, notifyContacts: true },
+];
+
+const isValidLevel = (level) => Boolean(level)
+  && typeof level.level === 'string' && /^[a-z_]{1,20}$/.test(level.level)
+  && typeof level.bac === 'number' && level.bac > 0 && level.bac <= 1
+  && Number.isInteger(level.cooldownMinutes) && level.cooldownMinutes >= 0;
+
+/**
+ * Levels per event type name, with `default` for types not listed.
+ * SAFETY_THRESHOLDS (JSON, same shape) replaces the levels of the types it
+ * names, e.g. {"competition": [{"level": "danger", "bac": 0.12, "cooldownMinutes": 180,
+ * "notifyOrganizer": true, "notifyContacts": true}]}. Bad configuration throws at startup.
+ */
+const loadPolicy = (raw = process.env.SAFETY_THRESHOLDS) => {
+  const policy = { default: DEFAULT_LEVELS };
+  if (!raw) {
+    return policy;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`SAFETY_THRESHOLDS is not valid JSON: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([type, levels]) => {
+    if (type !== 'default' && eventService.typeValue(type) === undefined) {
+      throw new Error(`SAFETY_THRESHOLDS: unknown event type "${type}"`);
+    }
+
+    if (!Array.isArray(levels) || !levels.every(isValidLevel)) {
+      throw new Error(`SAFETY_THRESHOLDS: invalid levels for "${type}"`);
+    }
+
+    policy[type] = levels
+      .map((level) => ({
+        level: level.level,
+        bac: level.bac,
+        cooldownMinutes: level.cooldownMinutes,
+        notifyOrganizer: Boolean(level.notifyOrganizer),
+        notifyContacts: Boolean(level.notifyContacts),
+      }))
+      .sort((a, b) => a.bac - b.bac);
+  });
+
+  return policy;
+};
+
+const POLICY = loadPolicy();
+
+const ALERT_COLUMNS = `s.id, s.user_id, u.username, s.event_id, e.name AS event_name, s.score_id,
+        s.level, s.bac, s.threshold, s.blocked_until, s.organizer_notified, s.contacts_notified,
+        s.reviewed_at, s.reviewed_by, s.review_note, s.created_at`;
+
+const ALERT_QUERY = `SELECT ${ALERT_COLUMNS}
+ FROM safety_alerts s
+ JOIN users u ON u.id = s.user_id
+ LEFT JOIN events e ON e.event_id = s.event_id`;
+
+const formatAlert = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  username: row.username,
+  eventId: row.event_id,
+  eventName: row.event_name,
+  scoreId: row.score_id,
+  level: row.level,
+  bac: parseFloat(row.bac),
+  threshold: parseFloat(row.threshold),
+  blockedUntil: row.blocked_until,
+  organizerNotified: row.organizer_notified,
+  contactsNotified: row.contacts_notified,
+  reviewedAt: row.reviewed_at,
+  reviewedBy: row.reviewed_by,
+  reviewNote: row.review_note,
+  createdAt: row.created_at,
+});
+
+const formatContact = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  createdAt: row.created_at,
+});
+
+const safetyService = {
+  MAX_CONTACTS,
+  DEFAULT_LEVELS,
+  loadPolicy,
+  formatAlert,
+
+  /**
+   * Alert levels for an event type name, lowest first
+   */
+  levelsFor: (type, policy = POLICY) => policy[type] || policy.default,
+
+  /**
+   * The highest level a reading reaches, or null
+   */
+  levelFor: (type, bac, policy = POLICY) => {
+    const reached = safetyService.levelsFor(type, policy).filter((level) => bac >= level.bac);
+    return reached.length > 0 ? reached[reached.length - 1] : null;
+  },
+
+  /**
+   * When the user may submit readings for the event again, or null if they may now
+   */
+  activeBlock: async (client, userId, eventId) => {
+    const result = await client.query(
+      `SELECT MAX(blocked_until) AS blocked_until
+       FROM safety_alerts
+       WHERE user_id = $1 AND event_id = $2 AND blocked_until > CURRENT_TIMESTAMP`,
+      [userId, eventId]
+    );
+    return result.rows[0] ? result.rows[0].blocked_until : null;
+  },
+
+  /**
+   * Store an alert when a recorded reading crosses a threshold for the event's
+   * type, and email the user, and depending on the level the organizer and the
+   * user's safety contacts. Call inside the transaction that records the reading.
+   * Resolves to the formatted alert, or null when no threshold was crossed.
+   */
+  raiseAlert: async (client, { userId, event, score }) => {
+    const level = safetyService.levelFor(eventService.typeName(event.type), score.bac);
+    if (!level) {
+      return null;
+    }
+
+    const userResult = await client.query('SELECT email, username FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+
+    let organizer = null;
+    if (level.notifyOrganizer) {
+      const organizerResult = await client.query(
+        `SELECT u.id, u.email, u.username
+         FROM accounts a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.account_id = $1`,
+        [event.organizer_id]
+      );
+      // Organizers reading their own BAC already get the user email
+      organizer = organizerResult.rows.find((row) => row.id !== userId) || null;
+    }
+
+    const contacts = level.notifyContacts
+      ? (await client.query('SELECT name, email FROM safety_contacts WHERE user_id = $1', [userId])).rows
+      : [];
+
+    const blockedUntil = new Date(Date.now() + level.cooldownMinutes * 60 * 1000);
+
+    const inserted = await client.query(
+      `INSERT INTO safety_alerts
+         (user_id, event_id, score_id, level, bac, threshold, blocked_until, organizer_notified, contacts_notified)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, user_id, event_id, score_id, level, bac, threshold, blocked_until,
+                 organizer_notified, contacts_notified, reviewed_at, reviewed_by, review_note, created_at`,
+      [userId, event.event_id, score.id, level.level, score.bac, level.bac, blockedUntil, Boolean(organizer), contacts.length]
+    );
+
+    const details = { eventName: event.name, bac: score.bac, level: level.level };
+
+    await mailer.send('safetyAlert', user.email, { ...details, username: user.username, blockedUntil }, client);
+
+    if (organizer) {
+      await mailer.send(
+        'safetyAlertOrganizer',
+        organizer.email,
+        { ...details, username: organizer.username, participant: user.username },
+        client
+      );
+    }
+
+    for (const contact of contacts) {
+      await mailer.send(
+        'safetyAlertContact',
+        contact.email,
+        { ...details, name: contact.name, participant: user.username },
+        client
+      );
+    }
+
+    logger.warn('Safety alert raised', {
+      alertId: inserted.rows[0].id,
+      userId,
+      eventId: event.event_id,
+      level: level.level,
+      contactsNotified: contacts.length,
+    });
+
+    return formatAlert({ ...inserted.rows[0], username: user.username, event_name: event.name });
+  },
+
+  /**
+   * Alerts, newest first. Filters: userId, eventId, level, reviewed (true/false).
+   */
+  listAlerts: async ({ userId, eventId, level, reviewed, limit, offset }) => {
+    const conditions = [];
+    const values = [];
+
+    if (userId) {
+      values.push(userId);
+      conditions.push(`s.user_id = $${values.length}`);
+    }
+
+    if (eventId) {
+      values.push(eventId);
+      conditions.push(`s.event_id = $${values.length}`);
+    }
+
+    if (level) {
+      values.push(level);
+      conditions.push(`s.level = $${values.length}`);
+    }
+
+    if (reviewed !== undefined) {
+      conditions.push(reviewed ? 's.reviewed_at IS NOT NULL' : 's.reviewed_at IS NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM safety_alerts s ${where}`, values);
+
+    const result = await db.query(
+      `${ALERT_QUERY}
+       ${where}
+       ORDER BY s.created_at DESC, s.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      alerts: result.rows.map(formatAlert),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+
+  /**
+   * Mark an alert as reviewed. Resolves to a status: 'reviewed' (with alert),
+   * 'already_reviewed' or 'not_found'.
+   */
+  review: async (alertId, { reviewerId, note = null }) => {
+    const updated = await db.query(
+      `UPDATE safety_alerts
+       SET reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $1, review_note = $2
+       WHERE id = $3 AND reviewed_at IS NULL
+       RETURNING id`,
+      [reviewerId, note, alertId]
+    );
+
+    const result = await db.query(`${ALERT_QUERY} WHERE s.id = $1`, [alertId]);
+    if (result.rows.length === 0) {
+      return { status: 'not_found' };
+    }
+
+    return {
+      status: updated.rows.length > 0 ? 'reviewed' : 'already_reviewed',
+      alert: formatAlert(result.rows[0]),
+    };
+  },
+
+  listContacts: async (userId) => {
+    const result = await db.query(
+      'SELECT id, name, email, created_at FROM safety_contacts WHERE user_id = $1 ORDER BY created_at, id',
+      [userId]
+    );
+    return result.rows.map(formatContact);
+  },
+
+  /**
+   * Add a safety contact. Resolves to a status: 'added' (with contact),
+   * 'limit' or 'duplicate'.
+   */
+  addContact: async (userId, { name, email }) => {
+    return db.transaction(async (client) => {
+      // Serializes a user's additions so the limit holds
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const countResult = await client.query(
+        'SELECT COUNT(*) AS total FROM safety_contacts WHERE user_id = $1',
+        [userId]
+      );
+      if (parseInt(countResult.rows[0].total, 10) >= MAX_CONTACTS) {
+        return { status: 'limit' };
+      }
+
+      const result = await client.query(
+        `INSERT INTO safety_contacts (user_id, name, email)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, email) DO NOTHING
+         RETURNING id, name, email, created_at`,
+        [userId, name, email]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'duplicate' };
+      }
+
+      return { status: 'added', contact: formatContact(result.rows[0]) };
+    });
+  },
+
+  /**
+   * Remove one of the user's contacts. Resolves to false if there was none.
+   */
+  removeContact: async (userId, contactId) => {
+    const result = await db.query(
+      'DELETE FROM safety_contacts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [contactId, userId]
+    );
+    return result.rows.length > 0;
+  },
+};
+
+module.exports = safetyService;
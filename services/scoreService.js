@@ -0,0 +1,163 @@
+const db = require('../db/postgres');
+const eventService = require('./eventService');
+const leaderboardService = require('./leaderboardService');
+const eventStream = require('./eventStream');
+const safetyService = require('./safetyService');
+const bacEstimator = require('./bacEstimator');
+
+// Readings can be stamped slightly ahead of the server clock by the device
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const formatScore = (row) => ({
+  id: row.id,
+  eventId: row.event_id,
+  eventName: row.event_name,
+  bac: parseFloat(row.bac),
+  recordedAt: row.timestamp,
+  createdAt: row.created_at,
+});
+
+const scoreService = {
+  formatScore,
+
+  /**
+   * Record a BAC reading for an event the user takes part in, raise
+   * accounts.lifetime_max_bac when it is a new personal maximum, and once
+   * committed put it on the event leaderboard and stream.
+   * Readings of users who opted out of public ranking are not streamed, nor
+   * are the BAC estimates that follow them.
+   * A reading over a safety threshold raises an alert that blocks further
+   * readings for the event during its cooldown.
+   * Resolves to a status: 'recorded' (with score, personalBest and alert),
+   * 'not_found', 'not_participant', 'closed' (with reason), 'blocked' (with
+   * blockedUntil) or 'outside_window'.
+   */
+  submit: async (eventId, userId, { bac, recordedAt = new Date() }) => {
+    const result = await db.transaction(async (client) => {
+      const eventResult = await client.query(
+        'SELECT event_id, name, type, status, organizer_id, start_time, end_time FROM events WHERE event_id = $1',
+        [eventId]
+      );
+
+      const event = eventResult.rows[0];
+      if (!event) {
+        return { status: 'not_found' };
+      }
+
+      const participant = await client.query(
+        `SELECT a.public_ranking
+         FROM event_participants p
+         JOIN accounts a ON a.account_id = p.account_id
+         WHERE p.event_id = $1 AND a.user_id = $2
+         FOR UPDATE OF p`,
+        [eventId, userId]
+      );
+
+      if (participant.rows.length === 0) {
+        return { status: 'not_participant' };
+      }
+
+      if (event.status === eventService.STATUS.DRAFT || event.status === eventService.STATUS.CANCELLED) {
+        return { status: 'closed', reason: eventService.statusName(event.status) };
+      }
+
+      // The participant row lock above makes this check hold for concurrent readings
+      const blockedUntil = await safetyService.activeBlock(client, userId, eventId);
+      if (blockedUntil) {
+        return { status: 'blocked', blockedUntil };
+      }
+
+      const readingTime = new Date(recordedAt);
+      const now = Date.now();
+      const inWindow = readingTime >= new Date(event.start_time)
+        && readingTime <= new Date(event.end_time)
+        && readingTime.getTime() <= now + CLOCK_SKEW_MS
+        && now >= new Date(event.start_time).getTime();
+
+      if (!inWindow) {
+        return { status: 'outside_window' };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO libation_scores (user_id, event_id, bac, timestamp)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, event_id, bac, timestamp, created_at`,
+        [userId, eventId, bac, readingTime]
+      );
+
+      // Conditional update, so concurrent readings cannot lower the maximum
+      const best = await client.query(
+        `UPDATE accounts SET lifetime_max_bac = $1
+         WHERE user_id = $2 AND lifetime_max_bac < $1
+         RETURNING lifetime_max_bac`,
+        [bac, userId]
+      );
+
+      const score = formatScore({ ...inserted.rows[0], event_name: event.name });
+      const alert = await safetyService.raiseAlert(client, { userId, event, score });
+
+      return {
+        status: 'recorded',
+        score,
+        personalBest: best.rows.length > 0,
+        alert,
+        publicRanking: participant.rows[0].public_ranking,
+      };
+    });
+
+    if (result.status === 'recorded') {
+      if (result.publicRanking) {
+        await eventStream.publish(eventId, 'reading', {
+          userId,
+          bac: result.score.bac,
+          recordedAt: result.score.recordedAt,
+        });
+        await bacEstimator.publishEstimate(eventId, userId);
+      }
+
+      await leaderboardService.recordScore(eventId, {
+        userId,
+        bac,
+        recordedAt: result.score.recordedAt,
+        publicRanking: result.publicRanking,
+      });
+    }
+
+    return result;
+  },
+
+  /**
+   * A user's readings, newest first, optionally for one event
+   */
+  listForUser: async (userId, { eventId = null, limit, offset }) => {
+    const values = [userId];
+    let where = 'WHERE s.user_id = $1';
+
+    if (eventId) {
+      values.push(eventId);
+      where += ` AND s.event_id = $${values.length}`;
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM libation_scores s ${where}`,
+      values
+    );
+
+    const result = await db.query(
+      `SELECT s.id, s.event_id, e.name AS event_name, s.bac, s.timestamp, s.created_at
+       FROM libation_scores s
+       JOIN events e ON e.event_id = s.event_id
+       ${where}
+       ORDER BY s.timestamp DESC, s.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      scores: result.rows.map(formatScore),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+};
+
+module.exports = scoreService;
@@ -0,0 +1,23 @@
+const redisClient = require('../redisClient');
+
+const REVOKED_PREFIX = 'auth:revoked:';
+
+/**
+ * Redis-backed denylist of revoked session ids.
+ *
+ * Access tokens are stateless, so revoking a session in Postgres alone would
+ * leave already-issued access tokens usable until they expire. Entries only
+ * need to live as long as the longest access token carrying that session id.
+ */
+const sessionStore = {
+  revoke: async (sessionId, ttlSeconds) => {
+    await redisClient.setex(`${REVOKED_PREFIX}${sessionId}`, ttlSeconds, '1');
+  },
+
+  isRevoked: async (sessionId) => {
+    const revoked = await redisClient.get(`${REVOKED_PREFIX}${sessionId}`);
+    return Boolean(revoked);
+  },
+};
+
+module.exports = sessionStore;
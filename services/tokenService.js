@@ -0,0 +1,246 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const sessionStore = require('./sessionStore');
+const roleService = require('./roleService');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const cookieOptions = (maxAge, path) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge,
+  ...(path && { path }),
+});
+
+const insertRefreshToken = async (client, userId, familyId, meta = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  // The subquery in RETURNING sees the table as it was before this insert,
+  // so new_device is true when no earlier token came from this user agent
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, NOT EXISTS (
+       SELECT 1 FROM refresh_tokens prior
+       WHERE prior.user_id = $1 AND prior.user_agent IS NOT DISTINCT FROM $4
+     ) AS new_device`,
+    [
+      userId,
+      familyId,
+      hashToken(token),
+      meta.userAgent ? meta.userAgent.slice(0, 255) : null,
+      meta.ipAddress || null,
+      expiresAt,
+    ]
+  );
+
+  return { id: result.rows[0].id, newDevice: Boolean(result.rows[0].new_device), token, expiresAt };
+};
+
+const revokeFamily = async (client, familyId) => {
+  await client.query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+};
+
+const denylistSession = async (sessionId) => {
+  try {
+    await sessionStore.revoke(sessionId, ACCESS_TOKEN_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Failed to denylist session', { sessionId, error: error.message });
+  }
+};
+
+const tokenService = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+
+  hashToken,
+
+  /**
+   * Build request metadata stored alongside refresh tokens
+   */
+  requestMeta: (req) => ({
+    userAgent: req.get ? req.get('user-agent') : undefined,
+    ipAddress: req.ip,
+  }),
+
+  /**
+   * Sign a short-lived access token bound to a session (refresh token family).
+   * `role` is the highest of `roles`, kept for checks that expect a single role.
+   */
+  generateAccessToken: ({ id, email, roles }, sessionId) => {
+    const grantedRoles = roleService.normalizeRoles(roles);
+
+    return jwt.sign(
+      {
+        id,
+        email,
+        role: roleService.primaryRole(grantedRoles),
+        roles: grantedRoles,
+        sid: sessionId,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  },
+
+  /**
+   * Start a new session: creates a token family and its first refresh token.
+   * Pass a transaction client to create the session atomically with other writes.
+   */
+  createSession: async (userId, meta = {}, client = db) => {
+    const sessionId = crypto.randomUUID();
+    const refresh = await insertRefreshToken(client, userId, sessionId, meta);
+
+    return {
+      sessionId,
+      refreshToken: refresh.token,
+      expiresAt: refresh.expiresAt,
+      newDevice: refresh.newDevice,
+    };
+  },
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting an already-rotated token is treated as theft and revokes the
+   * whole family. Returns null whenever the token cannot be used.
+   */
+  rotateRefreshToken: async (rawToken, meta = {}) => {
+    const outcome = await db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at,
+                u.email, u.is_active, ${roleService.rolesColumn('u.id')}
+         FROM refresh_tokens rt
+         JOIN users u ON u.id = rt.user_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(rawToken)]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'invalid' };
+      }
+
+      const current = result.rows[0];
+
+      if (current.revoked_at) {
+        await revokeFamily(client, current.family_id);
+        return { status: 'reused', current };
+      }
+
+      if (new Date() > current.expires_at || !current.is_active) {
+        await revokeFamily(client, current.family_id);
+        return { status: 'expired', current };
+      }
+
+      const next = await insertRefreshToken(client, current.user_id, current.family_id, meta);
+
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1
+         WHERE id = $2`,
+        [next.id, current.id]
+      );
+
+      return { status: 'rotated', current, next };
+    });
+
+    if (outcome.status === 'reused') {
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: outcome.current.user_id,
+        sessionId: outcome.current.family_id,
+      });
+    }
+
+    if (outcome.status !== 'rotated') {
+      if (outcome.current) {
+        await denylistSession(outcome.current.family_id);
+      }
+      return null;
+    }
+
+    return {
+      user: {
+        id: outcome.current.user_id,
+        email: outcome.current.email,
+        roles: outcome.current.roles,
+      },
+      sessionId: outcome.current.family_id,
+      refreshToken: outcome.next.token,
+    };
+  },
+
+  /**
+   * Revoke every refresh token in a session and deny its access tokens
+   */
+  revokeSession: async (sessionId) => {
+    await revokeFamily(db, sessionId);
+    await denylistSession(sessionId);
+  },
+
+  /**
+   * Revoke every session a user has, apart from the `except` session id if
+   * given. Returns the number of sessions revoked.
+   */
+  revokeAllSessions: async (userId, { except = null } = {}) => {
+    const result = await db.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL AND family_id IS DISTINCT FROM $2
+       RETURNING family_id`,
+      [userId, except]
+    );
+
+    const sessionIds = [...new Set(result.rows.map((row) => row.family_id))];
+    await Promise.all(sessionIds.map(denylistSession));
+    return sessionIds.length;
+  },
+
+  /**
+   * Revoke the session a refresh token belongs to, if it is known
+   */
+  revokeSessionByRefreshToken: async (rawToken) => {
+    const result = await db.query(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(rawToken)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const sessionId = result.rows[0].family_id;
+    await tokenService.revokeSession(sessionId);
+    return sessionId;
+  },
+
+  setAuthCookies: (res, { accessToken, refreshToken }) => {
+    res.cookie('token', accessToken, cookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+
+    if (refreshToken) {
+      res.cookie(
+        'refreshToken',
+        refreshToken,
+        cookieOptions(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000, REFRESH_COOKIE_PATH)
+      );
+    }
+  },
+
+  clearAuthCookies: (res) => {
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+  },
+};
+
+module.exports = tokenService;
@@ -0,0 +1,61 @@
+const logger = require('../logger/winstonConfig');
+const topUpService = require('./topUpService');
+
+const INTERVAL_MS = parseInt(process.env.TOP_UP_RECONCILE_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const topUpReconciler = {
+  INTERVAL_MS,
+
+  /**
+   * Settle pending top-ups whose webhook never came. Resolves to the top-up ids by outcome.
+   */
+  runOnce: async () => {
+    const outcome = await topUpService.reconcilePending();
+
+    if (Object.values(outcome).some((ids) => ids.length > 0)) {
+      logger.info('Reconciled pending top-ups', outcome);
+    }
+
+    return outcome;
+  },
+
+  /**
+   * Run reconciliation in the background
+   */
+  start: (intervalMs = INTERVAL_MS) => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(async () => {
+      // A slow run must not overlap the next tick
+      if (running) {
+        return;
+      }
+
+      running = true;
+      try {
+        await topUpReconciler.runOnce();
+      } catch (error) {
+        logger.error('Top-up reconciler error', { error: error.message });
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+    timer.unref();
+
+    logger.info('Top-up reconciler started', { intervalMs });
+  },
+
+  stop: () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  },
+};
+
+module.exports = topUpReconciler;
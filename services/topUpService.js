@@ -0,0 +1,467 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const payments = require('../payments');
+const ledgerService = require('./ledgerService');
+
+const MIN_AMOUNT = parseFloat(process.env.TOP_UP_MIN_AMOUNT) || 5;
+const MAX_AMOUNT = parseFloat(process.env.TOP_UP_MAX_AMOUNT) || 500;
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'EUR';
+
+// Pending top-ups without a callback this long are checked with the provider,
+// and given up on once they are EXPIRE_AFTER_HOURS old
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.TOP_UP_RECONCILE_AFTER_MINUTES, 10) || 15;
+const EXPIRE_AFTER_HOURS = parseInt(process.env.TOP_UP_EXPIRE_AFTER_HOURS, 10) || 24;
+const RECONCILE_BATCH_SIZE = 100;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const TOP_UP_COLUMNS = `id, account_id, amount, currency, provider, provider_intent_id, provider_refund_id, status,
+        transaction_id, refund_transaction_id, created_at, updated_at, completed_at, refunded_at`;
+
+const formatTopUp = (row) => ({
+  id: Number(row.id),
+  amount: parseFloat(row.amount),
+  currency: row.currency,
+  provider: row.provider,
+  status: row.status,
+  transactionId: row.transaction_id === null ? null : Number(row.transaction_id),
+  refundTransactionId: row.refund_transaction_id === null ? null : Number(row.refund_transaction_id),
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  refundedAt: row.refunded_at,
+});
+
+const lockById = async (client, topUpId) => {
+  const result = await client.query(
+    `SELECT ${TOP_UP_COLUMNS} FROM top_ups WHERE id = $1 FOR UPDATE`,
+    [topUpId]
+  );
+  return result.rows[0];
+};
+
+const lockByIntent = async (client, provider, intentId) => {
+  const result = await client.query(
+    `SELECT ${TOP_UP_COLUMNS} FROM top_ups
+     WHERE provider = $1 AND provider_intent_id = $2
+     FOR UPDATE`,
+    [provider, intentId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Finish a top-up: 'succeeded' credits the wallet, 'failed' and 'expired'
+ * close a pending one. A payment that succeeds after all (e.g. the customer
+ * retried the card) still credits a failed or expired top-up. Anything else
+ * is left alone, so late or repeated callbacks and reconciliation cannot
+ * credit twice. Call with the top-up row locked. Resolves to the row.
+ */
+const settle = async (client, topUp, status) => {
+  const from = status === 'succeeded' ? ['pending', 'failed', 'expired'] : ['pending'];
+  if (!from.includes(topUp.status)) {
+    return topUp;
+  }
+
+  if (status !== 'succeeded') {
+    const closed = await client.query(
+      `UPDATE top_ups SET status = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${TOP_UP_COLUMNS}`,
+      [topUp.id, status]
+    );
+    logger.info('Top-up closed', { topUpId: Number(topUp.id), status });
+    return closed.rows[0];
+  }
+
+  const posted = await ledgerService.post(client, {
+    from: { system: ledgerService.SYSTEM_ACCOUNT.PAYMENTS },
+    to: { accountId: topUp.account_id },
+    amount: topUp.amount,
+    reason: ledgerService.REASON.TOP_UP,
+    reference: topUp.id,
+    description: `Top-up via ${topUp.provider}`,
+  });
+
+  const credited = await client.query(
+    `UPDATE top_ups
+     SET status = 'succeeded', transaction_id = $2, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${TOP_UP_COLUMNS}`,
+    [topUp.id, posted.id]
+  );
+  logger.info('Top-up credited', { topUpId: Number(topUp.id), transactionId: posted.id });
+  return credited.rows[0];
+};
+
+/**
+ * Put a refund that the provider will not pay back into the wallet
+ */
+const reverseRefund = async (client, topUp) => {
+  await ledgerService.post(client, {
+    from: { system: ledgerService.SYSTEM_ACCOUNT.PAYMENTS },
+    to: { accountId: topUp.account_id },
+    amount: topUp.amount,
+    reason: ledgerService.REASON.TOP_UP_REFUND_REVERSAL,
+    reference: topUp.id,
+    description: 'Refund failed; top-up returned to the wallet',
+  });
+
+  const reversed = await client.query(
+    `UPDATE top_ups
+     SET status = 'succeeded', provider_refund_id = NULL, refund_transaction_id = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${TOP_UP_COLUMNS}`,
+    [topUp.id]
+  );
+  return reversed.rows[0];
+};
+
+const markRefunded = (client, topUp) => client.query(
+  `UPDATE top_ups SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1
+   RETURNING ${TOP_UP_COLUMNS}`,
+  [topUp.id]
+);
+
+/**
+ * Ask the provider to pay a refund_pending top-up back. The reference makes
+ * the call idempotent, so it can be repeated when an earlier answer was lost.
+ * Only a definite refusal puts the money back into the wallet; on any other
+ * failure the provider may have refunded after all, so the top-up stays
+ * refund_pending for the webhook or reconciliation to finish. Resolves to a
+ * status: 'requested', 'declined' or 'unknown', with the top-up row.
+ */
+const requestRefund = async (topUp) => {
+  let refund;
+  try {
+    refund = await payments.getProvider().refund({
+      intentId: topUp.provider_intent_id,
+      amount: topUp.amount,
+      reference: `top-up:${topUp.id}`,
+    });
+  } catch (error) {
+    if (!payments.isDeclined(error)) {
+      logger.warn('Refund outcome unknown; top-up left refund_pending', { topUpId: Number(topUp.id), error: error.message });
+      return { status: 'unknown', topUp };
+    }
+
+    logger.error('Payment provider refused a refund', { topUpId: Number(topUp.id), error: error.message });
+    const reversed = await db.transaction(async (client) => {
+      const current = await lockById(client, topUp.id);
+      return current.status === 'refund_pending' ? reverseRefund(client, current) : current;
+    });
+    return { status: 'declined', topUp: reversed };
+  }
+
+  const updated = await db.transaction(async (client) => {
+    const stored = await client.query(
+      `UPDATE top_ups SET provider_refund_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${TOP_UP_COLUMNS}`,
+      [topUp.id, refund.id]
+    );
+    // A refund.succeeded webhook may already have finished it
+    const current = stored.rows[0];
+    if (refund.status === 'succeeded' && current.status === 'refund_pending') {
+      return (await markRefunded(client, current)).rows[0];
+    }
+    return current;
+  });
+  return { status: 'requested', topUp: updated };
+};
+
+/**
+ * Wallet top-ups paid through the configured payment provider (see payments/).
+ * The wallet is credited once the provider confirms the payment, by a signed
+ * webhook or, when none arrives, by reconciliation.
+ */
+const topUpService = {
+  MIN_AMOUNT,
+  MAX_AMOUNT,
+  CURRENCY,
+  RECONCILE_AFTER_MINUTES,
+  EXPIRE_AFTER_HOURS,
+  formatTopUp,
+
+  /**
+   * Start a top-up with a payment intent for the client to pay. Resolves to
+   * a status: 'created' (with topUp and payment), 'no_account' or
+   * 'out_of_range' (with min and max).
+   */
+  create: async (userId, { amount }) => {
+    const accountResult = await db.query('SELECT account_id FROM accounts WHERE user_id = $1', [userId]);
+    const account = accountResult.rows[0];
+    if (!account) {
+      return { status: 'no_account' };
+    }
+
+    if (toCents(amount) < toCents(MIN_AMOUNT) || toCents(amount) > toCents(MAX_AMOUNT)) {
+      return { status: 'out_of_range', min: MIN_AMOUNT, max: MAX_AMOUNT };
+    }
+
+    const provider = payments.getProvider();
+    const decimal = (toCents(amount) / 100).toFixed(2);
+    const intent = await provider.createIntent({
+      amount: decimal,
+      currency: CURRENCY,
+      reference: `account:${account.account_id}`,
+    });
+
+    const inserted = await db.query(
+      `INSERT INTO top_ups (account_id, amount, currency, provider, provider_intent_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${TOP_UP_COLUMNS}`,
+      [account.account_id, decimal, CURRENCY, provider.name, intent.id]
+    );
+
+    return {
+      status: 'created',
+      topUp: formatTopUp(inserted.rows[0]),
+      payment: { provider: provider.name, intentId: intent.id, clientSecret: intent.clientSecret },
+    };
+  },
+
+  /**
+   * A user's top-ups, newest first, optionally with one status
+   */
+  list: async (userId, { status, limit, offset }) => {
+    const values = [userId];
+    let where = 'WHERE account_id = (SELECT account_id FROM accounts WHERE user_id = $1)';
+    if (status) {
+      values.push(status);
+      where += ` AND status = $${values.length}`;
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM top_ups ${where}`, values);
+
+    const result = await db.query(
+      `SELECT ${TOP_UP_COLUMNS}
+       FROM top_ups
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      topUps: result.rows.map(formatTopUp),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  },
+
+  /**
+   * One of a user's top-ups, or null
+   */
+  find: async (userId, topUpId) => {
+    const result = await db.query(
+      `SELECT ${TOP_UP_COLUMNS} FROM top_ups
+       WHERE id = $1 AND account_id = (SELECT account_id FROM accounts WHERE user_id = $2)`,
+      [topUpId, userId]
+    );
+    return result.rows[0] ? formatTopUp(result.rows[0]) : null;
+  },
+
+  /**
+   * Handle a provider callback. Each provider event is handled once: its id is
+   * recorded in the same transaction as the changes it causes. Resolves to a
+   * status: 'processed' (with topUp), 'duplicate', 'ignored' (an intent that
+   * is not a top-up, or an event type we do not use) or 'invalid_signature'.
+   */
+  handleWebhook: async (rawBody, headers) => {
+    const provider = payments.getProvider();
+    const event = provider.verifyWebhook(rawBody, headers);
+    if (!event) {
+      return { status: 'invalid_signature' };
+    }
+
+    return db.transaction(async (client) => {
+      const recorded = await client.query(
+        `INSERT INTO payment_webhook_events (provider, event_id, type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING event_id`,
+        [provider.name, event.id, event.type]
+      );
+      if (recorded.rows.length === 0) {
+        return { status: 'duplicate' };
+      }
+
+      const topUp = await lockByIntent(client, provider.name, event.intentId);
+      if (!topUp) {
+        logger.warn('Payment webhook for an unknown intent', { eventId: event.id, type: event.type });
+        return { status: 'ignored' };
+      }
+
+      await client.query(
+        'UPDATE payment_webhook_events SET top_up_id = $3 WHERE provider = $1 AND event_id = $2',
+        [provider.name, event.id, topUp.id]
+      );
+
+      let updated;
+      switch (event.type) {
+        case 'payment.succeeded':
+          updated = await settle(client, topUp, 'succeeded');
+          break;
+        case 'payment.failed':
+          updated = await settle(client, topUp, 'failed');
+          break;
+        case 'refund.succeeded':
+          updated = topUp.status === 'refund_pending' ? (await markRefunded(client, topUp)).rows[0] : topUp;
+          break;
+        case 'refund.failed':
+          updated = topUp.status === 'refund_pending' ? await reverseRefund(client, topUp) : topUp;
+          break;
+        default:
+          return { status: 'ignored' };
+      }
+
+      return { status: 'processed', topUp: formatTopUp(updated) };
+    });
+  },
+
+  /**
+   * Pay a completed top-up back to the card it came from, taking it out of
+   * the wallet first. If the provider refuses, the money goes back into the
+   * wallet; if its answer is lost, the top-up stays refund_pending until the
+   * webhook or reconciliation settles it. Resolves to a status: 'refunded' or
+   * 'refund_pending' (with topUp), 'not_found', 'not_refundable' (with topUp),
+   * 'insufficient_funds' or 'provider_error'.
+   */
+  refund: async (userId, topUpId, { createdBy = null } = {}) => {
+    let debited;
+    try {
+      debited = await db.transaction(async (client) => {
+        const result = await client.query(
+          `SELECT ${TOP_UP_COLUMNS} FROM top_ups
+           WHERE id = $1 AND account_id = (SELECT account_id FROM accounts WHERE user_id = $2)
+           FOR UPDATE`,
+          [topUpId, userId]
+        );
+        const topUp = result.rows[0];
+        if (!topUp) {
+          return { status: 'not_found' };
+        }
+        if (topUp.status !== 'succeeded') {
+          return { status: 'not_refundable', topUp: formatTopUp(topUp) };
+        }
+
+        const posted = await ledgerService.post(client, {
+          from: { accountId: topUp.account_id },
+          to: { system: ledgerService.SYSTEM_ACCOUNT.PAYMENTS },
+          amount: topUp.amount,
+          reason: ledgerService.REASON.TOP_UP_REFUND,
+          reference: topUp.id,
+          description: `Top-up refund via ${topUp.provider}`,
+          createdBy,
+        });
+
+        const updated = await client.query(
+          `UPDATE top_ups SET status = 'refund_pending', refund_transaction_id = $2, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING ${TOP_UP_COLUMNS}`,
+          [topUp.id, posted.id]
+        );
+        return { status: 'debited', topUp: updated.rows[0] };
+      });
+    } catch (error) {
+      if (ledgerService.isInsufficientFunds(error)) {
+        return { status: 'insufficient_funds' };
+      }
+      throw error;
+    }
+
+    if (debited.status !== 'debited') {
+      return debited;
+    }
+
+    // The provider is called outside the transaction; the top-up stays
+    // refund_pending until it answers, so it cannot be refunded twice
+    const requested = await requestRefund(debited.topUp);
+    if (requested.status === 'declined') {
+      return { status: 'provider_error' };
+    }
+
+    const { topUp } = requested;
+    return { status: topUp.status === 'refunded' ? 'refunded' : 'refund_pending', topUp: formatTopUp(topUp) };
+  },
+
+  /**
+   * Ask the provider about pending top-ups that never got a callback: credit
+   * or close the ones it has an answer for, and cancel the ones still unpaid
+   * after EXPIRE_AFTER_HOURS. Refunds whose provider call never answered are
+   * asked for again under the same reference. Resolves to the top-up ids by
+   * outcome.
+   */
+  reconcilePending: async () => {
+    const provider = payments.getProvider();
+    const pending = await db.query(
+      `SELECT id, provider_intent_id, created_at FROM top_ups
+       WHERE status = 'pending' AND provider = $1
+         AND created_at < CURRENT_TIMESTAMP - make_interval(mins => $2)
+       ORDER BY created_at
+       LIMIT $3`,
+      [provider.name, RECONCILE_AFTER_MINUTES, RECONCILE_BATCH_SIZE]
+    );
+
+    const outcome = { succeeded: [], failed: [], expired: [], refundRequested: [], refundDeclined: [] };
+    const expireBefore = Date.now() - EXPIRE_AFTER_HOURS * 60 * 60 * 1000;
+
+    for (const row of pending.rows) {
+      try {
+        const intent = await provider.getIntent(row.provider_intent_id);
+        let status = null;
+
+        if (!intent || intent.status === 'failed' || intent.status === 'cancelled') {
+          status = 'failed';
+        } else if (intent.status === 'succeeded') {
+          status = 'succeeded';
+        } else if (new Date(row.created_at).getTime() < expireBefore) {
+          await provider.cancelIntent(row.provider_intent_id);
+          status = 'expired';
+        }
+
+        if (!status) {
+          continue;
+        }
+
+        const settled = await db.transaction(async (client) => {
+          const topUp = await lockByIntent(client, provider.name, row.provider_intent_id);
+          return settle(client, topUp, status);
+        });
+
+        // A webhook may have got there first
+        if (settled.status === status) {
+          outcome[status].push(Number(row.id));
+        }
+      } catch (error) {
+        logger.error('Top-up reconciliation error', { topUpId: Number(row.id), error: error.message });
+      }
+    }
+
+    const unanswered = await db.query(
+      `SELECT ${TOP_UP_COLUMNS} FROM top_ups
+       WHERE status = 'refund_pending' AND provider_refund_id IS NULL AND provider = $1
+         AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)
+       ORDER BY updated_at
+       LIMIT $3`,
+      [provider.name, RECONCILE_AFTER_MINUTES, RECONCILE_BATCH_SIZE]
+    );
+
+    for (const row of unanswered.rows) {
+      try {
+        const requested = await requestRefund(row);
+        if (requested.status === 'declined') {
+          outcome.refundDeclined.push(Number(row.id));
+        } else if (requested.status === 'requested') {
+          outcome.refundRequested.push(Number(row.id));
+        }
+      } catch (error) {
+        logger.error('Top-up refund reconciliation error', { topUpId: Number(row.id), error: error.message });
+      }
+    }
+
+    return outcome;
+  },
+};
+
+module.exports = topUpService;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30s steps)
+ */
+const totp = {
+  base32Encode,
+  base32Decode,
+
+  generateSecret: () => base32Encode(crypto.randomBytes(20)),
+
+  generate: (secret, time = Date.now()) => hotp(secret, timeStep(time)),
+
+  /**
+   * Check a code against the current step and `window` steps either side.
+   * Returns the matched step so callers can reject replays, or null.
+   */
+  verify: (secret, code, { window = 1, time = Date.now(), afterStep = -1 } = {}) => {
+    const candidate = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(candidate)) {
+      return null;
+    }
+
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+      if (step <= afterStep) {
+        continue;
+      }
+
+      const expected = hotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  },
+
+  otpauthUri: ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  },
+};
+
+module.exports = totp;
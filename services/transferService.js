@@ -0,0 +1,206 @@
+const db = require('../db/postgres');
+const logger = require('../logger/winstonConfig');
+const mailer = require('../mailer');
+const ledgerService = require('./ledgerService');
+
+// Per sender, over the last 24 hours
+const DAILY_LIMIT = parseFloat(process.env.TRANSFER_DAILY_LIMIT) || 500;
+const DAILY_COUNT = parseInt(process.env.TRANSFER_DAILY_COUNT, 10) || 20;
+
+// Transfers of at least this amount need a recent PIN confirmation; 0 means every transfer.
+// A value that is not a number falls back to the default rather than turning the check off.
+const DEFAULT_PIN_THRESHOLD = 50;
+const loadPinThreshold = (raw = process.env.TRANSFER_PIN_THRESHOLD) => {
+  const threshold = parseFloat(raw);
+  return Number.isFinite(threshold) ? threshold : DEFAULT_PIN_THRESHOLD;
+};
+const PIN_THRESHOLD = loadPinThreshold();
+
+// Serializable transactions can fail when they race; they are safe to run again
+const MAX_ATTEMPTS = 3;
+const SERIALIZATION_FAILURE = '40001';
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const TRANSFER_QUERY = `SELECT t.id, t.amount, t.note, t.recipient_account_id, t.transaction_id, t.created_at,
+        u.username AS recipient_username, e.balance_after
+ FROM wallet_transfers t
+ JOIN accounts a ON a.account_id = t.recipient_account_id
+ JOIN users u ON u.id = a.user_id
+ JOIN ledger_entries e ON e.transaction_id = t.transaction_id AND e.account_id = t.sender_account_id`;
+
+const formatTransfer = (row) => ({
+  id: Number(row.id),
+  amount: parseFloat(row.amount),
+  note: row.note,
+  recipient: { accountId: row.recipient_account_id, username: row.recipient_username },
+  transactionId: Number(row.transaction_id),
+  balance: parseFloat(row.balance_after),
+  createdAt: row.created_at,
+});
+
+const usedToday = async (client, accountId) => {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total, COUNT(*) AS count
+     FROM wallet_transfers
+     WHERE sender_account_id = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'`,
+    [accountId]
+  );
+  return {
+    cents: toCents(result.rows[0].total),
+    count: parseInt(result.rows[0].count, 10),
+  };
+};
+
+/**
+ * One attempt at a transfer, in a serializable transaction so concurrent
+ * transfers cannot both pass the balance and daily-limit checks
+ */
+const attempt = (senderUserId, { recipient, amount, note, idempotencyKey }) => db.transaction(async (client) => {
+  const senderResult = await client.query(
+    `SELECT a.account_id, u.username
+     FROM accounts a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.user_id = $1`,
+    [senderUserId]
+  );
+  const sender = senderResult.rows[0];
+  if (!sender) {
+    return { status: 'no_account' };
+  }
+
+  const existing = await client.query(
+    `${TRANSFER_QUERY} WHERE t.sender_account_id = $1 AND t.idempotency_key = $2`,
+    [sender.account_id, idempotencyKey]
+  );
+  if (existing.rows.length > 0) {
+    const previous = existing.rows[0];
+    const sameRequest = previous.recipient_username === recipient
+      && toCents(previous.amount) === toCents(amount)
+      && (previous.note || null) === (note || null);
+
+    return sameRequest
+      ? { status: 'replayed', transfer: formatTransfer(previous) }
+      : { status: 'key_reused' };
+  }
+
+  const recipientResult = await client.query(
+    `SELECT a.account_id, u.id, u.username, u.email
+     FROM users u
+     JOIN accounts a ON a.user_id = u.id
+     WHERE u.username = $1 AND u.is_active = TRUE`,
+    [recipient]
+  );
+  const payee = recipientResult.rows[0];
+  if (!payee) {
+    return { status: 'recipient_not_found' };
+  }
+  if (payee.account_id === sender.account_id) {
+    return { status: 'self' };
+  }
+
+  const used = await usedToday(client, sender.account_id);
+  if (used.count >= DAILY_COUNT) {
+    return { status: 'daily_count', limit: DAILY_COUNT };
+  }
+  const remainingCents = toCents(DAILY_LIMIT) - used.cents;
+  if (toCents(amount) > remainingCents) {
+    return { status: 'daily_limit', limit: DAILY_LIMIT, remaining: Math.max(0, remainingCents) / 100 };
+  }
+
+  const posted = await ledgerService.post(client, {
+    from: { accountId: sender.account_id },
+    to: { accountId: payee.account_id },
+    amount,
+    reason: ledgerService.REASON.TRANSFER,
+    description: note || null,
+    createdBy: senderUserId,
+  });
+
+  const inserted = await client.query(
+    `INSERT INTO wallet_transfers
+       (sender_account_id, recipient_account_id, amount, note, idempotency_key, transaction_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, amount, note, recipient_account_id, transaction_id, created_at`,
+    [sender.account_id, payee.account_id, posted.amount.toFixed(2), note || null, idempotencyKey, posted.id]
+  );
+
+  await mailer.send(
+    'transferReceived',
+    payee.email,
+    { username: payee.username, sender: sender.username, amount: posted.amount.toFixed(2), note },
+    client
+  );
+
+  const senderEntry = posted.entries.find((entry) => entry.accountId === sender.account_id);
+
+  return {
+    status: 'sent',
+    transfer: formatTransfer({
+      ...inserted.rows[0],
+      recipient_username: payee.username,
+      balance_after: senderEntry.balanceAfter,
+    }),
+  };
+}, { isolationLevel: 'SERIALIZABLE' });
+
+/**
+ * Member-to-member payments out of wallet balances
+ */
+const transferService = {
+  DAILY_LIMIT,
+  DAILY_COUNT,
+  PIN_THRESHOLD,
+  loadPinThreshold,
+
+  /**
+   * Send `amount` to the active user named `recipient`. A repeated
+   * `idempotencyKey` returns the transfer it created instead of paying twice;
+   * a failed transfer changes nothing and leaves the key unused.
+   * Resolves to a status: 'sent' or 'replayed' (with transfer), 'key_reused',
+   * 'no_account', 'recipient_not_found', 'self', 'daily_count' (with limit),
+   * 'daily_limit' (with limit and remaining) or 'insufficient_funds'.
+   */
+  send: async (senderUserId, request) => {
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      try {
+        return await attempt(senderUserId, request);
+      } catch (error) {
+        if (ledgerService.isInsufficientFunds(error)) {
+          return { status: 'insufficient_funds' };
+        }
+
+        // A concurrent request with the same key won; the next attempt replays it
+        const keyTaken = error.code === '23505' && error.constraint === 'wallet_transfers_idempotency_key';
+        if ((keyTaken || error.code === SERIALIZATION_FAILURE) && attemptNumber < MAX_ATTEMPTS) {
+          logger.warn('Retrying wallet transfer', { senderUserId, attempt: attemptNumber, code: error.code });
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  },
+
+  /**
+   * Daily limits and what is left of them for a user
+   */
+  limits: async (userId) => {
+    const accountResult = await db.query('SELECT account_id FROM accounts WHERE user_id = $1', [userId]);
+    if (accountResult.rows.length === 0) {
+      return null;
+    }
+
+    const used = await usedToday(db, accountResult.rows[0].account_id);
+    return {
+      dailyLimit: DAILY_LIMIT,
+      dailyCount: DAILY_COUNT,
+      usedToday: used.cents / 100,
+      transfersToday: used.count,
+      remainingToday: Math.max(0, toCents(DAILY_LIMIT) - used.cents) / 100,
+      pinThreshold: PIN_THRESHOLD,
+    };
+  },
+};
+
+module.exports = transferService;
@@ -0,0 +1,56 @@
+const logger = require('../logger/winstonConfig');
+const createConsoleProvider = require('./providers/consoleProvider');
+const createFileProvider = require('./providers/fileProvider');
+
+/**
+ * SMS providers implement `send({ to, body }) => Promise<{ messageId }>`.
+ * Register a real gateway with `sms.setProvider(provider)` at startup.
+ */
+const createProvider = () => {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+  // The stand-ins log or store the codes, so production has to opt in explicitly
+  if (!name) {
+    throw new Error('No SMS provider configured');
+  }
+
+  switch (name) {
+    case 'console':
+      return createConsoleProvider();
+    case 'file':
+      return createFileProvider();
+    default:
+      throw new Error(`Unknown SMS provider: ${name}`);
+  }
+};
+
+let provider = null;
+
+const sms = {
+  getProvider: () => {
+    if (!provider) {
+      provider = createProvider();
+    }
+    return provider;
+  },
+
+  /**
+   * Replace the provider (real gateways, tests)
+   */
+  setProvider: (customProvider) => {
+    provider = customProvider;
+  },
+
+  /**
+   * Send a text message right away. One-time codes go stale too quickly to queue.
+   */
+  send: async (to, body) => {
+    const activeProvider = sms.getProvider();
+    const result = await activeProvider.send({ to, body });
+
+    logger.info('SMS sent', { provider: activeProvider.name, messageId: result.messageId });
+    return result;
+  },
+};
+
+module.exports = sms;
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const logger = require('../../logger/winstonConfig');
+
+/**
+ * Logs each message instead of sending it. Used for local development.
+ */
+const createConsoleProvider = () => ({
+  name: 'console',
+  send: async ({ to, body }) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    logger.info('SMS (console provider)', { messageId, to, body });
+    return { messageId };
+  },
+});
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Keys are generated by the app; refuse anything that could leave the directory
+const SAFE_KEY = /^[a-z0-9][a-z0-9/_-]*$/i;
+
+/**
+ * Keeps blobs on the local filesystem, with the content type in a sidecar file.
+ * Meant for development and single-host deployments with a persistent volume.
+ */
+const createLocalDriver = (options = {}) => {
+  const directory = options.directory || process.env.STORAGE_LOCAL_DIR || path.join('tmp', 'uploads');
+
+  const resolve = (key) => {
+    if (!SAFE_KEY.test(key) || key.includes('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(directory, key);
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    put: async (key, data, contentType) => {
+      const file = resolve(key);
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+      await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType, size: data.length }));
+    },
+
+    get: async (key) => {
+      const file = resolve(key);
+
+      try {
+        const [data, meta] = await Promise.all([
+          fs.readFile(file),
+          fs.readFile(`${file}.meta.json`, 'utf8'),
+        ]);
+        return { data, contentType: JSON.parse(meta).contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      const file = resolve(key);
+      await fs.rm(file, { force: true });
+      await fs.rm(`${file}.meta.json`, { force: true });
+    },
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const createLocalDriver = require('./drivers/localDriver');
+
+/**
+ * Blob store drivers implement:
+ *   put(key, data, contentType) => Promise<void>
+ *   get(key) => Promise<{ data, contentType } | null>
+ *   remove(key) => Promise<void>
+ * Register an object store with `storage.setDriver(driver)` at startup.
+ */
+const createDriver = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? null : 'local');
+
+  // Uploads hold identity documents, so production has to choose where they live
+  if (!name) {
+    throw new Error('No storage driver configured');
+  }
+
+  switch (name) {
+    case 'local':
+      return createLocalDriver();
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+let driver = null;
+
+const storage = {
+  getDriver: () => {
+    if (!driver) {
+      driver = createDriver();
+    }
+    return driver;
+  },
+
+  /**
+   * Replace the driver (object stores, tests)
+   */
+  setDriver: (customDriver) => {
+    driver = customDriver;
+  },
+
+  /**
+   * Store a blob under a fresh key below `prefix` and return the key
+   */
+  put: async (prefix, data, contentType) => {
+    const key = `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+    await storage.getDriver().put(key, data, contentType);
+    return key;
+  },
+
+  get: (key) => storage.getDriver().get(key),
+
+  remove: (key) => storage.getDriver().remove(key),
+};
+
+module.exports = storage;
@@ -0,0 +1,26 @@
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Page, limit and offset from a query validated with the pagination rules
+ */
+const pageParams = (query) => {
+  const page = query.page || 1;
+  const limit = query.limit || DEFAULT_PAGE_SIZE;
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Pagination block for list responses
+ */
+const pagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  pageParams,
+  pagination,
+};